@@ -1,16 +1,399 @@
 /**
- * Placeholder adapter binding for Anthropic while the integration is pending.
+ * Adapter for the Anthropic Messages API.
  *
  * @module background/adapters/anthropic
  */
 
-import { PlaceholderAdapter } from './placeholder.js';
+import createLogger from '../../utils/logger.js';
+import { readEventStream } from '../../utils/sse.js';
+
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-haiku-20240307';
+const DEFAULT_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 1024;
+const RATE_LIMIT_STATUS = 429;
+const OVERLOADED_STATUS = 529;
+
+function normaliseMaxTokens(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    return Math.floor(value);
+  }
+  return DEFAULT_MAX_TOKENS;
+}
+
+function extractSummary(data) {
+  if (!Array.isArray(data?.content)) {
+    return '';
+  }
+  return data.content
+    .filter(block => block?.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text.trim())
+    .filter(Boolean)
+    .join('\n')
+    .trim();
+}
+
+function parseRetryAfter(headers) {
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : null;
+  const seconds = Number(raw);
+  if (raw === null || raw === undefined || !Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+  return Math.round(seconds * 1000);
+}
+
+function describeErrorBody(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (parsed?.error && typeof parsed.error === 'object') {
+      return {
+        type: typeof parsed.error.type === 'string' ? parsed.error.type : null,
+        message: typeof parsed.error.message === 'string' ? parsed.error.message : body,
+      };
+    }
+  } catch (error) {
+    // Non-JSON bodies are reported verbatim below.
+  }
+  return { type: null, message: body };
+}
 
 /**
- * Extends the placeholder adapter with Anthropic-specific naming.
+ * Provides helper methods for issuing Anthropic Messages API requests.
  */
-export class AnthropicAdapter extends PlaceholderAdapter {
+export class AnthropicAdapter {
+  /**
+   * @param {object} config - Provider configuration block.
+   * @param {{fetchImpl?: Function, logger?: object}} [options={}] - Dependency overrides.
+   */
   constructor(config, options = {}) {
-    super('anthropic', config, options);
+    this.config = config || {};
+    this.logger = options.logger && typeof options.logger.child === 'function'
+      ? options.logger.child({ adapter: 'anthropic' })
+      : createLogger({ name: 'adapter-anthropic', context: { adapter: 'anthropic' } });
+    this.fetch = (...args) => {
+      if (options.fetchImpl) {
+        return options.fetchImpl(...args);
+      }
+      if (typeof globalThis.fetch !== 'function') {
+        throw new Error('Fetch API is not available in this environment.');
+      }
+      return globalThis.fetch(...args);
+    };
+    this.messagesUrl = this.config.apiUrl || DEFAULT_API_URL;
+    this.logger.debug('Anthropic adapter initialised.', {
+      hasCustomFetch: typeof options.fetchImpl === 'function',
+      messagesUrl: this.messagesUrl,
+    });
+  }
+
+  /**
+   * Declares cost metadata for the router. Anthropic exposes text generation
+   * only, so the audio entries carry no model.
+   *
+   * @returns {object} Cost metadata grouped by capability.
+   */
+  getCostMetadata() {
+    return {
+      summarise: { model: this.config.model || DEFAULT_ANTHROPIC_MODEL },
+      transcribe: { label: 'stt', flatCost: 0, model: null },
+      synthesise: {
+        label: 'tts',
+        flatCost: 0,
+        model: null,
+        voices: {
+          available: [],
+          preferred: null,
+        },
+      },
+    };
+  }
+
+  /**
+   * Anthropic does not provide speech synthesis voices.
+   *
+   * @returns {{availableVoices: string[], preferredVoice: null}}
+   *   Empty voice capability descriptor.
+   */
+  getVoiceCapabilities() {
+    return { availableVoices: [], preferredVoice: null };
+  }
+
+  /**
+   * Validates that an API key has been supplied before performing a request.
+   *
+   * @param {string} apiKey - Anthropic API key.
+   */
+  ensureKey(apiKey) {
+    if (!apiKey) {
+      this.logger.error('Missing API key for request.');
+      throw new Error('Missing Anthropic API key.');
+    }
+  }
+
+  /**
+   * Constructs HTTP headers for the Messages API, merging configuration
+   * overrides when present.
+   *
+   * @param {string} apiKey - Anthropic API key.
+   * @returns {object} Header map ready for fetch calls.
+   */
+  buildHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_API_VERSION,
+      // Required by Anthropic for requests issued from browser contexts.
+      'anthropic-dangerous-direct-browser-access': 'true',
+      ...(this.config.headers || {}),
+    };
+  }
+
+  /**
+   * Converts a failed HTTP response into an error carrying the status code so
+   * the router can distinguish authentication, rate-limit and overload
+   * failures.
+   *
+   * @param {Response} response - Failed fetch response.
+   * @returns {Promise<Error>} Descriptive error instance.
+   */
+  async createResponseError(response) {
+    let body = '';
+    try {
+      body = await response.text();
+    } catch (readError) {
+      this.logger.warn('Failed to read Anthropic error body.', { error: readError });
+    }
+    const { type, message } = describeErrorBody(body || response.statusText || '');
+    const error = new Error(`Anthropic error (${response.status}): ${message}`);
+    error.status = response.status;
+    if (type) {
+      error.type = type;
+    }
+    if (response.status === RATE_LIMIT_STATUS) {
+      error.code = 'rate_limited';
+      const retryAfterMs = parseRetryAfter(response.headers);
+      if (retryAfterMs !== null) {
+        error.retryAfterMs = retryAfterMs;
+      }
+    } else if (response.status === OVERLOADED_STATUS) {
+      error.code = 'overloaded';
+    }
+    return error;
+  }
+
+  /**
+   * Builds the Messages API request body shared by the buffered and streaming
+   * summary calls.
+   *
+   * @param {{text: string, language: string, model: string, maxTokens: number}} params -
+   *   Prompt inputs.
+   * @returns {object} Request body.
+   */
+  buildSummaryBody({ text, language, model, maxTokens }) {
+    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      system: 'You are a helpful assistant that creates short spoken summaries.',
+      messages: [
+        { role: 'user', content: prompt },
+      ],
+    };
+    if (typeof this.config.temperature === 'number' && Number.isFinite(this.config.temperature)) {
+      body.temperature = this.config.temperature;
+    }
+    return body;
+  }
+
+  /**
+   * Requests a textual summary from the Anthropic Messages API.
+   *
+   * @param {{apiKey: string, text: string, language: string, model?: string, maxTokens?: number, signal?: AbortSignal}} params -
+   *   Summarisation parameters. `maxTokens` caps the completion length and is
+   *   supplied by the router from `routing.max_tokens_per_call`.
+   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
+   *   Structured response payload.
+   */
+  async summarise({ apiKey, text, language, model, maxTokens, signal }) {
+    this.ensureKey(apiKey);
+    const modelToUse = model || this.config.model || DEFAULT_ANTHROPIC_MODEL;
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      maxTokens: normaliseMaxTokens(maxTokens),
+    };
+
+    this.logger.debug('Summarise request started.', operationContext);
+
+    const body = this.buildSummaryBody({
+      text,
+      language,
+      model: modelToUse,
+      maxTokens: operationContext.maxTokens,
+    });
+
+    try {
+      const response = await this.fetch(this.messagesUrl, {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify(body),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      const data = await response.json();
+      const result = {
+        summary: extractSummary(data),
+        model: data?.model || modelToUse,
+        promptTokens: data?.usage?.input_tokens,
+        completionTokens: data?.usage?.output_tokens,
+      };
+
+      this.logger.info('Summarise request completed.', {
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        stopReason: data?.stop_reason,
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Summarise request failed.', { ...operationContext, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Streams a summary from the Messages API over server-sent events. Text
+   * deltas are passed to `onDelta` as they arrive; input tokens come from
+   * `message_start` and output tokens from the closing `message_delta`.
+   *
+   * @param {{
+   *   apiKey: string,
+   *   text: string,
+   *   language: string,
+   *   model?: string,
+   *   maxTokens?: number,
+   *   onDelta: function(string): void,
+   *   signal?: AbortSignal,
+   * }} params - Summarisation parameters.
+   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
+   *   Structured response payload once the stream completes.
+   */
+  async summariseStream({ apiKey, text, language, model, maxTokens, onDelta, signal }) {
+    this.ensureKey(apiKey);
+    const modelToUse = model || this.config.model || DEFAULT_ANTHROPIC_MODEL;
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      maxTokens: normaliseMaxTokens(maxTokens),
+      streaming: true,
+    };
+
+    this.logger.debug('Summarise request started.', operationContext);
+
+    const body = {
+      ...this.buildSummaryBody({
+        text,
+        language,
+        model: modelToUse,
+        maxTokens: operationContext.maxTokens,
+      }),
+      stream: true,
+    };
+
+    try {
+      const response = await this.fetch(this.messagesUrl, {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify(body),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      let summary = '';
+      let modelUsed = modelToUse;
+      let promptTokens;
+      let completionTokens;
+      let stopReason;
+      await readEventStream(response, ({ event, data }) => {
+        const payload = JSON.parse(data);
+        const type = payload?.type || event;
+        if (type === 'message_start') {
+          modelUsed = payload.message?.model || modelUsed;
+          promptTokens = payload.message?.usage?.input_tokens;
+        } else if (type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          const delta = payload.delta.text;
+          if (typeof delta === 'string' && delta) {
+            summary += delta;
+            onDelta(delta);
+          }
+        } else if (type === 'message_delta') {
+          completionTokens = payload.usage?.output_tokens ?? completionTokens;
+          stopReason = payload.delta?.stop_reason || stopReason;
+        } else if (type === 'message_stop') {
+          return false;
+        } else if (type === 'error') {
+          const { type: errorType, message } = describeErrorBody(data);
+          const error = new Error(`Anthropic stream error: ${message}`);
+          if (errorType) {
+            error.type = errorType;
+          }
+          if (errorType === 'overloaded_error') {
+            error.code = 'overloaded';
+          }
+          throw error;
+        }
+        return true;
+      });
+
+      const result = {
+        summary: summary.trim(),
+        model: modelUsed,
+        promptTokens,
+        completionTokens,
+      };
+
+      this.logger.info('Summarise request completed.', {
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        stopReason,
+        streaming: true,
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Summarise request failed.', { ...operationContext, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Anthropic does not offer a transcription API, so this method throws.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async transcribe() {
+    this.logger.warn('Anthropic transcription requested but not supported.');
+    throw new Error('Anthropic transcription is not supported.');
+  }
+
+  /**
+   * Anthropic does not offer a speech synthesis API, so this method throws.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async synthesise() {
+    this.logger.warn('Anthropic speech synthesis requested but not supported.');
+    throw new Error('Anthropic speech synthesis is not supported.');
   }
 }
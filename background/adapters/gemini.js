@@ -1,7 +1,47 @@
 import createLogger from '../../utils/logger.js';
+import { readEventStream } from '../../utils/sse.js';
+import { base64ToArrayBuffer, createWaveFromPcm } from '../../utils/audio.js';
 
 const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash-latest';
+const DEFAULT_TTS_MODEL = 'gemini-2.5-flash-preview-tts';
+const DEFAULT_TTS_SAMPLE_RATE = 24000;
+const GEMINI_TTS_VOICES = Object.freeze([
+  'Zephyr',
+  'Puck',
+  'Charon',
+  'Kore',
+  'Fenrir',
+  'Leda',
+  'Orus',
+  'Aoede',
+  'Callirrhoe',
+  'Autonoe',
+  'Enceladus',
+  'Iapetus',
+  'Umbriel',
+  'Algieba',
+  'Despina',
+  'Erinome',
+  'Algenib',
+  'Rasalgethi',
+  'Laomedeia',
+  'Achernar',
+  'Alnilam',
+  'Schedar',
+  'Gacrux',
+  'Pulcherrima',
+  'Achird',
+  'Zubenelgenubi',
+  'Vindemiatrix',
+  'Sadachbia',
+  'Sadaltager',
+  'Sulafat',
+]);
+const DEFAULT_PREFERRED_VOICE = 'Kore';
+const TRANSCRIPTION_PROMPT = 'Transcribe this audio recording verbatim. Reply with the transcript only.';
 const DEFAULT_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const GENERATE_METHOD = 'generateContent';
+const STREAM_METHOD = 'streamGenerateContent';
 
 function ensureFetch(options) {
   if (options && typeof options.fetchImpl === 'function') {
@@ -13,15 +53,23 @@ function ensureFetch(options) {
   return (...args) => globalThis.fetch(...args);
 }
 
-function buildAiStudioEndpoint(baseUrl, model, apiKey) {
+function buildQuery(params) {
+  const entries = Object.entries(params).filter(([, value]) => value);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `?${entries.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+}
+
+function buildAiStudioEndpoint(baseUrl, model, apiKey, method = GENERATE_METHOD) {
   const trimmedBase = (baseUrl || DEFAULT_API_BASE).replace(/\/$/, '');
   const encodedModel = encodeURIComponent(model || DEFAULT_GEMINI_MODEL);
   const separator = trimmedBase.endsWith('/models') ? '' : '/models';
-  const query = apiKey ? `?key=${encodeURIComponent(apiKey)}` : '';
-  return `${trimmedBase}${separator}/${encodedModel}:generateContent${query}`;
+  const query = buildQuery({ alt: method === STREAM_METHOD ? 'sse' : null, key: apiKey });
+  return `${trimmedBase}${separator}/${encodedModel}:${method}${query}`;
 }
 
-function buildVertexEndpoint({ baseUrl, project, location, model }) {
+function buildVertexEndpoint({ baseUrl, project, location, model, method = GENERATE_METHOD }) {
   const resolvedLocation = location || 'us-central1';
   const resolvedProject = project;
   if (!resolvedProject) {
@@ -32,7 +80,8 @@ function buildVertexEndpoint({ baseUrl, project, location, model }) {
   const encodedModel = encodeURIComponent(model || DEFAULT_GEMINI_MODEL);
   const hasModels = trimmedBase.endsWith('/models');
   const modelsBase = hasModels ? trimmedBase : `${trimmedBase}/models`;
-  return `${modelsBase}/${encodedModel}:generateContent`;
+  const query = buildQuery({ alt: method === STREAM_METHOD ? 'sse' : null });
+  return `${modelsBase}/${encodedModel}:${method}${query}`;
 }
 
 function extractSummary(data) {
@@ -49,6 +98,30 @@ function extractSummary(data) {
   return textParts.join('\n').trim();
 }
 
+function extractInlineAudio(data) {
+  const candidates = Array.isArray(data?.candidates) ? data.candidates : [];
+  for (const candidate of candidates) {
+    const parts = Array.isArray(candidate?.content?.parts) ? candidate.content.parts : [];
+    const part = parts.find(item => typeof item?.inlineData?.data === 'string' && item.inlineData.data);
+    if (part) {
+      return part.inlineData;
+    }
+  }
+  return null;
+}
+
+// Voices from other providers, such as the router's `alloy` default, fall
+// back to Gemini's preferred voice.
+function resolveGeminiVoice(voice) {
+  const requested = typeof voice === 'string' ? voice.trim().toLowerCase() : '';
+  return GEMINI_TTS_VOICES.find(name => name.toLowerCase() === requested) || DEFAULT_PREFERRED_VOICE;
+}
+
+function readPcmSampleRate(mimeType) {
+  const match = /rate=(\d+)/i.exec(mimeType || '');
+  return match ? Number(match[1]) : DEFAULT_TTS_SAMPLE_RATE;
+}
+
 function normaliseUsage(usageMetadata) {
   if (!usageMetadata || typeof usageMetadata !== 'object') {
     return {};
@@ -60,7 +133,8 @@ function normaliseUsage(usageMetadata) {
 }
 
 /**
- * Provides helper methods for issuing Gemini summarisation requests.
+ * Provides helper methods for issuing Gemini summarisation, transcription and
+ * speech synthesis requests.
  */
 export class GeminiAdapter {
   /**
@@ -81,8 +155,9 @@ export class GeminiAdapter {
   }
 
   /**
-   * Declares cost metadata for the router. Gemini currently exposes summary
-   * costs only, so the remaining entries are placeholders.
+   * Declares cost metadata for the router. Transcription runs on the
+   * configured summary model, which accepts audio input, while speech uses
+   * Gemini's dedicated TTS model and its prebuilt voices.
    *
    * @returns {object} Cost metadata grouped by capability.
    */
@@ -91,31 +166,31 @@ export class GeminiAdapter {
     this.logger.trace('Providing Gemini cost metadata.', { model });
     return {
       summarise: { model },
-      transcribe: { label: 'stt', flatCost: 0, model: null },
+      transcribe: { label: 'stt', model },
       synthesise: {
         label: 'tts',
-        flatCost: 0,
-        model: null,
+        model: DEFAULT_TTS_MODEL,
         voices: {
-          available: [],
-          preferred: null,
+          available: [...GEMINI_TTS_VOICES],
+          preferred: DEFAULT_PREFERRED_VOICE,
         },
       },
     };
   }
 
   /**
-   * Gemini currently does not expose first-party TTS voices via this adapter.
+   * Declares the prebuilt voices offered by Gemini's TTS model.
    *
-   * @returns {{availableVoices: string[], preferredVoice: null}}
-   *   Empty voice capability descriptor.
+   * @returns {{availableVoices: string[], preferredVoice: string}}
+   *   Voice capability descriptor.
    */
   getVoiceCapabilities() {
-    return { availableVoices: [], preferredVoice: null };
+    return { availableVoices: [...GEMINI_TTS_VOICES], preferredVoice: DEFAULT_PREFERRED_VOICE };
   }
 
   /**
-   * Issues a summarisation request to either AI Studio or Vertex Gemini.
+   * Resolves the endpoint and headers for either AI Studio (API key) or Vertex
+   * (OAuth access token) requests.
    *
    * @param {{
    *   apiKey?: string,
@@ -123,45 +198,39 @@ export class GeminiAdapter {
    *   project?: string,
    *   location?: string,
    *   endpoint?: string,
-   *   text: string,
-   *   language: string,
-   *   model?: string,
-   * }} params - Summarisation parameters.
-   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
-   *   Structured response payload.
+   *   model: string,
+   *   method?: string,
+   * }} params - Authentication and routing details.
+   * @returns {{url: string, headers: object}} Request target.
    */
-  async summarise({ apiKey, accessToken, project, location, endpoint, text, language, model }) {
-    const modelToUse = model || this.config.model || DEFAULT_GEMINI_MODEL;
-    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
-    let url;
+  resolveRequest({ apiKey, accessToken, project, location, endpoint, model, method = GENERATE_METHOD }) {
     const headers = { ...this.headers };
-    const operationContext = {
-      model: modelToUse,
-      language,
-      textLength: typeof text === 'string' ? text.length : 0,
-      usingVertex: Boolean(accessToken),
-      project: accessToken ? project : undefined,
-      location: accessToken ? location : undefined,
-    };
-
-    this.logger.debug('Gemini summarise request started.', operationContext);
-
     if (accessToken) {
       headers.Authorization = `Bearer ${accessToken}`;
-      url = buildVertexEndpoint({
+      const url = buildVertexEndpoint({
         baseUrl: endpoint || this.config.vertexEndpoint || this.config.apiUrl,
         project,
         location,
-        model: modelToUse,
+        model,
+        method,
       });
-    } else {
-      if (!apiKey) {
-        this.logger.error('Gemini API key missing for AI Studio request.');
-        throw new Error('Missing Gemini API key.');
-      }
-      url = buildAiStudioEndpoint(this.config.apiUrl, modelToUse, apiKey);
+      return { url, headers };
+    }
+    if (!apiKey) {
+      this.logger.error('Gemini API key missing for AI Studio request.');
+      throw new Error('Missing Gemini API key.');
     }
+    return { url: buildAiStudioEndpoint(this.config.apiUrl, model, apiKey, method), headers };
+  }
 
+  /**
+   * Builds the request body shared by the buffered and streaming calls.
+   *
+   * @param {{text: string, language: string}} params - Prompt inputs.
+   * @returns {object} Request body.
+   */
+  buildSummaryBody({ text, language }) {
+    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
     const body = {
       contents: [
         {
@@ -178,26 +247,78 @@ export class GeminiAdapter {
     if (Object.keys(generationConfig).length > 0) {
       body.generationConfig = generationConfig;
     }
+    return body;
+  }
+
+  /**
+   * Converts a failed HTTP response into an error carrying the status code.
+   *
+   * @param {Response} response - Failed fetch response.
+   * @returns {Promise<Error>} Descriptive error instance.
+   */
+  async createResponseError(response) {
+    let message;
+    try {
+      const errorBody = await response.text();
+      message = errorBody || response.statusText;
+    } catch (readError) {
+      message = response.statusText;
+      this.logger.warn('Failed to read Gemini error body.', { error: readError });
+    }
+    const error = new Error(`Gemini error (${response.status} ${response.statusText}): ${message}`);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Issues a summarisation request to either AI Studio or Vertex Gemini.
+   *
+   * @param {{
+   *   apiKey?: string,
+   *   accessToken?: string,
+   *   project?: string,
+   *   location?: string,
+   *   endpoint?: string,
+   *   text: string,
+   *   language: string,
+   *   model?: string,
+   *   signal?: AbortSignal,
+   * }} params - Summarisation parameters.
+   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
+   *   Structured response payload.
+   */
+  async summarise({ apiKey, accessToken, project, location, endpoint, text, language, model, signal }) {
+    const modelToUse = model || this.config.model || DEFAULT_GEMINI_MODEL;
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      usingVertex: Boolean(accessToken),
+      project: accessToken ? project : undefined,
+      location: accessToken ? location : undefined,
+    };
+
+    this.logger.debug('Gemini summarise request started.', operationContext);
+
+    const { url, headers } = this.resolveRequest({
+      apiKey,
+      accessToken,
+      project,
+      location,
+      endpoint,
+      model: modelToUse,
+    });
 
     try {
       const response = await this.fetch(url, {
         method: 'POST',
         headers,
-        body: JSON.stringify(body),
+        body: JSON.stringify(this.buildSummaryBody({ text, language })),
+        signal,
       });
 
       if (!response.ok) {
-        let message;
-        try {
-          const errorBody = await response.text();
-          message = errorBody || response.statusText;
-        } catch (readError) {
-          message = response.statusText;
-          this.logger.warn('Failed to read Gemini error body.', { error: readError });
-        }
-        const error = new Error(`Gemini error (${response.status} ${response.statusText}): ${message}`);
-        error.status = response.status;
-        throw error;
+        throw await this.createResponseError(response);
       }
 
       const data = await response.json();
@@ -226,22 +347,263 @@ export class GeminiAdapter {
   }
 
   /**
-   * Gemini currently lacks a transcription API, so this method throws.
+   * Streams a summary through `streamGenerateContent` with `alt=sse`. Each
+   * event carries a partial candidate whose text is passed to `onDelta`; the
+   * last event's `usageMetadata` holds the final token counts.
+   *
+   * @param {{
+   *   apiKey?: string,
+   *   accessToken?: string,
+   *   project?: string,
+   *   location?: string,
+   *   endpoint?: string,
+   *   text: string,
+   *   language: string,
+   *   model?: string,
+   *   onDelta: function(string): void,
+   *   signal?: AbortSignal,
+   * }} params - Summarisation parameters.
+   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
+   *   Structured response payload once the stream completes.
+   */
+  async summariseStream({ apiKey, accessToken, project, location, endpoint, text, language, model, onDelta, signal }) {
+    const modelToUse = model || this.config.model || DEFAULT_GEMINI_MODEL;
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      usingVertex: Boolean(accessToken),
+      streaming: true,
+    };
+
+    this.logger.debug('Gemini summarise request started.', operationContext);
+
+    const { url, headers } = this.resolveRequest({
+      apiKey,
+      accessToken,
+      project,
+      location,
+      endpoint,
+      model: modelToUse,
+      method: STREAM_METHOD,
+    });
+
+    try {
+      const response = await this.fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(this.buildSummaryBody({ text, language })),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      let summary = '';
+      let usage = {};
+      let modelUsed = modelToUse;
+      await readEventStream(response, ({ data }) => {
+        const chunk = JSON.parse(data);
+        const parts = chunk?.candidates?.[0]?.content?.parts;
+        if (Array.isArray(parts)) {
+          parts.forEach(part => {
+            if (typeof part?.text === 'string' && part.text) {
+              summary += part.text;
+              onDelta(part.text);
+            }
+          });
+        }
+        if (chunk?.usageMetadata) {
+          usage = normaliseUsage(chunk.usageMetadata);
+        }
+        if (chunk?.modelVersion) {
+          modelUsed = chunk.modelVersion;
+        }
+        return true;
+      });
+
+      const result = {
+        summary: summary.trim(),
+        model: modelUsed,
+        promptTokens: typeof usage.promptTokens === 'number' ? usage.promptTokens : undefined,
+        completionTokens: typeof usage.completionTokens === 'number' ? usage.completionTokens : undefined,
+      };
+
+      this.logger.info('Gemini summarise request completed.', {
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        usingVertex: Boolean(accessToken),
+        streaming: true,
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Gemini summarise request failed.', { ...operationContext, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a request body to `generateContent` and returns the parsed reply.
    *
-   * @throws {Error} Always, indicating the capability is unavailable.
+   * @param {object} params - Authentication, routing and body details, and
+   *   an optional `signal` that aborts the request.
+   * @returns {Promise<object>} Parsed response body.
    */
-  async transcribe() {
-    this.logger.warn('Gemini transcription requested but not supported.');
-    throw new Error('Gemini transcription is not supported.');
+  async generate({ apiKey, accessToken, project, location, endpoint, model, body, signal }) {
+    const { url, headers } = this.resolveRequest({ apiKey, accessToken, project, location, endpoint, model });
+    const response = await this.fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) {
+      throw await this.createResponseError(response);
+    }
+    return response.json();
   }
 
   /**
-   * Gemini currently lacks a speech synthesis API, so this method throws.
+   * Transcribes recorded audio by sending it inline to a multimodal Gemini
+   * model.
    *
-   * @throws {Error} Always, indicating the capability is unavailable.
+   * @param {{
+   *   apiKey?: string,
+   *   accessToken?: string,
+   *   project?: string,
+   *   location?: string,
+   *   endpoint?: string,
+   *   base64: string,
+   *   mimeType?: string,
+   *   model?: string,
+   * }} params - Transcription arguments.
+   * @returns {Promise<{text: string}>} Transcription result.
    */
-  async synthesise() {
-    this.logger.warn('Gemini speech synthesis requested but not supported.');
-    throw new Error('Gemini speech synthesis is not supported.');
+  async transcribe({ apiKey, accessToken, project, location, endpoint, base64, mimeType = 'audio/webm', model }) {
+    const modelToUse = model || this.config.model || DEFAULT_GEMINI_MODEL;
+    const operationContext = {
+      model: modelToUse,
+      mimeType,
+      payloadBytes: typeof base64 === 'string' ? Math.floor((base64.length * 3) / 4) : null,
+      usingVertex: Boolean(accessToken),
+    };
+
+    this.logger.debug('Gemini transcription request started.', operationContext);
+
+    try {
+      const data = await this.generate({
+        apiKey,
+        accessToken,
+        project,
+        location,
+        endpoint,
+        model: modelToUse,
+        body: {
+          contents: [
+            {
+              role: 'user',
+              parts: [{ text: TRANSCRIPTION_PROMPT }, { inlineData: { mimeType, data: base64 } }],
+            },
+          ],
+        },
+      });
+      const text = extractSummary(data);
+      this.logger.info('Gemini transcription request completed.', { model: modelToUse });
+      return { text };
+    } catch (error) {
+      this.logger.error('Gemini transcription request failed.', { ...operationContext, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Synthesises speech with a Gemini TTS model. Gemini returns raw 16-bit PCM,
+   * which is wrapped in a WAV container so it can be played and cached like
+   * other provider audio.
+   *
+   * @param {{
+   *   apiKey?: string,
+   *   accessToken?: string,
+   *   project?: string,
+   *   location?: string,
+   *   endpoint?: string,
+   *   text: string,
+   *   voice?: string,
+   *   model?: string,
+   *   chunkIndex?: number,
+   *   chunkCount?: number,
+   *   signal?: AbortSignal,
+   * }} params - Speech synthesis parameters. Unknown voices fall back to the
+   *   preferred Gemini voice.
+   * @returns {Promise<{arrayBuffer: ArrayBuffer, mimeType: string}|{base64: string, mimeType: string}>}
+   *   Synthesised audio payload.
+   */
+  async synthesise({
+    apiKey,
+    accessToken,
+    project,
+    location,
+    endpoint,
+    text,
+    voice,
+    model,
+    chunkIndex = 0,
+    chunkCount = 1,
+    signal,
+  }) {
+    const modelToUse = model || DEFAULT_TTS_MODEL;
+    const voiceName = resolveGeminiVoice(voice);
+    const operationContext = {
+      model: modelToUse,
+      voice: voiceName,
+      textLength: typeof text === 'string' ? text.length : 0,
+      chunkIndex,
+      chunkCount,
+      usingVertex: Boolean(accessToken),
+    };
+
+    this.logger.debug('Gemini speech synthesis request started.', operationContext);
+
+    try {
+      const data = await this.generate({
+        apiKey,
+        accessToken,
+        project,
+        location,
+        endpoint,
+        model: modelToUse,
+        body: {
+          contents: [{ role: 'user', parts: [{ text }] }],
+          generationConfig: {
+            responseModalities: ['AUDIO'],
+            speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName } } },
+          },
+        },
+        signal,
+      });
+      const audio = extractInlineAudio(data);
+      if (!audio) {
+        throw new Error('Gemini returned no audio.');
+      }
+      const sourceMimeType = audio.mimeType || 'audio/L16';
+      this.logger.info('Gemini speech synthesis request completed.', {
+        model: modelToUse,
+        mimeType: sourceMimeType,
+        chunkIndex,
+        chunkCount,
+      });
+      if (!/^audio\/(L16|pcm)/i.test(sourceMimeType)) {
+        return { base64: audio.data, mimeType: sourceMimeType };
+      }
+      const pcm = new Uint8Array(base64ToArrayBuffer(audio.data));
+      const wave = createWaveFromPcm(pcm, { sampleRate: readPcmSampleRate(sourceMimeType) });
+      return { arrayBuffer: wave.buffer, mimeType: 'audio/wav' };
+    } catch (error) {
+      this.logger.error('Gemini speech synthesis request failed.', { ...operationContext, error });
+      throw error;
+    }
   }
 }
@@ -1,17 +1,283 @@
 /**
- * Placeholder adapter binding for Hugging Face while API integration is under
- * development.
+ * Adapter for the Hugging Face Inference API text-generation task.
  *
  * @module background/adapters/huggingface
  */
 
-import { PlaceholderAdapter } from './placeholder.js';
+import createLogger from '../../utils/logger.js';
+import { estimateTokensFromText } from '../../utils/cost.js';
+
+const DEFAULT_HUGGINGFACE_MODEL = 'mistralai/Mistral-7B-Instruct-v0.2';
+const DEFAULT_API_URL = 'https://api-inference.huggingface.co/models';
+const DEFAULT_MAX_NEW_TOKENS = 512;
+const MODEL_LOADING_STATUS = 503;
+const RATE_LIMIT_STATUS = 429;
+const SYSTEM_PROMPT = 'You are a helpful assistant that creates short spoken summaries.';
+
+function normaliseMaxTokens(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    return Math.floor(value);
+  }
+  return DEFAULT_MAX_NEW_TOKENS;
+}
+
+function parseRetryAfter(headers) {
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : null;
+  const seconds = Number(raw);
+  if (raw === null || raw === undefined || !Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+  return Math.round(seconds * 1000);
+}
+
+function parseErrorBody(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (parsed && typeof parsed === 'object') {
+      const message = Array.isArray(parsed.error) ? parsed.error.join('; ') : parsed.error;
+      return {
+        message: typeof message === 'string' ? message : body,
+        estimatedTime: typeof parsed.estimated_time === 'number' ? parsed.estimated_time : null,
+      };
+    }
+  } catch (error) {
+    // Non-JSON bodies are reported verbatim below.
+  }
+  return { message: body, estimatedTime: null };
+}
+
+function extractGeneration(data) {
+  const entry = Array.isArray(data) ? data[0] : data;
+  return {
+    text: typeof entry?.generated_text === 'string' ? entry.generated_text.trim() : '',
+    generatedTokens: typeof entry?.details?.generated_tokens === 'number'
+      ? entry.details.generated_tokens
+      : undefined,
+  };
+}
 
 /**
- * Extends the placeholder adapter with Hugging Face naming conventions.
+ * Provides helper methods for issuing Hugging Face Inference API requests.
  */
-export class HuggingFaceAdapter extends PlaceholderAdapter {
+export class HuggingFaceAdapter {
+  /**
+   * @param {object} config - Provider configuration block. `apiUrl` may point
+   *   at the models root (the model ID is appended) or at a dedicated
+   *   Inference Endpoint URL ending in the model path.
+   * @param {{fetchImpl?: Function, logger?: object}} [options={}] - Dependency overrides.
+   */
   constructor(config, options = {}) {
-    super('huggingface', config, options);
+    this.config = config || {};
+    this.logger = options.logger && typeof options.logger.child === 'function'
+      ? options.logger.child({ adapter: 'huggingface' })
+      : createLogger({ name: 'adapter-huggingface', context: { adapter: 'huggingface' } });
+    this.fetch = (...args) => {
+      if (options.fetchImpl) {
+        return options.fetchImpl(...args);
+      }
+      if (typeof globalThis.fetch !== 'function') {
+        throw new Error('Fetch API is not available in this environment.');
+      }
+      return globalThis.fetch(...args);
+    };
+    this.baseUrl = (this.config.apiUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+    this.logger.debug('Hugging Face adapter initialised.', {
+      hasCustomFetch: typeof options.fetchImpl === 'function',
+      baseUrl: this.baseUrl,
+    });
+  }
+
+  /**
+   * Declares cost metadata for the router. Only text generation is wired up,
+   * so the audio entries carry no model.
+   *
+   * @returns {object} Cost metadata grouped by capability.
+   */
+  getCostMetadata() {
+    return {
+      summarise: { model: this.config.model || DEFAULT_HUGGINGFACE_MODEL },
+      transcribe: { label: 'stt', flatCost: 0, model: null },
+      synthesise: {
+        label: 'tts',
+        flatCost: 0,
+        model: null,
+        voices: {
+          available: [],
+          preferred: null,
+        },
+      },
+    };
+  }
+
+  /**
+   * Hugging Face speech synthesis is not wired up, so no voices are exposed.
+   *
+   * @returns {{availableVoices: string[], preferredVoice: null}}
+   *   Empty voice capability descriptor.
+   */
+  getVoiceCapabilities() {
+    return { availableVoices: [], preferredVoice: null };
+  }
+
+  /**
+   * Validates that an API token has been supplied before performing a request.
+   *
+   * @param {string} apiKey - Hugging Face access token.
+   */
+  ensureKey(apiKey) {
+    if (!apiKey) {
+      this.logger.error('Missing API key for request.');
+      throw new Error('Missing Hugging Face API key.');
+    }
+  }
+
+  /**
+   * Resolves the request URL for the model. Model IDs are appended to the
+   * models root unless the configured URL already targets that model.
+   *
+   * @param {string} model - Hugging Face model ID.
+   * @returns {string} Fully qualified inference URL.
+   */
+  resolveModelUrl(model) {
+    if (!model || this.baseUrl.endsWith(`/${model}`)) {
+      return this.baseUrl;
+    }
+    return `${this.baseUrl}/${model}`;
+  }
+
+  /**
+   * Constructs HTTP headers, merging configuration overrides when present.
+   *
+   * @param {string} apiKey - Hugging Face access token.
+   * @returns {object} Header map ready for fetch calls.
+   */
+  buildHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${apiKey}`,
+      ...(this.config.headers || {}),
+    };
+  }
+
+  /**
+   * Converts a failed HTTP response into an error carrying the status code. A
+   * 503 reporting `estimated_time` is flagged `model_loading` with a
+   * `retryAfterMs` hint so the router waits for the model instead of counting
+   * the response as a provider failure.
+   *
+   * @param {Response} response - Failed fetch response.
+   * @returns {Promise<Error>} Descriptive error instance.
+   */
+  async createResponseError(response) {
+    let body = '';
+    try {
+      body = await response.text();
+    } catch (readError) {
+      this.logger.warn('Failed to read Hugging Face error body.', { error: readError });
+    }
+    const { message, estimatedTime } = parseErrorBody(body || response.statusText || '');
+    const error = new Error(`Hugging Face error (${response.status}): ${message}`);
+    error.status = response.status;
+    if (response.status === MODEL_LOADING_STATUS && estimatedTime !== null) {
+      error.code = 'model_loading';
+      error.retryAfterMs = Math.max(0, Math.ceil(estimatedTime * 1000));
+    } else if (response.status === RATE_LIMIT_STATUS) {
+      error.code = 'rate_limited';
+      const retryAfterMs = parseRetryAfter(response.headers);
+      if (retryAfterMs !== null) {
+        error.retryAfterMs = retryAfterMs;
+      }
+    }
+    return error;
+  }
+
+  /**
+   * Requests a textual summary using the text-generation task. The Inference
+   * API does not report prompt usage, so token counts are estimated from the
+   * text when the response omits generation details.
+   *
+   * @param {{apiKey: string, text: string, language: string, model?: string, maxTokens?: number, signal?: AbortSignal}} params -
+   *   Summarisation parameters.
+   * @returns {Promise<{summary: string, model: string, promptTokens: number, completionTokens: number}>}
+   *   Structured response payload.
+   */
+  async summarise({ apiKey, text, language, model, maxTokens, signal }) {
+    this.ensureKey(apiKey);
+    const modelToUse = model || this.config.model || DEFAULT_HUGGINGFACE_MODEL;
+    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
+    const inputs = `${SYSTEM_PROMPT}\n\n${prompt}`;
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      maxTokens: normaliseMaxTokens(maxTokens),
+    };
+
+    this.logger.debug('Summarise request started.', operationContext);
+
+    const parameters = {
+      max_new_tokens: operationContext.maxTokens,
+      return_full_text: false,
+      details: true,
+    };
+    if (typeof this.config.temperature === 'number' && this.config.temperature > 0) {
+      parameters.temperature = this.config.temperature;
+    }
+
+    try {
+      const response = await this.fetch(this.resolveModelUrl(modelToUse), {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify({ inputs, parameters }),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      const data = await response.json();
+      const { text: summary, generatedTokens } = extractGeneration(data);
+      const result = {
+        summary,
+        model: modelToUse,
+        promptTokens: estimateTokensFromText(inputs),
+        completionTokens: typeof generatedTokens === 'number'
+          ? generatedTokens
+          : estimateTokensFromText(summary),
+      };
+
+      this.logger.info('Summarise request completed.', {
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        completionEstimated: typeof generatedTokens !== 'number',
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Summarise request failed.', { ...operationContext, code: error?.code, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Hugging Face transcription is not wired up, so this method throws.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async transcribe() {
+    this.logger.warn('Hugging Face transcription requested but not supported.');
+    throw new Error('Hugging Face transcription is not supported.');
+  }
+
+  /**
+   * Hugging Face speech synthesis is not wired up, so this method throws.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async synthesise() {
+    this.logger.warn('Hugging Face speech synthesis requested but not supported.');
+    throw new Error('Hugging Face speech synthesis is not supported.');
   }
 }
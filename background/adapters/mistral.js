@@ -1,16 +1,308 @@
 /**
- * Placeholder adapter binding for Mistral while API integration is pending.
+ * Adapter for the Mistral chat completions API.
  *
  * @module background/adapters/mistral
  */
 
-import { PlaceholderAdapter } from './placeholder.js';
+import createLogger from '../../utils/logger.js';
+
+const DEFAULT_MISTRAL_MODEL = 'mistral-small-latest';
+const DEFAULT_API_URL = 'https://api.mistral.ai/v1/chat/completions';
+const RATE_LIMIT_STATUS = 429;
+const QUOTA_MESSAGE_PATTERN = /quota|monthly|billing/i;
+
+const RATE_LIMIT_HEADERS = Object.freeze({
+  limitTokensMinute: 'x-ratelimit-limit-tokens-minute',
+  remainingTokensMinute: 'x-ratelimit-remaining-tokens-minute',
+  limitTokensMonth: 'x-ratelimit-limit-tokens-month',
+  remainingTokensMonth: 'x-ratelimit-remaining-tokens-month',
+  limitRequests: 'ratelimitbysize-limit',
+  remainingRequests: 'ratelimitbysize-remaining',
+});
+
+function normaliseMaxTokens(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    return Math.floor(value);
+  }
+  return undefined;
+}
+
+function readHeader(headers, name) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
+  const value = headers.get(name);
+  return value === undefined ? null : value;
+}
+
+function readNumericHeader(headers, name) {
+  const raw = readHeader(headers, name);
+  if (raw === null || raw === '') {
+    return null;
+  }
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : null;
+}
 
 /**
- * Extends the placeholder adapter with Mistral-specific naming.
+ * Collects Mistral's rate-limit headers into a plain object. Only headers that
+ * were present are included so callers can tell "unknown" from "zero".
+ *
+ * @param {Headers|Map} headers - Response headers.
+ * @returns {object} Rate-limit snapshot, possibly empty.
  */
-export class MistralAdapter extends PlaceholderAdapter {
+function parseRateLimitHeaders(headers) {
+  const snapshot = {};
+  Object.entries(RATE_LIMIT_HEADERS).forEach(([key, headerName]) => {
+    const value = readNumericHeader(headers, headerName);
+    if (value !== null) {
+      snapshot[key] = value;
+    }
+  });
+  const retryAfterSeconds = readNumericHeader(headers, 'retry-after');
+  if (retryAfterSeconds !== null && retryAfterSeconds >= 0) {
+    snapshot.retryAfterMs = Math.round(retryAfterSeconds * 1000);
+  }
+  return snapshot;
+}
+
+function describeErrorBody(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (typeof parsed?.message === 'string') {
+      return parsed.message;
+    }
+    if (typeof parsed?.error?.message === 'string') {
+      return parsed.error.message;
+    }
+  } catch (error) {
+    // Non-JSON bodies are reported verbatim below.
+  }
+  return body;
+}
+
+/**
+ * Provides helper methods for issuing Mistral chat completion requests.
+ */
+export class MistralAdapter {
+  /**
+   * @param {object} config - Provider configuration block. The router passes
+   *   the tier-specific block (`mistral_trial` or `mistral_paid`), so `model`
+   *   reflects the tier.
+   * @param {{fetchImpl?: Function, logger?: object}} [options={}] - Dependency overrides.
+   */
   constructor(config, options = {}) {
-    super('mistral', config, options);
+    this.config = config || {};
+    this.logger = options.logger && typeof options.logger.child === 'function'
+      ? options.logger.child({ adapter: 'mistral' })
+      : createLogger({ name: 'adapter-mistral', context: { adapter: 'mistral' } });
+    this.fetch = (...args) => {
+      if (options.fetchImpl) {
+        return options.fetchImpl(...args);
+      }
+      if (typeof globalThis.fetch !== 'function') {
+        throw new Error('Fetch API is not available in this environment.');
+      }
+      return globalThis.fetch(...args);
+    };
+    this.chatUrl = this.config.apiUrl || DEFAULT_API_URL;
+    this.logger.debug('Mistral adapter initialised.', {
+      hasCustomFetch: typeof options.fetchImpl === 'function',
+      chatUrl: this.chatUrl,
+      model: this.config.model || DEFAULT_MISTRAL_MODEL,
+    });
+  }
+
+  /**
+   * Declares cost metadata for the router. Mistral is used for text
+   * generation only, so the audio entries carry no model.
+   *
+   * @returns {object} Cost metadata grouped by capability.
+   */
+  getCostMetadata() {
+    return {
+      summarise: { model: this.config.model || DEFAULT_MISTRAL_MODEL },
+      transcribe: { label: 'stt', flatCost: 0, model: null },
+      synthesise: {
+        label: 'tts',
+        flatCost: 0,
+        model: null,
+        voices: {
+          available: [],
+          preferred: null,
+        },
+      },
+    };
+  }
+
+  /**
+   * Mistral does not provide speech synthesis voices.
+   *
+   * @returns {{availableVoices: string[], preferredVoice: null}}
+   *   Empty voice capability descriptor.
+   */
+  getVoiceCapabilities() {
+    return { availableVoices: [], preferredVoice: null };
+  }
+
+  /**
+   * Validates that an API key has been supplied before performing a request.
+   *
+   * @param {string} apiKey - Mistral API key.
+   */
+  ensureKey(apiKey) {
+    if (!apiKey) {
+      this.logger.error('Missing API key for request.');
+      throw new Error('Missing Mistral API key.');
+    }
+  }
+
+  /**
+   * Constructs HTTP headers, merging configuration overrides when present.
+   *
+   * @param {string} apiKey - Mistral API key.
+   * @returns {object} Header map ready for fetch calls.
+   */
+  buildHeaders(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      Authorization: `Bearer ${apiKey}`,
+      ...(this.config.headers || {}),
+    };
+  }
+
+  /**
+   * Converts a failed HTTP response into an error carrying the status code and
+   * rate-limit headers. A 429 with no monthly tokens left (or a quota message)
+   * is flagged `quota_exhausted` so the router can park the tier instead of
+   * retrying; any other 429 is flagged `rate_limited`.
+   *
+   * @param {Response} response - Failed fetch response.
+   * @returns {Promise<Error>} Descriptive error instance.
+   */
+  async createResponseError(response) {
+    let body = '';
+    try {
+      body = await response.text();
+    } catch (readError) {
+      this.logger.warn('Failed to read Mistral error body.', { error: readError });
+    }
+    const message = describeErrorBody(body || response.statusText || '');
+    const error = new Error(`Mistral error (${response.status}): ${message}`);
+    error.status = response.status;
+    const rateLimit = parseRateLimitHeaders(response.headers);
+    if (Object.keys(rateLimit).length > 0) {
+      error.rateLimit = rateLimit;
+    }
+    if (typeof rateLimit.retryAfterMs === 'number') {
+      error.retryAfterMs = rateLimit.retryAfterMs;
+    }
+    if (response.status === RATE_LIMIT_STATUS) {
+      const quotaExhausted = rateLimit.remainingTokensMonth === 0 || QUOTA_MESSAGE_PATTERN.test(message);
+      error.code = quotaExhausted ? 'quota_exhausted' : 'rate_limited';
+    }
+    return error;
+  }
+
+  /**
+   * Requests a textual summary from the Mistral chat completions API.
+   *
+   * @param {{apiKey: string, text: string, language: string, model?: string, maxTokens?: number, signal?: AbortSignal}} params -
+   *   Summarisation parameters.
+   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number, rateLimit?: object}>}
+   *   Structured response payload.
+   */
+  async summarise({ apiKey, text, language, model, maxTokens, signal }) {
+    this.ensureKey(apiKey);
+    const modelToUse = model || this.config.model || DEFAULT_MISTRAL_MODEL;
+    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      maxTokens: normaliseMaxTokens(maxTokens),
+    };
+
+    this.logger.debug('Summarise request started.', operationContext);
+
+    const body = {
+      model: modelToUse,
+      temperature: typeof this.config.temperature === 'number' ? this.config.temperature : 0.3,
+      messages: [
+        { role: 'system', content: 'You are a helpful assistant that creates short spoken summaries.' },
+        { role: 'user', content: prompt },
+      ],
+    };
+    if (operationContext.maxTokens) {
+      body.max_tokens = operationContext.maxTokens;
+    }
+
+    try {
+      const response = await this.fetch(this.chatUrl, {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify(body),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      const data = await response.json();
+      const choice = data.choices && data.choices[0];
+      const summary = choice && choice.message && typeof choice.message.content === 'string'
+        ? choice.message.content.trim()
+        : '';
+
+      const result = {
+        summary,
+        model: data.model || modelToUse,
+        promptTokens: data.usage?.prompt_tokens,
+        completionTokens: data.usage?.completion_tokens,
+      };
+      const rateLimit = parseRateLimitHeaders(response.headers);
+      if (Object.keys(rateLimit).length > 0) {
+        result.rateLimit = rateLimit;
+      }
+
+      this.logger.info('Summarise request completed.', {
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        remainingTokensMonth: rateLimit.remainingTokensMonth,
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Summarise request failed.', {
+        ...operationContext,
+        code: error?.code,
+        rateLimit: error?.rateLimit,
+        error,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Mistral transcription is not wired up, so this method throws.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async transcribe() {
+    this.logger.warn('Mistral transcription requested but not supported.');
+    throw new Error('Mistral transcription is not supported.');
+  }
+
+  /**
+   * Mistral does not offer a speech synthesis API, so this method throws.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async synthesise() {
+    this.logger.warn('Mistral speech synthesis requested but not supported.');
+    throw new Error('Mistral speech synthesis is not supported.');
   }
 }
@@ -1,24 +1,295 @@
 /**
- * Placeholder adapter binding for Ollama while API integration is pending.
+ * Adapter for a local Ollama server using the `/api/chat` endpoint.
  *
  * @module background/adapters/ollama
  */
 
-import { PlaceholderAdapter } from './placeholder.js';
+import createLogger from '../../utils/logger.js';
+
+const DEFAULT_OLLAMA_MODEL = 'llama3.2';
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+const CHAT_PATH = '/api/chat';
+const TAGS_PATH = '/api/tags';
+
+/**
+ * Reduces configured URLs to the server root so both `http://host:11434` and
+ * `http://host:11434/api/chat` resolve to the same endpoints.
+ *
+ * @param {string} value - Configured API URL.
+ * @returns {string} Base URL without trailing API paths or slashes.
+ */
+function normaliseBaseUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return DEFAULT_BASE_URL;
+  }
+  return value
+    .trim()
+    .replace(/\/+$/, '')
+    .replace(/\/api(?:\/(?:chat|generate|tags))?$/, '');
+}
+
+function normaliseMaxTokens(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    return Math.floor(value);
+  }
+  return undefined;
+}
+
+function readCount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+function normaliseModelEntry(entry) {
+  const name = typeof entry?.name === 'string' && entry.name.trim()
+    ? entry.name.trim()
+    : typeof entry?.model === 'string' ? entry.model.trim() : '';
+  if (!name) {
+    return null;
+  }
+  return {
+    name,
+    size: readCount(entry.size) ?? null,
+    modifiedAt: typeof entry.modified_at === 'string' ? entry.modified_at : null,
+    parameterSize: typeof entry.details?.parameter_size === 'string' ? entry.details.parameter_size : null,
+  };
+}
 
 /**
- * Extends the placeholder adapter with Ollama-specific naming.
+ * Provides helper methods for issuing requests against a local Ollama server.
  */
-export class OllamaAdapter extends PlaceholderAdapter {
+export class OllamaAdapter {
+  /**
+   * @param {object} config - Provider configuration block.
+   * @param {{fetchImpl?: Function, logger?: object}} [options={}] - Dependency overrides.
+   */
   constructor(config, options = {}) {
-    super('ollama', config, options);
+    this.config = config || {};
+    this.logger = options.logger && typeof options.logger.child === 'function'
+      ? options.logger.child({ adapter: 'ollama' })
+      : createLogger({ name: 'adapter-ollama', context: { adapter: 'ollama' } });
+    this.fetch = (...args) => {
+      if (options.fetchImpl) {
+        return options.fetchImpl(...args);
+      }
+      if (typeof globalThis.fetch !== 'function') {
+        throw new Error('Fetch API is not available in this environment.');
+      }
+      return globalThis.fetch(...args);
+    };
+    this.baseUrl = normaliseBaseUrl(this.config.apiUrl);
+    this.logger.debug('Ollama adapter initialised.', {
+      hasCustomFetch: typeof options.fetchImpl === 'function',
+      baseUrl: this.baseUrl,
+    });
+  }
+
+  /**
+   * Declares cost metadata for the router. Local inference has no audio
+   * capabilities, so the audio entries carry no model.
+   *
+   * @returns {object} Cost metadata grouped by capability.
+   */
+  getCostMetadata() {
+    return {
+      summarise: { model: this.config.model || DEFAULT_OLLAMA_MODEL },
+      transcribe: { label: 'stt', flatCost: 0, model: null },
+      synthesise: {
+        label: 'tts',
+        flatCost: 0,
+        model: null,
+        voices: {
+          available: [],
+          preferred: null,
+        },
+      },
+    };
   }
 
   /**
-   * Overrides the default key guard so local Ollama installs can operate
-   * without an API token.
+   * Ollama does not provide speech synthesis voices.
+   *
+   * @returns {{availableVoices: string[], preferredVoice: null}}
+   *   Empty voice capability descriptor.
+   */
+  getVoiceCapabilities() {
+    return { availableVoices: [], preferredVoice: null };
+  }
+
+  /**
+   * Local Ollama instances do not require an API key.
    */
   ensureKey() {
-    // Local Ollama instances do not require an API key.
+    // Intentionally empty so key-less local installs can operate.
+  }
+
+  /**
+   * Constructs HTTP headers, forwarding an optional bearer token for servers
+   * running behind an authenticating proxy.
+   *
+   * @param {string} [apiKey] - Optional token.
+   * @returns {object} Header map ready for fetch calls.
+   */
+  buildHeaders(apiKey) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(this.config.headers || {}),
+    };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Converts a failed HTTP response into an error carrying the status code.
+   *
+   * @param {Response} response - Failed fetch response.
+   * @returns {Promise<Error>} Descriptive error instance.
+   */
+  async createResponseError(response) {
+    let body = '';
+    try {
+      body = await response.text();
+    } catch (readError) {
+      this.logger.warn('Failed to read Ollama error body.', { error: readError });
+    }
+    let message = body || response.statusText || '';
+    try {
+      const parsed = JSON.parse(body);
+      if (typeof parsed?.error === 'string') {
+        message = parsed.error;
+      }
+    } catch (error) {
+      // Non-JSON bodies are reported verbatim.
+    }
+    const error = new Error(`Ollama error (${response.status}): ${message}`);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Lists the models installed on the Ollama server via `/api/tags`.
+   *
+   * @returns {Promise<Array<{name: string, size: number|null, modifiedAt: string|null, parameterSize: string|null}>>}
+   *   Installed models sorted by name.
+   */
+  async listModels() {
+    const url = `${this.baseUrl}${TAGS_PATH}`;
+    this.logger.debug('Listing installed models.', { url });
+    try {
+      const response = await this.fetch(url, {
+        method: 'GET',
+        headers: this.buildHeaders(),
+      });
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+      const data = await response.json();
+      const models = (Array.isArray(data?.models) ? data.models : [])
+        .map(normaliseModelEntry)
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+      this.logger.info('Installed models listed.', { count: models.length });
+      return models;
+    } catch (error) {
+      this.logger.error('Listing installed models failed.', { url, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Requests a textual summary from the local `/api/chat` endpoint.
+   *
+   * @param {{apiKey?: string, text: string, language: string, model?: string, maxTokens?: number, signal?: AbortSignal}} params -
+   *   Summarisation parameters. `maxTokens` maps onto Ollama's `num_predict`.
+   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
+   *   Structured response payload.
+   */
+  async summarise({ apiKey, text, language, model, maxTokens, signal }) {
+    this.ensureKey(apiKey);
+    const modelToUse = model || this.config.model || DEFAULT_OLLAMA_MODEL;
+    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
+    const numPredict = normaliseMaxTokens(maxTokens);
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      maxTokens: numPredict,
+    };
+
+    this.logger.debug('Summarise request started.', operationContext);
+
+    const options = {};
+    if (typeof this.config.temperature === 'number' && Number.isFinite(this.config.temperature)) {
+      options.temperature = this.config.temperature;
+    }
+    if (numPredict) {
+      options.num_predict = numPredict;
+    }
+    const body = {
+      model: modelToUse,
+      stream: false,
+      messages: [
+        { role: 'system', content: 'You are a helpful assistant that creates short spoken summaries.' },
+        { role: 'user', content: prompt },
+      ],
+    };
+    if (Object.keys(options).length > 0) {
+      body.options = options;
+    }
+
+    try {
+      const response = await this.fetch(`${this.baseUrl}${CHAT_PATH}`, {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify(body),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      const data = await response.json();
+      const content = data?.message?.content;
+      const result = {
+        summary: typeof content === 'string' ? content.trim() : '',
+        model: data?.model || modelToUse,
+        promptTokens: readCount(data?.prompt_eval_count),
+        completionTokens: readCount(data?.eval_count),
+      };
+
+      this.logger.info('Summarise request completed.', {
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        doneReason: data?.done_reason,
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Summarise request failed.', { ...operationContext, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Ollama does not offer a transcription API, so this method throws.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async transcribe() {
+    this.logger.warn('Ollama transcription requested but not supported.');
+    throw new Error('Ollama transcription is not supported.');
+  }
+
+  /**
+   * Ollama does not offer a speech synthesis API, so this method throws.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async synthesise() {
+    this.logger.warn('Ollama speech synthesis requested but not supported.');
+    throw new Error('Ollama speech synthesis is not supported.');
   }
 }
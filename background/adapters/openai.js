@@ -1,5 +1,6 @@
 import createLogger from '../../utils/logger.js';
 import { estimateTokensFromText } from '../../utils/cost.js';
+import { readEventStream } from '../../utils/sse.js';
 
 const DEFAULT_TRANSCRIPTION_MODEL = 'gpt-4o-mini-transcribe';
 const DEFAULT_TTS_MODEL = 'gpt-4o-mini-tts';
@@ -93,12 +94,10 @@ export class OpenAIAdapter {
       },
       transcribe: {
         label: 'stt',
-        flatCost: 0.005,
         model: DEFAULT_TRANSCRIPTION_MODEL,
       },
       synthesise: {
         label: 'tts',
-        flatCost: 0.01,
         model: DEFAULT_TTS_MODEL,
         voices: {
           available: voices,
@@ -159,18 +158,49 @@ export class OpenAIAdapter {
     };
   }
 
+  /**
+   * Builds the chat completions request body shared by the buffered and
+   * streaming summary calls.
+   *
+   * @param {{text: string, language: string, model: string}} params - Prompt inputs.
+   * @returns {object} Request body.
+   */
+  buildSummaryBody({ text, language, model }) {
+    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
+    return {
+      model,
+      temperature: typeof this.config.temperature === 'number' ? this.config.temperature : 0.3,
+      messages: [
+        { role: 'system', content: 'You are a helpful assistant that creates short spoken summaries.' },
+        { role: 'user', content: prompt },
+      ],
+    };
+  }
+
+  /**
+   * Converts a failed HTTP response into an error carrying the status code.
+   *
+   * @param {Response} response - Failed fetch response.
+   * @returns {Promise<Error>} Descriptive error instance.
+   */
+  async createResponseError(response) {
+    const message = await response.text();
+    const error = new Error(`OpenAI error (${response.status}): ${message}`);
+    error.status = response.status;
+    return error;
+  }
+
   /**
    * Requests a textual summary from the OpenAI chat completions API.
    *
-   * @param {{apiKey: string, text: string, language: string, model?: string}} params -
+   * @param {{apiKey: string, text: string, language: string, model?: string, signal?: AbortSignal}} params -
    *   Summarisation parameters.
    * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
    *   Structured response payload.
    */
-  async summarise({ apiKey, text, language, model }) {
+  async summarise({ apiKey, text, language, model, signal }) {
     this.ensureKey(apiKey);
     const modelToUse = model || this.config.model || 'gpt-4o-mini';
-    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
     const operationContext = {
       model: modelToUse,
       language,
@@ -183,21 +213,12 @@ export class OpenAIAdapter {
       const response = await this.fetch(this.chatUrl, {
         method: 'POST',
         headers: this.buildHeaders(apiKey),
-        body: JSON.stringify({
-          model: modelToUse,
-          temperature: typeof this.config.temperature === 'number' ? this.config.temperature : 0.3,
-          messages: [
-            { role: 'system', content: 'You are a helpful assistant that creates short spoken summaries.' },
-            { role: 'user', content: prompt },
-          ],
-        }),
+        body: JSON.stringify(this.buildSummaryBody({ text, language, model: modelToUse })),
+        signal,
       });
 
       if (!response.ok) {
-        const message = await response.text();
-        const error = new Error(`OpenAI error (${response.status}): ${message}`);
-        error.status = response.status;
-        throw error;
+        throw await this.createResponseError(response);
       }
 
       const data = await response.json();
@@ -226,6 +247,93 @@ export class OpenAIAdapter {
     }
   }
 
+  /**
+   * Streams a summary from the chat completions API over server-sent events,
+   * passing each content delta to `onDelta` as it arrives. Usage is requested
+   * in the final chunk so token accounting matches the buffered call.
+   *
+   * @param {{
+   *   apiKey: string,
+   *   text: string,
+   *   language: string,
+   *   model?: string,
+   *   onDelta: function(string): void,
+   *   signal?: AbortSignal,
+   * }} params - Summarisation parameters.
+   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
+   *   Structured response payload once the stream completes.
+   */
+  async summariseStream({ apiKey, text, language, model, onDelta, signal }) {
+    this.ensureKey(apiKey);
+    const modelToUse = model || this.config.model || 'gpt-4o-mini';
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      streaming: true,
+    };
+
+    this.logger.debug('Summarise request started.', operationContext);
+
+    try {
+      const response = await this.fetch(this.chatUrl, {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey, { Accept: 'text/event-stream' }),
+        body: JSON.stringify({
+          ...this.buildSummaryBody({ text, language, model: modelToUse }),
+          stream: true,
+          stream_options: { include_usage: true },
+        }),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      let summary = '';
+      let modelUsed = modelToUse;
+      let usage = null;
+      await readEventStream(response, ({ data }) => {
+        if (data === '[DONE]') {
+          return false;
+        }
+        const chunk = JSON.parse(data);
+        if (chunk.model) {
+          modelUsed = chunk.model;
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (typeof delta === 'string' && delta) {
+          summary += delta;
+          onDelta(delta);
+        }
+        return true;
+      });
+
+      const result = {
+        summary: summary.trim(),
+        model: modelUsed,
+        promptTokens: usage?.prompt_tokens,
+        completionTokens: usage?.completion_tokens,
+      };
+
+      this.logger.info('Summarise request completed.', {
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+        streaming: true,
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Summarise request failed.', { ...operationContext, error });
+      throw error;
+    }
+  }
+
   /**
    * Submits an audio payload for transcription using the OpenAI audio API.
    *
@@ -292,6 +400,7 @@ export class OpenAIAdapter {
    *   voice?: string,
    *   format?: string,
    *   model?: string,
+   *   signal?: AbortSignal,
    * }} params - Speech synthesis parameters.
    * @returns {Promise<{arrayBuffer: ArrayBuffer, mimeType: string}>} Synthesised audio payload.
    */
@@ -304,6 +413,7 @@ export class OpenAIAdapter {
     chunkIndex = 0,
     chunkCount = 1,
     maxInputTokens,
+    signal,
   }) {
     this.ensureKey(apiKey);
     const estimatedTokens = estimateTokensFromText(text);
@@ -342,6 +452,7 @@ export class OpenAIAdapter {
           input: text,
           format,
         }),
+        signal,
       });
 
       if (!response.ok) {
@@ -0,0 +1,264 @@
+/**
+ * Adapter for self-hosted servers that implement the OpenAI chat completions
+ * protocol, such as LM Studio, vLLM and LiteLLM.
+ *
+ * @module background/adapters/openaiCompatible
+ */
+
+import createLogger from '../../utils/logger.js';
+
+const RATE_LIMIT_STATUS = 429;
+
+function normaliseMaxTokens(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value > 0) {
+    return Math.floor(value);
+  }
+  return undefined;
+}
+
+function parseRetryAfter(headers) {
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : null;
+  const seconds = Number(raw);
+  if (raw === null || raw === undefined || !Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+  return Math.round(seconds * 1000);
+}
+
+function describeErrorBody(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (typeof parsed?.error?.message === 'string') {
+      return parsed.error.message;
+    }
+    if (typeof parsed?.error === 'string') {
+      return parsed.error;
+    }
+  } catch (error) {
+    // Non-JSON bodies are reported verbatim below.
+  }
+  return body;
+}
+
+/**
+ * Issues chat completion requests against any OpenAI-compatible endpoint. One
+ * instance is created per named `openai_compatible` provider block, so the
+ * endpoint, model and headers come entirely from configuration.
+ */
+export class OpenAICompatibleAdapter {
+  /**
+   * @param {object} config - Provider configuration block. `apiUrl` must point
+   *   at the server's `/chat/completions` endpoint.
+   * @param {{fetchImpl?: Function, logger?: object}} [options={}] - Dependency overrides.
+   */
+  constructor(config, options = {}) {
+    this.config = config || {};
+    this.providerId = this.config.provider || 'openai_compatible';
+    this.logger = options.logger && typeof options.logger.child === 'function'
+      ? options.logger.child({ adapter: 'openai_compatible' })
+      : createLogger({
+        name: 'adapter-openai-compatible',
+        context: { adapter: 'openai_compatible', instance: this.providerId },
+      });
+    this.fetch = (...args) => {
+      if (options.fetchImpl) {
+        return options.fetchImpl(...args);
+      }
+      if (typeof globalThis.fetch !== 'function') {
+        throw new Error('Fetch API is not available in this environment.');
+      }
+      return globalThis.fetch(...args);
+    };
+    this.chatUrl = this.config.apiUrl || null;
+    this.logger.debug('OpenAI-compatible adapter initialised.', {
+      hasCustomFetch: typeof options.fetchImpl === 'function',
+      chatUrl: this.chatUrl,
+      model: this.config.model || null,
+    });
+  }
+
+  /**
+   * Declares cost metadata for the router. Only chat completions are used, so
+   * the audio entries carry no model.
+   *
+   * @returns {object} Cost metadata grouped by capability.
+   */
+  getCostMetadata() {
+    return {
+      summarise: { model: this.config.model || null },
+      transcribe: { label: 'stt', flatCost: 0, model: null },
+      synthesise: {
+        label: 'tts',
+        flatCost: 0,
+        model: null,
+        voices: {
+          available: [],
+          preferred: null,
+        },
+      },
+    };
+  }
+
+  /**
+   * Speech synthesis is not requested from OpenAI-compatible servers.
+   *
+   * @returns {{availableVoices: string[], preferredVoice: null}}
+   *   Empty voice capability descriptor.
+   */
+  getVoiceCapabilities() {
+    return { availableVoices: [], preferredVoice: null };
+  }
+
+  /**
+   * API keys are optional for self-hosted servers. The key is only enforced
+   * when the provider block sets `requires_api_key: true`.
+   *
+   * @param {string} [apiKey] - Optional bearer token.
+   */
+  ensureKey(apiKey) {
+    if (!apiKey && this.config.requiresApiKey === true) {
+      this.logger.error('Missing API key for request.');
+      throw new Error(`Missing ${this.providerId} API key.`);
+    }
+  }
+
+  /**
+   * Constructs HTTP headers, adding the bearer token only when one is set.
+   *
+   * @param {string} [apiKey] - Optional bearer token.
+   * @returns {object} Header map ready for fetch calls.
+   */
+  buildHeaders(apiKey) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(this.config.headers || {}),
+    };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Converts a failed HTTP response into an error carrying the status code.
+   *
+   * @param {Response} response - Failed fetch response.
+   * @returns {Promise<Error>} Descriptive error instance.
+   */
+  async createResponseError(response) {
+    let body = '';
+    try {
+      body = await response.text();
+    } catch (readError) {
+      this.logger.warn('Failed to read error body.', { error: readError });
+    }
+    const message = describeErrorBody(body || response.statusText || '');
+    const error = new Error(`${this.providerId} error (${response.status}): ${message}`);
+    error.status = response.status;
+    if (response.status === RATE_LIMIT_STATUS) {
+      error.code = 'rate_limited';
+      const retryAfterMs = parseRetryAfter(response.headers);
+      if (retryAfterMs !== null) {
+        error.retryAfterMs = retryAfterMs;
+      }
+    }
+    return error;
+  }
+
+  /**
+   * Requests a textual summary from the configured chat completions endpoint.
+   *
+   * @param {{apiKey?: string, text: string, language: string, model?: string, maxTokens?: number, signal?: AbortSignal}} params -
+   *   Summarisation parameters.
+   * @returns {Promise<{summary: string, model: string, promptTokens?: number, completionTokens?: number}>}
+   *   Structured response payload.
+   */
+  async summarise({ apiKey, text, language, model, maxTokens, signal }) {
+    this.ensureKey(apiKey);
+    if (!this.chatUrl) {
+      throw new Error(`Missing api_url for provider ${this.providerId}.`);
+    }
+    const modelToUse = this.config.model || model;
+    if (!modelToUse) {
+      throw new Error(`Missing model for provider ${this.providerId}.`);
+    }
+    const prompt = `Provide a concise, listener-friendly summary of the following webpage content. Use ${language} language.\n\n${text}`;
+    const operationContext = {
+      model: modelToUse,
+      language,
+      textLength: typeof text === 'string' ? text.length : 0,
+      maxTokens: normaliseMaxTokens(maxTokens),
+    };
+
+    this.logger.debug('Summarise request started.', operationContext);
+
+    const body = {
+      model: modelToUse,
+      temperature: typeof this.config.temperature === 'number' ? this.config.temperature : 0.3,
+      messages: [
+        { role: 'system', content: 'You are a helpful assistant that creates short spoken summaries.' },
+        { role: 'user', content: prompt },
+      ],
+    };
+    if (operationContext.maxTokens) {
+      body.max_tokens = operationContext.maxTokens;
+    }
+
+    try {
+      const response = await this.fetch(this.chatUrl, {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify(body),
+        signal,
+      });
+
+      if (!response.ok) {
+        throw await this.createResponseError(response);
+      }
+
+      const data = await response.json();
+      const choice = data.choices && data.choices[0];
+      const summary = choice && choice.message && typeof choice.message.content === 'string'
+        ? choice.message.content.trim()
+        : '';
+
+      const result = {
+        summary,
+        model: data.model || modelToUse,
+        promptTokens: data.usage?.prompt_tokens,
+        completionTokens: data.usage?.completion_tokens,
+      };
+
+      this.logger.info('Summarise request completed.', {
+        model: result.model,
+        promptTokens: result.promptTokens,
+        completionTokens: result.completionTokens,
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.error('Summarise request failed.', { ...operationContext, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Transcription is not requested from OpenAI-compatible servers.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async transcribe() {
+    this.logger.warn('Transcription requested but not supported.');
+    throw new Error(`${this.providerId} transcription is not supported.`);
+  }
+
+  /**
+   * Speech synthesis is not requested from OpenAI-compatible servers.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async synthesise() {
+    this.logger.warn('Speech synthesis requested but not supported.');
+    throw new Error(`${this.providerId} speech synthesis is not supported.`);
+  }
+}
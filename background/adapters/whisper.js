@@ -0,0 +1,174 @@
+/**
+ * Adapter for self-hosted speech recognition servers, such as whisper.cpp and
+ * faster-whisper, that implement the OpenAI `/v1/audio/transcriptions`
+ * protocol.
+ *
+ * @module background/adapters/whisper
+ */
+
+import createLogger from '../../utils/logger.js';
+
+function base64ToUint8Array(base64) {
+  if (typeof Uint8Array.from === 'function' && typeof atob === 'function') {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(base64, 'base64'));
+  }
+  throw new Error('Base64 conversion is not supported in this environment.');
+}
+
+/**
+ * Sends recorded audio to a local Whisper-compatible transcription server. One
+ * instance is created per named `whisper` provider block, so the endpoint and
+ * model come entirely from configuration. Transcriptions run on the user's
+ * own hardware and are not billed.
+ */
+export class WhisperAdapter {
+  /**
+   * @param {object} config - Provider configuration block. `apiUrl` must point
+   *   at the server's `/v1/audio/transcriptions` endpoint.
+   * @param {{fetchImpl?: Function, logger?: object}} [options={}] - Dependency overrides.
+   */
+  constructor(config, options = {}) {
+    this.config = config || {};
+    this.providerId = this.config.provider || 'whisper';
+    this.logger = options.logger && typeof options.logger.child === 'function'
+      ? options.logger.child({ adapter: 'whisper' })
+      : createLogger({ name: 'adapter-whisper', context: { adapter: 'whisper', instance: this.providerId } });
+    this.fetch = (...args) => {
+      if (options.fetchImpl) {
+        return options.fetchImpl(...args);
+      }
+      if (typeof globalThis.fetch !== 'function') {
+        throw new Error('Fetch API is not available in this environment.');
+      }
+      return globalThis.fetch(...args);
+    };
+    this.transcriptionUrl = this.config.apiUrl || null;
+    this.logger.debug('Whisper adapter initialised.', {
+      hasCustomFetch: typeof options.fetchImpl === 'function',
+      transcriptionUrl: this.transcriptionUrl,
+      model: this.config.model || null,
+    });
+  }
+
+  /**
+   * Declares cost metadata for the router. Local transcriptions are marked as
+   * not billable so they are left out of the token budget.
+   *
+   * @returns {object} Cost metadata grouped by capability.
+   */
+  getCostMetadata() {
+    return {
+      summarise: { model: null },
+      transcribe: { label: 'stt', flatCost: 0, model: this.config.model || null, billable: false },
+      synthesise: {
+        label: 'tts',
+        flatCost: 0,
+        model: null,
+        voices: {
+          available: [],
+          preferred: null,
+        },
+      },
+    };
+  }
+
+  /**
+   * Whisper servers only recognise speech, so no voices are offered.
+   *
+   * @returns {{availableVoices: string[], preferredVoice: null}}
+   *   Empty voice capability descriptor.
+   */
+  getVoiceCapabilities() {
+    return { availableVoices: [], preferredVoice: null };
+  }
+
+  /**
+   * Submits recorded audio for transcription. The API key is optional and is
+   * only enforced when the provider block sets `requires_api_key: true`.
+   *
+   * @param {{
+   *   apiKey?: string,
+   *   base64: string,
+   *   filename?: string,
+   *   mimeType?: string,
+   *   model?: string,
+   * }} params - Transcription arguments.
+   * @returns {Promise<{text: string}>} Transcription result.
+   */
+  async transcribe({ apiKey, base64, filename = 'speech.webm', mimeType = 'audio/webm', model }) {
+    if (!apiKey && this.config.requiresApiKey === true) {
+      this.logger.error('Missing API key for request.');
+      throw new Error(`Missing ${this.providerId} API key.`);
+    }
+    if (!this.transcriptionUrl) {
+      throw new Error(`Missing api_url for provider ${this.providerId}.`);
+    }
+    const modelToUse = this.config.model || model || null;
+    const operationContext = {
+      model: modelToUse,
+      filename,
+      mimeType,
+      payloadBytes: typeof base64 === 'string' ? Math.floor((base64.length * 3) / 4) : null,
+    };
+
+    this.logger.debug('Transcription request started.', operationContext);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', new Blob([base64ToUint8Array(base64)], { type: mimeType }), filename);
+      formData.append('response_format', 'json');
+      // whisper.cpp serves the model it was started with and ignores this field.
+      if (modelToUse) {
+        formData.append('model', modelToUse);
+      }
+
+      const headers = { ...(this.config.headers || {}) };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      const response = await this.fetch(this.transcriptionUrl, {
+        method: 'POST',
+        headers,
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const message = await response.text();
+        const error = new Error(`${this.providerId} transcription failed (${response.status}): ${message}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      const text = typeof data?.text === 'string' ? data.text.trim() : '';
+      this.logger.info('Transcription request completed.', { model: modelToUse });
+      return { text };
+    } catch (error) {
+      this.logger.error('Transcription request failed.', { ...operationContext, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Summaries are not requested from Whisper servers.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async summarise() {
+    this.logger.warn('Summary requested but not supported.');
+    throw new Error(`${this.providerId} summarisation is not supported.`);
+  }
+
+  /**
+   * Speech synthesis is not requested from Whisper servers.
+   *
+   * @throws {Error} Always, indicating the capability is unavailable.
+   */
+  async synthesise() {
+    this.logger.warn('Speech synthesis requested but not supported.');
+    throw new Error(`${this.providerId} speech synthesis is not supported.`);
+  }
+}
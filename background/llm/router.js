@@ -10,10 +10,13 @@ import {
   loadAgentConfiguration,
   DEFAULT_ROUTING_CONFIG,
   DEFAULT_GEMINI_CONFIG,
+  OPENAI_COMPATIBLE_TYPE,
 } from '../../utils/providerConfig.js';
 import { resolveAlias, getProviderDisplayName, normaliseProviderId } from '../../utils/providers.js';
 import { readApiKey } from '../../utils/apiKeyStore.js';
 import createLogger from '../../utils/logger.js';
+import { estimateTokensFromText } from '../../utils/cost.js';
+import { buildNumberedPrompt, chunkTextByTokens, groupTextsForPrompt } from '../../utils/textChunker.js';
 import { createAdapter } from '../adapters/registry.js';
 
 const PROVIDER_TIERS = Object.freeze({
@@ -23,6 +26,8 @@ const PROVIDER_TIERS = Object.freeze({
   PAID: 'paid',
 });
 
+const KNOWN_TIERS = new Set(Object.values(PROVIDER_TIERS));
+
 const AUTH_ERROR_CODES = new Set([401, 403]);
 
 const TOKEN_SCOPES = Object.freeze(['https://www.googleapis.com/auth/cloud-platform']);
@@ -48,6 +53,11 @@ const DEFAULT_BACKOFF_MS = 250;
 const MAX_BACKOFF_MS = 4000;
 const CIRCUIT_BREAKER_THRESHOLD = 3;
 const CIRCUIT_BREAKER_TIMEOUT_MS = 60_000;
+const QUOTA_EXHAUSTED_TIMEOUT_MS = 60 * 60_000;
+const DEFAULT_MODEL_LOADING_WAIT_MS = 5_000;
+const MAX_MODEL_LOADING_WAIT_MS = 60_000;
+const PART_MERGE_PROMPT_PREFIX =
+  'The following are summaries of consecutive parts of one passage. Combine them into a single summary.';
 
 function uniqueProviderOrder(order) {
   const seen = new Set();
@@ -69,8 +79,30 @@ function readEnvironment() {
   return process.env;
 }
 
-function delay(ms, timer = setTimeout) {
-  return new Promise(resolve => timer(resolve, ms));
+/**
+ * Waits for `ms` milliseconds, rejecting early with an abort error when the
+ * signal aborts so cancelled requests do not sit out a retry wait.
+ *
+ * @param {number} ms - Time to wait.
+ * @param {AbortSignal|null} [signal=null] - Caller-supplied abort signal.
+ * @returns {Promise<void>} Resolves after the wait.
+ */
+function delay(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 function hashValue(value) {
@@ -123,6 +155,41 @@ function createTimeoutPromise(ms, errorMessage, timer = setTimeout, clearTimer =
   return { promise, cancel };
 }
 
+function createAbortError() {
+  const error = new Error('Summary request cancelled.');
+  error.name = 'AbortError';
+  error.code = 'aborted';
+  return error;
+}
+
+/**
+ * Creates a promise that rejects once the signal aborts, so callers stop
+ * waiting on adapters that do not honour the signal themselves.
+ *
+ * @param {AbortSignal|null} signal - Caller-supplied abort signal.
+ * @returns {{promise: Promise<never>|null, cancel: Function}} Abort race
+ *   handle; `promise` is null when no signal was supplied.
+ */
+function createAbortPromise(signal) {
+  if (!signal) {
+    return { promise: null, cancel: () => {} };
+  }
+  let listener;
+  const promise = new Promise((_, reject) => {
+    listener = () => reject(createAbortError());
+    if (signal.aborted) {
+      listener();
+    } else {
+      signal.addEventListener('abort', listener, { once: true });
+    }
+  });
+  promise.catch(() => {});
+  const cancel = () => {
+    signal.removeEventListener('abort', listener);
+  };
+  return { promise, cancel };
+}
+
 function normaliseNumber(value, fallback) {
   if (typeof value === 'number' && Number.isFinite(value)) {
     return value;
@@ -141,6 +208,19 @@ function isAuthError(error) {
   return message.includes('unauthorised') || message.includes('unauthorized') || message.includes('forbidden');
 }
 
+function isQuotaExhaustedError(error) {
+  return error?.code === 'quota_exhausted';
+}
+
+function isModelLoadingError(error) {
+  return error?.code === 'model_loading';
+}
+
+function readRetryAfterMs(error) {
+  const value = error?.retryAfterMs;
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null;
+}
+
 function normaliseProvider(providerId) {
   return resolveAlias(providerId);
 }
@@ -263,6 +343,7 @@ export class LLMRouter {
     this.agentConfig = options.agentConfig || null;
     this.providerConfigCache = new Map();
     this.adapterCache = new Map();
+    this.modelOverrides = new Map();
     this.providerState = new Map();
     this.routing = options.routing || DEFAULT_ROUTING_CONFIG;
     this.vertexTokenCache = null;
@@ -341,13 +422,28 @@ export class LLMRouter {
   /**
    * Retrieves metadata describing the specified provider, including tier and
    * authentication requirements.
+   * Named `openai_compatible` blocks from `agent.yaml` take their tier from the
+   * block (defaulting to local) and treat the API key as optional unless
+   * `requires_api_key` is set.
    *
    * @param {string} providerId - Provider identifier.
-   * @returns {{tier: string, requiresKey: boolean, adapterKey: string}} Provider metadata.
+   * @returns {{tier: string, requiresKey: boolean, adapterKey: string, optionalKey?: boolean}} Provider metadata.
    */
   getProviderMetadata(providerId) {
     const resolved = normaliseProvider(providerId);
-    return PROVIDER_METADATA[resolved] || {
+    if (PROVIDER_METADATA[resolved]) {
+      return PROVIDER_METADATA[resolved];
+    }
+    const override = this.agentConfig?.providers?.[resolved];
+    if (override?.type === OPENAI_COMPATIBLE_TYPE) {
+      return {
+        tier: KNOWN_TIERS.has(override.tier) ? override.tier : PROVIDER_TIERS.LOCAL,
+        requiresKey: override.requiresApiKey === true,
+        optionalKey: override.requiresApiKey !== true,
+        adapterKey: OPENAI_COMPATIBLE_TYPE,
+      };
+    }
+    return {
       tier: PROVIDER_TIERS.PAID,
       requiresKey: true,
       adapterKey: resolved,
@@ -378,11 +474,49 @@ export class LLMRouter {
       return this.providerConfigCache.get(resolved);
     }
     await this.ensureAgentConfigLoaded();
-    const config = buildProviderConfig(this.agentConfig, resolved);
+    const baseConfig = buildProviderConfig(this.agentConfig, resolved);
+    const modelOverride = this.modelOverrides.get(resolved);
+    const config = modelOverride ? { ...baseConfig, model: modelOverride } : baseConfig;
     this.providerConfigCache.set(resolved, config);
     return config;
   }
 
+  /**
+   * Replaces the configured model for a provider, typically with one the user
+   * picked from the models installed on a local server. Passing an empty value
+   * restores the model from `agent.yaml`.
+   *
+   * @param {string} providerId - Provider identifier or alias.
+   * @param {string|null} model - Model name to use for subsequent requests.
+   */
+  setModelOverride(providerId, model) {
+    const resolved = normaliseProvider(providerId);
+    const trimmed = typeof model === 'string' ? model.trim() : '';
+    if (trimmed) {
+      this.modelOverrides.set(resolved, trimmed);
+    } else {
+      this.modelOverrides.delete(resolved);
+    }
+    this.providerConfigCache.delete(resolved);
+    this.adapterCache.delete(resolved);
+    this.logger.info('Provider model override updated.', { provider: resolved, model: trimmed || null });
+  }
+
+  /**
+   * Lists the models a provider reports as available. Providers whose adapters
+   * do not implement discovery yield an empty list.
+   *
+   * @param {string} providerId - Provider identifier or alias.
+   * @returns {Promise<Array<{name: string}>>} Available models.
+   */
+  async listModels(providerId) {
+    const adapter = await this.getAdapter(providerId);
+    if (typeof adapter?.listModels !== 'function') {
+      return [];
+    }
+    return adapter.listModels();
+  }
+
   /**
    * Retrieves the adapter instance responsible for fulfilling requests against
    * the given provider.
@@ -409,7 +543,7 @@ export class LLMRouter {
    * Returns internal state tracking provider health, retries, and usage.
    *
    * @param {string} providerId - Provider identifier.
-   * @returns {{failures: number, blockedUntil: number, invalidAuth: boolean, lastKeyHash: number|null, calls: number, tokensIn: number, tokensOut: number, totalTokens: number}}
+   * @returns {{failures: number, blockedUntil: number, invalidAuth: boolean, quotaExhausted: boolean, rateLimit: object|null, lastKeyHash: number|null, calls: number, tokensIn: number, tokensOut: number, totalTokens: number}}
    *   Mutable state object.
    */
   getProviderState(providerId) {
@@ -419,6 +553,8 @@ export class LLMRouter {
         failures: 0,
         blockedUntil: 0,
         invalidAuth: false,
+        quotaExhausted: false,
+        rateLimit: null,
         lastKeyHash: null,
         calls: 0,
         tokensIn: 0,
@@ -431,7 +567,8 @@ export class LLMRouter {
 
   /**
    * Records a provider failure and opens the circuit when repeated errors are
-   * observed.
+   * observed. Errors flagged `quota_exhausted` block the provider immediately,
+   * and a `retryAfterMs` hint keeps it blocked at least that long.
    *
    * @param {string} providerId - Provider identifier.
    * @param {Error} error - Error returned by the provider call.
@@ -439,25 +576,44 @@ export class LLMRouter {
   markProviderFailure(providerId, error) {
     const state = this.getProviderState(providerId);
     state.failures += 1;
+    if (error?.rateLimit) {
+      state.rateLimit = error.rateLimit;
+    }
     if (isAuthError(error)) {
       state.invalidAuth = true;
     }
+    if (isQuotaExhaustedError(error)) {
+      // The tier's allowance is used up; retrying before it resets only burns
+      // attempts, so park the provider for longer than a transient failure.
+      state.quotaExhausted = true;
+      state.blockedUntil = this.now() + QUOTA_EXHAUSTED_TIMEOUT_MS;
+      this.logger.warn('Provider quota exhausted.', { provider: providerId, rateLimit: error.rateLimit });
+      return;
+    }
     if (state.failures >= CIRCUIT_BREAKER_THRESHOLD) {
       state.blockedUntil = this.now() + CIRCUIT_BREAKER_TIMEOUT_MS;
     }
+    const retryAfterMs = readRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+      state.blockedUntil = Math.max(state.blockedUntil || 0, this.now() + retryAfterMs);
+    }
   }
 
   /**
    * Registers a successful provider invocation and updates aggregate metrics.
    *
    * @param {string} providerId - Provider identifier.
-   * @param {{tokensIn?: number, tokensOut?: number, totalTokens?: number}} [details]
+   * @param {{tokensIn?: number, tokensOut?: number, totalTokens?: number, rateLimit?: object|null}} [details]
    *   - Usage metrics supplied by the adapter.
    */
-  markProviderSuccess(providerId, { tokensIn = 0, tokensOut = 0, totalTokens = 0 } = {}) {
+  markProviderSuccess(providerId, { tokensIn = 0, tokensOut = 0, totalTokens = 0, rateLimit = null } = {}) {
     const state = this.getProviderState(providerId);
     state.failures = 0;
     state.blockedUntil = 0;
+    state.quotaExhausted = false;
+    if (rateLimit) {
+      state.rateLimit = rateLimit;
+    }
     state.calls += 1;
     state.tokensIn += tokensIn;
     state.tokensOut += tokensOut;
@@ -543,23 +699,143 @@ export class LLMRouter {
 
   /**
    * Checks whether the upcoming request can be executed without breaching the
-   * configured per-call or cumulative cost ceilings.
+   * configured per-call ceilings, the global token and USD ceilings, or a
+   * layered budget for the provider, its tier, the page's site or the request
+   * type. Only paid providers are priced, so free, trial and local calls
+   * never use USD budgets.
    *
    * @param {string} model - Model identifier used for cost estimation.
-   * @param {string} text - Source text being summarised.
-   * @returns {Promise<boolean>} True when sufficient budget remains.
+   * @param {string|string[]} text - Source text being summarised, or the parts
+   *   it is split into. Each part must fit one call. The parts, plus the
+   *   merge calls that combine their summaries, must fit the remaining
+   *   budget.
+   * @param {{provider?: string, tier?: string, type?: string, url?: string}} [context={}] -
+   *   What would spend the budget.
+   * @param {{completedParts?: Map<string, string>}} [options={}] - Parts
+   *   already summarised by an earlier provider. They are reused rather than
+   *   sent again, so they are not estimated.
+   * @returns {Promise<{allowed: boolean, budget: string|null}>} Whether
+   *   sufficient budget remains and, when it does not, the ID of the budget
+   *   that blocks the request: `per_call`, `per_call_usd`, `global` or the
+   *   layered budget's ID.
    */
-  async ensureTokenBudget(model, text) {
+  async ensureTokenBudget(model, text, context = {}, { completedParts = null } = {}) {
     if (!this.costTracker) {
-      return true;
+      return { allowed: true, budget: null };
     }
     const routing = this.getRoutingConfig();
+    const parts = Array.isArray(text) ? text : [text];
+    const priced = (!context.provider || this.isPaidProvider(context.provider))
+      && typeof this.costTracker.estimateCostUsd === 'function';
+    const estimates = parts
+      .filter(part => !completedParts?.has(part))
+      .map(part => this.costTracker.estimateTokenUsage(model, part));
+    if (parts.length > 1) {
+      const merges = this.estimateMergeCalls(model, parts.length);
+      if (!merges) {
+        return { allowed: false, budget: 'per_call' };
+      }
+      estimates.push(...merges);
+    }
+    let totalTokens = 0;
+    let totalCostUsd = 0;
+    for (const estimate of estimates) {
+      const partTokens = estimate?.totalTokens || 0;
+      if (routing.maxTokensPerCall > 0 && partTokens > routing.maxTokensPerCall) {
+        return { allowed: false, budget: 'per_call' };
+      }
+      const partCostUsd = priced
+        ? this.costTracker.estimateCostUsd(model, estimate?.promptTokens || 0, estimate?.completionTokens || 0) || 0
+        : 0;
+      if (Number.isFinite(routing.maxCostPerCallUsd) && partCostUsd > routing.maxCostPerCallUsd) {
+        return { allowed: false, budget: 'per_call_usd' };
+      }
+      totalTokens += partTokens;
+      totalCostUsd += partCostUsd;
+    }
+    if (typeof this.costTracker.findExhaustedBudget === 'function') {
+      const exhausted = this.costTracker.findExhaustedBudget(totalTokens, totalCostUsd, context);
+      return { allowed: !exhausted, budget: exhausted?.id ?? null };
+    }
+    const allowed = this.costTracker.canSpend(totalTokens, totalCostUsd, context);
+    return { allowed, budget: allowed ? null : 'global' };
+  }
+
+  /**
+   * Estimates the merge calls that combine the summaries of split parts.
+   * Summaries are assumed to use the model's completion estimate, or, when
+   * that is too large for two to share a call, the most that still lets
+   * them. Merges are checked again before they are sent, so the estimate only
+   * needs to be realistic.
+   *
+   * @param {string} model - Model identifier used for cost estimation.
+   * @param {number} partCount - Number of part summaries to merge.
+   * @returns {Array<{promptTokens: number, completionTokens: number, totalTokens: number}>|null}
+   *   One estimate per merge call over every round, or null when two
+   *   summaries cannot share one call under `maxTokensPerCall`.
+   */
+  estimateMergeCalls(model, partCount) {
+    const maxTokensPerCall = this.getRoutingConfig().maxTokensPerCall;
+    const completionTokens = this.costTracker?.estimateTokenUsage(model, '')?.completionTokens || 0;
+    const prefixTokens = estimateTokensFromText(PART_MERGE_PROMPT_PREFIX);
+    const inputBudget = maxTokensPerCall > 0
+      ? maxTokensPerCall - completionTokens - prefixTokens
+      : Number.POSITIVE_INFINITY;
+    // Each summary also carries its list number.
+    const summaryTokens = Math.min(completionTokens + 1, Math.floor(inputBudget / 2));
+    if (summaryTokens < 1) {
+      return null;
+    }
+    const perCall = Math.min(partCount, Math.floor(inputBudget / summaryTokens));
+    const calls = [];
+    let remaining = partCount;
+    while (remaining > 1) {
+      const groups = Math.ceil(remaining / perCall);
+      for (let index = 0; index < groups; index += 1) {
+        const size = Math.min(perCall, remaining - index * perCall);
+        const promptTokens = prefixTokens + size * summaryTokens;
+        calls.push({ promptTokens, completionTokens, totalTokens: promptTokens + completionTokens });
+      }
+      remaining = groups;
+    }
+    return calls;
+  }
+
+  /**
+   * Splits text whose estimate exceeds `maxTokensPerCall` into parts that fit
+   * one call each once the completion estimate is reserved. The chunker counts
+   * characters while the tracker counts words, so parts the tracker still
+   * considers too large are split again with a smaller budget.
+   *
+   * @param {string} model - Model identifier used for cost estimation.
+   * @param {string} text - Source text being summarised.
+   * @returns {string[]|null} The text alone when it fits one call, its parts
+   *   when it must be split, or null when the completion estimate leaves no
+   *   room for input.
+   */
+  splitForCallCap(model, text) {
+    const maxTokensPerCall = this.getRoutingConfig().maxTokensPerCall;
+    if (!this.costTracker || !(maxTokensPerCall > 0)) {
+      return [text];
+    }
     const estimate = this.costTracker.estimateTokenUsage(model, text);
-    const totalTokens = estimate?.totalTokens || 0;
-    if (routing.maxTokensPerCall > 0 && totalTokens > routing.maxTokensPerCall) {
-      return false;
+    if ((estimate?.totalTokens || 0) <= maxTokensPerCall) {
+      return [text];
+    }
+    const inputBudget = maxTokensPerCall - (estimate?.completionTokens || 0);
+    let chunkBudget = inputBudget;
+    while (chunkBudget > 0) {
+      const parts = chunkTextByTokens(text, chunkBudget);
+      if (parts.length === 0) {
+        return null;
+      }
+      const largest = Math.max(...parts.map(part => this.costTracker.estimateTokensFromText(part)));
+      if (largest <= inputBudget) {
+        return parts;
+      }
+      chunkBudget = Math.min(chunkBudget - 1, Math.floor((chunkBudget * inputBudget) / largest));
     }
-    return this.costTracker.canSpend(totalTokens);
+    return null;
   }
 
   /**
@@ -661,6 +937,12 @@ export class LLMRouter {
       throw new Error(`Unsupported provider: ${providerId}`);
     }
     if (!metadata.requiresKey) {
+      if (metadata.optionalKey) {
+        const apiKey = await this.getApiKey(providerId, config);
+        if (apiKey) {
+          return { providerId: normaliseProvider(providerId), auth: { mode: 'apiKey', apiKey } };
+        }
+      }
       return { providerId: normaliseProvider(providerId), auth: { mode: 'none' } };
     }
     if (metadata.adapterKey === 'gemini') {
@@ -683,32 +965,61 @@ export class LLMRouter {
    * @param {string} providerId - Provider identifier for error context.
    * @param {Function} operation - Function returning a promise.
    * @param {number} timeoutMs - Timeout in milliseconds.
+   * @param {AbortSignal|null} [signal=null] - Rejects early when aborted.
    * @returns {Promise<*>} Result of the operation.
    */
-  async executeWithTimeout(providerId, operation, timeoutMs) {
+  async executeWithTimeout(providerId, operation, timeoutMs, signal = null) {
+    const { promise: abortPromise, cancel: cancelAbort } = createAbortPromise(signal);
+    const racers = abortPromise ? [abortPromise] : [];
     if (timeoutMs > 0) {
       const { promise: timeoutPromise, cancel } = createTimeoutPromise(timeoutMs, `Provider ${providerId} timed out`);
       const operationPromise = Promise.resolve().then(operation);
       try {
-        return await Promise.race([operationPromise, timeoutPromise]);
+        return await Promise.race([operationPromise, timeoutPromise, ...racers]);
       } finally {
         cancel();
+        cancelAbort();
       }
     }
-    return operation();
+    if (racers.length === 0) {
+      return operation();
+    }
+    try {
+      return await Promise.race([Promise.resolve().then(operation), ...racers]);
+    } finally {
+      cancelAbort();
+    }
   }
 
   /**
    * Invokes the specified provider to generate a summary while handling retries
    * and usage accounting.
    *
+   * When `onDelta` is supplied and the adapter implements `summariseStream`,
+   * partial text is relayed as it arrives. The first delta of an attempt that
+   * follows streamed output from a failed attempt is flagged `reset` so
+   * consumers can discard the abandoned text.
+   *
    * @param {string} providerId - Provider identifier.
-   * @param {{text: string, language: string, metadata?: object}} payload -
-   *   Invocation parameters.
+   * @param {{
+   *   text: string,
+   *   language: string,
+   *   metadata?: object,
+   *   onDelta?: function(string, {provider: string, reset: boolean}): void,
+   *   signal?: AbortSignal,
+   *   streamState?: {streamed: boolean},
+   * }} payload - Invocation parameters.
    * @returns {Promise<{text: string, tokensIn: number, tokensOut: number, model: string, provider: string, totalTokens: number}>}
    *   Provider response enriched with accounting metadata.
    */
-  async invokeProvider(providerId, { text, language, metadata }) {
+  async invokeProvider(providerId, {
+    text,
+    language,
+    metadata,
+    onDelta = null,
+    signal = null,
+    streamState = { streamed: false },
+  }) {
     const resolved = normaliseProvider(providerId);
     const config = await this.getProviderConfig(resolved);
     const { auth } = await this.buildInvocationContext(resolved, config);
@@ -718,8 +1029,10 @@ export class LLMRouter {
       ? this.getGeminiConfig().defaultModelPaid
       : this.getGeminiConfig().defaultModelFree);
 
-    const performCall = async () => {
-      const response = await adapter.summarise({
+    const streaming = typeof onDelta === 'function' && typeof adapter.summariseStream === 'function';
+
+    const performCall = async attemptSignal => {
+      const request = {
         apiKey: auth.apiKey,
         accessToken: auth.accessToken,
         project: auth.project,
@@ -728,7 +1041,21 @@ export class LLMRouter {
         text,
         language,
         model,
-      });
+        maxTokens: routing.maxTokensPerCall,
+        signal: attemptSignal,
+      };
+      let attemptStreamed = false;
+      const response = streaming
+        ? await adapter.summariseStream({
+          ...request,
+          onDelta: delta => {
+            const reset = !attemptStreamed && streamState.streamed;
+            attemptStreamed = true;
+            streamState.streamed = true;
+            onDelta(delta, { provider: resolved, reset });
+          },
+        })
+        : await adapter.summarise(request);
       const summary = response?.summary || '';
       const promptTokens = typeof response?.promptTokens === 'number'
         ? response.promptTokens
@@ -742,6 +1069,8 @@ export class LLMRouter {
         type: metadata?.type || 'summary',
         url: metadata?.url,
         segmentId: metadata?.segmentId,
+        tier: this.getProviderMetadata(resolved)?.tier,
+        ...(this.isPaidProvider(resolved) ? {} : { spendUsd: 0 }),
       });
       const recordedTokens = typeof usageRecord === 'number'
         ? usageRecord
@@ -760,6 +1089,7 @@ export class LLMRouter {
         tokensIn: promptTokens,
         tokensOut: completionTokens,
         totalTokens: recordedTokens,
+        rateLimit: response?.rateLimit || null,
       });
       this.logger.info('Recorded provider usage.', {
         provider: resolved,
@@ -786,14 +1116,47 @@ export class LLMRouter {
     let attempt = 0;
     let lastError;
     let backoff = DEFAULT_BACKOFF_MS;
+    let modelLoadingWaitMs = 0;
 
     while (attempt <= retryLimit) {
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+      // Each attempt gets its own controller so a timed-out stream is torn
+      // down before the retry, while a caller abort still reaches the fetch.
+      const attemptController = new AbortController();
+      const forwardAbort = () => attemptController.abort();
+      signal?.addEventListener('abort', forwardAbort, { once: true });
       try {
-        const result = await this.executeWithTimeout(resolved, performCall, routing.timeoutMs);
+        const result = await this.executeWithTimeout(
+          resolved,
+          () => performCall(attemptController.signal),
+          routing.timeoutMs,
+          signal,
+        );
         return result;
       } catch (error) {
+        attemptController.abort();
+        if (signal?.aborted) {
+          throw createAbortError();
+        }
         lastError = error;
-        if (isAuthError(error)) {
+        if (isModelLoadingError(error)) {
+          // A cold model is not a provider fault: wait for the estimated load
+          // time without spending a retry, up to a bounded total wait.
+          const waitMs = readRetryAfterMs(error) ?? DEFAULT_MODEL_LOADING_WAIT_MS;
+          if (modelLoadingWaitMs + waitMs <= MAX_MODEL_LOADING_WAIT_MS) {
+            modelLoadingWaitMs += waitMs;
+            this.logger.info('Provider model is loading; waiting before retrying.', {
+              provider: resolved,
+              waitMs,
+              totalWaitMs: modelLoadingWaitMs,
+            });
+            await delay(waitMs, signal);
+            continue;
+          }
+        }
+        if (isAuthError(error) || isQuotaExhaustedError(error)) {
           this.markProviderFailure(resolved, error);
           throw error;
         }
@@ -803,14 +1166,115 @@ export class LLMRouter {
           throw error;
         }
         const jitter = backoff * (0.5 + this.random());
-        await delay(Math.min(backoff + jitter, MAX_BACKOFF_MS));
+        await delay(Math.min(backoff + jitter, MAX_BACKOFF_MS), signal);
         backoff = Math.min(backoff * 2, MAX_BACKOFF_MS);
+      } finally {
+        signal?.removeEventListener('abort', forwardAbort);
       }
     }
 
     throw lastError || new Error(`Provider ${resolved} failed unexpectedly.`);
   }
 
+  /**
+   * Summarises text that was split for the per-call ceiling: each part is
+   * summarised, then the part summaries are merged in batches until one
+   * summary remains. Every call is recorded against the caller's metadata, so
+   * the sub-calls share its `segmentId`. Only the final merge streams through
+   * `onDelta`. Each merge is checked against the budgets before it is sent,
+   * and part summaries are kept in `completedParts` so a fallback provider
+   * does not pay for them again.
+   *
+   * @param {string} providerId - Provider identifier.
+   * @param {{
+   *   parts: string[],
+   *   model: string,
+   *   language: string,
+   *   metadata?: object,
+   *   onDelta?: function(string, {provider: string, reset: boolean}): void,
+   *   signal?: AbortSignal,
+   *   streamState?: {streamed: boolean},
+   *   budgetContext?: object,
+   *   completedParts?: Map<string, string>,
+   * }} payload - Invocation parameters. `budgetContext` is passed to
+   *   {@link LLMRouter#ensureTokenBudget} before each merge.
+   * @returns {Promise<object>} The final merge result with token counts summed
+   *   over this provider's calls.
+   * @throws {Error} With a `budget` property when a merge would exceed a budget.
+   */
+  async invokeInParts(providerId, {
+    parts,
+    model,
+    language,
+    metadata,
+    onDelta = null,
+    signal = null,
+    streamState = { streamed: false },
+    budgetContext = {},
+    completedParts = new Map(),
+  }) {
+    const maxTokensPerCall = this.getRoutingConfig().maxTokensPerCall;
+    const completionTokens = this.costTracker?.estimateTokenUsage(model, '')?.completionTokens || 0;
+    const inputBudget = Math.max(1, maxTokensPerCall - completionTokens);
+    const calls = [];
+    const invoke = async (text, final) => {
+      const result = await this.invokeProvider(providerId, {
+        text,
+        language,
+        metadata,
+        onDelta: final ? onDelta : null,
+        signal,
+        streamState,
+      });
+      calls.push(result);
+      return result;
+    };
+
+    this.logger.info('Summarising oversized input in parts.', {
+      provider: providerId,
+      parts: parts.length,
+      segmentId: metadata?.segmentId,
+    });
+    let summaries = [];
+    for (const part of parts) {
+      if (!completedParts.has(part)) {
+        completedParts.set(part, (await invoke(part, false)).text);
+      }
+      summaries.push(completedParts.get(part));
+    }
+    let final = null;
+    while (!final) {
+      const groups = groupTextsForPrompt(summaries, {
+        prefix: PART_MERGE_PROMPT_PREFIX,
+        maxTokens: inputBudget,
+        estimate: estimateTokensFromText,
+      });
+      const results = [];
+      for (const group of groups) {
+        const mergeText = buildNumberedPrompt(PART_MERGE_PROMPT_PREFIX, group);
+        const { allowed, budget } = await this.ensureTokenBudget(model, mergeText, budgetContext);
+        if (!allowed) {
+          const error = new Error(`Merging part summaries would exceed the ${budget} budget.`);
+          error.budget = budget;
+          throw error;
+        }
+        results.push(await invoke(mergeText, groups.length === 1));
+      }
+      if (groups.length === 1) {
+        [final] = results;
+      } else {
+        summaries = results.map(result => result.text);
+      }
+    }
+    const sum = key => calls.reduce((total, call) => total + (call[key] || 0), 0);
+    return {
+      ...final,
+      tokensIn: sum('tokensIn'),
+      tokensOut: sum('tokensOut'),
+      totalTokens: sum('totalTokens'),
+    };
+  }
+
   /**
    * Routes a summarisation request through the configured provider order,
    * returning the first successful response or raising an aggregated error.
@@ -820,7 +1284,11 @@ export class LLMRouter {
    *   language?: string,
    *   providerPreference?: string|null,
    *   metadata?: object,
-   * }} params - Request parameters supplied by the caller.
+   *   onDelta?: function(string, {provider: string, reset: boolean}): void,
+   *   signal?: AbortSignal,
+   * }} params - Request parameters supplied by the caller. `onDelta`
+   *   receives streamed text from adapters that support streaming; aborting
+   *   `signal` cancels the in-flight request and skips remaining providers.
    * @returns {Promise<object>} Summary payload compatible with popup
    *   expectations.
    */
@@ -829,6 +1297,8 @@ export class LLMRouter {
     language = 'en',
     providerPreference = null,
     metadata = {},
+    onDelta = null,
+    signal = null,
   } = {}) {
     if (!text) {
       throw new Error('generate requires source text.');
@@ -838,8 +1308,15 @@ export class LLMRouter {
     const order = this.getRoutingOrder(providerPreference);
     const failures = [];
     const disablePaid = routing.disablePaid === true;
+    const streamState = { streamed: false };
+    // Part summaries survive a provider failure so the next provider only
+    // summarises the parts that are still missing.
+    const completedParts = new Map();
 
     for (const providerId of order) {
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
       if (!providerId) {
         continue;
       }
@@ -859,10 +1336,20 @@ export class LLMRouter {
 
       const config = await this.getProviderConfig(resolved);
       const model = config.model || metadataEntry.adapterKey || 'unknown-model';
-      const canSpend = await this.ensureTokenBudget(model, text);
-      if (!canSpend) {
-        this.logger.warn('Provider skipped due to token cap.', { provider: resolved, model });
-        failures.push({ provider: resolved, reason: 'token_cap' });
+      // Text over the per-call ceiling is summarised in parts and merged.
+      const parts = this.splitForCallCap(model, text);
+      const budgetContext = {
+        provider: resolved,
+        tier: metadataEntry.tier,
+        type: metadata?.type || 'summary',
+        url: metadata?.url,
+      };
+      const { allowed, budget } = parts === null
+        ? { allowed: false, budget: 'per_call' }
+        : await this.ensureTokenBudget(model, parts, budgetContext, { completedParts });
+      if (!allowed) {
+        this.logger.warn('Provider skipped due to token cap.', { provider: resolved, model, budget });
+        failures.push({ provider: resolved, reason: 'token_cap', budget });
         continue;
       }
 
@@ -884,7 +1371,26 @@ export class LLMRouter {
       }
 
       try {
-        const result = await this.invokeProvider(resolved, { text, language, metadata });
+        const result = parts.length > 1
+          ? await this.invokeInParts(resolved, {
+            parts,
+            model,
+            language,
+            metadata,
+            onDelta,
+            signal,
+            streamState,
+            budgetContext,
+            completedParts,
+          })
+          : await this.invokeProvider(resolved, {
+            text,
+            language,
+            metadata,
+            onDelta,
+            signal,
+            streamState,
+          });
         this.logger.info('Provider selected.', { provider: resolved, tier: metadataEntry.tier });
         return {
           text: result.text,
@@ -899,6 +1405,15 @@ export class LLMRouter {
           cumulativeTotals: result.cumulativeTotals || null,
         };
       } catch (error) {
+        if (signal?.aborted) {
+          this.logger.info('Provider invocation cancelled.', { provider: resolved });
+          throw createAbortError();
+        }
+        if (error?.budget) {
+          this.logger.warn('Provider stopped before merging due to token cap.', { provider: resolved, budget: error.budget });
+          failures.push({ provider: resolved, reason: 'token_cap', budget: error.budget });
+          continue;
+        }
         this.markProviderFailure(resolved, error);
         this.logger.warn('Provider invocation failed.', { provider: resolved, error });
         failures.push({ provider: resolved, error });
@@ -910,7 +1425,10 @@ export class LLMRouter {
     }
 
     const errorMessages = failures
-      .map(entry => `${entry.provider}: ${entry.reason || entry.error?.message || 'unavailable'}`)
+      .map(entry => {
+        const reason = entry.reason || entry.error?.message || 'unavailable';
+        return `${entry.provider}: ${entry.budget ? `${reason} (${entry.budget})` : reason}`;
+      })
       .join('; ');
     const errors = failures
       .map(entry => entry?.error)
@@ -0,0 +1,480 @@
+import createLogger from '../../utils/logger.js';
+
+const logger = createLogger({ name: 'playback-queue' });
+
+export const PLAYBACK_STATES = Object.freeze({
+  IDLE: 'idle',
+  LOADING: 'loading',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+});
+
+function describeItem(item) {
+  return {
+    id: item.id,
+    label: item.label || null,
+    tabId: item.page?.tabId ?? null,
+    url: item.page?.url ?? null,
+    segmentId: item.segmentId ?? null,
+    index: Number.isInteger(item.index) ? item.index : null,
+    total: Number.isInteger(item.total) ? item.total : null,
+    queueEntryId: item.queueEntryId ?? null,
+  };
+}
+
+/**
+ * Creates the background narration queue. Items are synthesised and handed
+ * to the player in order. While a cloud item plays, the next items are
+ * synthesised ahead of time so playback moves on without a gap. Local speech
+ * engines speak while they synthesise, so for those the synthesis call is the
+ * playback and nothing is fetched ahead.
+ *
+ * @param {object} deps - Queue collaborators.
+ * @param {function(object): Promise<string>} deps.resolveAdapterType - Reports
+ *   whether an item will be voiced by a `local` or `cloud` adapter.
+ * @param {function(object, {playbackRate?: number, signal?: AbortSignal}): Promise<{audio: object}>} deps.synthesise -
+ *   Synthesises an item. For local speech it receives the current playback
+ *   rate as the speaking rate and resolves once speaking ends. Prefetches
+ *   pass a `signal` that aborts when the prefetch is discarded.
+ * @param {object} deps.player - Audio host used for cloud speech, exposing
+ *   `play`, `pause`, `resume`, `seek`, `stop` and `setPlaybackRate`.
+ * @param {object} deps.localSpeech - Browser speech engine controls exposing
+ *   `pause`, `resume` and `stop`.
+ * @param {number} [deps.prefetchLimit=1] - How many upcoming items may be
+ *   synthesised ahead of the one playing.
+ * @param {function(object): (boolean|Promise<boolean>)} [deps.canPrefetch] -
+ *   Reports whether an upcoming item may be synthesised early, for example
+ *   while it fits the token budget. Items that may not are synthesised when
+ *   their turn comes.
+ * @param {object} [deps.hooks] - Optional callbacks: `onStateChange(status)`,
+ *   `onItemStart(item, audio)`, `onProgress(item, {currentTime, duration})`
+ *   and `onItemEnd(item, outcome, {position})`. Outcomes are `finished`,
+ *   `skipped`, `stopped`, `replaced` or `failed`. The queue waits for
+ *   `onItemEnd` before moving on, so it can append follow-up items.
+ * @returns {{enqueue: Function, pause: Function, resume: Function, seek: Function, skip: Function,
+ *   stop: Function, setPlaybackRate: Function, status: Function, snapshot: Function, restore: Function,
+ *   handlePlayerEvent: Function}}
+ *   Queue controls. Control methods resolve to the queue status.
+ */
+export function createPlaybackQueue({
+  resolveAdapterType,
+  synthesise,
+  player,
+  localSpeech,
+  prefetchLimit = 1,
+  canPrefetch = () => true,
+  hooks = {},
+}) {
+  let pending = [];
+  const prefetches = new Map();
+  let current = null;
+  let state = PLAYBACK_STATES.IDLE;
+  let lastOutcome = null;
+  let lastError = null;
+  let draining = false;
+  let playbackRate = 1;
+
+  function status() {
+    return {
+      state,
+      lastOutcome,
+      lastError,
+      current: current
+        ? {
+          ...describeItem(current.item),
+          adapterType: current.adapterType,
+          position: current.position,
+          duration: current.duration,
+        }
+        : null,
+      pending: pending.map(describeItem),
+    };
+  }
+
+  function notify() {
+    try {
+      hooks.onStateChange?.(status());
+    } catch (error) {
+      logger.debug('Playback state listener failed.', { error });
+    }
+  }
+
+  function setState(next) {
+    state = next;
+    notify();
+  }
+
+  function createEntry(item, position) {
+    const entry = {
+      item,
+      adapterType: null,
+      position: Number.isFinite(position) && position > 0 ? position : 0,
+      duration: null,
+      outcome: null,
+      started: false,
+      pauseRequested: false,
+      held: null,
+      release: null,
+    };
+    entry.done = new Promise(resolve => {
+      entry.resolve = resolve;
+    });
+    return entry;
+  }
+
+  function finishEntry(entry, outcome) {
+    if (!entry.outcome) {
+      entry.outcome = outcome;
+      entry.resolve();
+    }
+  }
+
+  function startPrefetch(item) {
+    const record = { cancelled: false, controller: new AbortController() };
+    record.promise = (async () => {
+      if ((await resolveAdapterType(item)) !== 'cloud' || record.cancelled || !(await canPrefetch(item))) {
+        return null;
+      }
+      // Checked again because the budget check may have awaited.
+      return record.cancelled ? null : synthesise(item, { signal: record.controller.signal });
+    })();
+    // A failed prefetch is reported when the item's turn comes.
+    record.promise.catch(() => {});
+    prefetches.set(item.id, record);
+  }
+
+  function schedulePrefetch() {
+    if (!current?.started) {
+      return;
+    }
+    pending.slice(0, Math.max(0, prefetchLimit)).forEach(item => {
+      if (!prefetches.has(item.id)) {
+        startPrefetch(item);
+      }
+    });
+  }
+
+  // Discarded prefetches are aborted so their requests stop and are not
+  // billed; audio that still arrives is dropped rather than replayed.
+  function discardPrefetches() {
+    prefetches.forEach(record => {
+      record.cancelled = true;
+      record.controller.abort();
+    });
+    prefetches.clear();
+  }
+
+  async function takeSynthesis(item) {
+    const record = prefetches.get(item.id);
+    prefetches.delete(item.id);
+    const prefetched = record ? await record.promise : null;
+    return prefetched || synthesise(item);
+  }
+
+  async function interruptCurrent(outcome) {
+    const entry = current;
+    if (!entry) {
+      return;
+    }
+    finishEntry(entry, outcome);
+    if (entry.adapterType === 'local') {
+      await localSpeech.stop();
+    } else if (entry.started) {
+      await player.stop();
+    }
+  }
+
+  async function playEntry(entry) {
+    const { item } = entry;
+    entry.adapterType = await resolveAdapterType(item);
+    if (entry.outcome) {
+      return;
+    }
+    if (entry.adapterType === 'local') {
+      setState(PLAYBACK_STATES.PLAYING);
+      hooks.onItemStart?.(item, null);
+      await synthesise(item, { playbackRate });
+      finishEntry(entry, 'finished');
+      return;
+    }
+
+    const { audio } = await takeSynthesis(item);
+    if (entry.outcome) {
+      return;
+    }
+    if (!audio?.base64) {
+      finishEntry(entry, 'skipped');
+      return;
+    }
+    await player.play({
+      id: item.id,
+      base64: audio.base64,
+      mimeType: audio.mimeType,
+      startTime: entry.position,
+      playbackRate,
+    });
+    entry.started = true;
+    if (entry.outcome) {
+      await player.stop();
+      return;
+    }
+    hooks.onItemStart?.(item, audio);
+    schedulePrefetch();
+    if (entry.pauseRequested) {
+      await player.pause();
+      setState(PLAYBACK_STATES.PAUSED);
+    } else {
+      setState(PLAYBACK_STATES.PLAYING);
+    }
+    await entry.done;
+  }
+
+  // A restored entry either still has its audio in the player, so the queue
+  // only waits for it to end, or waits paused until it is resumed.
+  async function runEntry(entry) {
+    if (entry.started) {
+      await entry.done;
+      return;
+    }
+    if (entry.held) {
+      await Promise.race([entry.done, entry.held]);
+      if (entry.outcome) {
+        return;
+      }
+    }
+    await playEntry(entry);
+  }
+
+  async function drain(restored = null) {
+    draining = true;
+    try {
+      let entry = restored;
+      while (entry || pending.length) {
+        if (!entry) {
+          const item = pending.shift();
+          entry = createEntry(item, item.startTime);
+          current = entry;
+          lastOutcome = null;
+          lastError = null;
+          setState(PLAYBACK_STATES.LOADING);
+        }
+        const { item } = entry;
+        try {
+          await runEntry(entry);
+        } catch (error) {
+          logger.error('Queued narration failed.', { error, id: item.id });
+          entry.error = error?.message || 'Playback failed.';
+          finishEntry(entry, 'failed');
+        }
+        current = null;
+        lastOutcome = entry.outcome;
+        if (entry.outcome === 'failed') {
+          lastError = entry.error || 'Playback failed.';
+          pending = [];
+          discardPrefetches();
+        }
+        try {
+          await hooks.onItemEnd?.(item, entry.outcome, { position: entry.position });
+        } catch (error) {
+          logger.debug('Playback item end listener failed.', { error });
+        }
+        entry = null;
+      }
+    } finally {
+      draining = false;
+      current = null;
+      setState(PLAYBACK_STATES.IDLE);
+    }
+  }
+
+  return {
+    /**
+     * Adds items to the queue and starts playback when idle.
+     *
+     * @param {object[]} items - Items with an `id`, the `text` to narrate and
+     *   optional `label`, `segmentId`, `index`, `total`, `startTime`,
+     *   `queueEntryId` and `page` (`{tabId, url}`) details.
+     * @param {{replace?: boolean}} [options] - Set `replace` to drop the
+     *   current and queued items first.
+     * @returns {Promise<object>} Queue status.
+     */
+    async enqueue(items, { replace = false } = {}) {
+      if (replace) {
+        pending = [...items];
+        discardPrefetches();
+        await interruptCurrent('replaced');
+      } else {
+        pending.push(...items);
+        schedulePrefetch();
+      }
+      if (!draining) {
+        drain();
+      }
+      notify();
+      return status();
+    },
+    async pause() {
+      if (current && state === PLAYBACK_STATES.LOADING) {
+        current.pauseRequested = true;
+      } else if (current && state === PLAYBACK_STATES.PLAYING) {
+        if (current.adapterType === 'local') {
+          await localSpeech.pause();
+        } else {
+          await player.pause();
+        }
+        setState(PLAYBACK_STATES.PAUSED);
+      }
+      return status();
+    },
+    async resume() {
+      if (current?.release) {
+        const { release } = current;
+        current.release = null;
+        setState(PLAYBACK_STATES.LOADING);
+        release();
+      } else if (current && state === PLAYBACK_STATES.LOADING) {
+        current.pauseRequested = false;
+      } else if (current && state === PLAYBACK_STATES.PAUSED) {
+        if (current.adapterType === 'local') {
+          await localSpeech.resume();
+        } else {
+          await player.resume();
+        }
+        setState(PLAYBACK_STATES.PLAYING);
+      }
+      return status();
+    },
+    async seek(seconds) {
+      if (!current?.started) {
+        throw new Error('Seeking is only available while synthesised audio is playing.');
+      }
+      if (!Number.isFinite(seconds)) {
+        throw new Error('Seek position must be a number of seconds.');
+      }
+      await player.seek({ seconds });
+      return status();
+    },
+    async skip() {
+      await interruptCurrent('skipped');
+      return status();
+    },
+    async stop() {
+      pending = [];
+      discardPrefetches();
+      await interruptCurrent('stopped');
+      if (!draining) {
+        lastOutcome = 'stopped';
+        notify();
+      }
+      return status();
+    },
+    async setPlaybackRate(rate) {
+      if (Number.isFinite(rate) && rate > 0) {
+        playbackRate = rate;
+        if (current?.started) {
+          await player.setPlaybackRate({ rate });
+        }
+      }
+      return status();
+    },
+    status,
+    /**
+     * Captures everything needed to rebuild the queue, including the text of
+     * every item, so it can be saved and restored later.
+     *
+     * @returns {object} Serialisable queue state for `restore`.
+     */
+    snapshot() {
+      return {
+        state,
+        lastOutcome,
+        lastError,
+        playbackRate,
+        current: current
+          ? {
+            item: current.item,
+            adapterType: current.adapterType,
+            position: current.position,
+            duration: current.duration,
+            started: current.started,
+          }
+          : null,
+        pending: pending.slice(),
+      };
+    },
+    /**
+     * Rebuilds an idle queue from a `snapshot`. When the player still holds
+     * the current item's audio the queue reattaches to it; otherwise the item
+     * waits, paused, to be synthesised again from its saved position once
+     * playback resumes.
+     *
+     * @param {object} saved - State returned by `snapshot`.
+     * @param {{id: string, paused: boolean, currentTime: number, duration: number|null}|null} [playerStatus] -
+     *   What the player is holding now.
+     * @returns {object} Queue status.
+     */
+    restore(saved, playerStatus = null) {
+      if (!saved || current || draining) {
+        return status();
+      }
+      pending = Array.isArray(saved.pending) ? saved.pending.slice() : [];
+      playbackRate = Number.isFinite(saved.playbackRate) && saved.playbackRate > 0 ? saved.playbackRate : 1;
+      lastOutcome = saved.lastOutcome ?? null;
+      lastError = saved.lastError ?? null;
+      const restored = saved.current?.item ? saved.current : null;
+      if (!restored) {
+        if (pending.length) {
+          drain();
+        }
+        notify();
+        return status();
+      }
+      const attached = restored.adapterType === 'cloud' && playerStatus?.id === restored.item.id;
+      const entry = createEntry(restored.item, attached ? playerStatus.currentTime : restored.position);
+      entry.adapterType = restored.adapterType;
+      entry.duration = attached ? playerStatus.duration : restored.duration ?? null;
+      if (attached) {
+        entry.started = true;
+        state = playerStatus.paused ? PLAYBACK_STATES.PAUSED : PLAYBACK_STATES.PLAYING;
+      } else {
+        entry.held = new Promise(resolve => {
+          entry.release = resolve;
+        });
+        state = PLAYBACK_STATES.PAUSED;
+      }
+      current = entry;
+      logger.info('Playback queue restored.', { id: restored.item.id, attached, pending: pending.length });
+      drain(entry);
+      schedulePrefetch();
+      notify();
+      return status();
+    },
+    /**
+     * Applies a progress, end or error event reported by the player.
+     *
+     * @param {{type: string, id: string, currentTime?: number, duration?: number, message?: string}} event -
+     *   Player event.
+     * @returns {void}
+     */
+    handlePlayerEvent(event) {
+      if (!current || !event || event.id !== current.item.id) {
+        return;
+      }
+      if (Number.isFinite(event.currentTime)) {
+        current.position = event.currentTime;
+      }
+      if (Number.isFinite(event.duration)) {
+        current.duration = event.duration;
+      }
+      if (event.type === 'progress') {
+        hooks.onProgress?.(current.item, { currentTime: current.position, duration: current.duration });
+        notify();
+      } else if (event.type === 'ended') {
+        finishEntry(current, 'finished');
+      } else if (event.type === 'error') {
+        current.error = event.message || 'Audio playback failed.';
+        finishEntry(current, 'failed');
+      }
+    },
+  };
+}
@@ -7,7 +7,13 @@
  * sessions while exposing request handlers to the extension runtime.
  */
 import createLogger, { createCorrelationId, loadLoggingConfig, setGlobalContext, withCorrelation } from '../utils/logger.js';
-import { createCostTracker, DEFAULT_TOKEN_LIMIT, estimateTokensFromUsd } from '../utils/cost.js';
+import {
+  createCostTracker,
+  DEFAULT_MODEL_PRICES,
+  DEFAULT_TOKEN_LIMIT,
+  estimateTokensFromText,
+  estimateTokensFromUsd,
+} from '../utils/cost.js';
 import { ensureNotesFile } from '../utils/notes.js';
 import { DEFAULT_PROVIDER, fetchApiKeyDetails, readApiKey, saveApiKey } from '../utils/apiKeyStore.js';
 import { getValue, setValue, withLock, getSessionValue, setSessionValue, runtime } from '../utils/storage.js';
@@ -17,7 +23,13 @@ import {
   buildProviderConfig,
   DEFAULT_ROUTING_CONFIG,
   DEFAULT_GEMINI_CONFIG,
+  DEFAULT_AUDIO_CACHE_CONFIG,
+  DEFAULT_TRANSCRIPTION_CONFIG,
+  DEFAULT_BILLING_CONFIG,
+  WHISPER_TYPE,
 } from '../utils/providerConfig.js';
+import { createCycleArchive, getCycleStart, getNextCycleStart } from '../utils/billingCycle.js';
+import { buildNumberedPrompt, groupTextsForPrompt } from '../utils/textChunker.js';
 import {
   DEFAULT_PROVIDER_ID,
   getProviderDisplayName,
@@ -31,11 +43,23 @@ import { AnthropicAdapter } from './adapters/anthropic.js';
 import { MistralAdapter } from './adapters/mistral.js';
 import { HuggingFaceAdapter } from './adapters/huggingface.js';
 import { OllamaAdapter } from './adapters/ollama.js';
+import { OpenAICompatibleAdapter } from './adapters/openaiCompatible.js';
 import { GeminiAdapter } from './adapters/gemini.js';
-import { playAudioFromBase64 } from '../utils/audio.js';
+import { WhisperAdapter } from './adapters/whisper.js';
+import {
+  addWaveMetadata,
+  createAudioPlayer,
+  createId3Tag,
+  encodeWaveFromBase64,
+  joinWaveFiles,
+} from '../utils/audio.js';
+import { SELECTION_SEGMENT_PREFIX, createSelectionSegmentId } from '../utils/dom.js';
 import { ttsAdapters } from './tts/registry.js';
 import { createLocalTtsAdapter } from './tts/local.js';
+import { createWebSpeechTtsAdapter } from './tts/webSpeech.js';
+import { createAudioCache, createAudioCacheKey } from './tts/audioCache.js';
 import { LLMRouter } from './llm/router.js';
+import { createPlaybackQueue } from './playback/queue.js';
 
 const logger = createLogger({ name: 'background-service' });
 setGlobalContext({ runtime: 'background-service' });
@@ -104,7 +128,7 @@ if (typeof self !== 'undefined' && typeof self.addEventListener === 'function')
 
 const adapterLogger = logger.child({ subsystem: 'adapter' });
 
-ttsAdapters.register('local', createLocalTtsAdapter({ logger: adapterLogger.child({ provider: 'local-tts' }) }));
+ttsAdapters.register('local', createBrowserTtsAdapter());
 ttsAdapters.register('auto', createCloudTtsAdapter('auto'));
 
 registerAdapter('openai', config => new OpenAIAdapter(config, { logger: adapterLogger.child({ provider: 'openai' }) }));
@@ -113,25 +137,62 @@ registerAdapter('mistral', config => new MistralAdapter(config, { logger: adapte
 registerAdapter('huggingface', config => new HuggingFaceAdapter(config, { logger: adapterLogger.child({ provider: 'huggingface' }) }));
 registerAdapter('ollama', config => new OllamaAdapter(config, { logger: adapterLogger.child({ provider: 'ollama' }) }));
 registerAdapter('gemini', config => new GeminiAdapter(config, { logger: adapterLogger.child({ provider: 'gemini' }) }));
+registerAdapter('openai_compatible', config => new OpenAICompatibleAdapter(config, {
+  logger: adapterLogger.child({ provider: config?.provider || 'openai_compatible' }),
+}));
+registerAdapter('whisper', config => new WhisperAdapter(config, {
+  logger: adapterLogger.child({ provider: config?.provider || 'whisper' }),
+}));
 
 ensureNotesFile().catch(error => {
   logger.warn('Unable to refresh notes.txt.', { error });
 });
 
 const USAGE_STORAGE_KEY = 'comet:usage';
+const USAGE_HISTORY_STORAGE_KEY = 'comet:usageHistory';
+const BILLING_CYCLE_ALARM = 'comet:billingCycle';
 const CACHE_STORAGE_KEY = 'comet:cache';
 const PROVIDER_STORAGE_KEY = 'comet:activeProvider';
+const PROVIDER_MODELS_STORAGE_KEY = 'comet:providerModels';
+const SUMMARY_STREAM_PORT = 'comet:summarise:stream';
+const DIGEST_SEGMENT_ID = 'page-digest';
+const DIGEST_COMPLETION_RESERVE_TOKENS = 600;
+const DIGEST_PROMPT_PREFIX =
+  'The following are summaries of consecutive sections of one web page. Combine them into a single overview of the whole page.';
+const READING_PROGRESS_STORAGE_KEY = 'comet:readingProgress';
+const READING_PROGRESS_LIMIT = 50;
+const READING_PROGRESS_SAVE_INTERVAL_MS = 3000;
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen/offscreen.html';
+const PLAYBACK_SESSION_STORAGE_KEY = 'comet:playbackSession';
+const LISTENING_QUEUE_STORAGE_KEY = 'comet:listeningQueue';
+const AUDIO_EXPORT_FORMATS = Object.freeze({
+  mp3: { extension: 'mp3', mimeType: 'audio/mpeg' },
+  wav: { extension: 'wav', mimeType: 'audio/wav' },
+});
+const AUDIO_EXPORT_URL_TTL_MS = 60 * 1000;
+const LISTENING_QUEUE_MENU_ITEM = Object.freeze({
+  id: 'comet:addToListeningQueue',
+  title: 'Add page to listening queue',
+});
+const SELECTION_SUMMARY_STORAGE_KEY = 'comet:selectionSummary';
+const SELECTION_BADGE_TEXT = Object.freeze({ working: '…', ready: '✓', failed: '!' });
+const SELECTION_MENU_ITEMS = Object.freeze([
+  { id: 'comet:summariseSelection', action: 'summarise', title: 'Summarise selection' },
+  { id: 'comet:readSelection', action: 'read', title: 'Read selection aloud' },
+]);
 
 let preferredProviderId = null;
 
 let costTracker;
 let memoryCache = new Map();
+let audioCache = null;
 let initialised = false;
 let providerConfig = getFallbackProviderConfig();
 let agentConfigSnapshot = null;
 let adapterInstance = null;
 let adapterLoadPromise = null;
 let loadingProviderId = null;
+let transcriptionTarget = null;
 let activeProviderId = providerConfig.provider || DEFAULT_PROVIDER;
 let routingSettings = DEFAULT_ROUTING_CONFIG;
 let llmRouter = null;
@@ -297,6 +358,7 @@ const SPEECH_TOKEN_PATTERN_FLAGS = SPEECH_TOKEN_PATTERN.flags;
 const TTS_STORAGE_KEYS = Object.freeze(['ttsProvider', 'ttsVoice', 'ttsLanguage']);
 const TTS_PROVIDER_ALIAS_MAP = Object.freeze({
   localtts: Object.freeze({ type: 'local', providerId: 'local' }),
+  webspeech: Object.freeze({ type: 'local', providerId: 'webspeech' }),
   googletts: Object.freeze({ type: 'cloud', providerId: 'auto' }),
   amazonpolly: Object.freeze({ type: 'cloud', providerId: 'auto' }),
 });
@@ -501,7 +563,7 @@ function createSpeechSegmentFactory() {
   let nextId = 0;
   const tokenLookup = new Map();
   return {
-    create(text) {
+    create(text, offset = 0) {
       if (typeof text !== 'string') {
         return null;
       }
@@ -513,7 +575,8 @@ function createSpeechSegmentFactory() {
       const id = nextId;
       nextId += 1;
       tokenLookup.set(id, tokens);
-      return { id, text: trimmed, tokens };
+      const start = offset + (text.length - text.trimStart().length);
+      return { id, text: trimmed, tokens, start, end: start + trimmed.length };
     },
     getTokenCount(id) {
       return tokenLookup.get(id) || 0;
@@ -521,7 +584,7 @@ function createSpeechSegmentFactory() {
   };
 }
 
-function splitTextByTokenLimit(text, maxTokens, factory) {
+function splitTextByTokenLimit(text, maxTokens, factory, offset = 0) {
   const tokens = tokeniseSpeechText(text);
   if (tokens.length === 0 || maxTokens <= 0) {
     return [];
@@ -533,7 +596,7 @@ function splitTextByTokenLimit(text, maxTokens, factory) {
     const startIndex = tokens[start].index;
     const endIndex = tokens[endTokenIndex].end;
     const part = text.slice(startIndex, endIndex);
-    const segment = factory.create(part);
+    const segment = factory.create(part, offset + startIndex);
     if (segment) {
       segments.push(segment);
     }
@@ -551,12 +614,24 @@ function resolveSpeechChunkLimit(capability) {
   return Math.max(1, Math.floor(configuredMax) - buffer);
 }
 
+/**
+ * Split speech text into chunks that fit the provider's input limit. Each
+ * chunk records the `start`/`end` character offsets it covers in the raw
+ * text so playback can estimate which words are being spoken.
+ *
+ * Args:
+ *   rawText: Text to narrate.
+ *   capability: Provider limits from `TTS_PROVIDER_CAPABILITIES`.
+ *
+ * Returns:
+ *   The chunk list and truncation metrics.
+ */
 function createSpeechChunkPlan(rawText, capability = null) {
   const trimmed = typeof rawText === 'string' ? rawText.trim() : '';
   if (!trimmed) {
     return {
       chunks: [
-        { text: '', tokenCount: 0 },
+        { text: '', tokenCount: 0, start: 0, end: 0 },
       ],
       metrics: {
         truncated: false,
@@ -570,13 +645,20 @@ function createSpeechChunkPlan(rawText, capability = null) {
   const originalTokens = tokeniseSpeechText(trimmed).length;
   const limit = resolveSpeechChunkLimit(capability);
   const overlap = normaliseSentenceOverlap(capability?.sentenceOverlap);
+  const leadingOffset = rawText.indexOf(trimmed);
   const factory = createSpeechSegmentFactory();
+  let sentenceCursor = 0;
   const sentences = segmentSpeechIntoSentences(trimmed)
-    .map(sentence => factory.create(sentence))
+    .map(sentence => {
+      const found = trimmed.indexOf(sentence, sentenceCursor);
+      const offset = found === -1 ? sentenceCursor : found;
+      sentenceCursor = offset + sentence.length;
+      return factory.create(sentence, leadingOffset + offset);
+    })
     .filter(Boolean);
   const segments = sentences.length > 0
     ? sentences
-    : [factory.create(trimmed)].filter(Boolean);
+    : [factory.create(trimmed, leadingOffset)].filter(Boolean);
 
   const expandedSegments = [];
   for (const segment of segments) {
@@ -584,7 +666,7 @@ function createSpeechChunkPlan(rawText, capability = null) {
       expandedSegments.push(segment);
       continue;
     }
-    const splitSegments = splitTextByTokenLimit(segment.text, limit, factory);
+    const splitSegments = splitTextByTokenLimit(segment.text, limit, factory, segment.start);
     if (splitSegments.length === 0) {
       expandedSegments.push(segment);
       continue;
@@ -601,6 +683,7 @@ function createSpeechChunkPlan(rawText, capability = null) {
     let tokenCount = 0;
     let endIndex = index;
     const parts = [];
+    const partSegments = [];
 
     while (endIndex < expandedSegments.length) {
       const candidate = expandedSegments[endIndex];
@@ -615,11 +698,13 @@ function createSpeechChunkPlan(rawText, capability = null) {
       if (candidate.tokens > limit && tokenCount === 0) {
         truncated = true;
         parts.push(candidate.text);
+        partSegments.push(candidate);
         tokenCount += candidate.tokens;
         endIndex += 1;
         break;
       }
       parts.push(candidate.text);
+      partSegments.push(candidate);
       tokenCount = projected;
       endIndex += 1;
       if (tokenCount >= limit) {
@@ -634,7 +719,12 @@ function createSpeechChunkPlan(rawText, capability = null) {
 
     const chunkText = parts.join(' ').trim();
     const chunkTokenCount = tokeniseSpeechText(chunkText).length;
-    chunks.push({ text: chunkText, tokenCount: chunkTokenCount });
+    chunks.push({
+      text: chunkText,
+      tokenCount: chunkTokenCount,
+      start: partSegments[0].start,
+      end: partSegments[partSegments.length - 1].end,
+    });
 
     for (let pointer = index; pointer < endIndex; pointer += 1) {
       const segment = expandedSegments[pointer];
@@ -658,7 +748,9 @@ function createSpeechChunkPlan(rawText, capability = null) {
   const omittedTokenCount = Math.max(0, originalTokens - uniqueTokenCount);
 
   return {
-    chunks: chunks.length > 0 ? chunks : [{ text: trimmed, tokenCount: originalTokens }],
+    chunks: chunks.length > 0
+      ? chunks
+      : [{ text: trimmed, tokenCount: originalTokens, start: leadingOffset, end: leadingOffset + trimmed.length }],
     metrics: {
       truncated: truncated || uniqueTokenCount < originalTokens,
       originalTokenCount: originalTokens,
@@ -670,7 +762,13 @@ function createSpeechChunkPlan(rawText, capability = null) {
 
 function createLocalSpeechPlan(rawText) {
   const metrics = createSpeechMetrics(rawText);
-  const chunk = { text: metrics.text, tokenCount: metrics.deliveredTokenCount };
+  const start = metrics.text ? rawText.indexOf(metrics.text) : 0;
+  const chunk = {
+    text: metrics.text,
+    tokenCount: metrics.deliveredTokenCount,
+    start,
+    end: start + metrics.text.length,
+  };
   return {
     chunks: [{ ...chunk }],
     metrics,
@@ -773,15 +871,33 @@ async function resolveTtsSettings(overrides = {}) {
   };
 }
 
+function createWebSpeechAdapter() {
+  return createWebSpeechTtsAdapter({ logger: adapterLogger.child({ provider: 'web-speech' }) });
+}
+
+/**
+ * Create the adapter behind the `local` TTS provider.
+ *
+ * Returns:
+ *   The `chrome.tts` adapter, or the Web Speech adapter when `chrome.tts` is
+ *   missing (Firefox) and the background runs in a document context.
+ */
+function createBrowserTtsAdapter() {
+  if (!globalThis.chrome?.tts && globalThis.speechSynthesis) {
+    return createWebSpeechAdapter();
+  }
+  return createLocalTtsAdapter({ logger: adapterLogger.child({ provider: 'local-tts' }) });
+}
+
 function ensureTtsAdapterRegistration(providerKey) {
   const candidate = normaliseTtsPreference(providerKey) || 'auto';
   const adapterKey = candidate.toLowerCase();
   if (ttsAdapters.has(adapterKey)) {
     return ttsAdapters.get(adapterKey);
   }
-  if (adapterKey === 'local') {
-    const adapter = createLocalTtsAdapter({ logger: adapterLogger.child({ provider: 'local-tts' }) });
-    ttsAdapters.register('local', adapter);
+  if (adapterKey === 'local' || adapterKey === 'webspeech') {
+    const adapter = adapterKey === 'local' ? createBrowserTtsAdapter() : createWebSpeechAdapter();
+    ttsAdapters.register(adapterKey, adapter);
     return adapter;
   }
   const adapter = createCloudTtsAdapter(adapterKey);
@@ -803,6 +919,7 @@ function createCloudTtsAdapter(providerKey) {
       chunkCount = 1,
       maxInputTokens,
       model: modelOverride,
+      signal,
     }) {
       const targetProviderRaw = resolvedKey === 'auto' ? await getActiveProviderId() : resolvedKey;
       const normalisedProvider = normaliseProviderId(targetProviderRaw, targetProviderRaw);
@@ -838,6 +955,7 @@ function createCloudTtsAdapter(providerKey) {
           chunkIndex,
           chunkCount,
           maxInputTokens: tokenLimit,
+          signal,
         });
         const base64 = typeof response?.base64 === 'string'
           ? response.base64
@@ -883,9 +1001,21 @@ function createFallbackAgentConfig() {
     providers: {},
     routing: DEFAULT_ROUTING_CONFIG,
     gemini: DEFAULT_GEMINI_CONFIG,
+    audioCache: DEFAULT_AUDIO_CACHE_CONFIG,
+    transcription: DEFAULT_TRANSCRIPTION_CONFIG,
+    pricing: DEFAULT_MODEL_PRICES,
+    billing: DEFAULT_BILLING_CONFIG,
+    budgets: [],
   };
 }
 
+function ensureAudioCache() {
+  if (!audioCache) {
+    audioCache = createAudioCache({ maxBytes: agentConfigSnapshot?.audioCache?.maxBytes });
+  }
+  return audioCache;
+}
+
 async function ensureAgentConfig() {
   logger.debug('Ensuring agent configuration.');
   if (agentConfigSnapshot) {
@@ -914,6 +1044,12 @@ async function ensureRouter() {
       agentConfig: agentConfigSnapshot,
       environment: typeof process !== 'undefined' ? process.env : {},
     });
+    const storedModels = await getValue(PROVIDER_MODELS_STORAGE_KEY);
+    if (storedModels && typeof storedModels === 'object') {
+      Object.entries(storedModels).forEach(([providerId, model]) => {
+        llmRouter.setModelOverride(providerId, model);
+      });
+    }
   } else {
     logger.debug('Refreshing existing LLM router configuration.');
     llmRouter.setAgentConfig(agentConfigSnapshot);
@@ -1035,7 +1171,7 @@ async function ensureAdapter(providerId) {
 
     let adapter;
     try {
-      const adapterKey = getAdapterKey(config.provider);
+      const adapterKey = getAdapterKey(config.type || config.provider);
       adapter = createAdapter(adapterKey, config);
     } catch (error) {
       logger.error(`Adapter for provider "${config.provider}" unavailable. Falling back to default.`, {
@@ -1184,7 +1320,11 @@ async function ensureInitialised(providerId) {
     }
   }
 
-  costTracker = createCostTracker(limitTokens, usage);
+  costTracker = createCostTracker(limitTokens, usage, {
+    prices: agentConfigSnapshot?.pricing,
+    limitUsd: routingSettings?.maxMonthlyCostUsd ?? null,
+    budgets: agentConfigSnapshot?.budgets,
+  });
   if (testCostTrackerOverride) {
     costTracker = testCostTrackerOverride;
   }
@@ -1195,6 +1335,7 @@ async function ensureInitialised(providerId) {
   memoryCache = new Map(Object.entries(cachedEntries));
   logger.info('Initialising background state.', {
     limitTokens,
+    limitUsd: routingSettings?.maxMonthlyCostUsd ?? null,
     cachedEntries: memoryCache.size,
   });
   await ensureRouter();
@@ -1382,11 +1523,9 @@ function resolveFlatTokenEstimate(metadata, fallback) {
   if (Number.isFinite(estimatedTokens) && estimatedTokens >= 0) {
     return Math.round(estimatedTokens);
   }
-  const flatCost = metadata && typeof metadata.flatCost === 'number'
-    ? metadata.flatCost
-    : Number.NaN;
-  if (Number.isFinite(flatCost) && flatCost >= 0) {
-    return estimateTokensFromUsd(flatCost);
+  // Adapters declaring a zero flat cost are free and use no budget.
+  if (metadata?.flatCost === 0) {
+    return 0;
   }
   if (typeof fallback === 'number' && Number.isFinite(fallback) && fallback >= 0) {
     return Math.round(fallback);
@@ -1394,6 +1533,49 @@ function resolveFlatTokenEstimate(metadata, fallback) {
   return 0;
 }
 
+/**
+ * Describe who is spending for layered budget checks and usage entries.
+ *
+ * Args:
+ *   providerId: Provider serving the request.
+ *   type: Request type, such as `tts` or `stt`.
+ *   url: Page the request was made for, when known, so domain budgets apply.
+ *
+ * Returns:
+ *   The provider, its routing tier, the request type and the page URL.
+ */
+function describeSpendContext(providerId, type, url = null) {
+  return {
+    provider: providerId,
+    tier: llmRouter?.getProviderMetadata(providerId)?.tier,
+    type,
+    ...(typeof url === 'string' && url ? { url } : {}),
+  };
+}
+
+/**
+ * Estimate the USD cost of speech requests before they are sent. A `flatCost`
+ * declared by the adapter is charged per request; otherwise the tokens are
+ * priced at the audio rate of the capability's model.
+ *
+ * Args:
+ *   metadata: Transcription or synthesis cost metadata from the adapter.
+ *   tokens: Tokens spoken or expected in the transcript.
+ *   requestCount: Number of provider requests.
+ *
+ * Returns:
+ *   The estimated cost in USD, or null when the model is unpriced.
+ */
+function estimateSpeechSpend(metadata, tokens, requestCount = 1) {
+  if (Number.isFinite(metadata?.flatCost) && metadata.flatCost >= 0) {
+    return metadata.flatCost * requestCount;
+  }
+  if (typeof costTracker?.estimateCostUsd !== 'function') {
+    return null;
+  }
+  return costTracker.estimateCostUsd(metadata?.model, tokens, 0, { audio: true });
+}
+
 function toBase64(arrayBuffer) {
   const bytes = new Uint8Array(arrayBuffer);
   let binary = '';
@@ -1535,19 +1717,43 @@ async function resolveVoiceCapabilities(providerId, adapterOverride) {
   };
 }
 
-async function requestSummary({ url, segment, language, provider }) {
+/**
+ * Builds the text sent to the router for a segment. Structured segments are
+ * prefixed with their heading path, e.g. `Section: Installation > Linux`, so
+ * the model knows where the passage sits in the page.
+ *
+ * Args:
+ *   segment: Segment with `text` and an optional `headingPath` array.
+ *
+ * Returns:
+ *   The prompt text for the segment.
+ */
+function buildSegmentPromptText(segment) {
+  const headingPath = Array.isArray(segment?.headingPath)
+    ? segment.headingPath.filter(heading => typeof heading === 'string' && heading.trim())
+    : [];
+  if (!headingPath.length) {
+    return segment.text;
+  }
+  return `Section: ${headingPath.map(heading => heading.trim()).join(' > ')}\n\n${segment.text}`;
+}
+
+async function requestSummary({ url, segment, language, provider, onDelta, signal }) {
   const router = await ensureRouter();
   logger.debug('Requesting summary from router.', {
     url,
     segmentId: segment.id,
     language,
     provider,
+    streaming: typeof onDelta === 'function',
   });
   const result = await router.generate({
-    text: segment.text,
+    text: buildSegmentPromptText(segment),
     language,
     providerPreference: provider,
     metadata: { url, segmentId: segment.id, type: 'summary' },
+    onDelta,
+    signal,
   });
   await persistUsage();
   const fallbackProvider = resolveAlias(
@@ -1564,22 +1770,82 @@ async function requestSummary({ url, segment, language, provider }) {
   return resolvedResult;
 }
 
-async function transcribeAudio({ base64, filename = 'speech.webm', mimeType = 'audio/webm', provider }) {
+/**
+ * Resolve the adapter configured under `transcription.provider` in
+ * `agent.yaml`. The adapter is kept apart from the summarisation adapter so
+ * transcribing never switches the active provider.
+ *
+ * Args:
+ *   None.
+ *
+ * Returns:
+ *   A promise resolving to `{providerId, config, adapter}`, or null when
+ *   transcription follows the summarisation provider.
+ *
+ * Side Effects:
+ *   Caches the adapter until the configured provider changes.
+ */
+async function ensureTranscriptionTarget() {
+  const config = await ensureAgentConfig();
+  const providerId = config?.transcription?.provider;
+  if (!providerId) {
+    return null;
+  }
+  if (transcriptionTarget?.providerId !== providerId) {
+    const settings = buildProviderConfig(config, providerId);
+    const adapter = testAdapterOverrides.get(providerId)
+      || createAdapter(getAdapterKey(settings.type || settings.provider), settings);
+    transcriptionTarget = { providerId, config: settings, adapter };
+    logger.info('Transcription provider initialised.', { provider: providerId });
+  }
+  return transcriptionTarget;
+}
+
+async function resolveTranscriptionApiKey(target) {
+  const storedKey = await readStoredApiKey(target.providerId);
+  if (storedKey) {
+    return storedKey;
+  }
+  const envVar = target.config.apiKeyEnvVar;
+  if (envVar && typeof process !== 'undefined' && process.env && process.env[envVar]) {
+    return process.env[envVar];
+  }
+  return null;
+}
+
+async function transcribeAudio({ base64, filename = 'speech.webm', mimeType = 'audio/webm', provider, url }) {
   logger.info('Transcription request received.', {
     filename,
     mimeType,
     provider,
   });
-  const adapter = await ensureAdapter(provider);
+  const target = await ensureTranscriptionTarget();
+  const adapter = target ? target.adapter : await ensureAdapter(provider);
   const costMetadata = getCostMetadata(adapter);
   const transcribeMeta = costMetadata.transcribe || {};
+  // Local servers declare their transcriptions as not billable.
+  const billable = transcribeMeta.billable !== false;
   const estimatedTokens = resolveFlatTokenEstimate(transcribeMeta, 1200);
-  if (costTracker && !costTracker.canSpend(estimatedTokens)) {
-    logger.warn('Transcription aborted due to token limit.', { estimatedTokens });
+  const estimatedSpendUsd = estimateSpeechSpend(transcribeMeta, estimatedTokens) || 0;
+  let apiKey;
+  let providerId;
+  if (target) {
+    providerId = target.providerId;
+    apiKey = await resolveTranscriptionApiKey(target);
+    // Whisper servers usually run without a key; their adapter enforces one
+    // only when the block sets `requires_api_key: true`.
+    if (target.config.type !== WHISPER_TYPE) {
+      ensureKeyAvailable(apiKey, providerId);
+    }
+  } else {
+    ({ apiKey, providerId } = await resolveApiKey(provider));
+    ensureKeyAvailable(apiKey, providerId);
+  }
+  const spendContext = describeSpendContext(providerId, transcribeMeta.label || 'stt', url);
+  if (billable && costTracker && !costTracker.canSpend(estimatedTokens, estimatedSpendUsd, spendContext)) {
+    logger.warn('Transcription aborted due to token limit.', { estimatedTokens, provider: providerId });
     throw new Error('Token limit reached for transcription.');
   }
-  const { apiKey, providerId } = await resolveApiKey(provider);
-  ensureKeyAvailable(apiKey, providerId);
   const result = await adapter.transcribe({
     apiKey,
     base64,
@@ -1588,14 +1854,17 @@ async function transcribeAudio({ base64, filename = 'speech.webm', mimeType = 'a
     model: transcribeMeta.model,
   });
 
-  if (costTracker) {
+  if (billable && costTracker) {
     const transcriptTokens = costTracker.estimateTokensFromText(result.text);
+    const spendUsd = Number.isFinite(transcribeMeta.flatCost) ? transcribeMeta.flatCost : undefined;
     costTracker.recordFlat(transcribeMeta.label || 'stt', {
       completionTokens: transcriptTokens,
       totalTokens: transcriptTokens,
       metadata: {
-        type: transcribeMeta.label || 'stt',
+        ...spendContext,
         estimatedTokens,
+        ...(transcribeMeta.model ? { pricingModel: transcribeMeta.model } : {}),
+        ...(spendUsd !== undefined ? { spendUsd } : {}),
       },
     });
     await persistUsage();
@@ -1604,8 +1873,119 @@ async function transcribeAudio({ base64, filename = 'speech.webm', mimeType = 'a
   return result.text;
 }
 
-async function synthesiseSpeech(payload = {}, resolvedSettings = null) {
-  const { text = '', provider, voice, language } = payload;
+/**
+ * Forward the spoken position to the tab being read so its content script
+ * can highlight the current sentence and word.
+ *
+ * Args:
+ *   target: `{tabId, segmentId}` identifying the segment being narrated.
+ *   position: `{charIndex, length, granularity}` relative to the segment
+ *     text.
+ *
+ * Returns:
+ *   None.
+ *
+ * Side Effects:
+ *   Sends a `comet:highlightReadingPosition` message to the tab.
+ */
+function forwardReadingPosition(target, position) {
+  sendReadingMessage(target, {
+    type: 'comet:highlightReadingPosition',
+    payload: { segmentId: target.segmentId, ...position },
+  });
+}
+
+function sendReadingMessage(target, message) {
+  if (typeof runtime.tabs?.sendMessage !== 'function') {
+    return;
+  }
+  try {
+    const pending = runtime.tabs.sendMessage(target.tabId, message);
+    if (pending && typeof pending.catch === 'function') {
+      pending.catch(error => {
+        logger.trace('Reading position message was not delivered.', { error });
+      });
+    }
+  } catch (error) {
+    logger.trace('Failed to send reading position message.', { error });
+  }
+}
+
+function normaliseReadingTarget(highlight) {
+  if (!highlight || !Number.isInteger(highlight.tabId) || typeof highlight.segmentId !== 'string') {
+    return null;
+  }
+  return { tabId: highlight.tabId, segmentId: highlight.segmentId };
+}
+
+/**
+ * Estimate when each chunk is heard within the merged audio. A chunk's share
+ * of the playback time is taken from its share of the audio bytes, falling
+ * back to its share of the characters when byte sizes are unknown.
+ *
+ * Args:
+ *   entries: `{start, end, bytes}` per synthesised chunk, in order.
+ *
+ * Returns:
+ *   `{charStart, charEnd, startRatio, endRatio}` entries, or null when the
+ *   chunk offsets are unknown.
+ */
+function createSpeechTimeline(entries) {
+  if (!entries.length || entries.some(entry => !Number.isFinite(entry.start) || !Number.isFinite(entry.end))) {
+    return null;
+  }
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  const totalChars = entries.reduce((sum, entry) => sum + Math.max(0, entry.end - entry.start), 0);
+  let elapsed = 0;
+  return entries.map((entry, index) => {
+    let share;
+    if (totalBytes > 0) {
+      share = entry.bytes / totalBytes;
+    } else if (totalChars > 0) {
+      share = Math.max(0, entry.end - entry.start) / totalChars;
+    } else {
+      share = 1 / entries.length;
+    }
+    const startRatio = elapsed;
+    elapsed = index === entries.length - 1 ? 1 : elapsed + share;
+    return { charStart: entry.start, charEnd: entry.end, startRatio, endRatio: elapsed };
+  });
+}
+
+function createSpeechAudio(metrics, { base64, mimeType, chunkCount, timeline }) {
+  return {
+    base64: base64 || null,
+    mimeType: mimeType || 'audio/mpeg',
+    truncated: metrics.truncated,
+    originalTokenCount: metrics.originalTokenCount,
+    deliveredTokenCount: metrics.deliveredTokenCount,
+    omittedTokenCount: metrics.omittedTokenCount,
+    chunkCount,
+    timeline,
+  };
+}
+
+/**
+ * Synthesise speech for the payload text, chunking it to provider limits.
+ *
+ * Args:
+ *   payload: Request with `text`, `provider`, `voice` and `language`, plus
+ *     optional `rate` and `pitch` for local voices, a `highlight` target
+ *     for local word boundaries and the page `url` for domain budgets.
+ *   resolvedSettings: Optional pre-resolved TTS settings.
+ *   options: Optional `signal` that aborts the provider requests.
+ *
+ * Returns:
+ *   A promise resolving to `{audio, adapter, source}`, where `source` is
+ *   `cache`, `network` or `local`.
+ *
+ * Side Effects:
+ *   Records usage and caches the audio for cloud synthesis. Cached audio is
+ *   returned without contacting the provider or recording usage.
+ */
+async function synthesiseSpeech(payload = {}, resolvedSettings = null, { signal } = {}) {
+  const { text = '', provider, voice, language, rate, pitch, url } = payload;
+  const readingTarget = normaliseReadingTarget(payload.highlight);
   const settings = resolvedSettings || await resolveTtsSettings({ provider, voice, language });
   const adapter = ensureTtsAdapterRegistration(settings.providerId);
   const effectiveVoice = settings.voice || (settings.type === 'cloud' ? 'alloy' : null);
@@ -1628,6 +2008,32 @@ async function synthesiseSpeech(payload = {}, resolvedSettings = null) {
   }
 
   const metrics = plan?.metrics || createSpeechMetrics(text);
+  const chunks = Array.isArray(plan?.chunks) ? plan.chunks : [];
+  const chunkCount = chunks.length;
+  const synthesiseModel = synthesiseMetadata?.model || providerCapabilities?.model || undefined;
+
+  let audioCacheKey = null;
+  if (adapter.type === 'cloud' && chunkCount > 0) {
+    audioCacheKey = await createAudioCacheKey({
+      text,
+      voice: effectiveVoice,
+      model: synthesiseModel,
+      provider: synthesiseProviderId,
+    });
+    const cached = await ensureAudioCache().get(audioCacheKey);
+    if (cached?.base64) {
+      logger.info('Speech synthesis served from cache.', {
+        provider: cached.providerId,
+        voice: effectiveVoice,
+        chunkCount,
+      });
+      return {
+        audio: createSpeechAudio(metrics, { ...cached, chunkCount }),
+        adapter: { id: cached.providerId, type: adapter.type },
+        source: 'cache',
+      };
+    }
+  }
 
   if (adapter.type === 'cloud') {
     estimatedTokensForLimit = Number.isFinite(metrics.deliveredTokenCount)
@@ -1640,7 +2046,14 @@ async function synthesiseSpeech(payload = {}, resolvedSettings = null) {
     if (!Number.isFinite(estimatedTokensForLimit) || estimatedTokensForLimit <= 0) {
       estimatedTokensForLimit = Math.max(0, fallbackEstimate);
     }
-    if (costTracker && estimatedTokensForLimit > 0 && !costTracker.canSpend(estimatedTokensForLimit)) {
+    const estimatedSpendUsd = estimateSpeechSpend(
+      { ...synthesiseMetadata, model: synthesiseModel },
+      estimatedTokensForLimit,
+      chunkCount,
+    ) || 0;
+    const spendContext = describeSpendContext(synthesiseProviderId, synthesiseMetadata?.label || 'tts', url);
+    if (costTracker && estimatedTokensForLimit > 0
+      && !costTracker.canSpend(estimatedTokensForLimit, estimatedSpendUsd, spendContext)) {
       logger.warn('Speech synthesis aborted due to token limit.', {
         estimatedTokens: estimatedTokensForLimit,
         provider: synthesiseProviderId,
@@ -1649,9 +2062,6 @@ async function synthesiseSpeech(payload = {}, resolvedSettings = null) {
     }
   }
 
-  const chunks = Array.isArray(plan?.chunks) ? plan.chunks : [];
-  const chunkCount = chunks.length;
-
   logger.info('Speech synthesis request received.', {
     provider: settings.providerId,
     adapterType: adapter.type,
@@ -1675,50 +2085,126 @@ async function synthesiseSpeech(payload = {}, resolvedSettings = null) {
   let responseProviderId = null;
   let usageLabelFromResponse = null;
   let lastResponse = null;
+  const timelineEntries = [];
 
-  for (let index = 0; index < chunkCount; index += 1) {
-    const chunk = chunks[index] || {};
-    const chunkText = typeof chunk.text === 'string' ? chunk.text : '';
-    const response = await adapter.synthesise({
-      text: chunkText,
-      voice: effectiveVoice || undefined,
-      languageCode,
-      chunkIndex: index,
-      chunkCount,
-      maxInputTokens: providerCapabilities?.maxInputTokens,
-      model: synthesiseMetadata?.model || providerCapabilities?.model || undefined,
-    });
-    lastResponse = response;
+  let completedChunks = 0;
+  let completedTokens = 0;
 
-    const base64Payload = typeof response?.base64 === 'string' ? response.base64 : null;
-    if (base64Payload) {
-      aggregatedChunks.push(base64ToUint8Array(base64Payload));
-    } else if (response?.arrayBuffer instanceof ArrayBuffer) {
-      aggregatedChunks.push(new Uint8Array(response.arrayBuffer));
+  // Records cloud speech usage. Called for the finished request, or for the
+  // chunks already sent when a later chunk fails or the request is aborted,
+  // since the provider bills those either way.
+  const recordSpeechUsage = async (providerId, { tokens, requests, details = {} }) => {
+    if (!synthesiseMetadata || (synthesiseProviderId && providerId !== synthesiseProviderId)) {
+      const providerAdapter = await ensureAdapter(providerId);
+      const costMetadata = getCostMetadata(providerAdapter) || {};
+      synthesiseMetadata = costMetadata.synthesise || null;
     }
-
-    if (!aggregatedMimeType && response?.mimeType) {
-      aggregatedMimeType = response.mimeType;
+    const usageLabel = usageLabelFromResponse
+      || synthesiseMetadata?.label
+      || 'tts';
+    if (!costTracker || tokens < 0) {
+      return;
     }
-    if (!responseProviderId && response?.providerId) {
-      responseProviderId = response.providerId;
+    costTracker.recordFlat(usageLabel, {
+      promptTokens: tokens,
+      totalTokens: tokens,
+      metadata: {
+        ...describeSpendContext(providerId, usageLabel, url),
+        ...details,
+        chunkCount: requests,
+        pricingModel: synthesiseMetadata?.model || synthesiseModel || null,
+        ...(Number.isFinite(synthesiseMetadata?.flatCost)
+          ? { spendUsd: synthesiseMetadata.flatCost * requests }
+          : {}),
+      },
+    });
+    await persistUsage();
+  };
+
+  try {
+    for (let index = 0; index < chunkCount; index += 1) {
+      const chunk = chunks[index] || {};
+      const chunkText = typeof chunk.text === 'string' ? chunk.text : '';
+      signal?.throwIfAborted();
+      const response = await adapter.synthesise({
+        text: chunkText,
+        voice: effectiveVoice || undefined,
+        languageCode,
+        chunkIndex: index,
+        chunkCount,
+        maxInputTokens: providerCapabilities?.maxInputTokens,
+        model: synthesiseModel,
+        rate: adapter.type === 'local' ? rate : undefined,
+        pitch: adapter.type === 'local' ? pitch : undefined,
+        onBoundary: readingTarget && adapter.type === 'local'
+          ? event => forwardReadingPosition(readingTarget, {
+            charIndex: (chunk.start || 0) + event.charIndex,
+            length: event.length,
+            granularity: event.type,
+          })
+          : undefined,
+        signal,
+      });
+      lastResponse = response;
+
+      const base64Payload = typeof response?.base64 === 'string' ? response.base64 : null;
+      let chunkBytes = null;
+      if (base64Payload) {
+        chunkBytes = base64ToUint8Array(base64Payload);
+      } else if (response?.arrayBuffer instanceof ArrayBuffer) {
+        chunkBytes = new Uint8Array(response.arrayBuffer);
+      }
+      if (chunkBytes) {
+        aggregatedChunks.push(chunkBytes);
+      }
+      timelineEntries.push({ start: chunk.start, end: chunk.end, bytes: chunkBytes ? chunkBytes.length : 0 });
+
+      if (!aggregatedMimeType && response?.mimeType) {
+        aggregatedMimeType = response.mimeType;
+      }
+      if (!responseProviderId && response?.providerId) {
+        responseProviderId = response.providerId;
+      }
+      if (!usageLabelFromResponse && response?.usageLabel) {
+        usageLabelFromResponse = response.usageLabel;
+      }
+
+      const chunkTokens = Number.isFinite(chunk.tokenCount)
+        ? chunk.tokenCount
+        : tokeniseSpeechText(chunkText).length;
+      emitTtsProgressEvent({
+        provider: synthesiseProviderId || settings.providerId || 'auto',
+        chunkIndex: index,
+        chunkCount,
+        estimatedTokens: chunkTokens,
+      });
+      completedChunks += 1;
+      completedTokens += chunkTokens;
     }
-    if (!usageLabelFromResponse && response?.usageLabel) {
-      usageLabelFromResponse = response.usageLabel;
+  } catch (error) {
+    if (adapter.type === 'cloud' && completedChunks > 0) {
+      logger.info('Recording usage for speech chunks sent before synthesis stopped.', {
+        completedChunks,
+        chunkCount,
+        cancelled: Boolean(signal?.aborted),
+      });
+      await recordSpeechUsage(responseProviderId || synthesiseProviderId || settings.providerId, {
+        tokens: completedTokens,
+        requests: completedChunks,
+        details: { partial: true },
+      });
     }
+    throw error;
+  }
 
-    const chunkTokens = Number.isFinite(chunk.tokenCount)
-      ? chunk.tokenCount
-      : tokeniseSpeechText(chunkText).length;
-    emitTtsProgressEvent({
-      provider: synthesiseProviderId || settings.providerId || 'auto',
-      chunkIndex: index,
-      chunkCount,
-      estimatedTokens: chunkTokens,
-    });
+  if (readingTarget && adapter.type === 'local') {
+    sendReadingMessage(readingTarget, { type: 'comet:clearReadingPosition' });
   }
 
-  const mergedAudio = concatenateUint8Arrays(aggregatedChunks);
+  // WAV chunks each carry a header, so they are joined rather than concatenated.
+  const mergedAudio = aggregatedChunks.length > 1 && /^audio\/(x-)?wav/i.test(aggregatedMimeType || '')
+    ? joinWaveFiles(aggregatedChunks)
+    : concatenateUint8Arrays(aggregatedChunks);
   const aggregatedBase64 = mergedAudio
     ? toBase64(mergedAudio.buffer)
     : (lastResponse?.base64 || null);
@@ -1731,71 +2217,48 @@ async function synthesiseSpeech(payload = {}, resolvedSettings = null) {
     usageLabel: usageLabelFromResponse || synthesiseMetadata?.label || null,
   };
 
-  if (synthesisResult?.base64) {
-    try {
-      await playAudioFromBase64(synthesisResult.base64, synthesisResult.mimeType || 'audio/mpeg');
-      logger.debug('Background audio playback started from base64 payload.');
-    } catch (error) {
-      logger.warn('Background audio playback failed; continuing without interruption.', { error });
-    }
-  } else {
-    logger.debug('No base64 payload returned; skipping background playback.', {
-      adapterType: adapter.type,
-    });
-  }
-
   const resolvedProvider = synthesisResult?.providerId
     || (adapter.type === 'local' ? 'local' : settings.providerId || 'auto');
 
   if (adapter.type === 'cloud') {
-    if (!synthesiseMetadata || (synthesiseProviderId && resolvedProvider !== synthesiseProviderId)) {
-      const providerAdapter = await ensureAdapter(resolvedProvider);
-      const costMetadata = getCostMetadata(providerAdapter) || {};
-      synthesiseMetadata = costMetadata.synthesise || null;
-    }
-    const usageLabel = synthesisResult?.usageLabel
-      || synthesiseMetadata?.label
-      || 'tts';
     const recordedTokensBase = Number.isFinite(metrics.deliveredTokenCount)
       ? Math.max(0, metrics.deliveredTokenCount)
       : 0;
     const recordedTokens = recordedTokensBase > 0
       ? recordedTokensBase
       : Math.max(0, resolveFlatTokenEstimate(synthesiseMetadata, estimatedTokensForLimit));
-    if (costTracker && recordedTokens >= 0) {
-      costTracker.recordFlat(usageLabel, {
-        promptTokens: recordedTokens,
-        totalTokens: recordedTokens,
-        metadata: {
-          type: usageLabel,
-          truncated: metrics.truncated,
-          deliveredTokenCount: metrics.deliveredTokenCount,
-          omittedTokenCount: metrics.omittedTokenCount,
-          chunkCount,
-        },
-      });
-      await persistUsage();
-    }
+    await recordSpeechUsage(resolvedProvider, {
+      tokens: recordedTokens,
+      requests: chunkCount,
+      details: {
+        truncated: metrics.truncated,
+        deliveredTokenCount: metrics.deliveredTokenCount,
+        omittedTokenCount: metrics.omittedTokenCount,
+      },
+    });
+  }
+
+  const timeline = adapter.type === 'cloud' ? createSpeechTimeline(timelineEntries) : null;
+  if (audioCacheKey && mergedAudio) {
+    await ensureAudioCache().set(audioCacheKey, {
+      base64: synthesisResult.base64,
+      mimeType: synthesisResult.mimeType,
+      providerId: resolvedProvider,
+      timeline,
+    }, mergedAudio.length);
   }
 
   return {
-    audio: {
-      base64: synthesisResult?.base64 || null,
-      mimeType: synthesisResult?.mimeType || 'audio/mpeg',
-      truncated: metrics.truncated,
-      originalTokenCount: metrics.originalTokenCount,
-      deliveredTokenCount: metrics.deliveredTokenCount,
-      omittedTokenCount: metrics.omittedTokenCount,
-      chunkCount,
-    },
+    audio: createSpeechAudio(metrics, { ...synthesisResult, chunkCount, timeline }),
     adapter: {
       id: resolvedProvider,
       type: adapter.type,
     },
+    source: adapter.type === 'local' ? 'local' : 'network',
   };
 }
 
-async function getSummary({ url, segment, language, provider }) {
+async function getSummary({ url, segment, language, provider, onDelta, signal }) {
   const providerId = await getActiveProviderId(provider);
   const resolvedActiveProvider = resolveAlias(normaliseProviderId(providerId, providerId));
   const cacheKey = getCacheKey({
@@ -1835,7 +2298,7 @@ async function getSummary({ url, segment, language, provider }) {
     }
   }
   logger.debug('Summary cache miss.', { segmentId: segment.id });
-  const result = await requestSummary({ url, segment, language, provider });
+  const result = await requestSummary({ url, segment, language, provider, onDelta, signal });
   const summary = typeof result?.text === 'string'
     ? result.text
     : typeof result?.summary === 'string'
@@ -1859,25 +2322,37 @@ async function getSummary({ url, segment, language, provider }) {
   };
 }
 
-async function handleSummariseRequest(message) {
-  const { url, segments, language = 'en', provider } = message.payload;
-  logger.info('Handling summarise request.', {
-    url,
-    segmentCount: segments?.length,
-    language,
-    provider,
-  });
-  await ensureInitialised(provider);
+/**
+ * Summarise segments in page order, reporting progress through optional
+ * callbacks so streaming consumers can render each segment as it arrives.
+ *
+ * Args:
+ *   params: Request details with `url`, `segments`, `language`, `provider`
+ *     and the optional `onDelta(segment, text, meta)`,
+ *     `onSegment(segment, result)` and `signal` hooks.
+ *
+ * Returns:
+ *   A promise resolving to the `{id, summary}` list in segment order.
+ *
+ * Side Effects:
+ *   Populates the summary cache and records usage for network summaries.
+ */
+async function summariseSegments({ url, segments, language, provider, onDelta, onSegment, signal }) {
   const summaries = [];
   const providersUsed = new Set();
   const modelsUsed = new Set();
   for (const segment of Array.isArray(segments) ? segments : []) {
-    const { summary, provider: summaryProvider, model } = await getSummary({
+    const result = await getSummary({
       url,
       segment,
       language,
       provider,
+      signal,
+      onDelta: typeof onDelta === 'function'
+        ? (text, meta) => onDelta(segment, text, meta)
+        : undefined,
     });
+    const { summary, provider: summaryProvider, model } = result;
     if (summaryProvider) {
       providersUsed.add(summaryProvider);
     }
@@ -1885,6 +2360,9 @@ async function handleSummariseRequest(message) {
       modelsUsed.add(model);
     }
     summaries.push({ id: segment.id, summary });
+    if (typeof onSegment === 'function') {
+      onSegment(segment, result);
+    }
   }
   const providerList = Array.from(providersUsed);
   const modelList = Array.from(modelsUsed);
@@ -1897,91 +2375,1718 @@ async function handleSummariseRequest(message) {
     completionMeta.models = modelList;
   }
   logger.info('Summarise request completed.', completionMeta);
-  return { summaries, usage: costTracker.toJSON() };
+  return summaries;
 }
 
-async function handleTranscriptionRequest(message) {
-  logger.info('Handling transcription request.', {
-    provider: message.payload?.provider,
-    mimeType: message.payload?.mimeType,
-  });
-  await ensureInitialised(message.payload?.provider);
-  const result = await transcribeAudio(message.payload);
-  return { text: result, usage: costTracker.toJSON() };
+/**
+ * Reduce segment summaries into one page-level digest. Batches that would
+ * exceed `max_tokens_per_call` are digested separately and the partial
+ * digests reduced again until a single text remains.
+ *
+ * Args:
+ *   params: Request details with `url`, `summaries` (texts in page order),
+ *     `language`, `provider`, and the optional `onDelta` and `signal` hooks.
+ *     Only the final reduction streams through `onDelta`.
+ *
+ * Returns:
+ *   A promise resolving to the final router result. It rejects when a summary
+ *   is too long for one call, or no two summaries fit one call.
+ *
+ * Side Effects:
+ *   Issues one provider request per batch, each recorded by the cost tracker
+ *   with the `digest` request type.
+ */
+async function reduceSummaries({ url, summaries, language, provider, onDelta, signal }) {
+  const router = await ensureRouter();
+  const maxTokensPerCall = router.getRoutingConfig()?.maxTokensPerCall || 0;
+  const inputBudget = maxTokensPerCall > 0
+    ? Math.max(1, maxTokensPerCall - DIGEST_COMPLETION_RESERVE_TOKENS)
+    : 0;
+  let texts = summaries;
+  let round = 1;
+  for (;;) {
+    const groups = groupTextsForPrompt(texts, {
+      prefix: DIGEST_PROMPT_PREFIX,
+      maxTokens: inputBudget,
+      estimate: estimateTokensFromText,
+    });
+    const final = groups.length === 1;
+    logger.debug('Reducing summaries into digest.', { url, round, inputs: texts.length, batches: groups.length });
+    const results = [];
+    for (const group of groups) {
+      const result = await router.generate({
+        text: buildNumberedPrompt(DIGEST_PROMPT_PREFIX, group),
+        language,
+        providerPreference: provider,
+        metadata: { url, segmentId: DIGEST_SEGMENT_ID, type: 'digest' },
+        onDelta: final ? onDelta : undefined,
+        signal,
+      });
+      await persistUsage();
+      results.push(result);
+    }
+    if (final) {
+      return results[0];
+    }
+    texts = results.map(result => result?.text || '');
+    round += 1;
+  }
 }
 
-async function handleSpeechRequest(message) {
-  logger.info('Handling speech synthesis request.', {
+/**
+ * Produce the page-level digest for a set of segment summaries, serving it
+ * from the cache while the summarised segments are unchanged.
+ *
+ * Args:
+ *   params: Request details with `url`, `summaries` (`{id, summary}` in page
+ *     order), `language`, `provider`, and the optional `onDelta` and `signal`
+ *     hooks.
+ *
+ * Returns:
+ *   A promise resolving to the digest text, or null when there is nothing to
+ *   digest. A single summary is its own digest.
+ *
+ * Side Effects:
+ *   Populates the page-level cache entry and records digest usage for network
+ *   requests.
+ */
+async function getDigest({ url, summaries, language, provider, onDelta, signal }) {
+  const entries = (Array.isArray(summaries) ? summaries : [])
+    .filter(entry => typeof entry?.summary === 'string' && entry.summary.trim());
+  if (entries.length === 0) {
+    return null;
+  }
+  if (entries.length === 1) {
+    return entries[0].summary;
+  }
+  const providerId = await getActiveProviderId(provider);
+  const cacheKey = getCacheKey({ url, segmentId: DIGEST_SEGMENT_ID, language, providerId });
+  const sourceIds = entries.map(entry => entry.id);
+  const cached = memoryCache.get(cacheKey);
+  if (
+    cached
+    && typeof cached.summary === 'string'
+    && Array.isArray(cached.sourceIds)
+    && cached.sourceIds.join('\n') === sourceIds.join('\n')
+  ) {
+    logger.debug('Digest cache hit.', { url });
+    return cached.summary;
+  }
+  logger.debug('Digest cache miss.', { url, segmentCount: entries.length });
+  const result = await reduceSummaries({
+    url,
+    summaries: entries.map(entry => entry.summary),
+    language,
+    provider,
+    onDelta,
+    signal,
+  });
+  const digest = typeof result?.text === 'string' ? result.text : '';
+  memoryCache.set(cacheKey, {
+    summary: digest,
+    provider: result?.provider ? resolveAlias(normaliseProviderId(result.provider, result.provider)) : null,
+    model: result?.model,
+    sourceIds,
+  });
+  await persistCache();
+  return digest;
+}
+
+/**
+ * Produce the page digest without letting a digest failure discard the
+ * segment summaries, which are already cached and billed.
+ *
+ * Args:
+ *   params: The same request details as `getDigest`.
+ *
+ * Returns:
+ *   A promise resolving to `{digest, digestError}`. When the digest fails,
+ *   `digest` is null and `digestError` carries the failure message.
+ */
+async function getDigestSafely(params) {
+  try {
+    return { digest: await getDigest(params), digestError: null };
+  } catch (error) {
+    if (params.signal?.aborted) {
+      logger.info('Digest cancelled.', { url: params.url });
+    } else {
+      logger.error('Digest failed; returning segment summaries without it.', { url: params.url, error });
+    }
+    return { digest: null, digestError: error?.message || String(error) };
+  }
+}
+
+async function handleSummariseRequest(message) {
+  const { url, segments, language = 'en', provider } = message.payload;
+  logger.info('Handling summarise request.', {
+    url,
+    segmentCount: segments?.length,
+    language,
+    provider,
+  });
+  await ensureInitialised(provider);
+  const summaries = await summariseSegments({ url, segments, language, provider });
+  const { digest, digestError } = await getDigestSafely({ url, summaries, language, provider });
+  return { summaries, digest, digestError, usage: costTracker.toJSON() };
+}
+
+/**
+ * Serve a streaming summarise request over a long-lived runtime port.
+ *
+ * The popup connects with the `comet:summarise:stream` port name and posts a
+ * single `comet:summarise:start` message carrying the same payload as
+ * `comet:summarise`. The worker replies with `comet:summarise:delta` for each
+ * streamed text fragment, `comet:summarise:segment` when a segment's summary
+ * is final, `comet:summarise:digestDelta` while the page digest streams,
+ * `comet:summarise:digestError` when the digest fails, then
+ * `comet:summarise:done` or `comet:summarise:error`. A failed digest still
+ * ends with `comet:summarise:done`, carrying the segment summaries. Posting
+ * `comet:summarise:cancel` or disconnecting aborts the upstream request.
+ *
+ * Args:
+ *   port: The connected runtime port.
+ *
+ * Returns:
+ *   None.
+ *
+ * Side Effects:
+ *   Issues provider requests and records usage as segments complete.
+ */
+function handleSummaryStreamPort(port) {
+  const controller = new AbortController();
+  let started = false;
+  let disconnected = false;
+
+  const post = (type, payload) => {
+    if (disconnected) {
+      return;
+    }
+    try {
+      port.postMessage({ type, payload });
+    } catch (error) {
+      disconnected = true;
+      logger.debug('Summary stream port closed while posting.', { type, error });
+    }
+  };
+
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    if (!controller.signal.aborted) {
+      logger.debug('Summary stream port disconnected; aborting request.');
+      controller.abort();
+    }
+  });
+
+  port.onMessage.addListener(message => {
+    if (message?.type === 'comet:summarise:cancel') {
+      logger.info('Summary stream cancelled by popup.');
+      controller.abort();
+      return;
+    }
+    if (message?.type !== 'comet:summarise:start' || started) {
+      logger.warn('Ignoring unexpected summary stream message.', { messageType: message?.type, started });
+      return;
+    }
+    started = true;
+    runSummaryStream(message.payload || {}, { post, signal: controller.signal });
+  });
+}
+
+async function runSummaryStream({ url, segments, language = 'en', provider }, { post, signal }) {
+  logger.info('Handling streaming summarise request.', {
+    url,
+    segmentCount: segments?.length,
+    language,
+    provider,
+  });
+  try {
+    await ensureInitialised(provider);
+    const summaries = await summariseSegments({
+      url,
+      segments,
+      language,
+      provider,
+      signal,
+      onDelta: (segment, text, { provider: deltaProvider, reset }) => {
+        post('comet:summarise:delta', { id: segment.id, text, reset, provider: deltaProvider });
+      },
+      onSegment: (segment, result) => {
+        post('comet:summarise:segment', {
+          id: segment.id,
+          summary: result.summary,
+          provider: result.provider,
+          model: result.model,
+          source: result.source,
+        });
+      },
+    });
+    const { digest, digestError } = await getDigestSafely({
+      url,
+      summaries,
+      language,
+      provider,
+      signal,
+      onDelta: (text, { provider: deltaProvider, reset }) => {
+        post('comet:summarise:digestDelta', { text, reset, provider: deltaProvider });
+      },
+    });
+    if (digestError) {
+      post('comet:summarise:digestError', { error: digestError, cancelled: signal.aborted });
+    }
+    post('comet:summarise:done', { summaries, digest, digestError, usage: costTracker.toJSON() });
+  } catch (error) {
+    const cancelled = signal.aborted;
+    if (cancelled) {
+      logger.info('Streaming summarise request cancelled.', { url });
+    } else {
+      logger.error('Streaming summarise request failed.', { url, error });
+    }
+    post('comet:summarise:error', {
+      error: error?.message || String(error),
+      cancelled,
+      usage: costTracker ? costTracker.toJSON() : null,
+    });
+  }
+}
+
+async function handleTranscriptionRequest(message) {
+  logger.info('Handling transcription request.', {
+    provider: message.payload?.provider,
+    mimeType: message.payload?.mimeType,
+  });
+  await ensureInitialised(message.payload?.provider);
+  const result = await transcribeAudio(message.payload);
+  return { text: result, usage: costTracker.toJSON() };
+}
+
+async function prepareSpeechSettings(payload = {}) {
+  const settings = await resolveTtsSettings({
+    provider: payload.provider,
+    voice: payload.voice,
+    language: payload.language,
+  });
+  if (settings.type === 'cloud') {
+    const initProvider = settings.providerId && settings.providerId !== 'auto'
+      ? settings.providerId
+      : normaliseTtsPreference(payload.provider);
+    await ensureInitialised(initProvider === 'auto' ? undefined : initProvider);
+  } else {
+    await ensureLoggingConfiguredOnce();
+  }
+  return settings;
+}
+
+async function handleSpeechRequest(message) {
+  logger.info('Handling speech synthesis request.', {
     provider: message.payload?.provider,
     voice: message.payload?.voice,
   });
-  const settings = await resolveTtsSettings({
-    provider: message.payload?.provider,
-    voice: message.payload?.voice,
-    language: message.payload?.language,
+  const settings = await prepareSpeechSettings(message.payload);
+  // Internal callers may attach a `signal` to the message to cancel synthesis.
+  const result = await synthesiseSpeech(message.payload, settings, { signal: message.signal });
+  const usage = result.adapter.type === 'cloud' && costTracker
+    ? costTracker.toJSON()
+    : null;
+  return { audio: result.audio, usage, source: result.source };
+}
+
+/**
+ * Return the current token usage snapshot.
+ *
+ * Args:
+ *   None.
+ *
+ * Returns:
+ *   A promise resolving to the serialised cost tracker state.
+ *
+ * Side Effects:
+ *   Ensures the service worker has been initialised, which may hydrate caches
+ *   and providers on first access.
+ */
+async function handleUsageRequest() {
+  logger.debug('Handling usage request.');
+  await ensureInitialised();
+  return costTracker.toJSON();
+}
+
+async function handleResetUsage() {
+  logger.info('Handling usage reset request.');
+  await ensureInitialised();
+  costTracker.reset();
+  await persistUsage();
+  return costTracker.toJSON();
+}
+
+/**
+ * Return the archived usage of finished billing cycles.
+ *
+ * Returns:
+ *   A promise resolving to the archived cycles, newest first.
+ */
+async function handleUsageHistoryRequest() {
+  logger.debug('Handling usage history request.');
+  const history = await getValue(USAGE_HISTORY_STORAGE_KEY);
+  return Array.isArray(history) ? history : [];
+}
+
+/**
+ * Archive the current billing cycle and start a new one when the configured
+ * cycle day has passed since usage was last reset.
+ *
+ * Args:
+ *   now: Current time in milliseconds.
+ *
+ * Returns:
+ *   A promise resolving to true when a cycle was archived.
+ *
+ * Side Effects:
+ *   Prepends the finished cycle to the stored usage history, keeps only the
+ *   configured number of cycles, and resets the usage totals to the cycle
+ *   boundary and persists them, all under the usage storage lock.
+ */
+async function rollBillingCycle(now = Date.now()) {
+  await ensureInitialised();
+  const billing = agentConfigSnapshot?.billing || DEFAULT_BILLING_CONFIG;
+  const cycleStart = getCycleStart(now, billing.cycleDay);
+  // The usage lock is held for the whole roll so concurrent rolls archive a
+  // cycle once, and the reset follows the snapshot directly so requests
+  // recorded while the history is written count towards the new cycle.
+  const archive = await withLock(USAGE_STORAGE_KEY, async () => {
+    const usage = costTracker.toJSON();
+    if (usage.lastReset >= cycleStart) {
+      return null;
+    }
+    const finished = createCycleArchive(usage, cycleStart);
+    costTracker.reset(cycleStart);
+    await withLock(USAGE_HISTORY_STORAGE_KEY, async () => {
+      const history = await getValue(USAGE_HISTORY_STORAGE_KEY);
+      const cycles = [finished, ...(Array.isArray(history) ? history : [])];
+      await setValue(USAGE_HISTORY_STORAGE_KEY, cycles.slice(0, billing.historyCycles));
+    });
+    await setValue(USAGE_STORAGE_KEY, costTracker.toJSON());
+    return finished;
+  });
+  if (!archive) {
+    return false;
+  }
+  logger.info('Billing cycle archived.', {
+    start: archive.start,
+    end: archive.end,
+    totalTokens: archive.totalTokens,
+    totalSpendUsd: archive.totalSpendUsd,
+  });
+  return true;
+}
+
+/**
+ * Roll the billing cycle if it is due and schedule the alarm for the start of
+ * the next one. Runs when the alarm fires and whenever the browser starts or
+ * the extension is installed, because alarms do not survive every restart.
+ *
+ * Args:
+ *   now: Current time in milliseconds.
+ *
+ * Returns:
+ *   A promise resolving once the alarm is scheduled.
+ *
+ * Side Effects:
+ *   May archive and reset usage, and replaces the billing cycle alarm.
+ */
+async function handleBillingCycleAlarm(now = Date.now()) {
+  await rollBillingCycle(now);
+  const billing = agentConfigSnapshot?.billing || DEFAULT_BILLING_CONFIG;
+  const when = getNextCycleStart(now, billing.cycleDay);
+  runtime.alarms.create(BILLING_CYCLE_ALARM, { when });
+  logger.debug('Billing cycle alarm scheduled.', { when });
+}
+
+async function handleSegmentsUpdated(message) {
+  const { url, segments } = message.payload;
+  logger.debug('Handling segments updated event.', {
+    url,
+    segmentCount: segments?.length,
+  });
+  const validSegmentIds = new Set((segments || []).map(segment => segment.id));
+
+  for (const key of memoryCache.keys()) {
+    const entry = parseCacheKey(key);
+    if (!entry || entry.url !== url) {
+      continue;
+    }
+
+    // Selection summaries are not part of the page's segment list, so a
+    // segment refresh must not evict them.
+    if (String(entry.segmentId).startsWith(SELECTION_SEGMENT_PREFIX)) {
+      continue;
+    }
+
+    // The page digest stays valid while every segment it was built from
+    // still exists.
+    if (entry.segmentId === DIGEST_SEGMENT_ID) {
+      const sourceIds = memoryCache.get(key)?.sourceIds;
+      if (!Array.isArray(sourceIds) || !sourceIds.every(id => validSegmentIds.has(id))) {
+        memoryCache.delete(key);
+      }
+      continue;
+    }
+
+    if (!validSegmentIds.has(entry.segmentId)) {
+      memoryCache.delete(key);
+    }
+  }
+  await persistCache();
+  await discardStaleReadingProgress(url, (segments || []).map(segment => segment.id));
+  return true;
+}
+
+function sameSegmentIds(left, right) {
+  return Array.isArray(left)
+    && Array.isArray(right)
+    && left.length === right.length
+    && left.every((id, index) => id === right[index]);
+}
+
+/**
+ * Apply a change to the stored per-URL reading positions.
+ *
+ * Args:
+ *   update: Function receiving the current entries keyed by URL and returning
+ *     the entries to store.
+ *
+ * Returns:
+ *   A promise resolving once the entries are written.
+ *
+ * Side Effects:
+ *   Rewrites the reading progress record in persistent storage, keeping only
+ *   the most recently updated pages.
+ */
+async function updateReadingProgress(update) {
+  await withLock(READING_PROGRESS_STORAGE_KEY, async () => {
+    const current = await getValue(READING_PROGRESS_STORAGE_KEY, {});
+    const next = update({ ...(current && typeof current === 'object' ? current : {}) });
+    const retained = Object.entries(next)
+      .sort(([, left], [, right]) => (right.updatedAt || 0) - (left.updatedAt || 0))
+      .slice(0, READING_PROGRESS_LIMIT);
+    await setValue(READING_PROGRESS_STORAGE_KEY, Object.fromEntries(retained));
+  });
+}
+
+/**
+ * Remember how far full-page narration got on a page so it can be resumed in
+ * a later popup session.
+ *
+ * Args:
+ *   message: Runtime message whose payload carries the page `url`, the page's
+ *     `segmentIds`, and the `segmentId`, `chunkIndex` and `timeOffset` (in
+ *     seconds) reached. A `finished` flag clears the position instead.
+ *
+ * Returns:
+ *   A promise resolving to the stored position, or null when it was cleared.
+ *
+ * Side Effects:
+ *   Writes to persistent storage.
+ */
+async function saveReadingProgress(message) {
+  const payload = message?.payload || {};
+  if (typeof payload.url !== 'string' || !payload.url) {
+    throw new Error('A page URL is required to save reading progress.');
+  }
+  if (payload.finished) {
+    await updateReadingProgress(entries => {
+      delete entries[payload.url];
+      return entries;
+    });
+    return null;
+  }
+  if (!Array.isArray(payload.segmentIds) || !payload.segmentIds.includes(payload.segmentId)) {
+    throw new Error('Reading progress must reference one of the page segments.');
+  }
+  const position = {
+    segmentIds: payload.segmentIds.slice(),
+    segmentId: payload.segmentId,
+    chunkIndex: Number.isInteger(payload.chunkIndex) && payload.chunkIndex > 0 ? payload.chunkIndex : 0,
+    timeOffset: Number.isFinite(payload.timeOffset) && payload.timeOffset > 0 ? payload.timeOffset : 0,
+    updatedAt: Date.now(),
+  };
+  await updateReadingProgress(entries => ({ ...entries, [payload.url]: position }));
+  return position;
+}
+
+/**
+ * Look up the saved reading position for a page.
+ *
+ * Args:
+ *   message: Runtime message whose payload carries the page `url`.
+ *
+ * Returns:
+ *   A promise resolving to the stored position, or null when none is saved.
+ */
+async function getReadingProgress(message) {
+  const url = message?.payload?.url;
+  if (typeof url !== 'string' || !url) {
+    return null;
+  }
+  const entries = await getValue(READING_PROGRESS_STORAGE_KEY, {});
+  return entries?.[url] || null;
+}
+
+async function discardStaleReadingProgress(url, segmentIds) {
+  const entries = await getValue(READING_PROGRESS_STORAGE_KEY, {});
+  const saved = entries?.[url];
+  if (!saved || sameSegmentIds(saved.segmentIds, segmentIds)) {
+    return;
+  }
+  logger.debug('Discarding reading position after segments changed.', { url });
+  await updateReadingProgress(current => {
+    if (current[url] && !sameSegmentIds(current[url].segmentIds, segmentIds)) {
+      delete current[url];
+    }
+    return current;
+  });
+}
+
+let playbackQueue = null;
+let inlineAudioHost = null;
+let offscreenDocumentPromise = null;
+let narrationTracking = null;
+let playbackItemCounter = 0;
+let playbackRestorePromise = null;
+let listeningSession = null;
+
+/**
+ * Make sure the offscreen document that plays background audio exists.
+ *
+ * Returns:
+ *   A promise resolving once the document is available.
+ *
+ * Side Effects:
+ *   May create the offscreen document.
+ */
+async function ensureOffscreenDocument() {
+  const { offscreen } = runtime;
+  if (typeof offscreen.hasDocument === 'function' && await offscreen.hasDocument()) {
+    return;
+  }
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = Promise.resolve(
+      offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ['AUDIO_PLAYBACK'],
+        justification: 'Keep narration playing after the popup closes.',
+      }),
+    )
+      .catch(error => {
+        // Browsers without hasDocument() report an existing document this way.
+        if (!/single offscreen document/i.test(error?.message || '')) {
+          throw error;
+        }
+      })
+      .finally(() => {
+        offscreenDocumentPromise = null;
+      });
+  }
+  await offscreenDocumentPromise;
+}
+
+/**
+ * Run an audio command in whichever context can play and decode audio: the
+ * offscreen document in Chromium, or this background page where it has a DOM
+ * (Firefox).
+ *
+ * Args:
+ *   command: Player method name, such as `play` or `pause`, or `encodeWav`.
+ *   payload: Command arguments.
+ *
+ * Returns:
+ *   A promise resolving to the player status, or the encoded audio for
+ *   `encodeWav`.
+ *
+ * Side Effects:
+ *   May create the offscreen document or the inline audio player.
+ */
+async function sendPlayerCommand(command, payload = {}) {
+  if (typeof runtime.offscreen?.createDocument === 'function') {
+    await ensureOffscreenDocument();
+    const response = await new Promise((resolve, reject) => {
+      runtime.runtime.sendMessage(
+        { target: 'offscreen', type: 'comet:offscreen:command', payload: { command, ...payload } },
+        result => {
+          const lastError = runtime.runtime.lastError;
+          if (lastError) {
+            reject(new Error(lastError.message || 'Background player did not respond.'));
+            return;
+          }
+          resolve(result);
+        },
+      );
+    });
+    if (!response?.ok) {
+      throw new Error(response?.error || 'Background player did not respond.');
+    }
+    return response.result;
+  }
+  if (typeof Audio === 'function') {
+    if (!inlineAudioHost) {
+      inlineAudioHost = {
+        ...createAudioPlayer({ onEvent: event => ensurePlaybackQueue().handlePlayerEvent(event) }),
+        encodeWav: encodeWaveFromBase64,
+      };
+    }
+    return inlineAudioHost[command](payload);
+  }
+  throw new Error('Background audio playback is not supported in this browser.');
+}
+
+function broadcastRuntimeMessage(type, payload) {
+  try {
+    const runtimeNamespace = runtime?.runtime;
+    if (!runtimeNamespace || typeof runtimeNamespace.sendMessage !== 'function') {
+      return;
+    }
+    runtimeNamespace.sendMessage({ type, payload }, () => {
+      const lastError = runtimeNamespace.lastError;
+      if (lastError && lastError.message) {
+        logger.trace('Broadcast message reported runtime warning.', { type, message: lastError.message });
+      }
+    });
+  } catch (error) {
+    logger.trace('Failed to broadcast runtime message.', { type, error });
+  }
+}
+
+function broadcastPlaybackState(status) {
+  broadcastRuntimeMessage('comet:playback:state', status);
+}
+
+/**
+ * Estimate the character offset being spoken from the playback position,
+ * using the per-chunk timeline returned with cloud audio.
+ *
+ * Args:
+ *   timeline: `{charStart, charEnd, startRatio, endRatio}` entries.
+ *   ratio: Playback position between 0 and 1.
+ *
+ * Returns:
+ *   The estimated offset, or null without a timeline.
+ */
+function estimateSpokenOffset(timeline, ratio) {
+  if (!Array.isArray(timeline) || timeline.length === 0 || !Number.isFinite(ratio)) {
+    return null;
+  }
+  const entry = timeline.find(item => ratio < item.endRatio) || timeline[timeline.length - 1];
+  const span = entry.endRatio - entry.startRatio;
+  const progress = span > 0 ? Math.min(1, Math.max(0, (ratio - entry.startRatio) / span)) : 0;
+  return Math.floor(entry.charStart + progress * (entry.charEnd - entry.charStart));
+}
+
+function findWordAt(text, offset) {
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index + match[0].length > offset) {
+      return { start: match.index, end: match.index + match[0].length };
+    }
+  }
+  return null;
+}
+
+function saveNarrationProgress(item, { currentTime, ratio = null }, { force = false } = {}) {
+  const tracking = narrationTracking?.itemId === item.id ? narrationTracking : null;
+  if (!tracking || !item.page?.url || !Array.isArray(item.page.segmentIds) || !item.segmentId) {
+    return;
+  }
+  const now = Date.now();
+  if (!force && now - tracking.lastSavedAt < READING_PROGRESS_SAVE_INTERVAL_MS) {
+    return;
+  }
+  tracking.lastSavedAt = now;
+  const chunkIndex = ratio !== null && tracking.timeline
+    ? Math.max(0, tracking.timeline.findIndex(entry => ratio < entry.endRatio))
+    : 0;
+  saveReadingProgress({
+    payload: {
+      url: item.page.url,
+      segmentIds: item.page.segmentIds,
+      segmentId: item.segmentId,
+      chunkIndex,
+      timeOffset: currentTime,
+    },
+  }).catch(error => {
+    logger.debug('Reading progress could not be saved.', { error });
+  });
+}
+
+function trackNarrationStart(item, audio) {
+  narrationTracking = {
+    itemId: item.id,
+    timeline: audio?.timeline || null,
+    lastWordStart: -1,
+    lastSavedAt: 0,
+  };
+  saveNarrationProgress(item, { currentTime: item.startTime || 0 }, { force: true });
+}
+
+/**
+ * Follow playback of a queued page segment: mark the word being spoken and
+ * periodically save the position reached.
+ *
+ * Args:
+ *   item: Queue item being played.
+ *   progress: `{currentTime, duration}` reported by the player, in seconds.
+ *
+ * Returns:
+ *   None.
+ *
+ * Side Effects:
+ *   Messages the tab being read and writes reading progress to storage.
+ */
+function trackNarrationProgress(item, { currentTime, duration }) {
+  const tracking = narrationTracking?.itemId === item.id ? narrationTracking : null;
+  if (!tracking) {
+    return;
+  }
+  const ratio = duration > 0 ? currentTime / duration : null;
+  const target = normaliseReadingTarget({ tabId: item.page?.tabId, segmentId: item.segmentId });
+  if (target && ratio !== null && tracking.timeline) {
+    const offset = estimateSpokenOffset(tracking.timeline, ratio);
+    const word = offset === null ? null : findWordAt(item.text, offset);
+    if (word && word.start !== tracking.lastWordStart) {
+      tracking.lastWordStart = word.start;
+      forwardReadingPosition(target, {
+        charIndex: word.start,
+        length: word.end - word.start,
+        granularity: 'word',
+      });
+    }
+  }
+  saveNarrationProgress(item, { currentTime, ratio });
+}
+
+function trackNarrationEnd(item, outcome, { position }) {
+  if (narrationTracking?.itemId === item.id) {
+    if (outcome === 'stopped') {
+      saveNarrationProgress(item, { currentTime: position }, { force: true });
+    }
+    if (narrationTracking.lastWordStart !== -1) {
+      sendReadingMessage({ tabId: item.page.tabId }, { type: 'comet:clearReadingPosition' });
+    }
+    narrationTracking = null;
+  }
+  if (outcome === 'finished' && item.page?.url && item.segmentId && item.index === item.total - 1) {
+    saveReadingProgress({ payload: { url: item.page.url, finished: true } }).catch(error => {
+      logger.debug('Reading progress could not be cleared.', { error });
+    });
+  }
+}
+
+async function resolveQueuedAdapterType(item) {
+  const settings = await resolveTtsSettings({ provider: item.provider, voice: item.voice, language: item.language });
+  return ensureTtsAdapterRegistration(settings.providerId).type;
+}
+
+function synthesiseQueuedItem(item, { playbackRate, signal } = {}) {
+  const highlight = item.page && item.segmentId ? { tabId: item.page.tabId, segmentId: item.segmentId } : null;
+  return handleSpeechRequest({
+    payload: {
+      text: item.text,
+      voice: item.voice,
+      language: item.language,
+      provider: item.provider,
+      rate: playbackRate,
+      highlight,
+      url: item.page?.url,
+    },
+    signal,
+  });
+}
+
+// Only one local engine speaks at a time, so controls go to each of them.
+function controlLocalSpeech(action) {
+  ['local', 'webspeech'].forEach(key => {
+    if (ttsAdapters.has(key)) {
+      ttsAdapters.get(key)[action]?.();
+    }
+  });
+}
+
+// Prefetching only starts while the upcoming item still fits the budgets,
+// priced the way synthesis prices it; otherwise it is synthesised, and
+// refused, when its turn comes.
+async function canPrefetchQueuedItem(item) {
+  if (!costTracker) {
+    return true;
+  }
+  const settings = await resolveTtsSettings({ provider: item.provider, voice: item.voice, language: item.language });
+  const estimate = await estimateCloudSpeech([item.text], settings.providerId, item.page?.url);
+  return estimate.withinLimit;
+}
+
+/**
+ * Return the background narration queue, creating it on first use.
+ *
+ * Returns:
+ *   The playback queue shared by every `comet:playback:*` message.
+ */
+function ensurePlaybackQueue() {
+  if (!playbackQueue) {
+    playbackQueue = createPlaybackQueue({
+      resolveAdapterType: resolveQueuedAdapterType,
+      synthesise: synthesiseQueuedItem,
+      canPrefetch: canPrefetchQueuedItem,
+      player: {
+        play: payload => sendPlayerCommand('play', payload),
+        pause: () => sendPlayerCommand('pause'),
+        resume: () => sendPlayerCommand('resume'),
+        seek: payload => sendPlayerCommand('seek', payload),
+        stop: () => sendPlayerCommand('stop'),
+        setPlaybackRate: payload => sendPlayerCommand('setPlaybackRate', payload),
+      },
+      localSpeech: {
+        pause: () => controlLocalSpeech('pause'),
+        resume: () => controlLocalSpeech('resume'),
+        stop: () => controlLocalSpeech('stop'),
+      },
+      hooks: {
+        onStateChange: handlePlaybackStateChange,
+        onItemStart: trackNarrationStart,
+        onProgress: trackNarrationProgress,
+        onItemEnd: handleQueuedItemEnd,
+      },
+    });
+  }
+  return playbackQueue;
+}
+
+/**
+ * Return the playback queue once the state saved before the worker was last
+ * stopped has been restored.
+ *
+ * Returns:
+ *   A promise resolving to the playback queue.
+ */
+function loadPlaybackQueue() {
+  if (!playbackRestorePromise) {
+    playbackRestorePromise = restorePlaybackSession()
+      .catch(error => {
+        logger.warn('Playback state could not be restored.', { error });
+      })
+      .then(() => ensurePlaybackQueue());
+  }
+  return playbackRestorePromise;
+}
+
+function handlePlaybackStateChange(status) {
+  broadcastPlaybackState(status);
+  persistPlaybackSession();
+}
+
+// The worker is stopped while narration is paused, so the queue and the
+// listening session are kept in session storage and restored on startup.
+function persistPlaybackSession() {
+  setSessionValue(PLAYBACK_SESSION_STORAGE_KEY, {
+    queue: playbackQueue ? playbackQueue.snapshot() : null,
+    listeningSession,
+    itemCounter: playbackItemCounter,
+  }).catch(error => {
+    logger.debug('Playback state could not be saved.', { error });
+  });
+}
+
+/**
+ * Rebuild the playback queue and listening session saved before the worker
+ * was stopped, reattaching to audio the offscreen player still holds.
+ *
+ * Returns:
+ *   A promise resolving once the saved state, if any, is restored.
+ *
+ * Side Effects:
+ *   Asks the player for its status, which may create the offscreen document.
+ */
+async function restorePlaybackSession() {
+  const saved = await getSessionValue(PLAYBACK_SESSION_STORAGE_KEY, null);
+  if (!saved) {
+    return;
+  }
+  playbackItemCounter = Math.max(playbackItemCounter, Number(saved.itemCounter) || 0);
+  listeningSession = listeningSession || saved.listeningSession || null;
+  if (!saved.queue) {
+    return;
+  }
+  let playerStatus = null;
+  if (saved.queue.current?.started) {
+    try {
+      playerStatus = await sendPlayerCommand('status');
+    } catch (error) {
+      logger.debug('Player status unavailable while restoring playback.', { error });
+    }
+  }
+  ensurePlaybackQueue().restore(saved.queue, playerStatus);
+}
+
+function normalisePlaybackPage(page) {
+  if (!page || !Number.isInteger(page.tabId)) {
+    return null;
+  }
+  return {
+    tabId: page.tabId,
+    url: typeof page.url === 'string' && page.url ? page.url : null,
+    segmentIds: Array.isArray(page.segmentIds) ? page.segmentIds.slice() : null,
+  };
+}
+
+/**
+ * Queue text for background narration. Page segments can resume from the
+ * saved reading position.
+ *
+ * Args:
+ *   message: Runtime message whose payload carries `items` (`{text,
+ *     segmentId?, label?}`), the optional `page` they come from (`{tabId,
+ *     url, segmentIds}`), speech settings (`voice`, `language`, `provider`,
+ *     `playbackRate`), a `replace` flag to drop whatever is queued, a
+ *     `resume` flag to start from the saved position, and the
+ *     `queueEntryId` of the listening queue entry the items belong to.
+ *
+ * Returns:
+ *   A promise resolving to the queue status plus whether playback `resumed`
+ *   from a saved position.
+ *
+ * Side Effects:
+ *   Starts synthesis and playback in the background.
+ */
+async function handlePlaybackEnqueue(message) {
+  const payload = message?.payload || {};
+  const items = (Array.isArray(payload.items) ? payload.items : [])
+    .filter(item => typeof item?.text === 'string' && item.text.trim().length > 0);
+  if (!items.length) {
+    throw new Error('There is no text to play.');
+  }
+  const page = normalisePlaybackPage(payload.page);
+
+  let startIndex = 0;
+  let startTime = 0;
+  if (payload.resume && page?.url) {
+    const saved = await getReadingProgress({ payload: { url: page.url } });
+    const index = saved && sameSegmentIds(saved.segmentIds, page.segmentIds)
+      ? items.findIndex(item => item.segmentId === saved.segmentId)
+      : -1;
+    if (index !== -1) {
+      startIndex = index;
+      startTime = saved.timeOffset || 0;
+    }
+  }
+  const resumed = Boolean(payload.resume) && (startIndex > 0 || startTime > 0);
+
+  const queue = await loadPlaybackQueue();
+  if (Number.isFinite(payload.playbackRate)) {
+    await queue.setPlaybackRate(payload.playbackRate);
+  }
+  const queued = items.slice(startIndex).map((item, offset) => {
+    playbackItemCounter += 1;
+    return {
+      id: `playback-${playbackItemCounter}`,
+      text: item.text,
+      label: typeof item.label === 'string' ? item.label : null,
+      segmentId: typeof item.segmentId === 'string' ? item.segmentId : null,
+      index: startIndex + offset,
+      total: items.length,
+      startTime: offset === 0 ? startTime : 0,
+      page,
+      queueEntryId: typeof payload.queueEntryId === 'string' ? payload.queueEntryId : null,
+      voice: payload.voice,
+      language: payload.language,
+      provider: payload.provider,
+    };
+  });
+  logger.info('Queueing background narration.', {
+    itemCount: queued.length,
+    startIndex,
+    resumed,
+    replace: Boolean(payload.replace),
+  });
+  const status = await queue.enqueue(queued, { replace: Boolean(payload.replace) });
+  return { ...status, resumed };
+}
+
+async function handleQueuedItemEnd(item, outcome, details) {
+  trackNarrationEnd(item, outcome, details);
+  if (item.queueEntryId && item.index === item.total - 1 && (outcome === 'finished' || outcome === 'skipped')) {
+    await advanceListeningQueue(item.queueEntryId);
+  }
+}
+
+function normaliseListeningQueue(value) {
+  const entries = Array.isArray(value?.entries) ? value.entries.filter(entry => entry && entry.id) : [];
+  const activeEntryId = entries.some(entry => entry.id === value?.activeEntryId) ? value.activeEntryId : null;
+  return { entries, activeEntryId };
+}
+
+function describeListeningQueue(queue) {
+  return {
+    activeEntryId: queue.activeEntryId,
+    entries: queue.entries.map(entry => ({
+      id: entry.id,
+      title: entry.title,
+      url: entry.url,
+      segmentCount: entry.segments.length,
+      addedAt: entry.addedAt,
+    })),
+  };
+}
+
+/**
+ * Apply a change to the stored listening queue.
+ *
+ * Args:
+ *   update: Function receiving `{entries, activeEntryId}` and returning the
+ *     next queue.
+ *
+ * Returns:
+ *   A promise resolving to the updated queue.
+ *
+ * Side Effects:
+ *   Writes to persistent storage and broadcasts `comet:queue:state`.
+ */
+async function updateListeningQueue(update) {
+  let next;
+  await withLock(LISTENING_QUEUE_STORAGE_KEY, async () => {
+    const current = normaliseListeningQueue(await getValue(LISTENING_QUEUE_STORAGE_KEY));
+    next = normaliseListeningQueue(update({ entries: current.entries.slice(), activeEntryId: current.activeEntryId }));
+    await setValue(LISTENING_QUEUE_STORAGE_KEY, next);
+  });
+  broadcastRuntimeMessage('comet:queue:state', describeListeningQueue(next));
+  return next;
+}
+
+async function loadListeningQueue() {
+  return normaliseListeningQueue(await getValue(LISTENING_QUEUE_STORAGE_KEY));
+}
+
+async function readTabDetails(tabId) {
+  try {
+    const tab = await runtime.tabs?.get?.(tabId);
+    return {
+      title: typeof tab?.title === 'string' ? tab.title : '',
+      url: typeof tab?.url === 'string' ? tab.url : '',
+    };
+  } catch (error) {
+    logger.debug('Unable to read tab details.', { tabId, error });
+    return { title: '', url: '' };
+  }
+}
+
+/**
+ * Add a tab to the listening queue. Its text is captured now, so the tab can
+ * be closed before its turn comes.
+ *
+ * Args:
+ *   message: Runtime message whose payload carries the `tabId` to capture.
+ *
+ * Returns:
+ *   A promise resolving to the listening queue description.
+ *
+ * Side Effects:
+ *   Requests the segments from the tab's content script and stores them.
+ */
+async function addToListeningQueue(message) {
+  const tabId = message?.payload?.tabId;
+  if (!Number.isInteger(tabId)) {
+    throw new Error('A tab is required to add a page to the listening queue.');
+  }
+  const response = await runtime.tabs.sendMessage(tabId, { type: 'comet:getSegments' });
+  if (!response?.ok) {
+    throw new Error('Unable to read page content.');
+  }
+  const url = response.result?.url;
+  const segments = (Array.isArray(response.result?.segments) ? response.result.segments : [])
+    .filter(segment => typeof segment?.text === 'string' && segment.text.trim().length > 0)
+    .map(segment => ({ id: segment.id, text: segment.text }));
+  if (!url || !segments.length) {
+    throw new Error('This page has no readable content to queue.');
+  }
+  const title = (await readTabDetails(tabId)).title || url;
+  const entry = {
+    id: `queue-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    tabId,
+    url,
+    title,
+    segments,
+    addedAt: Date.now(),
+  };
+  // Checked inside the update so two quick adds cannot both queue the page.
+  const queue = await updateListeningQueue(current => {
+    if (current.entries.some(existing => existing.url === url)) {
+      throw new Error('This page is already in the listening queue.');
+    }
+    return { ...current, entries: [...current.entries, entry] };
+  });
+  logger.info('Page added to listening queue.', { url, segmentCount: segments.length });
+  return describeListeningQueue(queue);
+}
+
+/**
+ * Remove an entry from the listening queue. Removing the entry being read
+ * stops it and moves on to the next one.
+ *
+ * Args:
+ *   message: Runtime message whose payload carries the `entryId`.
+ *
+ * Returns:
+ *   A promise resolving to the listening queue description.
+ */
+async function removeFromListeningQueue(message) {
+  const entryId = message?.payload?.entryId;
+  const queue = await loadListeningQueue();
+  const playing = (await loadPlaybackQueue()).status().current;
+  if (queue.activeEntryId === entryId && playing?.queueEntryId === entryId) {
+    await advanceListeningQueue(entryId, { replace: true });
+    return describeListeningQueue(await loadListeningQueue());
+  }
+  return describeListeningQueue(await updateListeningQueue(current => ({
+    entries: current.entries.filter(entry => entry.id !== entryId),
+    activeEntryId: current.activeEntryId === entryId ? null : current.activeEntryId,
+  })));
+}
+
+/**
+ * Move a listening queue entry to a new position.
+ *
+ * Args:
+ *   message: Runtime message whose payload carries the `entryId` and the
+ *     zero-based `index` to move it to.
+ *
+ * Returns:
+ *   A promise resolving to the listening queue description.
+ */
+async function moveListeningQueueEntry(message) {
+  const { entryId, index } = message?.payload || {};
+  if (!Number.isInteger(index)) {
+    throw new Error('A queue position is required to reorder the listening queue.');
+  }
+  return describeListeningQueue(await updateListeningQueue(current => {
+    const from = current.entries.findIndex(entry => entry.id === entryId);
+    if (from === -1) {
+      throw new Error('That page is no longer in the listening queue.');
+    }
+    const entries = current.entries.slice();
+    const [entry] = entries.splice(from, 1);
+    entries.splice(Math.min(Math.max(index, 0), entries.length), 0, entry);
+    return { ...current, entries };
+  }));
+}
+
+async function startListeningEntry(entry, { replace }) {
+  await updateListeningQueue(current => ({ ...current, activeEntryId: entry.id }));
+  logger.info('Reading listening queue entry.', { url: entry.url, replace });
+  return handlePlaybackEnqueue({
+    payload: {
+      ...listeningSession,
+      items: entry.segments.map(segment => ({ text: segment.text, segmentId: segment.id, label: entry.title })),
+      page: { tabId: entry.tabId, url: entry.url, segmentIds: entry.segments.map(segment => segment.id) },
+      queueEntryId: entry.id,
+      replace,
+      resume: true,
+    },
+  });
+}
+
+async function advanceListeningQueue(entryId, { replace = false } = {}) {
+  const queue = await updateListeningQueue(current => {
+    const entries = current.entries.filter(entry => entry.id !== entryId);
+    const removedIndex = current.entries.findIndex(entry => entry.id === entryId);
+    const nextEntry = removedIndex === -1 ? null : entries[removedIndex] || null;
+    return { entries, activeEntryId: nextEntry?.id || null };
   });
-  if (settings.type === 'cloud') {
-    const initProvider = settings.providerId && settings.providerId !== 'auto'
-      ? settings.providerId
-      : normaliseTtsPreference(message.payload?.provider);
-    await ensureInitialised(initProvider === 'auto' ? undefined : initProvider);
-  } else {
-    await ensureLoggingConfiguredOnce();
+  const next = queue.entries.find(entry => entry.id === queue.activeEntryId);
+  if (next && listeningSession) {
+    await startListeningEntry(next, { replace });
+  } else if (replace) {
+    await (await loadPlaybackQueue()).stop();
   }
-  const result = await synthesiseSpeech(message.payload, settings);
-  const usage = result.adapter.type === 'cloud' && costTracker
-    ? costTracker.toJSON()
-    : null;
-  return { audio: result.audio, usage };
 }
 
 /**
- * Return the current token usage snapshot.
+ * Start reading the listening queue, continuing any page that was
+ * interrupted from its saved position.
  *
  * Args:
- *   None.
+ *   message: Runtime message whose payload may name the `entryId` to start
+ *     from and carries the speech settings (`voice`, `language`,
+ *     `provider`, `playbackRate`) used for every queued page.
  *
  * Returns:
- *   A promise resolving to the serialised cost tracker state.
+ *   A promise resolving to the playback queue status.
  *
  * Side Effects:
- *   Ensures the service worker has been initialised, which may hydrate caches
- *   and providers on first access.
+ *   Replaces whatever is currently playing.
  */
-async function handleUsageRequest() {
-  logger.debug('Handling usage request.');
-  await ensureInitialised();
-  return costTracker.toJSON();
+async function playListeningQueue(message) {
+  const payload = message?.payload || {};
+  const queue = await loadListeningQueue();
+  const entry = queue.entries.find(item => item.id === payload.entryId)
+    || queue.entries.find(item => item.id === queue.activeEntryId)
+    || queue.entries[0];
+  if (!entry) {
+    throw new Error('The listening queue is empty.');
+  }
+  listeningSession = {
+    voice: payload.voice,
+    language: payload.language,
+    provider: payload.provider,
+    playbackRate: payload.playbackRate,
+  };
+  persistPlaybackSession();
+  return startListeningEntry(entry, { replace: true });
 }
 
-async function handleResetUsage() {
-  logger.info('Handling usage reset request.');
-  await ensureInitialised();
-  costTracker.reset();
-  await persistUsage();
-  return costTracker.toJSON();
+function normaliseExportTexts(texts) {
+  return (Array.isArray(texts) ? texts : [])
+    .filter(text => typeof text === 'string' && text.trim().length > 0);
 }
 
-async function handleSegmentsUpdated(message) {
-  const { url, segments } = message.payload;
-  logger.debug('Handling segments updated event.', {
-    url,
-    segmentCount: segments?.length,
+/**
+ * Estimate what exporting text as audio will cost before any speech is
+ * synthesised.
+ *
+ * Args:
+ *   message: Runtime message whose payload carries the `texts` to export,
+ *     the `url` of the page and the speech settings (`provider`, `voice`,
+ *     `language`).
+ *
+ * Returns:
+ *   A promise resolving to the TTS `provider`, the number of speech
+ *   requests, the estimated `tokens`, the estimated cost in USD (`costUsd`,
+ *   null when the model is unpriced), whether any text will be `truncated`
+ *   and whether the request fits the remaining budget (`withinLimit`).
+ */
+async function estimateAudioExport(message) {
+  const payload = message?.payload || {};
+  const texts = normaliseExportTexts(payload.texts);
+  if (!texts.length) {
+    throw new Error('There is no text to export.');
+  }
+  const settings = await prepareSpeechSettings(payload);
+  if (settings.type !== 'cloud') {
+    throw new Error('Exporting audio needs a cloud text-to-speech provider. Browser voices cannot be recorded.');
+  }
+  return estimateCloudSpeech(texts, settings.providerId, payload.url);
+}
+
+/**
+ * Estimate the requests, tokens and cost of synthesising text with a cloud
+ * speech provider, and whether it fits the remaining budgets.
+ *
+ * Args:
+ *   texts: Non-empty texts to synthesise.
+ *   ttsProviderId: Provider chosen in the speech settings, or `auto`.
+ *   url: Page the text comes from, when known.
+ *
+ * Returns:
+ *   A promise resolving to the same estimate as `estimateAudioExport`.
+ */
+async function estimateCloudSpeech(texts, ttsProviderId, url = null) {
+  const providerId = await getActiveProviderId(ttsProviderId);
+  const capabilities = resolveTtsProviderCapabilities(providerId);
+  const metadata = getCostMetadata(await ensureAdapter(providerId))?.synthesise || null;
+  let requestCount = 0;
+  let tokens = 0;
+  let truncated = false;
+  texts.forEach(text => {
+    const plan = createSpeechChunkPlan(text, capabilities);
+    requestCount += plan.chunks.length;
+    tokens += plan.metrics.deliveredTokenCount;
+    truncated = truncated || plan.metrics.truncated;
   });
-  const validSegmentIds = new Set((segments || []).map(segment => segment.id));
+  const costUsd = estimateSpeechSpend(
+    { ...metadata, model: metadata?.model || capabilities?.model },
+    tokens,
+    requestCount,
+  );
+  return {
+    provider: providerId,
+    requestCount,
+    tokens,
+    costUsd,
+    truncated,
+    withinLimit: !costTracker
+      || costTracker.canSpend(tokens, costUsd || 0, describeSpendContext(providerId, metadata?.label || 'tts', url)),
+  };
+}
 
-  for (const key of memoryCache.keys()) {
-    const entry = parseCacheKey(key);
-    if (!entry || entry.url !== url) {
-      continue;
+function buildExportFilename(title, extension) {
+  const base = String(title || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80);
+  return `${base || 'narration'}.${extension}`;
+}
+
+// Chromium service workers have no object URLs, so they fall back to a data
+// URL; Firefox's background page can still hand the download a blob.
+function createDownloadUrl(bytes, mimeType) {
+  try {
+    const url = URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+    return { url, revoke: () => URL.revokeObjectURL(url) };
+  } catch (error) {
+    logger.debug('Object URLs are unavailable; exporting through a data URL.', { error });
+    return { url: `data:${mimeType};base64,${toBase64(bytes.buffer)}`, revoke: () => {} };
+  }
+}
+
+// Releases the download URL once the browser has finished reading it, or
+// after a grace period when download progress cannot be observed.
+function revokeWhenDownloaded(downloadId, revoke) {
+  const onChanged = runtime.downloads?.onChanged;
+  if (downloadId === undefined || downloadId === null) {
+    revoke();
+    return;
+  }
+  if (typeof onChanged?.addListener !== 'function') {
+    setTimeout(revoke, AUDIO_EXPORT_URL_TTL_MS);
+    return;
+  }
+  const listener = delta => {
+    if (delta?.id === downloadId && ['complete', 'interrupted'].includes(delta.state?.current)) {
+      onChanged.removeListener(listener);
+      revoke();
     }
+  };
+  onChanged.addListener(listener);
+}
 
-    if (!validSegmentIds.has(entry.segmentId)) {
-      memoryCache.delete(key);
+async function downloadAudioFile(bytes, mimeType, filename) {
+  if (typeof runtime.downloads?.download !== 'function') {
+    throw new Error('Downloads are not available in this browser.');
+  }
+  const { url, revoke } = createDownloadUrl(bytes, mimeType);
+  let downloadId = null;
+  try {
+    downloadId = await runtime.downloads.download({ url, filename, saveAs: true });
+    return downloadId;
+  } finally {
+    revokeWhenDownloaded(downloadId, revoke);
+  }
+}
+
+/**
+ * Synthesise text and save it as a single audio file.
+ *
+ * Args:
+ *   message: Runtime message whose payload carries the `texts` to export,
+ *     the `format` (`mp3` or `wav`), the `tabId` and `url` of the page,
+ *     the speech settings, and `confirmed`, which must be true once the user
+ *     has accepted the estimate from `comet:export:estimate`.
+ *
+ * Returns:
+ *   A promise resolving to the download ID, file name, format, size in
+ *   bytes and the usage snapshot.
+ *
+ * Side Effects:
+ *   Records speech usage and starts a browser download.
+ */
+async function exportAudio(message) {
+  const payload = message?.payload || {};
+  if (payload.confirmed !== true) {
+    throw new Error('Confirm the estimated cost before exporting audio.');
+  }
+  const format = AUDIO_EXPORT_FORMATS[payload.format] ? payload.format : null;
+  if (!format) {
+    throw new Error('Choose MP3 or WAV to export audio.');
+  }
+  const estimate = await estimateAudioExport(message);
+  if (!estimate.withinLimit) {
+    throw new Error('Token limit reached for speech synthesis.');
+  }
+  const settings = await prepareSpeechSettings(payload);
+  const texts = normaliseExportTexts(payload.texts);
+  logger.info('Exporting narration audio.', { format, textCount: texts.length, requests: estimate.requestCount });
+
+  const parts = [];
+  let sourceMimeType = null;
+  for (const text of texts) {
+    const { audio } = await synthesiseSpeech(
+      { text, provider: payload.provider, voice: payload.voice, language: payload.language, url: payload.url },
+      settings,
+    );
+    if (audio?.base64) {
+      parts.push(base64ToUint8Array(audio.base64));
+      sourceMimeType = sourceMimeType || audio.mimeType;
+    }
+  }
+  const merged = parts.length > 1 && /^audio\/(x-)?wav/i.test(sourceMimeType || '')
+    ? joinWaveFiles(parts)
+    : concatenateUint8Arrays(parts);
+  if (!merged) {
+    throw new Error('The speech provider returned no audio to export.');
+  }
+
+  const tab = Number.isInteger(payload.tabId) ? await readTabDetails(payload.tabId) : { title: '', url: '' };
+  const url = typeof payload.url === 'string' && payload.url ? payload.url : tab.url;
+  const title = tab.title || url;
+  const metadata = { title, url, date: new Date().toISOString().slice(0, 10) };
+  let bytes;
+  if (format === 'wav') {
+    const wave = await sendPlayerCommand('encodeWav', { base64: toBase64(merged.buffer) });
+    bytes = addWaveMetadata(base64ToUint8Array(wave).buffer, metadata);
+  } else {
+    if (sourceMimeType && !/mpeg|mp3/i.test(sourceMimeType)) {
+      throw new Error(`This voice produces ${sourceMimeType} audio. Export it as WAV instead.`);
     }
+    bytes = concatenateUint8Arrays([createId3Tag(metadata), merged]);
+  }
+
+  const { extension, mimeType } = AUDIO_EXPORT_FORMATS[format];
+  const filename = buildExportFilename(title, extension);
+  const downloadId = await downloadAudioFile(bytes, mimeType, filename);
+  logger.info('Narration audio exported.', { format, bytes: bytes.length });
+  return {
+    downloadId,
+    filename,
+    format,
+    bytes: bytes.length,
+    usage: costTracker ? costTracker.toJSON() : null,
+  };
+}
+
+/**
+ * List the models a provider can serve, such as those installed on a local
+ * Ollama server.
+ *
+ * Args:
+ *   providerId: Provider identifier or alias to query.
+ *
+ * Returns:
+ *   A promise resolving to the provider identifier, the discovered models, and
+ *   the model currently selected for that provider.
+ */
+async function listProviderModels(providerId) {
+  await ensureLoggingConfiguredOnce();
+  const router = await ensureRouter();
+  const provider = resolveAlias(normaliseProviderId(providerId, preferredProviderId || activeProviderId));
+  logger.debug('Listing provider models.', { provider });
+  const models = await router.listModels(provider);
+  const config = await router.getProviderConfig(provider);
+  return { provider, models, selectedModel: config?.model || null };
+}
+
+/**
+ * Persist the model chosen for a provider and apply it to future requests.
+ *
+ * Args:
+ *   providerId: Provider identifier or alias.
+ *   model: Model name, or an empty value to restore the configured default.
+ *
+ * Returns:
+ *   A promise resolving to the provider identifier and the selected model.
+ *
+ * Side Effects:
+ *   Updates the stored model preferences and clears cached summaries, which
+ *   were produced by the previous model.
+ */
+async function setProviderModel(providerId, model) {
+  await ensureLoggingConfiguredOnce();
+  const router = await ensureRouter();
+  const provider = resolveAlias(normaliseProviderId(providerId, preferredProviderId || activeProviderId));
+  const selectedModel = typeof model === 'string' && model.trim() ? model.trim() : null;
+  const stored = (await getValue(PROVIDER_MODELS_STORAGE_KEY)) || {};
+  const next = { ...stored };
+  if (selectedModel) {
+    next[provider] = selectedModel;
+  } else {
+    delete next[provider];
   }
+  await setValue(PROVIDER_MODELS_STORAGE_KEY, next);
+  router.setModelOverride(provider, selectedModel);
+  logger.info('Provider model selected.', { provider, model: selectedModel });
+  memoryCache.clear();
   await persistCache();
-  return true;
+  return { provider, selectedModel };
+}
+
+/**
+ * Read the current selection from a tab's content script.
+ *
+ * Args:
+ *   tabId: Identifier of the tab holding the selection.
+ *   fallbackText: Selection text reported by the context menu, used when the
+ *     content script cannot be reached.
+ *
+ * Returns:
+ *   A promise resolving to the page URL and the selection segment, or a null
+ *   selection when nothing is selected.
+ */
+async function readTabSelection(tabId, fallbackText) {
+  try {
+    const response = await runtime.tabs.sendMessage(tabId, { type: 'comet:getSelection' });
+    if (response?.ok && response.result?.selection) {
+      return response.result;
+    }
+  } catch (error) {
+    logger.debug('Content script selection lookup failed.', { tabId, error });
+  }
+  const text = typeof fallbackText === 'string' ? fallbackText.replace(/\s+/g, ' ').trim() : '';
+  return {
+    url: null,
+    selection: text ? { id: createSelectionSegmentId(text), text, anchor: null } : null,
+  };
+}
+
+/**
+ * Show the progress of a context menu selection action on the toolbar icon.
+ *
+ * Args:
+ *   tabId: Tab the action was started from, or null for every tab.
+ *   text: Badge text, or an empty string to clear it.
+ *   title: Tooltip for the toolbar icon, or null to restore the default.
+ *
+ * Returns:
+ *   A promise resolving once the badge is updated.
+ */
+async function setSelectionBadge(tabId, text, title = null) {
+  const action = runtime.action;
+  if (typeof action?.setBadgeText !== 'function') {
+    return;
+  }
+  const target = Number.isInteger(tabId) ? { tabId } : {};
+  try {
+    await action.setBadgeText({ ...target, text });
+    const defaultTitle = runtime.runtime?.getManifest?.()?.action?.default_title || '';
+    await action.setTitle?.({ ...target, title: title ?? defaultTitle });
+  } catch (error) {
+    logger.debug('Unable to update the selection badge.', { tabId, error });
+  }
+}
+
+/**
+ * Run a selection action chosen from the context menu.
+ *
+ * The browser only opens the popup from a user gesture, which is gone once
+ * the selection has been read, so the action runs here instead. Summaries
+ * are stored apart from the page summaries for the popup to show, and
+ * narration goes to the background playback queue.
+ *
+ * Args:
+ *   info: Context menu click details.
+ *   tab: Tab in which the menu was invoked.
+ *
+ * Returns:
+ *   A promise resolving to the stored selection summary or the playback
+ *   status, or null when the click did not target a selection item or no
+ *   text was selected.
+ *
+ * Side Effects:
+ *   Issues provider requests, records usage and reports progress and the
+ *   outcome on the toolbar badge.
+ */
+async function handleSelectionMenuClick(info, tab) {
+  const item = SELECTION_MENU_ITEMS.find(entry => entry.id === info?.menuItemId);
+  if (!item) {
+    return null;
+  }
+  const tabId = tab?.id ?? null;
+  const { url, selection } = await readTabSelection(tabId, info.selectionText);
+  if (!selection) {
+    logger.warn('Selection menu clicked without selected text.', { action: item.action });
+    return null;
+  }
+  const pageUrl = url || info.pageUrl || tab?.url || null;
+  logger.info('Running selection action.', { action: item.action, segmentId: selection.id });
+  await setSelectionBadge(tabId, SELECTION_BADGE_TEXT.working, item.title);
+  try {
+    if (item.action === 'read') {
+      const status = await handlePlaybackEnqueue({
+        payload: {
+          items: [{ text: selection.text, segmentId: selection.id, label: 'Selection' }],
+          replace: true,
+        },
+      });
+      await setSelectionBadge(tabId, '');
+      return status;
+    }
+    const language = (await getValue('language')) || 'en';
+    await ensureInitialised();
+    const [result] = await summariseSegments({
+      url: pageUrl,
+      segments: [{ id: selection.id, text: selection.text }],
+      language,
+    });
+    const stored = {
+      tabId,
+      url: pageUrl,
+      selection: { id: selection.id, text: selection.text },
+      summary: result?.summary || '',
+      createdAt: Date.now(),
+    };
+    await setSessionValue(SELECTION_SUMMARY_STORAGE_KEY, stored);
+    await setSelectionBadge(tabId, SELECTION_BADGE_TEXT.ready, stored.summary);
+    return stored;
+  } catch (error) {
+    await setSelectionBadge(tabId, SELECTION_BADGE_TEXT.failed, error?.message || String(error));
+    throw error;
+  }
+}
+
+/**
+ * Return the latest selection summary made from the context menu.
+ *
+ * Returns:
+ *   A promise resolving to the stored selection summary, or null when none
+ *   has been made this session.
+ *
+ * Side Effects:
+ *   Clears the toolbar badge that announced the summary.
+ */
+async function getSelectionSummary() {
+  const stored = await getSessionValue(SELECTION_SUMMARY_STORAGE_KEY, null);
+  if (stored) {
+    await setSelectionBadge(stored.tabId, '');
+  }
+  return stored;
+}
+
+/**
+ * Add the page a context menu was opened on to the listening queue.
+ *
+ * Args:
+ *   info: Context menu click details.
+ *   tab: Tab in which the menu was invoked.
+ *
+ * Returns:
+ *   A promise resolving to the listening queue description, or null when the
+ *   click targeted another menu item.
+ */
+async function handleListeningQueueMenuClick(info, tab) {
+  if (info?.menuItemId !== LISTENING_QUEUE_MENU_ITEM.id) {
+    return null;
+  }
+  return addToListeningQueue({ payload: { tabId: tab?.id } });
+}
+
+/**
+ * Register the selection and listening queue context menu entries.
+ *
+ * Returns:
+ *   None.
+ *
+ * Side Effects:
+ *   Replaces any existing extension context menu items.
+ */
+function registerContextMenus() {
+  const menus = runtime.contextMenus;
+  if (typeof menus?.create !== 'function') {
+    return;
+  }
+  const create = () => {
+    SELECTION_MENU_ITEMS.forEach(({ id, title }) => {
+      menus.create({ id, title, contexts: ['selection'] });
+    });
+    menus.create({ ...LISTENING_QUEUE_MENU_ITEM, contexts: ['page'] });
+  };
+  if (typeof menus.removeAll === 'function') {
+    menus.removeAll(create);
+  } else {
+    create();
+  }
 }
 
 const handlers = {
@@ -2001,12 +4106,58 @@ const handlers = {
     'comet:setProvider',
     ({ payload }) => setActiveProvider(payload?.provider),
   ),
+  'comet:listModels': createRuntimeHandler(
+    'comet:listModels',
+    ({ payload }) => listProviderModels(payload?.provider),
+  ),
+  'comet:setProviderModel': createRuntimeHandler(
+    'comet:setProviderModel',
+    ({ payload }) => setProviderModel(payload?.provider, payload?.model),
+  ),
   'comet:summarise': createRuntimeHandler('comet:summarise', handleSummariseRequest),
   'comet:transcribe': createRuntimeHandler('comet:transcribe', handleTranscriptionRequest),
   'comet:synthesise': createRuntimeHandler('comet:synthesise', handleSpeechRequest),
   'comet:getUsage': createRuntimeHandler('comet:getUsage', handleUsageRequest),
   'comet:resetUsage': createRuntimeHandler('comet:resetUsage', handleResetUsage),
+  'comet:getUsageHistory': createRuntimeHandler('comet:getUsageHistory', handleUsageHistoryRequest),
   'comet:segmentsUpdated': createRuntimeHandler('comet:segmentsUpdated', handleSegmentsUpdated),
+  'comet:getSelectionSummary': createRuntimeHandler('comet:getSelectionSummary', getSelectionSummary),
+  'comet:saveReadingProgress': createRuntimeHandler('comet:saveReadingProgress', saveReadingProgress),
+  'comet:getReadingProgress': createRuntimeHandler('comet:getReadingProgress', getReadingProgress),
+  'comet:playback:enqueue': createRuntimeHandler('comet:playback:enqueue', handlePlaybackEnqueue),
+  'comet:playback:pause': createRuntimeHandler('comet:playback:pause', async () => (await loadPlaybackQueue()).pause()),
+  'comet:playback:resume': createRuntimeHandler(
+    'comet:playback:resume',
+    async () => (await loadPlaybackQueue()).resume(),
+  ),
+  'comet:playback:seek': createRuntimeHandler(
+    'comet:playback:seek',
+    async message => (await loadPlaybackQueue()).seek(Number(message?.payload?.seconds)),
+  ),
+  'comet:playback:skip': createRuntimeHandler('comet:playback:skip', async () => (await loadPlaybackQueue()).skip()),
+  'comet:playback:stop': createRuntimeHandler('comet:playback:stop', async () => (await loadPlaybackQueue()).stop()),
+  'comet:playback:status': createRuntimeHandler(
+    'comet:playback:status',
+    async () => (await loadPlaybackQueue()).status(),
+  ),
+  'comet:playback:setRate': createRuntimeHandler(
+    'comet:playback:setRate',
+    async message => (await loadPlaybackQueue()).setPlaybackRate(Number(message?.payload?.rate)),
+  ),
+  'comet:playback:event': createRuntimeHandler('comet:playback:event', async message => {
+    (await loadPlaybackQueue()).handlePlayerEvent(message?.payload);
+    return true;
+  }),
+  'comet:queue:add': createRuntimeHandler('comet:queue:add', addToListeningQueue),
+  'comet:queue:list': createRuntimeHandler(
+    'comet:queue:list',
+    async () => describeListeningQueue(await loadListeningQueue()),
+  ),
+  'comet:queue:remove': createRuntimeHandler('comet:queue:remove', removeFromListeningQueue),
+  'comet:queue:move': createRuntimeHandler('comet:queue:move', moveListeningQueueEntry),
+  'comet:queue:play': createRuntimeHandler('comet:queue:play', playListeningQueue),
+  'comet:export:estimate': createRuntimeHandler('comet:export:estimate', estimateAudioExport),
+  'comet:export:audio': createRuntimeHandler('comet:export:audio', exportAudio),
   'comet:getVoiceCapabilities': createRuntimeHandler(
     'comet:getVoiceCapabilities',
     ({ payload }) => resolveVoiceCapabilities(payload?.provider),
@@ -2085,6 +4236,38 @@ runtime.runtime.onMessage.addListener((rawMessage, sender, sendResponse) => {
   return handleRuntimeMessage(message, sender, sendResponse);
 });
 
+if (typeof runtime.runtime.onConnect?.addListener === 'function') {
+  runtime.runtime.onConnect.addListener(port => {
+    if (port?.name === SUMMARY_STREAM_PORT) {
+      handleSummaryStreamPort(port);
+    }
+  });
+}
+
+if (typeof runtime.runtime.onInstalled?.addListener === 'function') {
+  runtime.runtime.onInstalled.addListener(() => registerContextMenus());
+}
+
+if (typeof runtime.alarms?.create === 'function') {
+  const rollCycle = () => handleBillingCycleAlarm().catch(error => {
+    logger.error('Failed to roll the billing cycle.', { error });
+  });
+  runtime.alarms.onAlarm?.addListener(alarm => (alarm?.name === BILLING_CYCLE_ALARM ? rollCycle() : undefined));
+  runtime.runtime.onStartup?.addListener(rollCycle);
+  runtime.runtime.onInstalled?.addListener(rollCycle);
+}
+
+if (typeof runtime.contextMenus?.onClicked?.addListener === 'function') {
+  runtime.contextMenus.onClicked.addListener((info, tab) => {
+    handleSelectionMenuClick(info, tab).catch(error => {
+      logger.error('Failed to handle selection menu click.', { error });
+    });
+    handleListeningQueueMenuClick(info, tab).catch(error => {
+      logger.error('Failed to add the page to the listening queue.', { error });
+    });
+  });
+}
+
 /**
  * Inject a test adapter implementation.
  *
@@ -2149,8 +4332,10 @@ function __clearTestOverrides() {
   adapterInstance = null;
   adapterLoadPromise = null;
   loadingProviderId = null;
+  transcriptionTarget = null;
   costTracker = undefined;
   memoryCache = new Map();
+  audioCache = null;
   initialised = false;
   providerConfig = getFallbackProviderConfig();
   agentConfigSnapshot = null;
@@ -2158,7 +4343,7 @@ function __clearTestOverrides() {
   routingSettings = DEFAULT_ROUTING_CONFIG;
   llmRouter = null;
   ttsAdapters.clear();
-  ttsAdapters.register('local', createLocalTtsAdapter({ logger: adapterLogger.child({ provider: 'local-tts' }) }));
+  ttsAdapters.register('local', createBrowserTtsAdapter());
   ttsAdapters.register('auto', createCloudTtsAdapter('auto'));
 }
 
@@ -2191,11 +4376,12 @@ async function __transcribeForTests(payload) {
  * Side Effects:
  *   May invoke cloud adapters that record usage and persist token totals.
  */
-async function __synthesiseForTests(payload) {
-  return synthesiseSpeech(payload);
+async function __synthesiseForTests(payload, options) {
+  return synthesiseSpeech(payload, null, options);
 }
 
 export {
+  buildSegmentPromptText,
   ensureInitialised,
   getApiKeyDetails,
   getCacheKey,
@@ -2213,3 +4399,5 @@ export {
 ensureInitialised().catch(error => {
   logger.error('Failed to initialise service worker.', { error });
 });
+
+loadPlaybackQueue();
@@ -0,0 +1,183 @@
+import createLogger from '../../utils/logger.js';
+import { DEFAULT_AUDIO_CACHE_CONFIG } from '../../utils/providerConfig.js';
+
+const logger = createLogger({ name: 'tts-audio-cache' });
+
+const DATABASE_NAME = 'comet-audio-cache';
+const STORE_NAME = 'audio';
+
+function normaliseCacheText(text) {
+  return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+async function hashText(text) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function describeRecord(record) {
+  return { key: record.key, bytes: record.bytes, lastAccessed: record.lastAccessed };
+}
+
+/**
+ * Builds the cache key for synthesised speech. Text is whitespace-normalised
+ * and hashed, so the key never contains page content.
+ *
+ * @param {{text: string, voice?: string, model?: string, provider?: string}} details -
+ *   Synthesis request details.
+ * @returns {Promise<string>} Cache key.
+ */
+export async function createAudioCacheKey({ text, voice, model, provider }) {
+  const hash = await hashText(normaliseCacheText(text));
+  return [provider || 'auto', model || '', voice || '', hash].join('|');
+}
+
+/**
+ * Creates an audio cache store backed by IndexedDB. The database is opened on
+ * first use.
+ *
+ * @param {{indexedDB?: IDBFactory, name?: string}} [options] - IndexedDB
+ *   factory and database name overrides.
+ * @returns {{get: Function, put: Function, delete: Function, entries: Function}}
+ *   Store operations.
+ */
+export function createIndexedDbAudioStore({ indexedDB = globalThis.indexedDB, name = DATABASE_NAME } = {}) {
+  let databasePromise = null;
+
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  }
+
+  async function run(mode, action) {
+    const database = await openDatabase();
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Audio cache transaction aborted.'));
+    });
+  }
+
+  return {
+    get: key => run('readonly', store => store.get(key)),
+    put: record => run('readwrite', store => store.put(record)),
+    delete: key => run('readwrite', store => store.delete(key)),
+    entries: async () => (await run('readonly', store => store.getAll())).map(describeRecord),
+  };
+}
+
+/**
+ * Creates an in-memory audio cache store for contexts without IndexedDB.
+ *
+ * @returns {{get: Function, put: Function, delete: Function, entries: Function}}
+ *   Store operations.
+ */
+export function createMemoryAudioStore() {
+  const records = new Map();
+  return {
+    get: async key => records.get(key),
+    put: async record => {
+      records.set(record.key, record);
+    },
+    delete: async key => {
+      records.delete(key);
+    },
+    entries: async () => Array.from(records.values(), describeRecord),
+  };
+}
+
+function createDefaultAudioStore() {
+  if (typeof globalThis.indexedDB !== 'undefined') {
+    return createIndexedDbAudioStore();
+  }
+  logger.debug('IndexedDB unavailable; caching audio in memory.');
+  return createMemoryAudioStore();
+}
+
+/**
+ * Creates a least-recently-used cache for synthesised audio. Once the stored
+ * audio exceeds `maxBytes`, the entries read longest ago are evicted. Store
+ * failures are logged and treated as cache misses so synthesis still works.
+ *
+ * @param {{store?: object, maxBytes?: number, now?: Function}} [options] -
+ *   Backing store, byte ceiling (0 disables caching) and clock override.
+ * @returns {{get: Function, set: Function}}
+ *   Cache operations.
+ */
+export function createAudioCache({
+  store = createDefaultAudioStore(),
+  maxBytes = DEFAULT_AUDIO_CACHE_CONFIG.maxBytes,
+  now = () => Date.now(),
+} = {}) {
+  async function evict() {
+    const entries = (await store.entries()).sort((a, b) => a.lastAccessed - b.lastAccessed);
+    let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    for (const entry of entries) {
+      if (total <= maxBytes) {
+        break;
+      }
+      await store.delete(entry.key);
+      total -= entry.bytes;
+      logger.debug('Evicted cached audio.', { bytes: entry.bytes });
+    }
+  }
+
+  return {
+    /**
+     * Reads cached audio and marks it as recently used.
+     *
+     * @param {string} key - Key from {@link createAudioCacheKey}.
+     * @returns {Promise<object|null>} Cached value, or null on a miss.
+     */
+    async get(key) {
+      if (maxBytes <= 0) {
+        return null;
+      }
+      try {
+        const record = await store.get(key);
+        if (!record) {
+          return null;
+        }
+        await store.put({ ...record, lastAccessed: now() });
+        return record.value;
+      } catch (error) {
+        logger.warn('Audio cache read failed.', { error });
+        return null;
+      }
+    },
+    /**
+     * Stores audio, evicting older entries to stay under the byte ceiling.
+     * Audio larger than the ceiling is not stored.
+     *
+     * @param {string} key - Key from {@link createAudioCacheKey}.
+     * @param {object} value - Value to cache.
+     * @param {number} bytes - Size of the audio in bytes.
+     * @returns {Promise<void>}
+     */
+    async set(key, value, bytes) {
+      if (!Number.isFinite(bytes) || bytes <= 0 || bytes > maxBytes) {
+        return;
+      }
+      try {
+        await store.put({ key, value, bytes, lastAccessed: now() });
+        await evict();
+      } catch (error) {
+        logger.warn('Audio cache write failed.', { error });
+      }
+    },
+  };
+}
@@ -2,13 +2,16 @@ import createLogger from '../../utils/logger.js';
 
 /**
  * Creates a Chrome text-to-speech adapter that delegates synthesis to the
- * browser's built-in `chrome.tts` API.
+ * browser's built-in `chrome.tts` API. Word and sentence boundary events are
+ * reported through the optional `onBoundary` callback passed to `synthesise`,
+ * with `charIndex` relative to the trimmed text.
  *
  * @param {{ logger?: Console }} [options] - Optional logger override used to
  *   integrate with existing log scopes. The logger should expose `info`,
  *   `warn`, and `error` methods.
- * @returns {{ id: string, type: string, synthesise: Function }} Adapter
- *   implementation compatible with the TTS registry.
+ * @returns {{ id: string, type: string, synthesise: Function, pause: Function,
+ *   resume: Function, stop: Function }} Adapter implementation compatible
+ *   with the TTS registry.
  */
 export function createLocalTtsAdapter({ logger } = {}) {
   const localLogger = logger || createLogger({ name: 'tts-local' });
@@ -16,7 +19,7 @@ export function createLocalTtsAdapter({ logger } = {}) {
   return {
     id: 'local',
     type: 'local',
-    async synthesise({ text, voice, languageCode }) {
+    async synthesise({ text, voice, languageCode, rate, pitch, onBoundary }) {
       const phrase = typeof text === 'string' ? text.trim() : '';
       if (!phrase) {
         localLogger.warn('Local TTS request ignored due to empty text input.');
@@ -41,6 +44,12 @@ export function createLocalTtsAdapter({ logger } = {}) {
         if (languageCode) {
           options.lang = languageCode;
         }
+        if (Number.isFinite(rate) && rate > 0) {
+          options.rate = Math.min(10, Math.max(0.1, rate));
+        }
+        if (Number.isFinite(pitch)) {
+          options.pitch = Math.min(2, Math.max(0, pitch));
+        }
 
         options.onEvent = event => {
           if (!event) {
@@ -53,6 +62,16 @@ export function createLocalTtsAdapter({ logger } = {}) {
           } else if (event.type === 'end' || event.type === 'interrupted' || event.type === 'cancelled' || event.type === 'stopped') {
             localLogger.debug('Chrome TTS playback finished.', { type: event.type });
             resolve({ base64: null, mimeType: null });
+          } else if (
+            (event.type === 'word' || event.type === 'sentence')
+            && typeof onBoundary === 'function'
+            && Number.isFinite(event.charIndex)
+          ) {
+            onBoundary({
+              type: event.type,
+              charIndex: event.charIndex,
+              length: Number.isFinite(event.length) ? event.length : 0,
+            });
           }
         };
 
@@ -67,6 +86,15 @@ export function createLocalTtsAdapter({ logger } = {}) {
         }
       });
     },
+    pause() {
+      chrome?.tts?.pause?.();
+    },
+    resume() {
+      chrome?.tts?.resume?.();
+    },
+    stop() {
+      chrome?.tts?.stop?.();
+    },
   };
 }
 
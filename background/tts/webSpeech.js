@@ -0,0 +1,157 @@
+import createLogger from '../../utils/logger.js';
+
+const VOICE_LOAD_TIMEOUT_MS = 1000;
+const INTERRUPTION_ERRORS = new Set(['interrupted', 'canceled']);
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function wordLengthAt(text, index) {
+  const match = /^\S+/u.exec(text.slice(index));
+  return match ? match[0].length : 0;
+}
+
+/**
+ * Creates a local text-to-speech adapter backed by the Web Speech API
+ * (`speechSynthesis` and `SpeechSynthesisUtterance`). The API only exists in
+ * document contexts, such as Firefox's background page, so this adapter
+ * stands in for the `chrome.tts` adapter where that API is missing. Word and
+ * sentence boundaries are reported through `onBoundary`, with `charIndex`
+ * relative to the trimmed text.
+ *
+ * @param {{ logger?: Console, speechSynthesis?: SpeechSynthesis, Utterance?: Function }} [options] -
+ *   Optional logger and speech engine overrides.
+ * @returns {{ id: string, type: string, synthesise: Function, listVoices: Function,
+ *   pause: Function, resume: Function, stop: Function }} Adapter
+ *   implementation compatible with the TTS registry.
+ */
+export function createWebSpeechTtsAdapter({
+  logger,
+  speechSynthesis = globalThis.speechSynthesis,
+  Utterance = globalThis.SpeechSynthesisUtterance,
+} = {}) {
+  const localLogger = logger || createLogger({ name: 'tts-web-speech' });
+
+  // Browsers load the voice list asynchronously, so the first read can be
+  // empty until `voiceschanged` fires.
+  async function loadVoices() {
+    const voices = speechSynthesis.getVoices() || [];
+    if (voices.length || typeof speechSynthesis.addEventListener !== 'function') {
+      return voices;
+    }
+    return new Promise(resolve => {
+      const finish = () => {
+        clearTimeout(timer);
+        speechSynthesis.removeEventListener('voiceschanged', finish);
+        resolve(speechSynthesis.getVoices() || []);
+      };
+      const timer = setTimeout(finish, VOICE_LOAD_TIMEOUT_MS);
+      speechSynthesis.addEventListener('voiceschanged', finish);
+    });
+  }
+
+  return {
+    id: 'webspeech',
+    type: 'local',
+    /**
+     * Lists the voices the browser offers.
+     *
+     * @returns {Promise<Array<{name: string, language: string, localService: boolean, default: boolean}>>}
+     *   Available voices, or an empty list without Web Speech support.
+     */
+    async listVoices() {
+      if (!speechSynthesis) {
+        return [];
+      }
+      const voices = await loadVoices();
+      return voices.map(voice => ({
+        name: voice.name,
+        language: voice.lang,
+        localService: Boolean(voice.localService),
+        default: Boolean(voice.default),
+      }));
+    },
+    async synthesise({ text, voice, languageCode, rate, pitch, onBoundary }) {
+      const phrase = typeof text === 'string' ? text.trim() : '';
+      if (!phrase) {
+        localLogger.warn('Web Speech request ignored due to empty text input.');
+        return { base64: null, mimeType: null };
+      }
+
+      if (!speechSynthesis || typeof Utterance !== 'function') {
+        throw new Error('Web Speech synthesis is not available in this environment.');
+      }
+
+      const utterance = new Utterance(phrase);
+      if (voice) {
+        const match = (await loadVoices()).find(candidate => candidate.name === voice);
+        if (match) {
+          utterance.voice = match;
+        } else {
+          localLogger.debug('Requested Web Speech voice is not installed.', { voice });
+        }
+      }
+      if (languageCode) {
+        utterance.lang = languageCode;
+      }
+      if (Number.isFinite(rate) && rate > 0) {
+        utterance.rate = clamp(rate, 0.1, 10);
+      }
+      if (Number.isFinite(pitch)) {
+        utterance.pitch = clamp(pitch, 0, 2);
+      }
+
+      localLogger.info('Dispatching Web Speech request.', {
+        voice,
+        language: languageCode,
+        textLength: phrase.length,
+      });
+
+      return new Promise((resolve, reject) => {
+        utterance.onend = () => {
+          localLogger.debug('Web Speech playback finished.');
+          resolve({ base64: null, mimeType: null });
+        };
+        utterance.onerror = event => {
+          if (INTERRUPTION_ERRORS.has(event?.error)) {
+            resolve({ base64: null, mimeType: null });
+            return;
+          }
+          localLogger.error('Web Speech reported an error.', { error: event?.error });
+          reject(new Error(`Local text-to-speech failed: ${event?.error || 'unknown error'}.`));
+        };
+        utterance.onboundary = event => {
+          if (typeof onBoundary !== 'function' || !Number.isFinite(event?.charIndex)) {
+            return;
+          }
+          // Firefox does not report charLength, so fall back to the word at the index.
+          onBoundary({
+            type: event.name === 'sentence' ? 'sentence' : 'word',
+            charIndex: event.charIndex,
+            length: event.charLength > 0 ? event.charLength : wordLengthAt(phrase, event.charIndex),
+          });
+        };
+
+        try {
+          speechSynthesis.cancel();
+          speechSynthesis.speak(utterance);
+        } catch (error) {
+          localLogger.error('Web Speech invocation failed.', { error });
+          reject(error);
+        }
+      });
+    },
+    pause() {
+      speechSynthesis?.pause();
+    },
+    resume() {
+      speechSynthesis?.resume();
+    },
+    stop() {
+      speechSynthesis?.cancel();
+    },
+  };
+}
+
+export default createWebSpeechTtsAdapter;
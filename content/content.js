@@ -105,19 +105,35 @@
 
   await logger.info('Content script initialising.');
 
-  let extractVisibleText;
+  let extractStructuredSegments;
+  let EXTRACTION_MODES;
+  let DEFAULT_EXTRACTION_MODE;
   let createSegmentMap;
   let clearHighlights;
   let findTextRange;
+  let highlightNodes;
+  let resolveXPath;
+  let describeSelection;
+  let highlightReadingPosition;
+  let READING_SENTENCE_CLASS;
+  let READING_WORD_CLASS;
   let observeMutations;
   let throttle;
 
   try {
     ({
-      extractVisibleText,
+      extractStructuredSegments,
+      EXTRACTION_MODES,
+      DEFAULT_EXTRACTION_MODE,
       createSegmentMap,
       clearHighlights,
       findTextRange,
+      highlightNodes,
+      resolveXPath,
+      describeSelection,
+      highlightReadingPosition,
+      READING_SENTENCE_CLASS,
+      READING_WORD_CLASS,
       observeMutations,
       throttle,
     } = await domModulePromise);
@@ -137,6 +153,18 @@
   let observer;
   let activeHighlightId = null;
   let disposed = false;
+  let extractionMode = DEFAULT_EXTRACTION_MODE;
+
+  const EXTRACTION_MODE_STORAGE_KEY = 'extractionMode';
+  const storageApi = (() => {
+    if (typeof chrome === 'object' && chrome?.storage?.local) {
+      return chrome.storage;
+    }
+    if (typeof browser === 'object' && browser?.storage?.local) {
+      return browser.storage;
+    }
+    return null;
+  })();
 
   function getContentContextMetadata() {
     const meta = {};
@@ -263,6 +291,7 @@
     window.removeEventListener('error', handleWindowError);
     window.removeEventListener('unhandledrejection', handleUnhandledRejection);
     document.removeEventListener('scroll', throttledUpdate);
+    storageApi?.onChanged?.removeListener?.(handleStorageChange);
     logger.info('Content script disposed.');
   }
 
@@ -297,20 +326,69 @@
     }
   }
 
+  function normaliseExtractionMode(value) {
+    return Object.values(EXTRACTION_MODES || {}).includes(value) ? value : DEFAULT_EXTRACTION_MODE;
+  }
+
+  /**
+   * Reads the stored extraction mode preference written by the popup.
+   *
+   * @returns {Promise<string>} Resolves with a supported extraction mode.
+   */
+  function readExtractionMode() {
+    if (!storageApi?.local?.get) {
+      return Promise.resolve(DEFAULT_EXTRACTION_MODE);
+    }
+    return new Promise(resolve => {
+      const settle = items => resolve(normaliseExtractionMode(items?.[EXTRACTION_MODE_STORAGE_KEY]));
+      try {
+        const maybePromise = storageApi.local.get(EXTRACTION_MODE_STORAGE_KEY, items => {
+          const lastError = getRuntimeLastError();
+          if (lastError) {
+            logger.debug('Failed to read extraction mode preference.', { error: lastError });
+          }
+          settle(items);
+        });
+        if (maybePromise && typeof maybePromise.then === 'function') {
+          maybePromise.then(settle, () => settle(null));
+        }
+      } catch (error) {
+        handleRuntimeFailure(error);
+        settle(null);
+      }
+    });
+  }
+
+  function handleStorageChange(changes, areaName) {
+    if (disposed || areaName !== 'local' || !changes?.[EXTRACTION_MODE_STORAGE_KEY]) {
+      return;
+    }
+    const nextMode = normaliseExtractionMode(changes[EXTRACTION_MODE_STORAGE_KEY].newValue);
+    if (nextMode === extractionMode) {
+      return;
+    }
+    logger.info('Extraction mode changed.', { from: extractionMode, to: nextMode });
+    extractionMode = nextMode;
+    buildSegments();
+  }
+
   /**
    * Rebuilds the list of text segments by traversing the document and informs
-   * the background script of the latest segment metadata.
+   * the background script of the latest segment metadata. Article mode keeps
+   * only the main content container; full mode walks every visible node.
+   * Segments carry their heading path and block anchors.
    */
   function buildSegments() {
     if (disposed) {
       return;
     }
-    logger.debug('Rebuilding text segments.');
-    const texts = extractVisibleText(document.body, {
+    logger.debug('Rebuilding text segments.', { extractionMode });
+    const structured = extractStructuredSegments(document.body, {
       maxLength: 4000,
       minSegmentLength: 500,
+      mode: extractionMode,
     });
-    segments = createSegmentMap(texts);
+    segments = createSegmentMap(structured);
     logger.debug('Segments rebuilt.', { count: segments.length });
     safeSendRuntimeMessage({
       type: 'comet:segmentsUpdated',
@@ -337,6 +415,18 @@
       logger.debug('Requested segment not found.', { segmentId });
       return false;
     }
+    const anchors = (Array.isArray(segment.blocks) ? segment.blocks : [])
+      .map(block => resolveXPath(block.xpath))
+      .filter(Boolean);
+    if (anchors.length) {
+      const marks = highlightNodes(anchors);
+      if (marks.length) {
+        marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        activeHighlightId = segmentId;
+        return true;
+      }
+      logger.debug('Segment anchors could not be highlighted; using text search.', { segmentId });
+    }
     const snippet = segment.text.slice(0, 200);
     const words = snippet.split(' ').slice(0, 25).join(' ');
     const range = findTextRange(words);
@@ -355,6 +445,61 @@
     return false;
   }
 
+  const READING_STYLE_ID = 'comet-reader-reading-style';
+
+  /**
+   * Injects the styles for the read-aloud sentence and word marks once.
+   */
+  function ensureReadingStyles() {
+    if (document.getElementById(READING_STYLE_ID)) {
+      return;
+    }
+    const style = document.createElement('style');
+    style.id = READING_STYLE_ID;
+    style.textContent = [
+      `mark.${READING_SENTENCE_CLASS} { background-color: rgba(255, 213, 79, 0.35); color: inherit; }`,
+      `mark.${READING_WORD_CLASS} { background-color: #ffd54f; color: #000; border-radius: 2px; }`,
+    ].join('\n');
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  function clearReadingPosition() {
+    clearHighlights(READING_SENTENCE_CLASS);
+    clearHighlights(READING_WORD_CLASS);
+  }
+
+  /**
+   * Marks the sentence and word currently being read aloud within a segment.
+   *
+   * @param {{segmentId: string, charIndex: number, length?: number, granularity?: string}} position -
+   *   Spoken position relative to the segment text.
+   * @returns {boolean} True when the position was highlighted.
+   */
+  function showReadingPosition({ segmentId, charIndex, length, granularity } = {}) {
+    clearReadingPosition();
+    if (disposed) {
+      return false;
+    }
+    const segment = segments.find(item => item.id === segmentId);
+    if (!segment) {
+      logger.debug('Reading position refers to an unknown segment.', { segmentId });
+      return false;
+    }
+    const roots = (Array.isArray(segment.blocks) ? segment.blocks : [])
+      .map(block => resolveXPath(block.xpath))
+      .filter(Boolean);
+    if (!roots.length) {
+      return false;
+    }
+    ensureReadingStyles();
+    const marks = highlightReadingPosition(roots, segment.text, { charIndex, length, granularity });
+    if (!marks.length) {
+      return false;
+    }
+    marks[0].scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    return true;
+  }
+
   const throttledUpdate = throttle(buildSegments, 2000);
 
   window.addEventListener('error', handleWindowError);
@@ -379,6 +524,12 @@
     document.addEventListener('scroll', throttledUpdate, { passive: true });
   }
 
+  extractionMode = await readExtractionMode();
+  if (disposed) {
+    return;
+  }
+  storageApi?.onChanged?.addListener?.(handleStorageChange);
+
   buildSegments();
   ensureObservers();
 
@@ -410,13 +561,37 @@
           return true;
         }
 
+        if (incomingMessage.type === 'comet:highlightReadingPosition') {
+          const ok = showReadingPosition(incomingMessage.payload);
+          respond({ ok, segmentId: incomingMessage.payload?.segmentId });
+          return true;
+        }
+
+        if (incomingMessage.type === 'comet:clearReadingPosition') {
+          clearReadingPosition();
+          respond({ ok: true });
+          return true;
+        }
+
         if (incomingMessage.type === 'comet:clearHighlights') {
           clearHighlights();
+          clearReadingPosition();
           activeHighlightId = null;
           respond({ ok: true });
           return true;
         }
 
+        if (incomingMessage.type === 'comet:getSelection') {
+          respond({
+            ok: true,
+            result: {
+              url: window.location.href,
+              selection: describeSelection(),
+            },
+          });
+          return true;
+        }
+
         if (incomingMessage.type === 'comet:refreshSegments') {
           buildSegments();
           respond({
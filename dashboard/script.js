@@ -0,0 +1,277 @@
+import createLogger, { loadLoggingConfig, setGlobalContext } from '../utils/logger.js';
+import { collectRequests, requestsToCsv, summariseUsage } from '../utils/usageAnalytics.js';
+
+/**
+ * Usage dashboard opened as the extension's options page. It reads the
+ * persisted `comet:usage` snapshot and the archived billing cycles through
+ * the background worker, charts daily usage, breaks it down by provider,
+ * model, request type and site, and exports the raw request log.
+ *
+ * @module dashboard/script
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CHART_DAYS = 366;
+const TOP_PAGE_COUNT = 10;
+
+const runtime = globalThis.chrome?.runtime || globalThis.browser?.runtime;
+const usesBrowserPromises = typeof globalThis.browser !== 'undefined' && runtime === globalThis.browser.runtime;
+
+const logger = createLogger({ name: 'usage-dashboard', component: 'dashboard' });
+
+setGlobalContext({ runtime: 'dashboard' });
+
+const elements = {};
+const state = {
+  usage: null,
+  history: [],
+  range: 'cycle',
+  metric: 'totalTokens',
+};
+
+function sendMessage(type, payload) {
+  const message = { type, payload };
+  const unwrap = response => {
+    if (!response || response.success === false || response.ok === false) {
+      throw new Error(response?.error || 'Request failed.');
+    }
+    return response.result;
+  };
+  if (usesBrowserPromises) {
+    return runtime.sendMessage(message).then(unwrap);
+  }
+  return new Promise((resolve, reject) => {
+    runtime.sendMessage(message, response => {
+      if (runtime.lastError) {
+        reject(new Error(runtime.lastError.message || 'Request failed.'));
+        return;
+      }
+      try {
+        resolve(unwrap(response));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+function formatTokens(value) {
+  return Number.isFinite(value) ? value.toLocaleString() : '0';
+}
+
+function formatUsd(value) {
+  if (!Number.isFinite(value)) {
+    return '$0.00';
+  }
+  const digits = value > 0 && value < 0.01 ? 4 : 2;
+  return `$${value.toFixed(digits)}`;
+}
+
+function formatMetric(value) {
+  return state.metric === 'spendUsd' ? formatUsd(value) : formatTokens(value);
+}
+
+function setStatus(text) {
+  elements.status.textContent = text;
+}
+
+function selectRequests() {
+  return state.range === 'all'
+    ? collectRequests(state.usage, state.history)
+    : collectRequests(state.usage);
+}
+
+// The chart spans the selected period: from the last reset for the current
+// cycle, or from the oldest retained request.
+function resolveChartDays(requests, now) {
+  const since = state.range === 'all'
+    ? requests[0]?.timestamp
+    : state.usage?.lastReset;
+  if (!Number.isFinite(since) || since > now) {
+    return 1;
+  }
+  return Math.min(MAX_CHART_DAYS, Math.floor((now - since) / DAY_MS) + 1);
+}
+
+function appendTotal(label, value) {
+  const term = document.createElement('dt');
+  term.textContent = label;
+  const definition = document.createElement('dd');
+  definition.textContent = value;
+  elements.totals.append(term, definition);
+}
+
+function renderTotals(summary) {
+  elements.totals.replaceChildren();
+  appendTotal('Requests', formatTokens(summary.totals.requests));
+  appendTotal('Tokens', formatTokens(summary.totals.totalTokens));
+  appendTotal('Spend', formatUsd(summary.totals.spendUsd));
+  if (summary.totals.unpricedRequests > 0) {
+    appendTotal('Unpriced requests', formatTokens(summary.totals.unpricedRequests));
+  }
+  if (state.range === 'cycle' && Number.isFinite(state.usage?.lastReset)) {
+    appendTotal('Cycle started', new Date(state.usage.lastReset).toLocaleDateString());
+  }
+}
+
+function renderDailyChart(daily) {
+  const peak = Math.max(0, ...daily.map(day => day[state.metric]));
+  const bars = daily.map(day => {
+    const bar = document.createElement('div');
+    bar.className = 'daily-bar';
+    bar.style.height = peak > 0 ? `${(day[state.metric] / peak) * 100}%` : '0';
+    bar.title = `${day.date}: ${formatMetric(day[state.metric])} (${formatTokens(day.requests)} requests)`;
+    return bar;
+  });
+  elements.dailyChart.replaceChildren(...bars);
+  elements.dailyChart.setAttribute(
+    'aria-label',
+    `Daily ${state.metric === 'spendUsd' ? 'spend' : 'tokens'} from ${daily[0].date} to ${daily[daily.length - 1].date}, peaking at ${formatMetric(peak)}.`,
+  );
+
+  const axis = document.createElement('div');
+  axis.className = 'daily-axis';
+  const first = document.createElement('span');
+  first.textContent = daily[0].date;
+  const last = document.createElement('span');
+  last.textContent = daily[daily.length - 1].date;
+  axis.append(first, last);
+  elements.dailyAxis?.remove();
+  elements.dailyAxis = axis;
+  elements.dailyChart.after(axis);
+}
+
+function createTable(headings, rows) {
+  if (!rows.length) {
+    const empty = document.createElement('p');
+    empty.className = 'empty';
+    empty.textContent = 'No requests recorded.';
+    return empty;
+  }
+  const table = document.createElement('table');
+  const headerRow = table.createTHead().insertRow();
+  headings.forEach(heading => {
+    const cell = document.createElement('th');
+    cell.scope = 'col';
+    cell.textContent = heading;
+    headerRow.append(cell);
+  });
+  const body = table.createTBody();
+  rows.forEach(values => {
+    const row = body.insertRow();
+    values.forEach(value => {
+      row.insertCell().textContent = value;
+    });
+  });
+  return table;
+}
+
+function describeGroup(group) {
+  return [formatTokens(group.requests), formatTokens(group.totalTokens), formatUsd(group.spendUsd)];
+}
+
+function renderBreakdowns(summary) {
+  elements.breakdowns.forEach(container => {
+    const groups = summary[container.dataset.breakdown] || [];
+    const heading = container.querySelector('h3');
+    container.replaceChildren(
+      heading,
+      createTable(['Name', 'Requests', 'Tokens', 'Spend'], groups.map(group => [group.key, ...describeGroup(group)])),
+    );
+  });
+  elements.topPages.replaceChildren(createTable(
+    ['Page', 'Requests', 'Tokens', 'Spend'],
+    summary.topPages.map(page => [page.url, ...describeGroup(page)]),
+  ));
+}
+
+function render() {
+  const now = Date.now();
+  const requests = selectRequests();
+  const summary = summariseUsage(requests, {
+    now,
+    days: resolveChartDays(requests, now),
+    topPages: TOP_PAGE_COUNT,
+  });
+  renderTotals(summary);
+  renderDailyChart(summary.daily);
+  renderBreakdowns(summary);
+  elements.exportCsv.disabled = requests.length === 0;
+  elements.exportJson.disabled = requests.length === 0;
+}
+
+async function refresh() {
+  setStatus('Loading usage…');
+  try {
+    const [usage, history] = await Promise.all([
+      sendMessage('comet:getUsage'),
+      sendMessage('comet:getUsageHistory'),
+    ]);
+    state.usage = usage || null;
+    state.history = Array.isArray(history) ? history : [];
+    render();
+    setStatus(`Updated ${new Date().toLocaleTimeString()}.`);
+  } catch (error) {
+    logger.error('Failed to load usage.', { error });
+    setStatus(error?.message || 'Unable to load usage.');
+  }
+}
+
+function download(contents, mimeType, extension) {
+  const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `comet-usage-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  // Revoked on the next task so the download has started reading the blob.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportRequests(format) {
+  const requests = selectRequests();
+  if (format === 'csv') {
+    download(requestsToCsv(requests), 'text/csv', 'csv');
+  } else {
+    download(JSON.stringify(requests, null, 2), 'application/json', 'json');
+  }
+  logger.info('Usage log exported.', { format, requests: requests.length, range: state.range });
+  setStatus(`Exported ${formatTokens(requests.length)} requests.`);
+}
+
+function bindEvents() {
+  elements.range.addEventListener('change', () => {
+    state.range = elements.range.value;
+    render();
+  });
+  elements.metric.addEventListener('change', () => {
+    state.metric = elements.metric.value;
+    render();
+  });
+  elements.refresh.addEventListener('click', () => refresh());
+  elements.exportCsv.addEventListener('click', () => exportRequests('csv'));
+  elements.exportJson.addEventListener('click', () => exportRequests('json'));
+}
+
+async function init() {
+  await loadLoggingConfig().catch(() => {});
+  elements.range = document.getElementById('rangeSelect');
+  elements.metric = document.getElementById('metricSelect');
+  elements.refresh = document.getElementById('refreshBtn');
+  elements.exportCsv = document.getElementById('exportCsvBtn');
+  elements.exportJson = document.getElementById('exportJsonBtn');
+  elements.totals = document.getElementById('totals');
+  elements.dailyChart = document.getElementById('dailyChart');
+  elements.breakdowns = [...document.querySelectorAll('[data-breakdown]')];
+  elements.topPages = document.getElementById('topPages');
+  elements.status = document.getElementById('status');
+  bindEvents();
+  await refresh();
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => init(), { once: true });
+} else {
+  init();
+}
@@ -0,0 +1,62 @@
+import createLogger from '../utils/logger.js';
+import { createAudioPlayer, encodeWaveFromBase64 } from '../utils/audio.js';
+
+/**
+ * Offscreen document that owns background audio playback. Service workers
+ * cannot play or decode audio, so the worker forwards player commands and
+ * WAV encoding requests here and follows progress through
+ * `comet:playback:event` messages.
+ *
+ * @module offscreen/offscreen
+ */
+
+const logger = createLogger({ name: 'offscreen-player' });
+const runtime = globalThis.chrome?.runtime || globalThis.browser?.runtime;
+
+function notifyWorker(event) {
+  try {
+    runtime.sendMessage({ type: 'comet:playback:event', payload: event }, () => {
+      const lastError = runtime.lastError;
+      if (lastError && lastError.message) {
+        logger.trace('Playback event reported runtime warning.', { message: lastError.message });
+      }
+    });
+  } catch (error) {
+    logger.debug('Failed to forward playback event.', { error, type: event.type });
+  }
+}
+
+const player = createAudioPlayer({ onEvent: notifyWorker });
+
+const COMMANDS = Object.freeze({
+  play: payload => player.play(payload),
+  pause: () => player.pause(),
+  resume: () => player.resume(),
+  seek: payload => player.seek(payload),
+  stop: () => player.stop(),
+  setPlaybackRate: payload => player.setPlaybackRate(payload),
+  status: () => player.status(),
+  encodeWav: payload => encodeWaveFromBase64(payload),
+});
+
+runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (!message || message.target !== 'offscreen' || message.type !== 'comet:offscreen:command') {
+    return false;
+  }
+  const { command, ...payload } = message.payload || {};
+  const handler = COMMANDS[command];
+  if (!handler) {
+    sendResponse({ ok: false, error: `Unknown player command: ${command}` });
+    return false;
+  }
+  Promise.resolve()
+    .then(() => handler(payload))
+    .then(
+      result => sendResponse({ ok: true, result }),
+      error => {
+        logger.error('Player command failed.', { error, command });
+        sendResponse({ ok: false, error: error?.message || 'Player command failed.' });
+      },
+    );
+  return true;
+});
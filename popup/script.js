@@ -8,6 +8,7 @@ import {
   listProviders,
   normaliseProviderId,
   providerRequiresApiKey,
+  providerSupportsModelDiscovery,
 } from '../utils/providers.js';
 
 /**
@@ -55,6 +56,11 @@ const logger = createLogger({
 });
 
 setGlobalContext({ runtime: 'popup' });
+
+function createIdlePlaybackStatus() {
+  return { state: 'idle', lastOutcome: null, lastError: null, current: null, pending: [] };
+}
+
 const mockHandlers = {
   'comet:getApiKey': () => Promise.resolve('sk-mock-1234'),
   'comet:getApiKeyDetails': () =>
@@ -65,6 +71,16 @@ const mockHandlers = {
       lastUpdated: Date.now() - 30 * 1000,
     }),
   'comet:setApiKey': () => Promise.resolve(null),
+  'comet:getSelectionSummary': () => Promise.resolve(null),
+  'comet:playback:status': () => Promise.resolve(createIdlePlaybackStatus()),
+  'comet:playback:enqueue': () => Promise.resolve({ ...createIdlePlaybackStatus(), resumed: false }),
+  'comet:playback:pause': () => Promise.resolve(createIdlePlaybackStatus()),
+  'comet:playback:resume': () => Promise.resolve(createIdlePlaybackStatus()),
+  'comet:playback:seek': () => Promise.resolve(createIdlePlaybackStatus()),
+  'comet:playback:skip': () => Promise.resolve(createIdlePlaybackStatus()),
+  'comet:playback:stop': () => Promise.resolve(createIdlePlaybackStatus()),
+  'comet:playback:setRate': () => Promise.resolve(createIdlePlaybackStatus()),
+  'comet:queue:list': () => Promise.resolve({ entries: [], activeEntryId: null }),
   'comet:setProvider': () => Promise.resolve({ provider: DEFAULT_PROVIDER_ID }),
   'comet:getUsage': () =>
     Promise.resolve(
@@ -100,6 +116,7 @@ const mockHandlers = {
           summary: 'This is a mock summary returned without contacting the provider.',
         },
       ],
+      digest: 'This is a mock summary returned without contacting the provider.',
       usage: withTokenSummary({
         totalPromptTokens: 1200,
         totalCompletionTokens: 800,
@@ -139,16 +156,33 @@ const mockHandlers = {
         lastReset: Date.now(),
       }),
     }),
+  'comet:listModels': payload =>
+    Promise.resolve({
+      provider: payload?.provider || 'ollama',
+      models: [{ name: 'llama3.2:latest' }, { name: 'mistral:latest' }],
+      selectedModel: 'llama3.2:latest',
+    }),
+  'comet:setProviderModel': payload =>
+    Promise.resolve({ provider: payload?.provider, selectedModel: payload?.model || null }),
+  'comet:getVoiceCapabilities': payload =>
+    Promise.resolve({ provider: payload?.provider || null, availableVoices: [], preferredVoice: null }),
 };
 
 const DEFAULT_VOICE = 'alloy';
 const DEFAULT_TTS_PROVIDER = 'localTTS';
+const SUMMARY_STREAM_PORT = 'comet:summarise:stream';
+const PLAYBACK_REWIND_SECONDS = 10;
+const EXTRACTION_MODES = Object.freeze(['article', 'full']);
+const DEFAULT_EXTRACTION_MODE = 'article';
 
+// `webSpeech` is only offered where `chrome.tts` is missing, such as Firefox.
 const TTS_PROVIDER_OPTIONS = Object.freeze([
   Object.freeze({ id: 'googleTTS', label: 'Google Cloud Text-to-Speech' }),
   Object.freeze({ id: 'amazonPolly', label: 'Amazon Polly' }),
   Object.freeze({ id: 'localTTS', label: 'Browser (Local)' }),
+  Object.freeze({ id: 'webSpeech', label: 'Browser (Web Speech)', requiresMissingChromeTts: true }),
 ]);
+const LOCAL_TTS_PROVIDERS = Object.freeze(['localTTS', 'webSpeech']);
 
 const CLOUD_TTS_VOICE_OPTIONS = Object.freeze({
   googleTTS: Object.freeze(['en-US-Neural2-A', 'en-GB-Neural2-C', 'es-ES-Neural2-B']),
@@ -176,6 +210,14 @@ function normaliseTtsProviderId(value, fallback = DEFAULT_TTS_PROVIDER) {
   return ttsProviderLookup[lookupKey] || fallback;
 }
 
+function getAvailableTtsProviderOptions() {
+  const hasChromeTts = typeof chrome?.tts?.speak === 'function';
+  const hasWebSpeech = typeof window !== 'undefined' && Boolean(window.speechSynthesis);
+  return TTS_PROVIDER_OPTIONS.filter(
+    option => !option.requiresMissingChromeTts || (!hasChromeTts && hasWebSpeech)
+  );
+}
+
 function getTtsProviderLabel(providerId) {
   const normalised = normaliseTtsProviderId(providerId, providerId);
   const option = TTS_PROVIDER_OPTIONS.find(candidate => candidate.id === normalised);
@@ -226,9 +268,11 @@ function storageLocalSet(items) {
 
 const state = {
   summaries: [],
+  digest: null,
   audio: null,
   audioSourceUrl: null,
   language: 'en',
+  extractionMode: DEFAULT_EXTRACTION_MODE,
   voice: DEFAULT_VOICE,
   voiceOptions: [],
   voicePreferred: null,
@@ -237,11 +281,16 @@ const state = {
   provider: DEFAULT_PROVIDER_ID,
   providerLastSynced: null,
   providerOptions: listProviders().map(option => option.id),
+  providerModels: [],
+  providerModel: null,
   ttsProvider: DEFAULT_TTS_PROVIDER,
   recorder: null,
   mediaStream: null,
-  playbackController: null,
+  playback: null,
+  listeningQueue: { entries: [], activeEntryId: null },
+  pendingExport: null,
   ttsProgress: null,
+  summaryStream: null,
   correlationStack: [],
 };
 
@@ -297,8 +346,8 @@ function getPopupContextMetadata() {
   if (Array.isArray(state.summaries) && state.summaries.length > 0) {
     meta.summaryCount = state.summaries.length;
   }
-  if (state.audio) {
-    meta.hasAudio = true;
+  if (state.playback && state.playback.state !== 'idle') {
+    meta.playbackState = state.playback.state;
   }
   return meta;
 }
@@ -397,10 +446,14 @@ function assignElements() {
   elements.apiForm = qs('api-form');
   elements.providerLabel = qs('providerLabel');
   elements.provider = qs('providerSelect');
+  elements.providerModelLabel = qs('providerModelLabel');
+  elements.providerModel = qs('providerModelSelect');
   elements.apiKeyLabel = qs('apiKeyLabel');
   elements.apiKey = qs('apiKey');
   elements.apiKeyMeta = qs('apiKeyMeta');
   elements.language = qs('languageSelect');
+  elements.extractionModeLabel = qs('extractionModeLabel');
+  elements.extractionMode = qs('extractionModeSelect');
   elements.ttsProvider = qs('ttsProviderSelect');
   elements.voice = qs('ttsVoiceSelect');
   elements.saveSpeechSettings = qs('saveSpeechSettingsBtn');
@@ -409,13 +462,35 @@ function assignElements() {
   elements.summarise = qs('summariseBtn');
   elements.read = qs('readBtn');
   elements.readPage = qs('readPageBtn');
+  elements.resumeReading = qs('resumeReadingBtn');
+  elements.summariseSelection = qs('summariseSelectionBtn');
+  elements.readSelection = qs('readSelectionBtn');
+  elements.cancelSummary = qs('cancelSummaryBtn');
+  elements.summarySection = qs('summarySection');
+  elements.summaryList = qs('summaryList');
+  elements.summaryDigest = qs('summaryDigest');
+  elements.selectionSection = qs('selectionSection');
+  elements.selectionSummary = qs('selectionSummary');
   elements.pushToTalk = qs('pushToTalkBtn');
   elements.recordingStatus = qs('recordingStatus');
   elements.play = qs('playBtn');
   elements.pause = qs('pauseBtn');
   elements.stop = qs('stopBtn');
+  elements.rewind = qs('rewindBtn');
+  elements.skip = qs('skipBtn');
+  elements.addToQueue = qs('addToQueueBtn');
+  elements.playQueue = qs('playQueueBtn');
+  elements.listeningQueueList = qs('listeningQueueList');
+  elements.exportSource = qs('exportSourceSelect');
+  elements.exportFormat = qs('exportFormatSelect');
+  elements.exportAudio = qs('exportAudioBtn');
+  elements.exportConfirm = qs('exportConfirm');
+  elements.exportEstimate = qs('exportEstimate');
+  elements.confirmExport = qs('confirmExportBtn');
+  elements.cancelExport = qs('cancelExportBtn');
   elements.usage = qs('usageDetails');
   elements.resetUsage = qs('resetUsageBtn');
+  elements.openDashboard = qs('openDashboardBtn');
   elements.usageRowTemplate = document.getElementById('usageRowTemplate');
   if (elements.playbackRate) {
     elements.playbackRate.value = String(state.playbackRate);
@@ -497,13 +572,17 @@ function renderTtsProviderOptions(selectedId = state.ttsProvider) {
   if (!elements.ttsProvider) {
     return;
   }
-  const markup = TTS_PROVIDER_OPTIONS.map(option => {
+  const options = getAvailableTtsProviderOptions();
+  const markup = options.map(option => {
     const value = escapeHtml(option.id);
     const label = escapeHtml(option.label);
     return `<option value="${value}">${label}</option>`;
   }).join('');
   elements.ttsProvider.innerHTML = markup;
-  const chosen = normaliseTtsProviderId(selectedId);
+  let chosen = normaliseTtsProviderId(selectedId);
+  if (!options.some(option => option.id === chosen)) {
+    chosen = DEFAULT_TTS_PROVIDER;
+  }
   elements.ttsProvider.value = chosen;
   state.ttsProvider = chosen;
 }
@@ -530,9 +609,20 @@ function getLocalSpeechVoices() {
 
 async function resolveVoicesForProvider(providerId = state.ttsProvider) {
   const normalised = normaliseTtsProviderId(providerId);
-  if (normalised === 'localTTS') {
+  if (LOCAL_TTS_PROVIDERS.includes(normalised)) {
     return getLocalSpeechVoices();
   }
+  // Cloud speech is voiced by the active provider, so its own voices (such as
+  // Gemini's prebuilt voices) take precedence over the static catalogue.
+  try {
+    const capabilities = await sendMessage('comet:getVoiceCapabilities', { provider: state.provider });
+    const providerVoices = normaliseVoiceValues(capabilities?.availableVoices);
+    if (providerVoices.length > 0) {
+      return providerVoices;
+    }
+  } catch (error) {
+    logger.debug('Failed to read provider voice capabilities.', { error, provider: state.provider });
+  }
   const catalogue = CLOUD_TTS_VOICE_OPTIONS[normalised];
   if (Array.isArray(catalogue)) {
     return normaliseVoiceValues(catalogue);
@@ -548,8 +638,8 @@ function ensureLocalVoiceListener() {
     return;
   }
   const handler = () => {
-    if (state.ttsProvider === 'localTTS') {
-      refreshVoiceOptions('localTTS', { persistFallback: true });
+    if (LOCAL_TTS_PROVIDERS.includes(state.ttsProvider)) {
+      refreshVoiceOptions(state.ttsProvider, { persistFallback: true });
     }
   };
   try {
@@ -569,6 +659,9 @@ function resolveSpeechProviderForBackground(providerId = state.ttsProvider) {
   if (normalised === 'localTTS') {
     return 'local';
   }
+  if (normalised === 'webSpeech') {
+    return 'webspeech';
+  }
   if (normalised === 'googleTTS') {
     return 'googleTTS';
   }
@@ -649,17 +742,56 @@ function translateUi() {
   if (elements.providerLabel) {
     elements.providerLabel.textContent = t('providerLabel');
   }
+  if (elements.providerModelLabel) {
+    elements.providerModelLabel.textContent = t('providerModelLabel');
+  }
   if (elements.apiKeyLabel) {
     elements.apiKeyLabel.textContent = t('apiKeyLabel');
   }
   if (elements.playbackRateLabel) {
     elements.playbackRateLabel.textContent = t('playbackSpeedLabel');
   }
+  if (elements.extractionModeLabel) {
+    elements.extractionModeLabel.textContent = t('extractionModeLabel');
+  }
+  if (elements.extractionMode?.querySelector) {
+    const articleOption = elements.extractionMode.querySelector('option[value="article"]');
+    const fullOption = elements.extractionMode.querySelector('option[value="full"]');
+    if (articleOption) {
+      articleOption.textContent = t('extractionModeArticle');
+    }
+    if (fullOption) {
+      fullOption.textContent = t('extractionModeFull');
+    }
+  }
   elements.summarise.textContent = t('summarise');
   elements.read.textContent = t('readAloud');
   elements.readPage.textContent = t('readPage');
+  if (elements.resumeReading) {
+    elements.resumeReading.textContent = t('resumeReading');
+  }
+  if (elements.summariseSelection) {
+    elements.summariseSelection.textContent = t('summariseSelection');
+  }
+  if (elements.readSelection) {
+    elements.readSelection.textContent = t('readSelection');
+  }
+  if (elements.cancelSummary) {
+    elements.cancelSummary.textContent = t('cancelSummary');
+  }
+  const summaryHeading = document.querySelector('#summary-section');
+  if (summaryHeading) {
+    summaryHeading.textContent = t('summaryHeading');
+  }
+  const selectionHeading = document.querySelector('#selection-section');
+  if (selectionHeading) {
+    selectionHeading.textContent = t('selectionHeading');
+  }
   elements.pushToTalk.textContent = t('pushToTalk');
   elements.resetUsage.textContent = t('resetUsage');
+  if (elements.openDashboard) {
+    elements.openDashboard.textContent = t('openDashboard');
+  }
   const usageHeading = document.querySelector('#usage-section');
   if (usageHeading) {
     usageHeading.textContent = t('usage');
@@ -781,6 +913,80 @@ async function setAndSyncProvider(providerId) {
     await refreshVoiceOptions(normalised, { persistFallback: true });
   }
   state.providerLastSynced = normalised;
+  await refreshProviderModels(normalised);
+}
+
+function setProviderModelVisibility(visible) {
+  [elements.providerModelLabel, elements.providerModel].forEach(control => {
+    if (control) {
+      control.hidden = !visible;
+    }
+  });
+}
+
+function renderProviderModelOptions(models, selectedModel) {
+  if (!elements.providerModel) {
+    return;
+  }
+  const names = models
+    .map(model => (typeof model?.name === 'string' ? model.name.trim() : ''))
+    .filter((name, index, array) => name && array.indexOf(name) === index);
+  if (selectedModel && !names.includes(selectedModel)) {
+    names.unshift(selectedModel);
+  }
+  elements.providerModel.innerHTML = names
+    .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+    .join('');
+  const chosen = names.includes(selectedModel) ? selectedModel : names[0] || '';
+  elements.providerModel.value = chosen;
+  state.providerModels = names;
+  state.providerModel = chosen || null;
+  setProviderModelVisibility(names.length > 0);
+}
+
+/**
+ * Lists the models installed for providers that support discovery, such as a
+ * local Ollama server, and hides the model picker for all others.
+ *
+ * @param {string} providerId - Provider whose models should be listed.
+ * @returns {Promise<void>} Resolves once the picker has been updated.
+ */
+async function refreshProviderModels(providerId) {
+  if (!providerSupportsModelDiscovery(providerId)) {
+    state.providerModels = [];
+    state.providerModel = null;
+    setProviderModelVisibility(false);
+    return;
+  }
+  try {
+    const response = await sendMessage('comet:listModels', { provider: providerId });
+    renderProviderModelOptions(
+      Array.isArray(response?.models) ? response.models : [],
+      response?.selectedModel || null,
+    );
+    if (state.providerModels.length === 0) {
+      setStatus(`No models found for ${getProviderDisplayName(providerId)}.`);
+    }
+  } catch (error) {
+    logger.warn('Failed to list provider models.', { provider: providerId, error });
+    renderProviderModelOptions([], null);
+    setStatus(`${getProviderDisplayName(providerId)} is not reachable. Is it running?`);
+  }
+}
+
+async function handleProviderModelChange(event) {
+  const model = typeof event.target?.value === 'string' ? event.target.value.trim() : '';
+  if (!model || model === state.providerModel) {
+    return;
+  }
+  logger.info('Provider model selection changed.', {
+    provider: state.provider,
+    previousModel: state.providerModel,
+    nextModel: model,
+  });
+  const response = await sendMessage('comet:setProviderModel', { provider: state.provider, model });
+  state.providerModel = response?.selectedModel || model;
+  setStatus(`${getProviderDisplayName(state.provider)} will use ${state.providerModel}.`);
 }
 
 async function hydrateProviderSelector() {
@@ -831,64 +1037,224 @@ function disableTabDependentControls() {
     elements.summarise,
     elements.read,
     elements.readPage,
+    elements.resumeReading,
+    elements.summariseSelection,
+    elements.readSelection,
     elements.play,
     elements.pause,
     elements.stop,
+    elements.rewind,
+    elements.skip,
+    elements.addToQueue,
+    elements.exportAudio,
     elements.pushToTalk,
   ].forEach(disableControl);
 }
 
+function setQueueControls({ rewind, skip }) {
+  if (elements.rewind) {
+    elements.rewind.disabled = !rewind;
+  }
+  if (elements.skip) {
+    elements.skip.disabled = !skip;
+  }
+}
+
 function setPlaybackReady() {
   elements.play.disabled = false;
   elements.pause.disabled = true;
   elements.stop.disabled = true;
+  setQueueControls({ rewind: false, skip: false });
 }
 
-function setPlaybackActive() {
+function setPlaybackActive({ seekable = false } = {}) {
   elements.play.disabled = true;
   elements.pause.disabled = false;
   elements.stop.disabled = false;
+  setQueueControls({ rewind: seekable, skip: true });
+}
+
+function setPlaybackPaused({ seekable = false } = {}) {
+  elements.play.disabled = false;
+  elements.pause.disabled = true;
+  elements.stop.disabled = false;
+  setQueueControls({ rewind: seekable, skip: true });
 }
 
 function setPlaybackLoading() {
   elements.play.disabled = true;
   elements.pause.disabled = true;
   elements.stop.disabled = false;
+  setQueueControls({ rewind: false, skip: true });
 }
 
-function createPlaybackController() {
-  let cancelled = false;
-  const listeners = new Set();
+function describePlaybackItem(current) {
+  if (Number.isInteger(current.index) && Number.isInteger(current.total) && current.total > 1) {
+    return `segment ${current.index + 1} of ${current.total}`;
+  }
+  return current.label || 'audio';
+}
 
-  return {
-    cancel() {
-      if (cancelled) {
-        return;
-      }
-      cancelled = true;
-      listeners.forEach(listener => {
-        try {
-          listener();
-        } catch (error) {
-          logger.debug('Playback cancellation handler failed.', { error });
-        }
+/**
+ * Reflects the background playback queue in the player controls and status
+ * line. The popup is only a remote control; the queue keeps playing after it
+ * closes and is picked up again here when it reopens.
+ *
+ * @param {{state: string, lastOutcome: string|null, lastError: string|null,
+ *   current: object|null, pending: object[]}|null} status - Queue status
+ *   reported by the background.
+ */
+function renderPlaybackState(status) {
+  if (!status || typeof status !== 'object') {
+    return;
+  }
+  const previous = state.playback;
+  state.playback = status;
+  const { current } = status;
+  const seekable = current?.adapterType === 'cloud';
+
+  if (status.state === 'loading' && current) {
+    setPlaybackLoading();
+    if (previous?.current?.id !== current.id) {
+      beginTtsProgress(current.total > 1 ? 'full-page' : 'read-aloud', {
+        segmentIndex: current.index,
+        segmentTotal: current.total,
       });
-      listeners.clear();
-    },
-    onCancel(listener) {
-      if (cancelled) {
-        listener();
-        return () => {};
-      }
-      listeners.add(listener);
-      return () => {
-        listeners.delete(listener);
-      };
-    },
-    get cancelled() {
-      return cancelled;
-    },
-  };
+    }
+    return;
+  }
+
+  clearTtsProgress();
+  if (status.state === 'playing' && current) {
+    setPlaybackActive({ seekable });
+    if (previous?.state !== 'playing' || previous?.current?.id !== current.id) {
+      setStatus(`Playing ${describePlaybackItem(current)}.`);
+    }
+    return;
+  }
+  if (status.state === 'paused' && current) {
+    setPlaybackPaused({ seekable });
+    setStatus('Playback paused.');
+    return;
+  }
+
+  setPlaybackReady();
+  elements.play.disabled = true;
+  if (previous && previous.state !== 'idle') {
+    if (status.lastOutcome === 'failed') {
+      setStatus(status.lastError || 'Playback failed.');
+    } else if (status.lastOutcome === 'stopped') {
+      setStatus('Playback stopped.');
+    } else {
+      setStatus('Finished reading.');
+    }
+    refreshUsage().catch(error => {
+      logger.debug('Usage refresh after playback failed.', { error });
+    });
+  }
+}
+
+/**
+ * Asks the background for the playback queue status so a reopened popup
+ * reattaches to narration that is already running.
+ *
+ * @returns {Promise<void>} Resolves once the controls reflect the queue.
+ */
+async function refreshPlaybackState() {
+  const status = await sendMessage('comet:playback:status');
+  renderPlaybackState(status);
+}
+
+/**
+ * Lists the pages waiting in the listening queue, each with controls to move
+ * it up or down or remove it.
+ *
+ * @param {{entries: object[], activeEntryId: string|null}|null} queue -
+ *   Listening queue reported by the background.
+ */
+function renderListeningQueue(queue) {
+  const entries = Array.isArray(queue?.entries) ? queue.entries : [];
+  state.listeningQueue = { entries, activeEntryId: queue?.activeEntryId || null };
+  if (elements.playQueue) {
+    elements.playQueue.disabled = entries.length === 0;
+  }
+  if (!elements.listeningQueueList) {
+    return;
+  }
+  elements.listeningQueueList.innerHTML = entries
+    .map((entry, index) => {
+      const id = escapeHtml(entry.id);
+      const current = entry.id === state.listeningQueue.activeEntryId ? ' aria-current="true"' : '';
+      return `<li data-entry-id="${id}"${current}>`
+        + `<span>${escapeHtml(entry.title || entry.url)}</span>`
+        + `<button type="button" data-action="up" data-entry-id="${id}"${index === 0 ? ' disabled' : ''}>Up</button>`
+        + `<button type="button" data-action="down" data-entry-id="${id}"${
+          index === entries.length - 1 ? ' disabled' : ''
+        }>Down</button>`
+        + `<button type="button" data-action="remove" data-entry-id="${id}">Remove</button>`
+        + '</li>';
+    })
+    .join('');
+}
+
+async function refreshListeningQueue() {
+  renderListeningQueue(await sendMessage('comet:queue:list'));
+}
+
+/**
+ * Captures the active tab's text and adds it to the listening queue.
+ *
+ * @returns {Promise<void>} Resolves once the page is queued.
+ */
+async function addActiveTabToQueue() {
+  const tabId = await getActiveTabId();
+  renderListeningQueue(await sendMessage('comet:queue:add', { tabId }));
+  setStatus('Page added to the listening queue.');
+}
+
+/**
+ * Starts reading the listening queue with the current speech settings.
+ *
+ * @returns {Promise<void>} Resolves once the first page is queued for playback.
+ */
+async function playListeningQueue() {
+  setPlaybackLoading();
+  try {
+    const status = await sendMessage('comet:queue:play', {
+      voice: state.voice,
+      language: state.language,
+      provider: resolveSpeechProviderForBackground(),
+      playbackRate: state.playbackRate,
+    });
+    renderPlaybackState(status);
+  } catch (error) {
+    setPlaybackReady();
+    throw error;
+  }
+}
+
+/**
+ * Applies the move or remove button clicked in the listening queue list.
+ *
+ * @param {Event} event - Click event from the list.
+ * @returns {Promise<void>} Resolves once the queue has been updated.
+ */
+async function handleListeningQueueClick(event) {
+  const { action, entryId } = event?.target?.dataset || {};
+  if (!action || !entryId) {
+    return;
+  }
+  if (action === 'remove') {
+    renderListeningQueue(await sendMessage('comet:queue:remove', { entryId }));
+    return;
+  }
+  const index = (state.listeningQueue?.entries || []).findIndex(entry => entry.id === entryId);
+  if (index === -1) {
+    return;
+  }
+  renderListeningQueue(
+    await sendMessage('comet:queue:move', { entryId, index: action === 'up' ? index - 1 : index + 1 }),
+  );
 }
 
 const TTS_PROGRESS_MESSAGE_TYPES = new Set(['comet:tts_progress', 'comet:tts:progress']);
@@ -904,6 +1270,14 @@ if (runtime?.onMessage && typeof runtime.onMessage.addListener === 'function') {
       } catch (error) {
         logger.debug('Failed to process TTS progress message.', { error });
       }
+    } else if (message.type === 'comet:playback:state' && elements.play) {
+      try {
+        renderPlaybackState(message.payload);
+      } catch (error) {
+        logger.debug('Failed to process playback state message.', { error });
+      }
+    } else if (message.type === 'comet:queue:state' && elements.listeningQueueList) {
+      renderListeningQueue(message.payload);
     }
   });
 }
@@ -958,40 +1332,6 @@ function handleTtsProgressMessage(payload) {
   setStatus(formatTtsProgressStatusMessage(chunkIndex, chunkCount));
 }
 
-function revokeAudioSource() {
-  if (
-    state.audioSourceUrl &&
-    typeof URL !== 'undefined' &&
-    typeof URL.revokeObjectURL === 'function'
-  ) {
-    try {
-      URL.revokeObjectURL(state.audioSourceUrl);
-    } catch (error) {
-      logger.debug('Failed to revoke audio URL.', { error });
-    }
-  }
-  state.audioSourceUrl = null;
-}
-
-function decodeBase64Audio(base64) {
-  if (!base64) {
-    return new Uint8Array();
-  }
-  if (typeof atob === 'function') {
-    const binary = atob(base64);
-    const length = binary.length;
-    const bytes = new Uint8Array(length);
-    for (let index = 0; index < length; index += 1) {
-      bytes[index] = binary.charCodeAt(index);
-    }
-    return bytes;
-  }
-  if (typeof Buffer !== 'undefined') {
-    return new Uint8Array(Buffer.from(base64, 'base64'));
-  }
-  throw new Error('Base64 decoding is not supported in this environment.');
-}
-
 /**
  * Wraps event handlers to provide consistent error handling and prevent
  * repetitive boilerplate.
@@ -1753,6 +2093,21 @@ function formatTokens(value, fallback = '0') {
   return value.toLocaleString?.() ?? String(value);
 }
 
+/**
+ * Formats a USD amount, keeping enough decimals to show sub-cent spend.
+ *
+ * @param {number} value - Amount in USD.
+ * @param {string} [fallback='$0.00'] - Value used when the amount is unknown.
+ * @returns {string} Formatted amount.
+ */
+function formatUsd(value, fallback = '$0.00') {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return fallback;
+  }
+  const digits = value > 0 && value < 0.01 ? 4 : 2;
+  return `$${value.toFixed(digits)}`;
+}
+
 function withTokenSummary(usage) {
   if (!usage || typeof usage !== 'object') {
     return usage;
@@ -1771,11 +2126,12 @@ function withTokenSummary(usage) {
 }
 
 /**
- * Renders usage statistics in the popup.
+ * Renders usage statistics in the popup. The USD limit row only appears when
+ * a monthly USD budget is configured.
  *
  * @param {{limitTokens?: number, totalTokens?: number, totalPromptTokens?: number,
- *   totalCompletionTokens?: number, lastReset?: number}} usage - Usage payload
- *   returned by the background worker.
+ *   totalCompletionTokens?: number, totalSpendUsd?: number, spendLimitUsd?: number|null,
+ *   lastReset?: number}} usage - Usage payload returned by the background worker.
  */
 function updateUsage(usage) {
   if (!usage || !elements.usage || !elements.usageRowTemplate?.content) {
@@ -1819,6 +2175,10 @@ function updateUsage(usage) {
   appendRow(t('usageTotalLabel'), formatTokens(totalTokens));
   appendRow(t('usagePromptLabel'), formatTokens(promptTokens));
   appendRow(t('usageCompletionLabel'), formatTokens(completionTokens));
+  if (Number.isFinite(snapshot.spendLimitUsd)) {
+    appendRow(t('usageSpendLimitLabel'), formatUsd(snapshot.spendLimitUsd));
+  }
+  appendRow(t('usageSpendLabel'), formatUsd(snapshot.totalSpendUsd));
 
   let lastResetDisplay = t('usageLastResetUnknown');
   if (typeof lastResetTimestamp === 'number' && Number.isFinite(lastResetTimestamp)) {
@@ -1828,7 +2188,185 @@ function updateUsage(usage) {
 }
 
 /**
- * Requests summaries for the current tab and updates local state.
+ * Renders the summaries collected so far, one list item per segment.
+ *
+ * @param {Array<{id: string, summary: string}>} summaries - Summaries to show.
+ */
+function renderSummaries(summaries) {
+  if (!elements.summaryList) {
+    return;
+  }
+  const entries = Array.isArray(summaries) ? summaries : [];
+  elements.summaryList.innerHTML = entries
+    .map(entry => `<li data-segment-id="${escapeHtml(entry.id)}">${escapeHtml(entry.summary || '')}</li>`)
+    .join('');
+  if (elements.summarySection) {
+    elements.summarySection.hidden = entries.length === 0 && !state.digest;
+  }
+}
+
+/**
+ * Shows the page-level digest above the per-segment summaries.
+ *
+ * @param {string|null} digest - Digest text, or null to hide it.
+ */
+function renderDigest(digest) {
+  state.digest = typeof digest === 'string' && digest ? digest : null;
+  if (!elements.summaryDigest) {
+    return;
+  }
+  elements.summaryDigest.textContent = state.digest || '';
+  elements.summaryDigest.hidden = !state.digest;
+  if (elements.summarySection && state.digest) {
+    elements.summarySection.hidden = false;
+  }
+}
+
+/**
+ * Shows a selection summary in its own section, leaving the page summaries
+ * untouched.
+ *
+ * @param {string|null} summary - Summary text, or null to hide the section.
+ */
+function renderSelectionSummary(summary) {
+  if (!elements.selectionSummary) {
+    return;
+  }
+  const text = typeof summary === 'string' ? summary : '';
+  elements.selectionSummary.textContent = text;
+  if (elements.selectionSection) {
+    elements.selectionSection.hidden = !text;
+  }
+}
+
+function setCancelSummaryVisible(visible) {
+  if (elements.cancelSummary) {
+    elements.cancelSummary.hidden = !visible;
+  }
+}
+
+/**
+ * Streams segment summaries from the background worker over a long-lived
+ * port, rendering partial text as deltas arrive.
+ *
+ * @param {{url: string, segments: Array<{id: string, text: string}>}} request -
+ *   Page URL and segments to summarise.
+ * @returns {Promise<{summaries: Array<object>, digest: string|null, digestError?: string|null,
+ *   usage: object|null, cancelled: boolean}>} Final summaries and page digest,
+ *   or the completed subset when the request was cancelled. `digestError` is
+ *   set when the summaries arrived but the digest failed.
+ */
+function streamSummaries({ url, segments }) {
+  const drafts = new Map(segments.map(segment => [segment.id, { id: segment.id, summary: '' }]));
+  const completed = new Map();
+  let digestDraft = '';
+  const render = () => renderSummaries(Array.from(drafts.values()).filter(entry => entry.summary));
+  renderDigest(null);
+  const port = runtime.connect({ name: SUMMARY_STREAM_PORT });
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const finish = (callback, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      state.summaryStream = null;
+      callback(value);
+    };
+    const collectCompleted = () => segments
+      .filter(segment => completed.has(segment.id))
+      .map(segment => completed.get(segment.id));
+
+    state.summaryStream = { port, cancelled: false };
+
+    port.onMessage.addListener(message => {
+      const payload = message?.payload || {};
+      switch (message?.type) {
+        case 'comet:summarise:delta': {
+          const draft = drafts.get(payload.id);
+          if (draft) {
+            draft.summary = payload.reset ? payload.text : `${draft.summary}${payload.text}`;
+            render();
+          }
+          break;
+        }
+        case 'comet:summarise:segment': {
+          completed.set(payload.id, payload);
+          const draft = drafts.get(payload.id);
+          if (draft) {
+            draft.summary = payload.summary;
+          }
+          render();
+          setStatus(`Summarizing… (${completed.size}/${segments.length})`);
+          break;
+        }
+        case 'comet:summarise:digestDelta':
+          digestDraft = payload.reset ? payload.text : `${digestDraft}${payload.text}`;
+          renderDigest(digestDraft);
+          break;
+        case 'comet:summarise:digestError':
+          digestDraft = '';
+          renderDigest(null);
+          break;
+        case 'comet:summarise:done':
+          finish(resolve, {
+            summaries: payload.summaries,
+            digest: payload.digest ?? null,
+            ...(payload.digestError ? { digestError: payload.digestError } : {}),
+            usage: payload.usage,
+            cancelled: false,
+          });
+          port.disconnect?.();
+          break;
+        case 'comet:summarise:error':
+          if (payload.cancelled) {
+            finish(resolve, { summaries: collectCompleted(), digest: null, usage: payload.usage, cancelled: true });
+          } else {
+            const error = new Error(payload.error || 'Summary failed.');
+            error.usage = payload.usage;
+            finish(reject, error);
+          }
+          port.disconnect?.();
+          break;
+        default:
+          break;
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      if (state.summaryStream?.cancelled) {
+        finish(resolve, { summaries: collectCompleted(), digest: null, usage: null, cancelled: true });
+        return;
+      }
+      finish(reject, new Error('Summary stream closed unexpectedly.'));
+    });
+    port.postMessage({ type: 'comet:summarise:start', payload: { url, segments, language: state.language, provider: state.provider } });
+  });
+}
+
+/**
+ * Cancels the in-flight streaming summary, aborting the upstream request.
+ */
+function cancelSummary() {
+  const stream = state.summaryStream;
+  if (!stream) {
+    return;
+  }
+  stream.cancelled = true;
+  logger.info('Summary cancellation requested.');
+  stream.port.postMessage({ type: 'comet:summarise:cancel' });
+  setStatus('Summary cancelled.');
+}
+
+function describeSummaryReady(digestError) {
+  return digestError
+    ? `Summary ready, but the page digest failed: ${digestError}`
+    : 'Summary ready. Use read aloud to listen.';
+}
+
+/**
+ * Requests summaries for the current tab and updates local state. Summaries
+ * stream in segment by segment when the runtime supports ports.
  *
  * @returns {Promise<void>} Resolves when summaries and usage are refreshed.
  */
@@ -1841,6 +2379,8 @@ async function summarisePage() {
   if (MOCK_MODE) {
     const mock = await mockHandlers['comet:summarise']();
     state.summaries = mock.summaries;
+    renderDigest(mock.digest);
+    renderSummaries(state.summaries);
     updateUsage(mock.usage);
     setStatus('Summary ready (mock).');
     logger.info('Mock summary generated.', { segments: mock.summaries?.length || 0 });
@@ -1854,6 +2394,39 @@ async function summarisePage() {
     logger.warn('No readable segments available for summary.', { tabId });
     return;
   }
+  if (typeof runtime?.connect === 'function') {
+    setStatus(`Summarizing… (0/${segments.length})`);
+    setCancelSummaryVisible(true);
+    let result;
+    try {
+      result = await streamSummaries({ url, segments });
+    } finally {
+      setCancelSummaryVisible(false);
+    }
+    state.summaries = result.summaries;
+    renderDigest(result.digest);
+    renderSummaries(state.summaries);
+    if (result.usage) {
+      updateUsage(result.usage);
+    }
+    if (result.cancelled) {
+      setStatus('Summary cancelled.');
+      logger.info('Summary cancelled.', {
+        provider: state.provider,
+        completedSegments: result.summaries.length,
+        segmentCount: segments.length,
+      });
+      return;
+    }
+    setStatus(describeSummaryReady(result.digestError));
+    logger.info('Summary completed.', {
+      provider: state.provider,
+      segmentCount: segments.length,
+      streamed: true,
+      digestFailed: Boolean(result.digestError),
+    });
+    return;
+  }
   const response = await sendMessage('comet:summarise', {
     url,
     segments,
@@ -1861,389 +2434,363 @@ async function summarisePage() {
     provider: state.provider,
   });
   state.summaries = response.summaries;
+  renderDigest(response.digest);
+  renderSummaries(state.summaries);
   updateUsage(response.usage);
-  setStatus('Summary ready. Use read aloud to listen.');
+  setStatus(describeSummaryReady(response.digestError));
   logger.info('Summary completed.', {
     provider: state.provider,
     segmentCount: segments.length,
+    digestFailed: Boolean(response.digestError),
   });
 }
 
 /**
- * Lazily initialises the shared Audio element used for playback.
+ * Generates speech for the first summary and begins playback.
  *
- * @returns {HTMLAudioElement} Singleton audio element.
+ * @returns {Promise<void>} Resolves when playback has started or been skipped.
  */
-function ensureAudio() {
-  if (!state.audio) {
-    state.audio = new Audio();
-  }
-  if (typeof state.audio.playbackRate === 'number') {
-    state.audio.playbackRate = state.playbackRate;
+async function readAloud() {
+  logger.info('Read aloud requested.', {
+    summariesAvailable: state.summaries.length,
+    voice: state.voice,
+    language: state.language,
+    ttsProvider: state.ttsProvider,
+  });
+  if (!state.summaries.length) {
+    await summarisePage();
   }
-  return state.audio;
+  if (!state.summaries.length) {
+    logger.warn('Read aloud aborted due to missing summaries.');
+    return;
+  }
+  await speakText(state.summaries[0].summary, { subject: 'summary' });
 }
 
-function normaliseAudioChunks(payload) {
-  if (!payload) {
-    return [];
+async function collectExportTexts(source, tabId) {
+  if (source === 'summary') {
+    if (!state.summaries.length && !state.digest) {
+      await summarisePage();
+    }
+    const texts = state.digest ? [state.digest] : state.summaries.map(entry => entry.summary);
+    return { texts, url: null };
   }
+  const { url, segments } = await fetchSegments(tabId);
+  return { texts: (segments || []).map(segment => segment.text), url };
+}
 
-  if (Array.isArray(payload)) {
-    return payload.filter(chunk => chunk && typeof chunk === 'object');
+function describeExportEstimate(estimate) {
+  const requests = estimate.requestCount === 1 ? '1 speech request' : `${estimate.requestCount} speech requests`;
+  let message = `Exporting makes ${requests} using about ${formatTokens(estimate.tokens)} tokens`;
+  if (Number.isFinite(estimate.costUsd) && estimate.costUsd > 0) {
+    message += ` (about ${formatUsd(estimate.costUsd)})`;
   }
-
-  if (Array.isArray(payload?.chunks)) {
-    return payload.chunks.filter(chunk => chunk && typeof chunk === 'object');
+  message += '.';
+  if (estimate.truncated) {
+    message += ' Some text is longer than the provider accepts and will be cut short.';
   }
+  return message;
+}
 
-  if (typeof payload === 'object') {
-    return [payload];
+function setExportConfirmation(message) {
+  if (elements.exportEstimate) {
+    elements.exportEstimate.textContent = message || '';
+  }
+  if (elements.exportConfirm) {
+    elements.exportConfirm.hidden = !message;
   }
-
-  return [];
 }
 
-async function playAudioChunk(audioChunk, controller) {
-  logger.debug('Starting audio playback for chunk.', {
-    hasAudio: Boolean(audioChunk?.base64),
-    mimeType: audioChunk?.mimeType,
-  });
-  if (!audioChunk || !audioChunk.base64) {
-    return 'skipped';
+/**
+ * Estimates the cost of exporting the page or its summary as audio and asks
+ * the user to confirm it.
+ *
+ * @returns {Promise<void>} Resolves once the estimate is shown.
+ */
+async function prepareAudioExport() {
+  const source = elements.exportSource?.value === 'summary' ? 'summary' : 'page';
+  const format = elements.exportFormat?.value === 'wav' ? 'wav' : 'mp3';
+  const tabId = await getActiveTabId();
+  const { texts, url } = await collectExportTexts(source, tabId);
+  if (!texts.some(text => typeof text === 'string' && text.trim())) {
+    setStatus(source === 'summary' ? 'There is no summary to export.' : 'No readable content detected.');
+    return;
   }
-
-  const audio = ensureAudio();
-  revokeAudioSource();
-  const bytes = decodeBase64Audio(audioChunk.base64);
-  const blob = new Blob([bytes], { type: audioChunk.mimeType || 'audio/mpeg' });
-  if (
-    typeof URL === 'undefined' ||
-    typeof URL.createObjectURL !== 'function' ||
-    typeof URL.revokeObjectURL !== 'function'
-  ) {
-    throw new Error('Audio playback is not supported in this environment.');
+  const request = {
+    texts,
+    tabId,
+    url,
+    format,
+    voice: state.voice,
+    language: state.language,
+    provider: resolveSpeechProviderForBackground(),
+  };
+  const estimate = await sendMessage('comet:export:estimate', request);
+  if (!estimate.withinLimit) {
+    state.pendingExport = null;
+    setExportConfirmation(null);
+    setStatus('Exporting this audio would exceed your token limit.');
+    return;
   }
-  const url = URL.createObjectURL(blob);
-  state.audioSourceUrl = url;
-  audio.src = url;
-
-  return new Promise((resolve, reject) => {
-    let settled = false;
-    let unsubscribe;
-
-    const cleanup = () => {
-      if (state.audioSourceUrl === url) {
-        revokeAudioSource();
-      } else if (typeof URL !== 'undefined' && typeof URL.revokeObjectURL === 'function') {
-        try {
-          URL.revokeObjectURL(url);
-        } catch (error) {
-          logger.debug('Failed to revoke temporary audio URL.', { error });
-        }
-      }
-      audio.removeEventListener('ended', onEnded);
-      audio.removeEventListener('error', onError);
-      if (typeof unsubscribe === 'function') {
-        unsubscribe();
-      }
-    };
-
-    const resolveOnce = value => {
-      if (settled) {
-        return;
-      }
-      settled = true;
-      cleanup();
-      logger.debug('Audio playback resolved.', { result: value });
-      resolve(value);
-    };
-
-    const rejectOnce = error => {
-      if (settled) {
-        return;
-      }
-      settled = true;
-      cleanup();
-      logger.error('Audio playback failed.', { error });
-      reject(error);
-    };
-
-    const onEnded = () => {
-      resolveOnce('finished');
-    };
-
-    const onError = event => {
-      const mediaError = event.target?.error;
-      const message = mediaError?.message || 'Audio playback failed';
-      const code = mediaError?.code;
-      const error = new Error(code ? `${message} (code: ${code})` : message);
-      rejectOnce(error);
-    };
-
-    const onCancel = () => {
-      resolveOnce('cancelled');
-    };
-
-    audio.addEventListener('ended', onEnded);
-    audio.addEventListener('error', onError);
-    unsubscribe = controller?.onCancel(onCancel);
-
-    setPlaybackActive();
-
-    try {
-      if (typeof audio.playbackRate === 'number') {
-        audio.playbackRate = state.playbackRate;
-      }
-      const playResult = audio.play();
-      if (playResult && typeof playResult.catch === 'function') {
-        playResult.catch(rejectOnce);
-      }
-    } catch (error) {
-      rejectOnce(error);
-    }
-
-    if (controller?.cancelled) {
-      onCancel();
-    }
-  });
+  state.pendingExport = request;
+  setExportConfirmation(describeExportEstimate(estimate));
+  logger.info('Audio export estimated.', { source, format, tokens: estimate.tokens });
 }
 
-async function playAudioPayload(audioPayload, controller) {
-  const chunks = normaliseAudioChunks(audioPayload);
-  logger.debug('Preparing audio playback.', { chunkCount: chunks.length });
-  if (chunks.length === 0) {
-    return 'skipped';
+/**
+ * Exports the audio the user has just confirmed the estimate for.
+ *
+ * @returns {Promise<void>} Resolves once the download has started.
+ */
+async function confirmAudioExport() {
+  const request = state.pendingExport;
+  if (!request) {
+    return;
   }
-
-  let overallResult = 'skipped';
-  for (let index = 0; index < chunks.length; index += 1) {
-    if (controller?.cancelled) {
-      logger.debug('Playback cancelled before chunk started.', { index, chunkCount: chunks.length });
-      return 'cancelled';
-    }
-    const result = await playAudioChunk(chunks[index], controller);
-    if (result === 'cancelled') {
-      return 'cancelled';
-    }
-    if (result === 'finished') {
-      overallResult = 'finished';
+  state.pendingExport = null;
+  setExportConfirmation(null);
+  beginTtsProgress('export');
+  try {
+    const result = await sendMessage('comet:export:audio', { ...request, confirmed: true });
+    if (result?.usage) {
+      updateUsage(result.usage);
     }
+    setStatus(`Download started: ${result.filename}`);
+  } finally {
+    clearTtsProgress();
   }
+}
 
-  return overallResult;
+function cancelAudioExport() {
+  state.pendingExport = null;
+  setExportConfirmation(null);
+  setStatus('Export cancelled.');
 }
 
 /**
- * Generates speech for the first summary and begins playback.
+ * Queues text for background narration, replacing whatever is playing.
  *
- * @returns {Promise<void>} Resolves when playback has started or been skipped.
+ * @param {string} text - Text to narrate.
+ * @param {{subject: string}} options - Noun used in status messages (e.g.
+ *   `summary`).
+ * @returns {Promise<void>} Resolves once the background has queued the text.
  */
-async function readAloud() {
-  logger.info('Read aloud requested.', {
-    summariesAvailable: state.summaries.length,
-    voice: state.voice,
-    language: state.language,
-    ttsProvider: state.ttsProvider,
-  });
-  if (!state.summaries.length) {
-    await summarisePage();
-  }
-  if (!state.summaries.length) {
-    logger.warn('Read aloud aborted due to missing summaries.');
-    return;
-  }
-  const first = state.summaries[0];
-  const controller = createPlaybackController();
-  if (state.playbackController) {
-    state.playbackController.cancel();
-  }
-  state.playbackController = controller;
+async function speakText(text, { subject }) {
   setPlaybackLoading();
-  beginTtsProgress('read-aloud');
-  let playbackResult = 'skipped';
   try {
-    const audioResult = await sendMessage('comet:synthesise', {
-      text: first.summary,
+    const status = await sendMessage('comet:playback:enqueue', {
+      items: [{ text, label: subject }],
+      replace: true,
       voice: state.voice,
       language: state.language,
       provider: resolveSpeechProviderForBackground(),
+      playbackRate: state.playbackRate,
     });
-    updateUsage(audioResult.usage);
-    clearTtsProgress();
-    if (controller.cancelled) {
-      logger.info('Read aloud request cancelled before playback could start.');
-      return;
-    }
-    if (audioResult.audio?.truncated) {
-      logger.warn('Summary speech truncated to satisfy provider limits.', {
-        originalTokens: audioResult.audio.originalTokenCount,
-        deliveredTokens: audioResult.audio.deliveredTokenCount,
-        omittedTokens: audioResult.audio.omittedTokenCount,
-      });
-    }
-    setStatus(
-      audioResult.audio?.truncated ? 'Playing truncated summary.' : 'Playing summary.',
-    );
-    playbackResult = await playAudioPayload(audioResult.audio, controller);
-    if (playbackResult === 'skipped') {
-      setStatus('Audio generated (mock).');
-      setPlaybackReady();
-      logger.info('Audio playback skipped because payload was unavailable.');
-      return;
-    }
-    if (playbackResult !== 'cancelled') {
-      setPlaybackReady();
-    }
-    logger.info('Read aloud completed.', { playbackResult });
+    renderPlaybackState(status);
+    logger.info('Speech queued for background playback.', { subject });
   } catch (error) {
     clearTtsProgress();
     setPlaybackReady();
     throw error;
-  } finally {
-    if (state.playbackController === controller) {
-      state.playbackController = null;
-    }
   }
 }
 
-async function readFullPage() {
+/**
+ * Asks the active tab's content script for the current text selection.
+ *
+ * @param {number} tabId - Tab to query.
+ * @returns {Promise<{url: string, selection: {id: string, text: string}|null}>}
+ *   Page URL and selection segment, or a null selection when nothing is selected.
+ */
+async function fetchSelection(tabId) {
+  const response = await sendMessageToTab(tabId, { type: 'comet:getSelection' });
+  if (!response || !response.ok) {
+    throw new Error('Unable to read the page selection.');
+  }
+  return response.result;
+}
+
+/**
+ * Resolves the current selection of the active tab.
+ *
+ * @returns {Promise<{url: string, selection: object}|null>} Selection details,
+ *   or null after reporting that nothing is selected.
+ */
+async function resolveSelection() {
+  const result = await fetchSelection(await getActiveTabId());
+  if (!result?.selection?.text) {
+    setStatus('Select some text on the page first.');
+    logger.warn('Selection action requested without selected text.');
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Summarises the current selection as a single segment. The selection's ID is
+ * derived from its text, so the background caches the summary separately from
+ * the page's own segments, and it is shown apart from the page summaries.
+ *
+ * @returns {Promise<void>} Resolves once the summary is rendered.
+ */
+async function summariseSelection() {
+  const resolved = await resolveSelection();
+  if (!resolved) {
+    return;
+  }
+  const { url, selection } = resolved;
+  logger.info('Selection summary requested.', {
+    provider: state.provider,
+    segmentId: selection.id,
+  });
+  setStatus('Summarizing selection…');
+  const response = await sendMessage('comet:summarise', {
+    url,
+    segments: [{ id: selection.id, text: selection.text }],
+    language: state.language,
+    provider: state.provider,
+  });
+  renderSelectionSummary(response.summaries?.[0]?.summary || null);
+  updateUsage(response.usage);
+  setStatus('Selection summary ready.');
+}
+
+/**
+ * Reads the current selection aloud with the configured speech provider.
+ *
+ * @returns {Promise<void>} Resolves when playback finishes or is cancelled.
+ */
+async function readSelection() {
+  const resolved = await resolveSelection();
+  if (!resolved) {
+    return;
+  }
+  logger.info('Selection narration requested.', {
+    segmentId: resolved.selection.id,
+    ttsProvider: state.ttsProvider,
+  });
+  await speakText(resolved.selection.text, { subject: 'selection' });
+}
+
+/**
+ * Shows the latest selection summary made from the page context menu, if any.
+ *
+ * @returns {Promise<void>} Resolves once the summary is rendered.
+ */
+async function showContextMenuSelectionSummary() {
+  const stored = await sendMessage('comet:getSelectionSummary');
+  if (!stored?.summary) {
+    return;
+  }
+  logger.debug('Showing context menu selection summary.', { segmentId: stored.selection?.id });
+  renderSelectionSummary(stored.summary);
+}
+
+/**
+ * Queues every readable segment of the page for background narration. The
+ * background saves the position reached, so `resume` can continue from it.
+ *
+ * @param {{resume?: boolean}} [options] - Set `resume` to continue from the
+ *   saved position instead of the first segment.
+ * @returns {Promise<void>} Resolves once the segments are queued.
+ */
+async function readFullPage({ resume = false } = {}) {
   logger.info('Full page narration requested.', {
     voice: state.voice,
     language: state.language,
     provider: state.provider,
     ttsProvider: state.ttsProvider,
+    resume,
   });
   const tabId = await getActiveTabId();
   logger.debug('Active tab resolved for full-page narration.', { tabId });
-  const { segments } = await fetchSegments(tabId);
-  if (!segments.length) {
+  const { url, segments } = await fetchSegments(tabId);
+  const playableSegments = (segments || []).filter(
+    segment => typeof segment?.text === 'string' && segment.text.trim().length > 0,
+  );
+  if (!playableSegments.length) {
     setStatus('No readable content detected.');
     logger.warn('Full-page narration aborted due to missing segments.', { tabId });
     return;
   }
 
-  const controller = createPlaybackController();
-  if (state.playbackController) {
-    state.playbackController.cancel();
-  }
-  state.playbackController = controller;
+  setPlaybackLoading();
   setStatus('Preparing full-page narration…');
-
   try {
-    const playableSegments = segments.filter(segment => typeof segment?.text === 'string' && segment.text.trim().length > 0);
-    const total = playableSegments.length;
-    if (!total) {
-      setStatus('No readable content detected.');
-      setPlaybackReady();
-      logger.warn('No playable segments found after filtering.', { tabId });
-      return;
-    }
-
-    for (let index = 0; index < total; index += 1) {
-      if (controller.cancelled) {
-        break;
-      }
-      const segment = playableSegments[index];
-      logger.debug('Requesting narration for segment.', {
-        index,
-        total,
-        length: segment.text.length,
-      });
-      beginTtsProgress('full-page', { segmentIndex: index, segmentTotal: total });
-      setPlaybackLoading();
-      let response;
-      try {
-        response = await sendMessage('comet:synthesise', {
-          text: segment.text,
-          voice: state.voice,
-          language: state.language,
-          provider: resolveSpeechProviderForBackground(),
-        });
-      } finally {
-        clearTtsProgress();
-      }
-      updateUsage(response.usage);
-      if (controller.cancelled) {
-        break;
-      }
-      if (response.audio?.truncated) {
-        logger.warn('Segment speech truncated to satisfy provider limits.', {
-          segmentIndex: index,
-          originalTokens: response.audio.originalTokenCount,
-          deliveredTokens: response.audio.deliveredTokenCount,
-          omittedTokens: response.audio.omittedTokenCount,
-        });
-      }
-      setStatus(
-        response.audio?.truncated
-          ? `Playing truncated segment ${index + 1} of ${total}.`
-          : `Playing segment ${index + 1} of ${total}.`,
-      );
-      const outcome = await playAudioPayload(response.audio, controller);
-      if (outcome === 'skipped') {
-        setStatus(`Segment ${index + 1} is silent. Skipping.`);
-        logger.debug('Segment playback skipped.', { index, reason: 'silent' });
-        continue;
-      }
-      if (outcome === 'cancelled') {
-        logger.info('Playback cancelled by user during full-page narration.', { index });
-        break;
-      }
-    }
-
-    if (controller.cancelled) {
-      setPlaybackReady();
-      setStatus('Playback stopped.');
-      logger.info('Full-page narration stopped before completion.');
-      return;
+    const status = await sendMessage('comet:playback:enqueue', {
+      items: playableSegments.map(segment => ({ text: segment.text, segmentId: segment.id })),
+      page: { tabId, url, segmentIds: segments.map(segment => segment.id) },
+      replace: true,
+      resume,
+      voice: state.voice,
+      language: state.language,
+      provider: resolveSpeechProviderForBackground(),
+      playbackRate: state.playbackRate,
+    });
+    renderPlaybackState(status);
+    if (resume && !status?.resumed) {
+      setStatus('No saved position for this page. Reading from the beginning.');
     }
-
-    setPlaybackReady();
-    setStatus('Finished reading page.');
-    logger.info('Full-page narration completed.');
+    logger.info('Full-page narration queued.', { segmentCount: playableSegments.length, resumed: status?.resumed });
   } catch (error) {
     clearTtsProgress();
     setPlaybackReady();
     logger.error('Full-page narration failed.', { error });
     throw error;
-  } finally {
-    if (state.playbackController === controller) {
-      state.playbackController = null;
-    }
   }
 }
 
 /**
- * Stops the active audio playback and resets player controls.
+ * Stops background playback and clears the queue.
+ *
+ * @returns {Promise<void>} Resolves once the background has stopped.
  */
-function stopPlayback() {
+async function stopPlayback() {
   logger.debug('Stopping playback.');
-  if (state.audio) {
-    state.audio.pause();
-    state.audio.currentTime = 0;
-  }
-  if (state.playbackController) {
-    state.playbackController.cancel();
-    state.playbackController = null;
-  }
-  revokeAudioSource();
   clearTtsProgress();
-  setPlaybackReady();
+  renderPlaybackState(await sendMessage('comet:playback:stop'));
   setStatus('Playback stopped.');
 }
 
 /**
- * Pauses audio playback without resetting the position.
+ * Pauses background playback without resetting the position.
+ *
+ * @returns {Promise<void>} Resolves once the background has paused.
  */
-function pausePlayback() {
+async function pausePlayback() {
   logger.debug('Pausing playback.');
-  if (state.audio) {
-    state.audio.pause();
-  }
-  elements.play.disabled = false;
-  elements.pause.disabled = true;
-  elements.stop.disabled = false;
+  renderPlaybackState(await sendMessage('comet:playback:pause'));
+}
+
+/**
+ * Resumes paused background playback.
+ *
+ * @returns {Promise<void>} Resolves once playback has resumed.
+ */
+async function resumePlayback() {
+  logger.debug('Resuming playback.');
+  renderPlaybackState(await sendMessage('comet:playback:resume'));
+}
+
+/**
+ * Moves to the next queued item.
+ *
+ * @returns {Promise<void>} Resolves once the current item is skipped.
+ */
+async function skipPlayback() {
+  renderPlaybackState(await sendMessage('comet:playback:skip'));
+}
+
+/**
+ * Jumps back within the item being played.
+ *
+ * @returns {Promise<void>} Resolves once the position has moved.
+ */
+async function rewindPlayback() {
+  const position = state.playback?.current?.position || 0;
+  renderPlaybackState(
+    await sendMessage('comet:playback:seek', { seconds: Math.max(0, position - PLAYBACK_REWIND_SECONDS) }),
+  );
 }
 
 /**
@@ -2259,6 +2806,21 @@ async function updateLanguage(event) {
   await storageLocalSet({ language: state.language, ttsLanguage: state.language });
 }
 
+/**
+ * Stores the page content extraction mode. Open tabs pick the change up from
+ * storage and rebuild their segments.
+ *
+ * @param {Event} event - Change event from the extraction mode selector.
+ * @returns {Promise<void>} Resolves once the preference is stored.
+ */
+async function updateExtractionMode(event) {
+  const mode = EXTRACTION_MODES.includes(event.target?.value) ? event.target.value : DEFAULT_EXTRACTION_MODE;
+  state.extractionMode = mode;
+  await storageLocalSet({ extractionMode: mode });
+  logger.info('Extraction mode updated.', { extractionMode: mode });
+  setStatus(mode === 'full' ? 'Summaries will cover the entire page.' : 'Summaries will cover the main article only.');
+}
+
 /**
  * Updates the preferred voice for speech synthesis.
  *
@@ -2292,10 +2854,10 @@ async function updatePlaybackRate(event) {
     return;
   }
   state.playbackRate = value;
-  if (state.audio && typeof state.audio.playbackRate === 'number') {
-    state.audio.playbackRate = state.playbackRate;
-  }
   await storageLocalSet({ playbackRate: state.playbackRate });
+  if (state.playback && state.playback.state !== 'idle') {
+    renderPlaybackState(await sendMessage('comet:playback:setRate', { rate: state.playbackRate }));
+  }
 }
 
 /**
@@ -2311,6 +2873,7 @@ async function loadPreferences() {
     'ttsProvider',
     'ttsVoice',
     'playbackRate',
+    'extractionMode',
   ]);
   const candidateLanguage = stored.language || stored.ttsLanguage;
   if (candidateLanguage && availableLocales().includes(candidateLanguage)) {
@@ -2332,15 +2895,18 @@ async function loadPreferences() {
   } else {
     state.pendingVoicePreference = null;
   }
+  if (EXTRACTION_MODES.includes(stored.extractionMode)) {
+    state.extractionMode = stored.extractionMode;
+  }
+  if (elements.extractionMode) {
+    elements.extractionMode.value = state.extractionMode;
+  }
   const storedRate = stored.playbackRate;
   if (storedRate !== undefined) {
     const rate = Number.parseFloat(storedRate);
     if (Number.isFinite(rate) && rate > 0 && elements.playbackRate) {
       state.playbackRate = rate;
       elements.playbackRate.value = String(rate);
-      if (state.audio && typeof state.audio.playbackRate === 'number') {
-        state.audio.playbackRate = state.playbackRate;
-      }
     }
   } else if (elements.playbackRate) {
     elements.playbackRate.value = String(state.playbackRate);
@@ -2350,6 +2916,7 @@ async function loadPreferences() {
     language: state.language,
     voice: state.voice,
     playbackRate: state.playbackRate,
+    extractionMode: state.extractionMode,
     ttsProvider: state.ttsProvider,
   });
 }
@@ -2432,11 +2999,15 @@ async function stopRecording() {
     reader.onerror = () => reject(reader.error || new Error('Recorder failure.'));
     reader.readAsDataURL(blob);
   });
+  // The active page lets domain budgets cover voice input too.
+  const { supported, tab } = await resolveActiveTabSupport()
+    .catch(() => ({ supported: false, tab: null }));
   const response = await sendMessage('comet:transcribe', {
     base64,
     mimeType: blob.type,
     filename: 'speech.webm',
     provider: state.provider,
+    url: supported ? tab.url : undefined,
   });
   updateUsage(response.usage);
   handleTranscript(response.text);
@@ -2478,6 +3049,30 @@ async function resetUsage() {
   logger.info('Usage reset completed.');
 }
 
+/**
+ * Opens the usage dashboard, which the manifest registers as the options
+ * page.
+ *
+ * @returns {Promise<void>} Resolves once the page has been requested.
+ */
+async function openDashboard() {
+  logger.info('Usage dashboard requested.');
+  if (usesBrowserPromises) {
+    await runtime.openOptionsPage();
+    return;
+  }
+  await new Promise((resolve, reject) => {
+    runtime.openOptionsPage(() => {
+      const lastError = getRuntimeLastError();
+      if (lastError) {
+        reject(normaliseError(lastError));
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
 /**
  * Fetches the latest usage snapshot for display in the popup.
  *
@@ -2496,48 +3091,85 @@ async function refreshUsage() {
 function bindEvents() {
   elements.apiForm.addEventListener('submit', withErrorHandling(saveApiKey));
   elements.provider.addEventListener('change', withErrorHandling(handleProviderChange));
+  elements.providerModel?.addEventListener('change', withErrorHandling(handleProviderModelChange));
   elements.ttsProvider.addEventListener('change', withErrorHandling(handleTtsProviderChange));
   elements.summarise.addEventListener(
     'click',
     createGuardedHandler(elements.summarise, summarisePage, { name: 'summarisePage' }),
   );
+  elements.cancelSummary?.addEventListener('click', withErrorHandling(cancelSummary));
   elements.read.addEventListener(
     'click',
     createGuardedHandler(elements.read, readAloud, { name: 'readAloud' }),
   );
   elements.readPage.addEventListener(
     'click',
-    createGuardedHandler(elements.readPage, readFullPage, { name: 'readFullPage' }),
+    createGuardedHandler(elements.readPage, () => readFullPage(), { name: 'readFullPage' }),
+  );
+  elements.resumeReading?.addEventListener(
+    'click',
+    createGuardedHandler(elements.resumeReading, () => readFullPage({ resume: true }), {
+      name: 'resumeReading',
+    }),
+  );
+  elements.summariseSelection?.addEventListener(
+    'click',
+    createGuardedHandler(elements.summariseSelection, () => summariseSelection(), {
+      name: 'summariseSelection',
+    }),
+  );
+  elements.readSelection?.addEventListener(
+    'click',
+    createGuardedHandler(elements.readSelection, () => readSelection(), { name: 'readSelection' }),
+  );
+  elements.exportAudio?.addEventListener(
+    'click',
+    createGuardedHandler(elements.exportAudio, prepareAudioExport, { name: 'prepareAudioExport' }),
+  );
+  elements.confirmExport?.addEventListener(
+    'click',
+    createGuardedHandler(elements.confirmExport, confirmAudioExport, { name: 'exportAudio' }),
+  );
+  elements.cancelExport?.addEventListener('click', cancelAudioExport);
+  elements.addToQueue?.addEventListener(
+    'click',
+    createGuardedHandler(elements.addToQueue, addActiveTabToQueue, { name: 'addToQueue' }),
+  );
+  elements.playQueue?.addEventListener(
+    'click',
+    createGuardedHandler(elements.playQueue, playListeningQueue, { name: 'playQueue' }),
+  );
+  elements.listeningQueueList?.addEventListener(
+    'click',
+    createGuardedHandler(elements.listeningQueueList, handleListeningQueueClick, { name: 'editQueue' }),
   );
   elements.play.addEventListener(
     'click',
-    createGuardedHandler(
-      elements.play,
-      async () => {
-        if (state.audio) {
-          if (typeof state.audio.playbackRate === 'number') {
-            state.audio.playbackRate = state.playbackRate;
-          }
-          await state.audio.play();
-          setPlaybackActive();
-        }
-      },
-      { name: 'playAudio' },
-    ),
+    createGuardedHandler(elements.play, resumePlayback, { name: 'resumePlayback' }),
   );
   elements.pause.addEventListener(
     'click',
-    createGuardedHandler(elements.pause, async () => { pausePlayback(); }, { name: 'pausePlayback' }),
+    createGuardedHandler(elements.pause, pausePlayback, { name: 'pausePlayback' }),
   );
   elements.stop.addEventListener(
     'click',
-    createGuardedHandler(elements.stop, async () => { stopPlayback(); }, { name: 'stopPlayback' }),
+    createGuardedHandler(elements.stop, stopPlayback, { name: 'stopPlayback' }),
+  );
+  elements.rewind?.addEventListener(
+    'click',
+    createGuardedHandler(elements.rewind, rewindPlayback, { name: 'rewindPlayback' }),
+  );
+  elements.skip?.addEventListener(
+    'click',
+    createGuardedHandler(elements.skip, skipPlayback, { name: 'skipPlayback' }),
   );
   elements.resetUsage.addEventListener(
     'click',
     createGuardedHandler(elements.resetUsage, resetUsage, { name: 'resetUsage' }),
   );
+  elements.openDashboard?.addEventListener('click', withErrorHandling(openDashboard));
   elements.language.addEventListener('change', withErrorHandling(updateLanguage));
+  elements.extractionMode?.addEventListener('change', withErrorHandling(updateExtractionMode));
   elements.voice.addEventListener('change', withErrorHandling(updateVoice));
   elements.saveSpeechSettings.addEventListener(
     'click',
@@ -2624,6 +3256,11 @@ async function init() {
     throw loadApiKeyError;
   }
   logger.info('Popup initialised.');
+  await refreshListeningQueue();
+  if (activeTabSupport.supported) {
+    await refreshPlaybackState();
+    await showContextMenuSelectionSummary();
+  }
 }
 
 function bootstrap() {
@@ -2648,7 +3285,9 @@ const __TESTING__ = {
   setPlaybackReady,
   setPlaybackLoading,
   readFullPage,
-  ensureAudio,
+  summariseSelection,
+  readSelection,
+  showContextMenuSelectionSummary,
   getActiveTabId,
   resolveSupportedTabUrl,
   isTabUrlSupported,
@@ -2658,11 +3297,24 @@ const __TESTING__ = {
   loadPreferences,
   applyVoiceCapabilities,
   refreshVoiceOptions,
-  playAudioPayload,
-  createPlaybackController,
+  renderTtsProviderOptions,
+  refreshProviderModels,
+  renderPlaybackState,
+  refreshPlaybackState,
+  renderListeningQueue,
+  addActiveTabToQueue,
+  playListeningQueue,
+  handleListeningQueueClick,
+  prepareAudioExport,
+  confirmAudioExport,
+  pausePlayback,
+  stopPlayback,
   beginTtsProgress,
   clearTtsProgress,
   handleTtsProgressMessage,
+  streamSummaries,
+  renderDigest,
+  cancelSummary,
   init,
 };
 
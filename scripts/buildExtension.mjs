@@ -47,6 +47,9 @@ async function copyStaticAssets(outDir) {
     ['logging_config.yaml', 'logging_config.yaml'],
     ['popup/index.html', 'popup/index.html'],
     ['popup/styles.css', 'popup/styles.css'],
+    ['offscreen/offscreen.html', 'offscreen/offscreen.html'],
+    ['dashboard/index.html', 'dashboard/index.html'],
+    ['dashboard/styles.css', 'dashboard/styles.css'],
   ];
 
   const copied = [];
@@ -0,0 +1,212 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AnthropicAdapter } from '../background/adapters/anthropic.js';
+
+function createAdapter(overrides = {}, options = {}) {
+  const baseConfig = {
+    apiUrl: 'https://api.anthropic.com/v1/messages',
+    model: 'claude-3-opus',
+    temperature: 0.2,
+    headers: { 'X-Test': 'true' },
+    ...overrides,
+  };
+  return new AnthropicAdapter(baseConfig, options);
+}
+
+function createErrorResponse(status, body, headers = {}) {
+  return {
+    ok: false,
+    status,
+    statusText: 'Error',
+    headers: new Map(Object.entries(headers)),
+    text: async () => body,
+  };
+}
+
+test('summarise posts a Messages API payload and maps usage tokens', async () => {
+  let capturedRequest;
+  const fetchStub = async (url, options) => {
+    capturedRequest = { url, options };
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        model: 'claude-3-opus-20240229',
+        stop_reason: 'end_turn',
+        content: [
+          { type: 'text', text: '  First part.  ' },
+          { type: 'text', text: 'Second part.' },
+        ],
+        usage: { input_tokens: 120, output_tokens: 30 },
+      }),
+    };
+  };
+
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const result = await adapter.summarise({
+    apiKey: 'anthropic-key',
+    text: 'Article body',
+    language: 'English',
+    maxTokens: 900,
+  });
+
+  assert.equal(capturedRequest.url, 'https://api.anthropic.com/v1/messages');
+  assert.equal(capturedRequest.options.method, 'POST');
+  const headers = capturedRequest.options.headers;
+  assert.equal(headers['x-api-key'], 'anthropic-key');
+  assert.equal(headers['anthropic-version'], '2023-06-01');
+  assert.equal(headers['Content-Type'], 'application/json');
+  assert.equal(headers['X-Test'], 'true');
+  assert.equal(headers.Authorization, undefined);
+
+  const payload = JSON.parse(capturedRequest.options.body);
+  assert.equal(payload.model, 'claude-3-opus');
+  assert.equal(payload.max_tokens, 900);
+  assert.equal(payload.temperature, 0.2);
+  assert.equal(payload.system, 'You are a helpful assistant that creates short spoken summaries.');
+  assert.equal(payload.messages.length, 1);
+  assert.equal(payload.messages[0].role, 'user');
+  assert.match(payload.messages[0].content, /Article body/);
+
+  assert.deepEqual(result, {
+    summary: 'First part.\nSecond part.',
+    model: 'claude-3-opus-20240229',
+    promptTokens: 120,
+    completionTokens: 30,
+  });
+});
+
+test('summarise falls back to the default completion cap when none is supplied', async () => {
+  let payload;
+  const fetchStub = async (url, options) => {
+    payload = JSON.parse(options.body);
+    return { ok: true, status: 200, json: async () => ({ content: [] }) };
+  };
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+
+  const result = await adapter.summarise({ apiKey: 'key', text: 'text', language: 'en', maxTokens: 0 });
+
+  assert.equal(payload.max_tokens, 1024);
+  assert.equal(result.summary, '');
+  assert.equal(result.promptTokens, undefined);
+  assert.equal(result.completionTokens, undefined);
+});
+
+test('summarise reports authentication failures with their status', async () => {
+  const fetchStub = async () => createErrorResponse(
+    401,
+    '{"type":"error","error":{"type":"authentication_error","message":"invalid x-api-key"}}',
+  );
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+
+  await assert.rejects(
+    adapter.summarise({ apiKey: 'bad', text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.status, 401);
+      assert.equal(error.type, 'authentication_error');
+      assert.match(error.message, /Anthropic error \(401\): invalid x-api-key/);
+      return true;
+    },
+  );
+});
+
+test('summarise flags rate limits and overload responses', async () => {
+  const rateLimited = createAdapter({}, {
+    fetchImpl: async () => createErrorResponse(429, 'slow down', { 'retry-after': '12' }),
+  });
+  await assert.rejects(
+    rateLimited.summarise({ apiKey: 'key', text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.status, 429);
+      assert.equal(error.code, 'rate_limited');
+      assert.equal(error.retryAfterMs, 12000);
+      return true;
+    },
+  );
+
+  const overloaded = createAdapter({}, {
+    fetchImpl: async () => createErrorResponse(
+      529,
+      '{"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}',
+    ),
+  });
+  await assert.rejects(
+    overloaded.summarise({ apiKey: 'key', text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.status, 529);
+      assert.equal(error.code, 'overloaded');
+      assert.equal(error.type, 'overloaded_error');
+      return true;
+    },
+  );
+});
+
+test('summarise requires an API key', async () => {
+  const adapter = createAdapter();
+  await assert.rejects(
+    adapter.summarise({ apiKey: '', text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.message, 'Missing Anthropic API key.');
+      return true;
+    },
+  );
+});
+
+test('audio capabilities are reported as unavailable', async () => {
+  const adapter = createAdapter();
+  assert.deepEqual(adapter.getVoiceCapabilities(), { availableVoices: [], preferredVoice: null });
+  assert.equal(adapter.getCostMetadata().summarise.model, 'claude-3-opus');
+  await assert.rejects(adapter.transcribe(), /Anthropic transcription is not supported/);
+  await assert.rejects(adapter.synthesise(), /Anthropic speech synthesis is not supported/);
+});
+
+test('summariseStream relays text deltas and collects usage from message events', async () => {
+  let payload;
+  const body = [
+    'event: message_start\ndata: {"type":"message_start","message":{"model":"claude-3-opus-20240229","usage":{"input_tokens":30,"output_tokens":1}}}',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Short"}}',
+    'event: ping\ndata: {"type":"ping"}',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" summary."}}',
+    'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":6}}',
+    'event: message_stop\ndata: {"type":"message_stop"}',
+    '',
+  ].join('\n\n');
+  const adapter = createAdapter({}, {
+    fetchImpl: async (url, options) => {
+      payload = JSON.parse(options.body);
+      return new Response(body, { status: 200 });
+    },
+  });
+  const deltas = [];
+
+  const result = await adapter.summariseStream({
+    apiKey: 'sk-ant',
+    text: 'Body',
+    language: 'English',
+    onDelta: delta => deltas.push(delta),
+  });
+
+  assert.equal(payload.stream, true);
+  assert.deepEqual(deltas, ['Short', ' summary.']);
+  assert.equal(result.summary, 'Short summary.');
+  assert.equal(result.model, 'claude-3-opus-20240229');
+  assert.equal(result.promptTokens, 30);
+  assert.equal(result.completionTokens, 6);
+});
+
+test('summariseStream surfaces stream error events', async () => {
+  const body = 'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n';
+  const adapter = createAdapter({}, {
+    fetchImpl: async () => new Response(body, { status: 200 }),
+  });
+
+  await assert.rejects(
+    () => adapter.summariseStream({ apiKey: 'sk-ant', text: 'Body', language: 'English', onDelta: () => {} }),
+    error => {
+      assert.equal(error.code, 'overloaded');
+      assert.match(error.message, /Anthropic stream error: Overloaded/);
+      return true;
+    },
+  );
+});
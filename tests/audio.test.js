@@ -5,6 +5,11 @@ import {
   bufferToWave,
   base64ToArrayBuffer,
   playAudioFromBase64,
+  createAudioPlayer,
+  createId3Tag,
+  addWaveMetadata,
+  createWaveFromPcm,
+  joinWaveFiles,
   createRecorder,
   ensureAudioContext,
 } from '../utils/audio.js';
@@ -214,3 +219,149 @@ test('ensureAudioContext throws when the API is missing', async () => {
     globalThis.window = originalWindow;
   }
 });
+
+test('createAudioPlayer plays payloads and reports progress and completion', async () => {
+  const originalURL = globalThis.URL;
+  const revokedUrls = [];
+  let urlCount = 0;
+  globalThis.URL = {
+    createObjectURL() {
+      urlCount += 1;
+      return `blob:track-${urlCount}`;
+    },
+    revokeObjectURL(url) {
+      revokedUrls.push(url);
+    },
+  };
+
+  class FakeAudio {
+    constructor() {
+      this.listeners = new Map();
+      this.paused = true;
+      this.currentTime = 0;
+      this.duration = 20;
+      this.playbackRate = 1;
+    }
+
+    addEventListener(type, handler) {
+      this.listeners.set(type, handler);
+    }
+
+    dispatch(type) {
+      this.listeners.get(type)?.();
+    }
+
+    async play() {
+      this.paused = false;
+    }
+
+    pause() {
+      this.paused = true;
+    }
+  }
+
+  const events = [];
+  let element = null;
+  try {
+    const player = createAudioPlayer({
+      onEvent: event => events.push(event),
+      createAudio: () => {
+        element = new FakeAudio();
+        return element;
+      },
+    });
+    assert.equal(player.status(), null);
+
+    const started = await player.play({
+      id: 'item-1',
+      base64: Buffer.from('audio').toString('base64'),
+      startTime: 4,
+      playbackRate: 1.5,
+    });
+    assert.deepEqual(started, { id: 'item-1', paused: false, currentTime: 4, duration: 20 });
+    assert.equal(element.playbackRate, 1.5);
+
+    player.pause();
+    assert.equal(player.status().paused, true);
+    await player.resume();
+    player.seek({ seconds: 9 });
+    assert.deepEqual(events.at(-1), { type: 'progress', id: 'item-1', currentTime: 9, duration: 20 });
+
+    element.dispatch('ended');
+    assert.deepEqual(events.at(-1), { type: 'ended', id: 'item-1', currentTime: 9, duration: 20 });
+    assert.deepEqual(revokedUrls, ['blob:track-1']);
+    assert.equal(player.status(), null);
+  } finally {
+    globalThis.URL = originalURL;
+  }
+});
+
+test('createId3Tag encodes title, source URL and date frames', () => {
+  const tag = Buffer.from(createId3Tag({ title: 'Café notes', url: 'https://example.com/a', date: '2024-05-01' }));
+  assert.equal(tag.subarray(0, 3).toString(), 'ID3');
+  assert.equal(tag[3], 4);
+  const size = (tag[6] << 21) | (tag[7] << 14) | (tag[8] << 7) | tag[9];
+  assert.equal(size, tag.length - 10);
+
+  const frames = {};
+  let offset = 10;
+  while (offset < tag.length) {
+    const id = tag.subarray(offset, offset + 4).toString();
+    const frameSize = (tag[offset + 4] << 21) | (tag[offset + 5] << 14) | (tag[offset + 6] << 7) | tag[offset + 7];
+    frames[id] = tag.subarray(offset + 10, offset + 10 + frameSize);
+    offset += 10 + frameSize;
+  }
+  assert.equal(frames.TIT2[0], 3);
+  assert.equal(frames.TIT2.subarray(1).toString('utf8'), 'Café notes');
+  assert.equal(frames.WOAS.toString(), 'https://example.com/a');
+  assert.equal(frames.TDRC.subarray(1).toString(), '2024-05-01');
+});
+
+test('addWaveMetadata appends a LIST/INFO chunk and updates the RIFF size', async () => {
+  const samples = new Float32Array([0.5, -0.5]);
+  const wave = bufferToWave({ numberOfChannels: 1, length: samples.length, getChannelData: () => samples }, 8000);
+  const original = await wave.arrayBuffer();
+
+  const tagged = Buffer.from(addWaveMetadata(original, { title: 'Page', url: 'https://example.com/b', date: '2024-05-01' }));
+  assert.equal(tagged.readUInt32LE(4), tagged.length - 8);
+  assert.deepEqual(tagged.subarray(8, original.byteLength), Buffer.from(original).subarray(8));
+
+  const list = tagged.subarray(original.byteLength);
+  assert.equal(list.subarray(0, 4).toString(), 'LIST');
+  assert.equal(list.readUInt32LE(4), list.length - 8);
+  assert.equal(list.subarray(8, 12).toString(), 'INFO');
+  assert.equal(list.subarray(12, 16).toString(), 'INAM');
+  assert.equal(list.readUInt32LE(16), 5);
+  assert.equal(list.subarray(20, 24).toString(), 'Page');
+  assert.match(list.toString('latin1'), /ICMT\x16\x00\x00\x00https:\/\/example\.com\/b\x00ICRD/);
+});
+
+test('createWaveFromPcm writes a PCM header around the samples', () => {
+  const pcm = new Uint8Array([1, 0, 2, 0]);
+  const wave = Buffer.from(createWaveFromPcm(pcm, { sampleRate: 24000 }));
+
+  assert.equal(wave.subarray(0, 4).toString(), 'RIFF');
+  assert.equal(wave.readUInt32LE(4), wave.length - 8);
+  assert.equal(wave.subarray(8, 16).toString(), 'WAVEfmt ');
+  assert.equal(wave.readUInt16LE(22), 1);
+  assert.equal(wave.readUInt32LE(24), 24000);
+  assert.equal(wave.readUInt32LE(28), 48000);
+  assert.equal(wave.subarray(36, 40).toString(), 'data');
+  assert.equal(wave.readUInt32LE(40), 4);
+  assert.deepEqual([...wave.subarray(44)], [1, 0, 2, 0]);
+});
+
+test('joinWaveFiles merges the samples of several WAV files', async () => {
+  const first = createWaveFromPcm(new Uint8Array([1, 0]), { sampleRate: 16000 });
+  const samples = new Float32Array([0.5, -0.5]);
+  const second = new Uint8Array(
+    await bufferToWave({ numberOfChannels: 1, length: samples.length, getChannelData: () => samples }, 16000).arrayBuffer(),
+  );
+
+  const joined = Buffer.from(joinWaveFiles([first, second]));
+  assert.equal(joined.readUInt32LE(24), 16000);
+  assert.equal(joined.readUInt32LE(40), 6);
+  assert.deepEqual(joined.subarray(44), Buffer.concat([Buffer.from([1, 0]), Buffer.from(second.subarray(44))]));
+
+  assert.throws(() => joinWaveFiles([new Uint8Array(12)]), /not a PCM WAV file/);
+});
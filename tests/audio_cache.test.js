@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAudioCache, createAudioCacheKey, createMemoryAudioStore } from '../background/tts/audioCache.js';
+
+test('audio cache keys normalise text and separate voice, model and provider', async () => {
+  const base = { text: 'Hello   world\n', voice: 'alloy', model: 'gpt-4o-mini-tts', provider: 'openai' };
+  const key = await createAudioCacheKey(base);
+
+  assert.equal(key, await createAudioCacheKey({ ...base, text: ' Hello world' }));
+  assert.ok(!key.includes('Hello'));
+  assert.notEqual(key, await createAudioCacheKey({ ...base, voice: 'verse' }));
+  assert.notEqual(key, await createAudioCacheKey({ ...base, model: 'tts-1' }));
+  assert.notEqual(key, await createAudioCacheKey({ ...base, provider: 'gemini' }));
+  assert.notEqual(key, await createAudioCacheKey({ ...base, text: 'Hello there' }));
+});
+
+test('audio cache evicts the least recently used entries above the byte ceiling', async () => {
+  let clock = 0;
+  const store = createMemoryAudioStore();
+  const cache = createAudioCache({ store, maxBytes: 10, now: () => (clock += 1) });
+
+  await cache.set('a', { base64: 'a' }, 4);
+  await cache.set('b', { base64: 'b' }, 4);
+  assert.deepEqual(await cache.get('a'), { base64: 'a' });
+  await cache.set('c', { base64: 'c' }, 4);
+
+  assert.equal(await cache.get('b'), null);
+  assert.deepEqual(await cache.get('a'), { base64: 'a' });
+  assert.deepEqual(await cache.get('c'), { base64: 'c' });
+
+  await cache.set('huge', { base64: 'huge' }, 11);
+  assert.equal(await cache.get('huge'), null);
+  assert.deepEqual((await store.entries()).map(entry => entry.key).sort(), ['a', 'c']);
+});
+
+test('audio cache treats store failures as misses', async () => {
+  const cache = createAudioCache({
+    store: {
+      get: async () => {
+        throw new Error('Database unavailable.');
+      },
+      put: async () => {
+        throw new Error('Quota exceeded.');
+      },
+      delete: async () => {},
+      entries: async () => [],
+    },
+  });
+
+  assert.equal(await cache.get('key'), null);
+  await cache.set('key', { base64: 'audio' }, 5);
+});
+
+test('audio cache stores nothing when the ceiling is zero', async () => {
+  const cache = createAudioCache({ store: createMemoryAudioStore(), maxBytes: 0 });
+  await cache.set('key', { base64: 'audio' }, 5);
+  assert.equal(await cache.get('key'), null);
+});
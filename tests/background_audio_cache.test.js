@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+
+async function setupWorker() {
+  const stub = installChromeStub();
+  stub.persistentStore['comet:apiKey:openai_paid'] = 'test-key';
+
+  const messageListeners = [];
+  stub.chrome.runtime.onMessage = { addListener: listener => messageListeners.push(listener) };
+
+  const synthesised = [];
+  const module = await importServiceWorker();
+  module.__setTestAdapterOverride('openai_paid', {
+    getCostMetadata() {
+      return { synthesise: { label: 'tts', flatCost: 0.01, model: 'gpt-4o-mini-tts' } };
+    },
+    async synthesise({ text, voice }) {
+      synthesised.push({ text, voice });
+      return { base64: Buffer.from(`mp3:${text}`).toString('base64'), mimeType: 'audio/mpeg' };
+    },
+  });
+  await module.ensureInitialised('openai_paid');
+
+  const send = message =>
+    new Promise(resolve => {
+      messageListeners.forEach(listener => listener(message, {}, resolve));
+    });
+
+  return { stub, module, send, synthesised };
+}
+
+test('speech synthesis reuses cached audio without billing again', async () => {
+  const { stub, module, send, synthesised } = await setupWorker();
+  try {
+    const payload = { text: 'Cached narration text.', provider: 'openai_paid', voice: 'alloy' };
+    const first = await send({ type: 'comet:synthesise', payload });
+    assert.equal(first.success, true, first.error);
+    assert.equal(first.result.source, 'network');
+    const billedTokens = first.result.usage.totalTokens;
+    assert.ok(billedTokens > 0);
+
+    const second = await send({ type: 'comet:synthesise', payload: { ...payload, text: '  Cached narration\ttext. ' } });
+    assert.equal(second.success, true, second.error);
+    assert.equal(second.result.source, 'cache');
+    assert.equal(second.result.audio.base64, first.result.audio.base64);
+    assert.equal(second.result.audio.mimeType, 'audio/mpeg');
+    assert.deepEqual(second.result.audio.timeline, first.result.audio.timeline);
+    assert.equal(second.result.usage.totalTokens, billedTokens);
+    assert.equal(synthesised.length, 1);
+
+    const otherVoice = await send({ type: 'comet:synthesise', payload: { ...payload, voice: 'verse' } });
+    assert.equal(otherVoice.result.source, 'network');
+    assert.equal(synthesised.length, 2);
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
@@ -83,7 +83,13 @@ test('free audio adapters bypass cost limits and retain zero spend', async () =>
         descriptor: {
           completionTokens: 0,
           totalTokens: 0,
-          metadata: { type: 'free-stt', estimatedTokens: 0 },
+          metadata: {
+            provider: 'openai_paid',
+            tier: 'paid',
+            type: 'free-stt',
+            estimatedTokens: 0,
+            spendUsd: 0,
+          },
         },
         metadata: undefined,
       },
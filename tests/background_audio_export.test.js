@@ -0,0 +1,200 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+
+const TEXTS = ['First segment of the page.', 'Second segment of the page.'];
+
+async function setupWorker() {
+  const stub = installChromeStub();
+  stub.persistentStore['comet:apiKey:openai_paid'] = 'test-key';
+
+  const messageListeners = [];
+  stub.chrome.runtime.onMessage = { addListener: listener => messageListeners.push(listener) };
+
+  const hostCommands = [];
+  stub.chrome.runtime.sendMessage = (message, callback) => {
+    if (message.target === 'offscreen') {
+      hostCommands.push(message.payload);
+      const wave = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVEfmt ')]);
+      wave.writeUInt32LE(wave.length - 8, 4);
+      callback?.({ ok: true, result: wave.toString('base64') });
+      return;
+    }
+    callback?.();
+  };
+  stub.chrome.offscreen = { hasDocument: async () => true, createDocument: async () => {} };
+  stub.chrome.tabs = {
+    get: async tabId => ({ id: tabId, title: 'A long/odd: title', url: 'https://example.com/article' }),
+  };
+
+  const downloads = [];
+  const downloadListeners = new Set();
+  stub.chrome.downloads = {
+    download: async options => {
+      downloads.push(options);
+      return 42;
+    },
+    onChanged: {
+      addListener: listener => downloadListeners.add(listener),
+      removeListener: listener => downloadListeners.delete(listener),
+    },
+  };
+
+  const synthesised = [];
+  const module = await importServiceWorker();
+  module.__setTestAdapterOverride('openai_paid', {
+    getCostMetadata() {
+      return { synthesise: { label: 'tts', flatCost: 0.01, model: 'gpt-4o-mini-tts' } };
+    },
+    async synthesise({ text }) {
+      synthesised.push(text);
+      return { base64: Buffer.from(`mp3:${text}|`).toString('base64'), mimeType: 'audio/mpeg' };
+    },
+  });
+  await module.ensureInitialised('openai_paid');
+
+  const send = message =>
+    new Promise(resolve => {
+      messageListeners.forEach(listener => listener(message, {}, resolve));
+    });
+
+  return { stub, module, send, downloads, downloadListeners, hostCommands, synthesised };
+}
+
+async function readDownload(download) {
+  const response = await fetch(download.url);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+test('audio export estimates tokens and flat costs without synthesising', async () => {
+  const { stub, module, send, synthesised } = await setupWorker();
+  try {
+    const response = await send({
+      type: 'comet:export:estimate',
+      payload: { texts: [...TEXTS, '  '], provider: 'openai_paid' },
+    });
+    assert.equal(response.success, true, response.error);
+    assert.equal(response.result.requestCount, 2);
+    assert.ok(response.result.tokens > 0);
+    assert.equal(response.result.costUsd, 0.02);
+    assert.equal(response.result.truncated, false);
+    assert.equal(response.result.withinLimit, true);
+    assert.deepEqual(synthesised, []);
+
+    const local = await send({ type: 'comet:export:estimate', payload: { texts: TEXTS, provider: 'local' } });
+    assert.equal(local.success, false);
+    assert.match(local.error, /cloud text-to-speech/);
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('audio export requires confirmation and downloads tagged MP3 audio', async () => {
+  const { stub, module, send, downloads, synthesised } = await setupWorker();
+  try {
+    const payload = { texts: TEXTS, tabId: 7, format: 'mp3', provider: 'openai_paid' };
+    const unconfirmed = await send({ type: 'comet:export:audio', payload });
+    assert.equal(unconfirmed.success, false);
+    assert.match(unconfirmed.error, /Confirm the estimated cost/);
+    assert.deepEqual(synthesised, []);
+
+    const response = await send({ type: 'comet:export:audio', payload: { ...payload, confirmed: true } });
+    assert.equal(response.success, true, response.error);
+    assert.equal(response.result.downloadId, 42);
+    assert.equal(response.result.filename, 'A long odd title.mp3');
+    assert.ok(response.result.usage.totalTokens > 0);
+    assert.deepEqual(synthesised, TEXTS);
+
+    assert.equal(downloads.length, 1);
+    assert.equal(downloads[0].filename, 'A long odd title.mp3');
+    assert.equal(downloads[0].saveAs, true);
+    const file = await readDownload(downloads[0]);
+    assert.equal(file.subarray(0, 3).toString(), 'ID3');
+    const tagSize = (file[6] << 21) | (file[7] << 14) | (file[8] << 7) | file[9];
+    assert.equal(file.subarray(10 + tagSize).toString(), `mp3:${TEXTS[0]}|mp3:${TEXTS[1]}|`);
+    assert.match(file.subarray(10, 10 + tagSize).toString(), /https:\/\/example\.com\/article/);
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('audio export encodes WAV through the audio host and adds RIFF metadata', async () => {
+  const { stub, module, send, downloads, hostCommands } = await setupWorker();
+  try {
+    const response = await send({
+      type: 'comet:export:audio',
+      payload: {
+        texts: TEXTS,
+        tabId: 7,
+        url: 'https://example.com/article#top',
+        format: 'wav',
+        provider: 'openai_paid',
+        confirmed: true,
+      },
+    });
+    assert.equal(response.success, true, response.error);
+    assert.equal(hostCommands.length, 1);
+    assert.equal(hostCommands[0].command, 'encodeWav');
+    assert.equal(
+      Buffer.from(hostCommands[0].base64, 'base64').toString(),
+      `mp3:${TEXTS[0]}|mp3:${TEXTS[1]}|`,
+    );
+
+    assert.equal(downloads[0].filename, 'A long odd title.wav');
+    const file = await readDownload(downloads[0]);
+    assert.equal(file.readUInt32LE(4), file.length - 8);
+    assert.match(file.toString('latin1'), /LIST.{4}INFOINAM.{4}A long\/odd: title\x00/s);
+    assert.match(file.toString('latin1'), /ICMT.{4}https:\/\/example\.com\/article#top\x00/s);
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('audio export revokes the object URL once the download completes', async () => {
+  const { stub, module, send, downloads, downloadListeners } = await setupWorker();
+  const revoked = [];
+  const originalRevoke = URL.revokeObjectURL;
+  URL.revokeObjectURL = url => {
+    revoked.push(url);
+    originalRevoke(url);
+  };
+  try {
+    const payload = { texts: TEXTS, tabId: 7, format: 'mp3', provider: 'openai_paid', confirmed: true };
+    const response = await send({ type: 'comet:export:audio', payload });
+    assert.equal(response.success, true, response.error);
+    assert.match(downloads[0].url, /^blob:/);
+    assert.deepEqual(revoked, []);
+
+    downloadListeners.forEach(listener => listener({ id: 42, state: { current: 'complete' } }));
+    assert.deepEqual(revoked, [downloads[0].url]);
+    assert.equal(downloadListeners.size, 0);
+  } finally {
+    URL.revokeObjectURL = originalRevoke;
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('audio export falls back to a data URL when object URLs are unavailable', async () => {
+  const { stub, module, send, downloads } = await setupWorker();
+  const originalCreate = URL.createObjectURL;
+  URL.createObjectURL = () => {
+    throw new TypeError('URL.createObjectURL is not a function');
+  };
+  try {
+    const payload = { texts: TEXTS, tabId: 7, format: 'mp3', provider: 'openai_paid', confirmed: true };
+    const response = await send({ type: 'comet:export:audio', payload });
+    assert.equal(response.success, true, response.error);
+    assert.match(downloads[0].url, /^data:audio\/mpeg;base64,/);
+    const file = await readDownload(downloads[0]);
+    assert.equal(file.subarray(0, 3).toString(), 'ID3');
+  } finally {
+    URL.createObjectURL = originalCreate;
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+import { getCycleStart, getNextCycleStart } from '../utils/billingCycle.js';
+import { __setAgentYamlOverrideForTests, __clearAgentYamlOverrideForTests } from '../utils/providerConfig.js';
+
+const USAGE_STORAGE_KEY = 'comet:usage';
+const USAGE_HISTORY_STORAGE_KEY = 'comet:usageHistory';
+
+test('the billing cycle alarm archives the finished cycle, trims history and reschedules', async () => {
+  const olderCycles = [
+    { start: 3, end: 4, totalTokens: 20, requests: [] },
+    { start: 1, end: 2, totalTokens: 10, requests: [] },
+  ];
+  const stub = installChromeStub({
+    [USAGE_STORAGE_KEY]: {
+      totalPromptTokens: 40,
+      totalCompletionTokens: 20,
+      totalTokens: 60,
+      requests: [{ model: 'gpt-4o-mini', promptTokens: 40, completionTokens: 20, totalTokens: 60, timestamp: 1000 }],
+      lastReset: new Date(2020, 0, 15).getTime(),
+    },
+    [USAGE_HISTORY_STORAGE_KEY]: olderCycles,
+  });
+  const alarmListeners = [];
+  const createdAlarms = [];
+  stub.chrome.runtime.onStartup = { addListener: () => {} };
+  stub.chrome.runtime.onInstalled = { addListener: () => {} };
+  stub.chrome.alarms = {
+    create: (name, info) => createdAlarms.push({ name, info }),
+    onAlarm: { addListener: listener => alarmListeners.push(listener) },
+  };
+  __setAgentYamlOverrideForTests('provider: openai\nbilling:\n  cycle_day: 15\n  history_cycles: 2\n');
+
+  let module;
+  try {
+    module = await importServiceWorker();
+    await module.ensureInitialised();
+    assert.equal(alarmListeners.length, 1);
+
+    await alarmListeners[0]({ name: 'comet:billingCycle' });
+    const cycleStart = getCycleStart(Date.now(), 15);
+
+    const history = stub.persistentStore[USAGE_HISTORY_STORAGE_KEY];
+    assert.equal(history.length, 2);
+    assert.equal(history[0].start, new Date(2020, 0, 15).getTime());
+    assert.equal(history[0].totalTokens, 60);
+    assert.equal(history[0].requests.length, 1);
+    assert.deepEqual(history[1], olderCycles[0]);
+
+    const usage = await module.handleUsageRequest();
+    assert.equal(usage.totalTokens, 0);
+    assert.deepEqual(usage.requests, []);
+    assert.equal(history[0].end, cycleStart);
+    assert.equal(usage.lastReset, cycleStart);
+    assert.equal(stub.persistentStore[USAGE_STORAGE_KEY].lastReset, cycleStart);
+    assert.equal(stub.persistentStore['lock:comet:usage'], undefined);
+
+    assert.equal(createdAlarms.length, 1);
+    assert.equal(createdAlarms[0].name, 'comet:billingCycle');
+    assert.equal(createdAlarms[0].info.when, getNextCycleStart(history[0].end, 15));
+
+    // A second alarm in the same cycle leaves usage and history alone.
+    await alarmListeners[0]({ name: 'comet:billingCycle' });
+    assert.equal(stub.persistentStore[USAGE_HISTORY_STORAGE_KEY].length, 2);
+    assert.equal(stub.persistentStore[USAGE_HISTORY_STORAGE_KEY][0], history[0]);
+  } finally {
+    if (module) {
+      module.__clearTestOverrides();
+    }
+    __clearAgentYamlOverrideForTests();
+    stub.uninstall();
+  }
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+import { registerAdapter } from '../background/adapters/registry.js';
+import { __setAgentYamlOverrideForTests, __clearAgentYamlOverrideForTests } from '../utils/providerConfig.js';
+
+// A 650 token call cap leaves room for roughly four short summaries per
+// digest prompt once the completion reserve is taken off.
+const AGENT_YAML = [
+  'provider: test',
+  'model: stub-model',
+  'routing:',
+  '  provider_order:',
+  '    - test',
+  '  max_tokens_per_call: 650',
+  '  max_monthly_tokens: 50000',
+  'providers:',
+  '  test:',
+  '    provider: test',
+  '    model: stub-model',
+  '    api_url: https://api.test.example/v1/chat',
+  '    api_key_var: TEST_KEY',
+].join('\n');
+
+const PAGE_URL = 'https://example.com/long-read';
+const SEGMENTS = ['one', 'two', 'three', 'four', 'five', 'six'].map((word, index) => ({
+  id: `segment-${index + 1}`,
+  text: `Part ${word}`,
+}));
+
+async function setupWorker({ failDigest = false } = {}) {
+  const stub = installChromeStub({
+    'comet:apiKey:test': 'dummy-key',
+    'comet:apiKeyMeta:test': { lastUpdated: Date.now() },
+  });
+  const messageListeners = [];
+  const digestBatches = [];
+  let segmentCalls = 0;
+  stub.chrome.runtime.onMessage = { addListener: listener => messageListeners.push(listener) };
+
+  registerAdapter('test', () => ({
+    getCostMetadata() {
+      return { summarise: { model: 'stub-model' } };
+    },
+    async summarise({ text }) {
+      if (text.startsWith('The following are summaries')) {
+        const count = text.split('\n').filter(line => /^\d+\. /.test(line)).length;
+        digestBatches.push(count);
+        if (failDigest) {
+          throw new Error('digest provider unavailable');
+        }
+        return { summary: `digest of ${count}`, model: 'stub-model', promptTokens: 30, completionTokens: 5 };
+      }
+      segmentCalls += 1;
+      return { summary: `About ${text.toLowerCase()}`, model: 'stub-model', promptTokens: 3, completionTokens: 3 };
+    },
+  }));
+  __setAgentYamlOverrideForTests(() => AGENT_YAML);
+  await importServiceWorker();
+
+  const send = message =>
+    new Promise(resolve => {
+      messageListeners.forEach(listener => listener(message, {}, resolve));
+    });
+  const summarise = segments =>
+    send({ type: 'comet:summarise', payload: { url: PAGE_URL, segments, language: 'en', provider: 'test' } });
+
+  return {
+    send,
+    summarise,
+    digestBatches,
+    getSegmentCalls: () => segmentCalls,
+    cleanup() {
+      __clearAgentYamlOverrideForTests();
+      stub.uninstall();
+    },
+  };
+}
+
+test('summarise reduces segment summaries recursively into a page digest', async () => {
+  const worker = await setupWorker();
+  try {
+    const response = await worker.summarise(SEGMENTS);
+    assert.equal(response.success, true, response.error);
+    assert.equal(response.result.summaries.length, 6);
+    assert.equal(response.result.digest, 'digest of 2');
+    assert.deepEqual(worker.digestBatches, [4, 2, 2]);
+
+    const types = response.result.usage.requests.map(request => request.type);
+    assert.equal(types.filter(type => type === 'summary').length, 6);
+    assert.equal(types.filter(type => type === 'digest').length, 3);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+test('page digests are cached until their source segments change', async () => {
+  const worker = await setupWorker();
+  try {
+    const first = await worker.summarise(SEGMENTS);
+    await worker.send({ type: 'comet:segmentsUpdated', payload: { url: PAGE_URL, segments: SEGMENTS } });
+    const second = await worker.summarise(SEGMENTS);
+
+    assert.equal(second.result.digest, first.result.digest);
+    assert.deepEqual(worker.digestBatches, [4, 2, 2]);
+    assert.equal(worker.getSegmentCalls(), 6);
+
+    const shorter = SEGMENTS.slice(0, 3);
+    await worker.send({ type: 'comet:segmentsUpdated', payload: { url: PAGE_URL, segments: shorter } });
+    const third = await worker.summarise(shorter);
+
+    assert.equal(third.result.digest, 'digest of 3');
+    assert.equal(worker.getSegmentCalls(), 6);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+test('a single segment is its own digest', async () => {
+  const worker = await setupWorker();
+  try {
+    const response = await worker.summarise(SEGMENTS.slice(0, 1));
+    assert.equal(response.result.digest, 'About part one');
+    assert.deepEqual(worker.digestBatches, []);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+test('a failed digest still returns the segment summaries', async () => {
+  const worker = await setupWorker({ failDigest: true });
+  try {
+    const response = await worker.summarise(SEGMENTS);
+    assert.equal(response.success, true, response.error);
+    assert.equal(response.result.summaries.length, 6);
+    assert.equal(response.result.digest, null);
+    assert.match(response.result.digestError, /digest provider unavailable/);
+    assert.equal(worker.getSegmentCalls(), 6);
+
+    const types = response.result.usage.requests.map(request => request.type);
+    assert.equal(types.filter(type => type === 'summary').length, 6);
+  } finally {
+    worker.cleanup();
+  }
+});
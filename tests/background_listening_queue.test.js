@@ -0,0 +1,234 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+
+const PAGES = {
+  11: {
+    title: 'First article',
+    url: 'https://example.com/first',
+    segments: [
+      { id: 'first-1', text: 'Opening words.' },
+      { id: 'first-2', text: '   ' },
+    ],
+  },
+  12: {
+    title: 'Second article',
+    url: 'https://example.com/second',
+    segments: [{ id: 'second-1', text: 'Another story.' }],
+  },
+  13: {
+    title: 'Third article',
+    url: 'https://example.com/third',
+    segments: [{ id: 'third-1', text: 'Last one.' }],
+  },
+};
+
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  throw new Error('Condition was not met in time.');
+}
+
+async function setupWorker({ persistent = {}, session = {}, playerStatus = null } = {}) {
+  const stub = installChromeStub(persistent, session);
+  stub.persistentStore['comet:apiKey:openai_paid'] = 'test-key';
+
+  const messageListeners = [];
+  const clickListeners = [];
+  stub.chrome.runtime.onMessage = { addListener: listener => messageListeners.push(listener) };
+  stub.chrome.contextMenus = {
+    create: () => {},
+    onClicked: { addListener: listener => clickListeners.push(listener) },
+  };
+
+  const playerCommands = [];
+  const broadcasts = [];
+  stub.chrome.runtime.sendMessage = (message, callback) => {
+    if (message.target === 'offscreen') {
+      playerCommands.push(message.payload);
+      callback?.({ ok: true, result: message.payload.command === 'status' ? playerStatus : null });
+      return;
+    }
+    broadcasts.push(message);
+    callback?.();
+  };
+  stub.chrome.offscreen = { hasDocument: async () => true, createDocument: async () => {} };
+
+  const segmentRequests = [];
+  stub.chrome.tabs = {
+    get: async tabId => ({ id: tabId, title: PAGES[tabId].title }),
+    sendMessage: async (tabId, message) => {
+      if (message.type === 'comet:getSegments') {
+        segmentRequests.push(tabId);
+        const { url, segments } = PAGES[tabId];
+        return { ok: true, result: { url, segments } };
+      }
+      return { ok: true };
+    },
+  };
+
+  const module = await importServiceWorker();
+  module.__setTestAdapterOverride('openai_paid', {
+    getCostMetadata() {
+      return { synthesise: { label: 'tts', flatCost: 0.01, model: 'gpt-4o-mini-tts' } };
+    },
+    async synthesise({ text }) {
+      return { arrayBuffer: new Uint8Array(text.length).buffer, mimeType: 'audio/mp3' };
+    },
+  });
+  await module.ensureInitialised('openai_paid');
+
+  const send = message =>
+    new Promise(resolve => {
+      messageListeners.forEach(listener => listener(message, {}, resolve));
+    });
+  const plays = () => playerCommands.filter(command => command.command === 'play');
+  const click = (info, tab) => clickListeners.forEach(listener => listener(info, tab));
+
+  return { stub, module, send, plays, click, broadcasts, segmentRequests };
+}
+
+test('listening queue captures tabs, reorders and removes entries, and persists them', async () => {
+  const { stub, module, send, click, broadcasts, segmentRequests } = await setupWorker();
+  try {
+    const first = await send({ type: 'comet:queue:add', payload: { tabId: 11 } });
+    assert.equal(first.success, true, first.error);
+    await send({ type: 'comet:queue:add', payload: { tabId: 12 } });
+    click({ menuItemId: 'comet:addToListeningQueue', pageUrl: PAGES[13].url }, { id: 13 });
+    const listed = await waitFor(async () => {
+      const response = await send({ type: 'comet:queue:list' });
+      return response.result.entries.length === 3 && response.result;
+    });
+
+    assert.deepEqual(segmentRequests, [11, 12, 13]);
+    assert.deepEqual(
+      listed.entries.map(entry => [entry.title, entry.url, entry.segmentCount]),
+      [
+        ['First article', 'https://example.com/first', 1],
+        ['Second article', 'https://example.com/second', 1],
+        ['Third article', 'https://example.com/third', 1],
+      ],
+    );
+    const stored = stub.persistentStore['comet:listeningQueue'];
+    assert.deepEqual(stored.entries[0].segments, [{ id: 'first-1', text: 'Opening words.' }]);
+    assert.ok(broadcasts.some(message => message.type === 'comet:queue:state'));
+
+    const duplicate = await send({ type: 'comet:queue:add', payload: { tabId: 12 } });
+    assert.equal(duplicate.success, false);
+    assert.match(duplicate.error, /already in the listening queue/);
+
+    const [firstId, secondId, thirdId] = listed.entries.map(entry => entry.id);
+    const moved = await send({ type: 'comet:queue:move', payload: { entryId: thirdId, index: 0 } });
+    assert.deepEqual(moved.result.entries.map(entry => entry.id), [thirdId, firstId, secondId]);
+
+    const removed = await send({ type: 'comet:queue:remove', payload: { entryId: firstId } });
+    assert.deepEqual(removed.result.entries.map(entry => entry.id), [thirdId, secondId]);
+    assert.deepEqual(
+      stub.persistentStore['comet:listeningQueue'].entries.map(entry => entry.id),
+      [thirdId, secondId],
+    );
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('adding the same page twice at once queues it only once', async () => {
+  const { stub, module, send } = await setupWorker();
+  try {
+    const results = await Promise.all([
+      send({ type: 'comet:queue:add', payload: { tabId: 11 } }),
+      send({ type: 'comet:queue:add', payload: { tabId: 11 } }),
+    ]);
+
+    assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+    assert.match(results.find(result => !result.success).error, /already in the listening queue/);
+    assert.equal(stub.persistentStore['comet:listeningQueue'].entries.length, 1);
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('listening queue plays captured pages back to back', async () => {
+  const { stub, module, send, plays } = await setupWorker();
+  try {
+    await send({ type: 'comet:queue:add', payload: { tabId: 11 } });
+    await send({ type: 'comet:queue:add', payload: { tabId: 12 } });
+
+    const started = await send({ type: 'comet:queue:play', payload: { provider: 'openai_paid' } });
+    assert.equal(started.success, true, started.error);
+
+    const [first] = await waitFor(() => plays().length === 1 && plays());
+    const playing = await send({ type: 'comet:playback:status' });
+    assert.equal(playing.result.current.label, 'First article');
+    const { result: active } = await send({ type: 'comet:queue:list' });
+    assert.equal(active.activeEntryId, active.entries[0].id);
+
+    await send({ type: 'comet:playback:event', payload: { type: 'ended', id: first.id, currentTime: 1, duration: 1 } });
+    const [, second] = await waitFor(() => plays().length === 2 && plays());
+    const { result: advanced } = await send({ type: 'comet:queue:list' });
+    assert.deepEqual(advanced.entries.map(entry => entry.url), ['https://example.com/second']);
+    assert.equal(advanced.activeEntryId, advanced.entries[0].id);
+
+    await send({ type: 'comet:playback:event', payload: { type: 'ended', id: second.id, currentTime: 1, duration: 1 } });
+    const finished = await waitFor(async () => {
+      const response = await send({ type: 'comet:queue:list' });
+      return response.result.entries.length === 0 && response.result;
+    });
+    assert.equal(finished.activeEntryId, null);
+    assert.equal(plays().length, 2);
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('listening queue moves on to the next page after the worker restarts', async () => {
+  let first;
+  let persistent;
+  let session;
+  const before = await setupWorker();
+  try {
+    await before.send({ type: 'comet:queue:add', payload: { tabId: 11 } });
+    await before.send({ type: 'comet:queue:add', payload: { tabId: 12 } });
+    await before.send({ type: 'comet:queue:play', payload: { provider: 'openai_paid', playbackRate: 1.5 } });
+    [first] = await waitFor(() => before.plays().length === 1 && before.plays());
+    await before.send({ type: 'comet:playback:pause' });
+    persistent = structuredClone(before.stub.persistentStore);
+    session = structuredClone(before.stub.sessionStore);
+    assert.equal(session['comet:playbackSession'].listeningSession.provider, 'openai_paid');
+    await before.send({ type: 'comet:playback:stop' });
+  } finally {
+    before.module.__clearTestOverrides();
+    before.stub.uninstall();
+  }
+
+  const { stub, module, send, plays } = await setupWorker({
+    persistent,
+    session,
+    playerStatus: { id: first.id, paused: true, currentTime: 0.5, duration: 1 },
+  });
+  try {
+    const paused = await send({ type: 'comet:playback:status' });
+    assert.equal(paused.result.state, 'paused');
+    assert.equal(paused.result.current.label, 'First article');
+
+    await send({ type: 'comet:playback:resume' });
+    await send({ type: 'comet:playback:event', payload: { type: 'ended', id: first.id, currentTime: 1, duration: 1 } });
+    const [next] = await waitFor(() => plays().length === 1 && plays());
+    assert.equal(next.playbackRate, 1.5);
+    const { result: advanced } = await send({ type: 'comet:queue:list' });
+    assert.deepEqual(advanced.entries.map(entry => entry.url), ['https://example.com/second']);
+  } finally {
+    await send({ type: 'comet:playback:stop' });
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
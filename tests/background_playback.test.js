@@ -0,0 +1,271 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+import { CostTracker } from '../utils/cost.js';
+
+const PAGE_URL = 'https://example.com/chapter';
+const SEGMENTS = [
+  { id: 'segment-1', text: 'Alpha beta gamma.' },
+  { id: 'segment-2', text: 'Delta epsilon zeta.' },
+];
+
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  throw new Error('Condition was not met in time.');
+}
+
+async function setupWorker({ session = {}, playerStatus = null } = {}) {
+  const stub = installChromeStub({}, session);
+  stub.persistentStore['comet:apiKey:openai_paid'] = 'test-key';
+
+  const messageListeners = [];
+  stub.chrome.runtime.onMessage = { addListener: listener => messageListeners.push(listener) };
+
+  const playerCommands = [];
+  const broadcasts = [];
+  stub.chrome.runtime.sendMessage = (message, callback) => {
+    if (message.target === 'offscreen') {
+      playerCommands.push(message.payload);
+      callback?.({ ok: true, result: message.payload.command === 'status' ? playerStatus : null });
+      return;
+    }
+    broadcasts.push(message);
+    callback?.();
+  };
+
+  let documentCreated = false;
+  stub.chrome.offscreen = {
+    hasDocument: async () => documentCreated,
+    createDocument: async options => {
+      assert.equal(options.url, 'offscreen/offscreen.html');
+      documentCreated = true;
+    },
+  };
+
+  const tabMessages = [];
+  stub.chrome.tabs = {
+    sendMessage: async (tabId, message) => {
+      tabMessages.push({ tabId, message });
+      return { ok: true };
+    },
+  };
+
+  const module = await importServiceWorker();
+  module.__setTestAdapterOverride('openai_paid', {
+    getCostMetadata() {
+      return { synthesise: { label: 'tts', flatCost: 0.01, model: 'gpt-4o-mini-tts' } };
+    },
+    async synthesise({ text }) {
+      return { arrayBuffer: new Uint8Array(text.length).buffer, mimeType: 'audio/mp3' };
+    },
+  });
+  await module.ensureInitialised('openai_paid');
+
+  const send = message =>
+    new Promise(resolve => {
+      messageListeners.forEach(listener => listener(message, {}, resolve));
+    });
+  const plays = () => playerCommands.filter(command => command.command === 'play');
+
+  return { stub, module, send, plays, playerCommands, broadcasts, tabMessages };
+}
+
+function enqueuePage(send, extra = {}) {
+  return send({
+    type: 'comet:playback:enqueue',
+    payload: {
+      items: SEGMENTS.map(segment => ({ text: segment.text, segmentId: segment.id })),
+      page: { tabId: 4, url: PAGE_URL, segmentIds: SEGMENTS.map(segment => segment.id) },
+      provider: 'openai_paid',
+      replace: true,
+      ...extra,
+    },
+  });
+}
+
+test('background playback plays page segments through the offscreen document', async () => {
+  const { stub, module, send, plays, broadcasts, tabMessages } = await setupWorker();
+  try {
+    const queued = await enqueuePage(send);
+    assert.equal(queued.success, true, queued.error);
+    assert.equal(queued.result.resumed, false);
+
+    const [first] = await waitFor(() => plays().length === 1 && plays());
+    assert.equal(first.startTime, 0);
+    const playing = await send({ type: 'comet:playback:status' });
+    assert.equal(playing.result.state, 'playing');
+    assert.equal(playing.result.current.segmentId, 'segment-1');
+    assert.ok(broadcasts.some(message => message.type === 'comet:playback:state'));
+
+    await send({ type: 'comet:playback:event', payload: { type: 'progress', id: first.id, currentTime: 1, duration: 2 } });
+    assert.deepEqual(tabMessages[0], {
+      tabId: 4,
+      message: {
+        type: 'comet:highlightReadingPosition',
+        payload: { segmentId: 'segment-1', charIndex: 6, length: 4, granularity: 'word' },
+      },
+    });
+    const saved = await send({ type: 'comet:getReadingProgress', payload: { url: PAGE_URL } });
+    assert.equal(saved.result.segmentId, 'segment-1');
+
+    await send({ type: 'comet:playback:event', payload: { type: 'ended', id: first.id, currentTime: 2, duration: 2 } });
+    const [, second] = await waitFor(() => plays().length === 2 && plays());
+    await send({ type: 'comet:playback:event', payload: { type: 'ended', id: second.id, currentTime: 2, duration: 2 } });
+
+    const idle = await waitFor(async () => {
+      const response = await send({ type: 'comet:playback:status' });
+      return response.result.state === 'idle' && response.result;
+    });
+    assert.equal(idle.lastOutcome, 'finished');
+    await waitFor(async () => {
+      const response = await send({ type: 'comet:getReadingProgress', payload: { url: PAGE_URL } });
+      return response.result === null;
+    });
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('background playback resumes from the saved segment and offset', async () => {
+  const { stub, module, send, plays, playerCommands } = await setupWorker();
+  try {
+    await send({
+      type: 'comet:saveReadingProgress',
+      payload: {
+        url: PAGE_URL,
+        segmentIds: SEGMENTS.map(segment => segment.id),
+        segmentId: 'segment-2',
+        chunkIndex: 0,
+        timeOffset: 4.5,
+      },
+    });
+
+    const queued = await enqueuePage(send, { resume: true });
+    assert.equal(queued.result.resumed, true);
+
+    const [play] = await waitFor(() => plays().length === 1 && plays());
+    assert.equal(play.startTime, 4.5);
+    const status = await send({ type: 'comet:playback:status' });
+    assert.equal(status.result.current.segmentId, 'segment-2');
+    assert.deepEqual(status.result.pending, []);
+
+    await send({ type: 'comet:playback:stop' });
+    assert.equal(playerCommands.at(-1).command, 'stop');
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('background playback only prefetches speech that fits the spend limit', async () => {
+  const { stub, module, send, plays } = await setupWorker();
+  const spendChecks = [];
+  const tracker = new CostTracker(100000, undefined, { limitUsd: 0.015 });
+  const canSpend = tracker.canSpend.bind(tracker);
+  tracker.canSpend = (tokens, costUsd, context) => {
+    spendChecks.push({ costUsd, context });
+    return canSpend(tokens, costUsd, context);
+  };
+  module.__setTestCostTrackerOverride(tracker);
+  try {
+    await module.ensureInitialised('openai_paid');
+    await enqueuePage(send);
+    await waitFor(() => plays().length === 1);
+    await waitFor(() => spendChecks.length === 2);
+
+    assert.deepEqual(spendChecks.map(check => check.costUsd), [0.01, 0.01]);
+    assert.equal(spendChecks[1].context.provider, 'openai_paid');
+    assert.equal(spendChecks[1].context.type, 'tts');
+    assert.equal(spendChecks[1].context.url, PAGE_URL);
+    const status = await send({ type: 'comet:playback:status' });
+    assert.equal(status.result.pending[0].segmentId, 'segment-2');
+    assert.equal(tracker.toJSON().requests.length, 1);
+  } finally {
+    await send({ type: 'comet:playback:stop' });
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+async function pauseFirstSegment() {
+  const { stub, module, send, plays } = await setupWorker();
+  try {
+    await enqueuePage(send);
+    const [first] = await waitFor(() => plays().length === 1 && plays());
+    await send({ type: 'comet:playback:event', payload: { type: 'progress', id: first.id, currentTime: 4, duration: 10 } });
+    await send({ type: 'comet:playback:pause' });
+    const session = structuredClone(stub.sessionStore);
+    await send({ type: 'comet:playback:stop' });
+    return { first, session };
+  } finally {
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+}
+
+test('background playback saves the paused queue and reattaches to the player after a restart', async () => {
+  const { first, session } = await pauseFirstSegment();
+  const saved = session['comet:playbackSession'].queue;
+  assert.equal(saved.state, 'paused');
+  assert.equal(saved.current.item.segmentId, 'segment-1');
+  assert.equal(saved.current.position, 4);
+  assert.deepEqual(saved.pending.map(item => item.segmentId), ['segment-2']);
+
+  const { stub, module, send, plays, playerCommands } = await setupWorker({
+    session,
+    playerStatus: { id: first.id, paused: true, currentTime: 4, duration: 10 },
+  });
+  try {
+    const paused = await send({ type: 'comet:playback:status' });
+    assert.equal(paused.result.state, 'paused');
+    assert.equal(paused.result.current.segmentId, 'segment-1');
+    assert.equal(paused.result.current.position, 4);
+    assert.deepEqual(paused.result.pending.map(item => item.segmentId), ['segment-2']);
+
+    const resumed = await send({ type: 'comet:playback:resume' });
+    assert.equal(resumed.result.state, 'playing');
+    assert.equal(playerCommands.at(-1).command, 'resume');
+    assert.equal(plays().length, 0);
+
+    await send({ type: 'comet:playback:event', payload: { type: 'ended', id: first.id, currentTime: 10, duration: 10 } });
+    const [next] = await waitFor(() => plays().length === 1 && plays());
+    assert.notEqual(next.id, first.id);
+    const status = await send({ type: 'comet:playback:status' });
+    assert.equal(status.result.current.segmentId, 'segment-2');
+  } finally {
+    await send({ type: 'comet:playback:stop' });
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('background playback replays a restored item from its position when the player lost it', async () => {
+  const { first, session } = await pauseFirstSegment();
+
+  const { stub, module, send, plays } = await setupWorker({ session });
+  try {
+    const paused = await send({ type: 'comet:playback:status' });
+    assert.equal(paused.result.state, 'paused');
+    assert.equal(paused.result.current.segmentId, 'segment-1');
+    assert.equal(plays().length, 0);
+
+    await send({ type: 'comet:playback:resume' });
+    const [replayed] = await waitFor(() => plays().length === 1 && plays());
+    assert.equal(replayed.id, first.id);
+    assert.equal(replayed.startTime, 4);
+    const playing = await send({ type: 'comet:playback:status' });
+    assert.equal(playing.result.state, 'playing');
+  } finally {
+    await send({ type: 'comet:playback:stop' });
+    module.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
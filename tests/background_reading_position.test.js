@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+
+test('local speech forwards word boundaries to the tab being read', async () => {
+  const stub = installChromeStub();
+  const tabMessages = [];
+  stub.chrome.tabs = {
+    sendMessage: async (tabId, message) => {
+      tabMessages.push({ tabId, message });
+      return { ok: true };
+    },
+  };
+  stub.chrome.tts = {
+    stop() {},
+    speak(text, options) {
+      options.onEvent({ type: 'start', charIndex: 0 });
+      options.onEvent({ type: 'word', charIndex: 0, length: 5 });
+      options.onEvent({ type: 'word', charIndex: 6, length: 6 });
+      options.onEvent({ type: 'end', charIndex: text.length });
+    },
+  };
+
+  let module;
+  try {
+    module = await importServiceWorker();
+    const response = await module.__synthesiseForTests({
+      text: '  Hello there.',
+      provider: 'local',
+      highlight: { tabId: 9, segmentId: 'segment-2' },
+    });
+
+    assert.equal(response.adapter.type, 'local');
+    assert.equal(response.audio.timeline, null);
+    assert.deepEqual(tabMessages, [
+      {
+        tabId: 9,
+        message: {
+          type: 'comet:highlightReadingPosition',
+          payload: { segmentId: 'segment-2', charIndex: 2, length: 5, granularity: 'word' },
+        },
+      },
+      {
+        tabId: 9,
+        message: {
+          type: 'comet:highlightReadingPosition',
+          payload: { segmentId: 'segment-2', charIndex: 8, length: 6, granularity: 'word' },
+        },
+      },
+      { tabId: 9, message: { type: 'comet:clearReadingPosition' } },
+    ]);
+  } finally {
+    module?.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
+
+test('cloud speech returns a timeline mapping playback to segment offsets', async () => {
+  const stub = installChromeStub();
+  stub.persistentStore['comet:apiKey:openai_paid'] = 'test-key';
+
+  let module;
+  try {
+    module = await importServiceWorker();
+    module.__setTestAdapterOverride('openai_paid', {
+      getCostMetadata() {
+        return { synthesise: { label: 'tts', flatCost: 0.01, model: 'gpt-4o-mini-tts' } };
+      },
+      async synthesise({ text }) {
+        return { arrayBuffer: new Uint8Array(text.length).buffer, mimeType: 'audio/mp3' };
+      },
+    });
+    await module.ensureInitialised('openai_paid');
+
+    const text = Array.from({ length: 5000 }, (_, index) => `word${index}`).join(' ');
+    const response = await module.__synthesiseForTests({ text, provider: 'openai_paid' });
+    const { timeline } = response.audio;
+
+    assert.ok(timeline.length > 1);
+    assert.equal(timeline.length, response.audio.chunkCount);
+    assert.equal(timeline[0].charStart, 0);
+    assert.equal(timeline[0].startRatio, 0);
+    assert.equal(timeline[timeline.length - 1].endRatio, 1);
+    timeline.forEach((entry, index) => {
+      assert.ok(entry.charEnd > entry.charStart);
+      assert.ok(entry.endRatio > entry.startRatio);
+      assert.match(text.slice(entry.charStart, entry.charStart + 4), /^word/);
+      if (index > 0) {
+        assert.equal(entry.startRatio, timeline[index - 1].endRatio);
+        assert.ok(entry.charStart >= timeline[index - 1].charEnd);
+      }
+    });
+  } finally {
+    module?.__clearTestOverrides();
+    stub.uninstall();
+  }
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+
+const PAGE_URL = 'https://example.com/chapter';
+const SEGMENT_IDS = ['segment-1', 'segment-2', 'segment-3'];
+
+async function setupWorker() {
+  const stub = installChromeStub();
+  const messageListeners = [];
+  stub.chrome.runtime.onMessage = { addListener: listener => messageListeners.push(listener) };
+  await importServiceWorker();
+
+  const send = message =>
+    new Promise(resolve => {
+      messageListeners.forEach(listener => listener(message, {}, resolve));
+    });
+  return { stub, send };
+}
+
+test('reading progress is saved per URL and cleared when narration finishes', async () => {
+  const { stub, send } = await setupWorker();
+  try {
+    const saved = await send({
+      type: 'comet:saveReadingProgress',
+      payload: { url: PAGE_URL, segmentIds: SEGMENT_IDS, segmentId: 'segment-2', chunkIndex: 1, timeOffset: 12.5 },
+    });
+    assert.equal(saved.success, true, saved.error);
+
+    const loaded = await send({ type: 'comet:getReadingProgress', payload: { url: PAGE_URL } });
+    const { updatedAt, ...position } = loaded.result;
+    assert.ok(Number.isFinite(updatedAt));
+    assert.deepEqual(position, { segmentIds: SEGMENT_IDS, segmentId: 'segment-2', chunkIndex: 1, timeOffset: 12.5 });
+    assert.ok(stub.persistentStore['comet:readingProgress'][PAGE_URL]);
+
+    const other = await send({ type: 'comet:getReadingProgress', payload: { url: 'https://example.com/other' } });
+    assert.equal(other.result, null);
+
+    await send({ type: 'comet:saveReadingProgress', payload: { url: PAGE_URL, finished: true } });
+    const cleared = await send({ type: 'comet:getReadingProgress', payload: { url: PAGE_URL } });
+    assert.equal(cleared.result, null);
+  } finally {
+    stub.uninstall();
+  }
+});
+
+test('saved reading progress is discarded when the segment IDs change', async () => {
+  const { stub, send } = await setupWorker();
+  const segments = SEGMENT_IDS.map(id => ({ id, text: `Text of ${id}` }));
+  try {
+    await send({
+      type: 'comet:saveReadingProgress',
+      payload: { url: PAGE_URL, segmentIds: SEGMENT_IDS, segmentId: 'segment-3', chunkIndex: 0, timeOffset: 3 },
+    });
+
+    await send({ type: 'comet:segmentsUpdated', payload: { url: PAGE_URL, segments } });
+    const kept = await send({ type: 'comet:getReadingProgress', payload: { url: PAGE_URL } });
+    assert.equal(kept.result.segmentId, 'segment-3');
+
+    await send({ type: 'comet:segmentsUpdated', payload: { url: PAGE_URL, segments: segments.slice(0, 2) } });
+    const discarded = await send({ type: 'comet:getReadingProgress', payload: { url: PAGE_URL } });
+    assert.equal(discarded.result, null);
+  } finally {
+    stub.uninstall();
+  }
+});
+
+test('reading progress must reference a page segment', async () => {
+  const { stub, send } = await setupWorker();
+  try {
+    const response = await send({
+      type: 'comet:saveReadingProgress',
+      payload: { url: PAGE_URL, segmentIds: SEGMENT_IDS, segmentId: 'segment-9' },
+    });
+    assert.equal(response.success, false);
+    assert.match(response.error, /page segments/);
+  } finally {
+    stub.uninstall();
+  }
+});
@@ -0,0 +1,195 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+import { registerAdapter } from '../background/adapters/registry.js';
+import { __setAgentYamlOverrideForTests, __clearAgentYamlOverrideForTests } from '../utils/providerConfig.js';
+
+const AGENT_YAML = [
+  'provider: test',
+  'model: stub-model',
+  'routing:',
+  '  provider_order:',
+  '    - test',
+  '  max_tokens_per_call: 2000',
+  '  max_monthly_tokens: 5000',
+  'providers:',
+  '  test:',
+  '    provider: test',
+  '    model: stub-model',
+  '    api_url: https://api.test.example/v1/chat',
+  '    api_key_var: TEST_KEY',
+].join('\n');
+
+async function setupWorker({ tabSelection = null } = {}) {
+  const stub = installChromeStub({
+    'comet:apiKey:test': 'dummy-key',
+    'comet:apiKeyMeta:test': { lastUpdated: Date.now() },
+  });
+  const messageListeners = [];
+  const installedListeners = [];
+  const clickListeners = [];
+  const createdMenus = [];
+  const summarisedTexts = [];
+  const badges = [];
+
+  stub.chrome.runtime.onMessage = { addListener: listener => messageListeners.push(listener) };
+  stub.chrome.runtime.onInstalled = { addListener: listener => installedListeners.push(listener) };
+  stub.chrome.contextMenus = {
+    create: item => createdMenus.push(item),
+    removeAll: callback => callback(),
+    onClicked: { addListener: listener => clickListeners.push(listener) },
+  };
+  stub.chrome.tabs = {
+    sendMessage: async (tabId, message) => {
+      assert.equal(message.type, 'comet:getSelection');
+      return { ok: true, result: { url: 'https://example.com/post', selection: tabSelection } };
+    },
+  };
+  stub.chrome.action = {
+    openPopup: async () => {
+      throw new Error('openPopup needs a user gesture.');
+    },
+    setBadgeText: async details => badges.push(details),
+    setTitle: async () => {},
+  };
+
+  registerAdapter('test', () => ({
+    getCostMetadata() {
+      return { summarise: { model: 'stub-model' } };
+    },
+    async summarise({ text }) {
+      summarisedTexts.push(text);
+      return { summary: `Summary of ${text}`, model: 'stub-model', promptTokens: 3, completionTokens: 2 };
+    },
+  }));
+  __setAgentYamlOverrideForTests(() => AGENT_YAML);
+  await importServiceWorker();
+
+  const send = message =>
+    new Promise(resolve => {
+      messageListeners.forEach(listener => listener(message, {}, resolve));
+    });
+
+  return {
+    stub,
+    send,
+    createdMenus,
+    summarisedTexts,
+    badges,
+    install: () => installedListeners.forEach(listener => listener({ reason: 'install' })),
+    click: (info, tab) => clickListeners.forEach(listener => listener(info, tab)),
+    cleanup() {
+      __clearAgentYamlOverrideForTests();
+      stub.uninstall();
+    },
+  };
+}
+
+test('selection and listening queue context menu items are registered on install', async () => {
+  const worker = await setupWorker();
+  try {
+    worker.install();
+    assert.deepEqual(worker.createdMenus, [
+      { id: 'comet:summariseSelection', title: 'Summarise selection', contexts: ['selection'] },
+      { id: 'comet:readSelection', title: 'Read selection aloud', contexts: ['selection'] },
+      { id: 'comet:addToListeningQueue', title: 'Add page to listening queue', contexts: ['page'] },
+    ]);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  throw new Error('Condition was not met in time.');
+}
+
+test('summarise selection menu clicks store the summary apart from the page summaries', async () => {
+  const selection = { id: 'selection-1x2y', text: 'Chosen text', anchor: { startXPath: '/html[1]' } };
+  const worker = await setupWorker({ tabSelection: selection });
+  try {
+    const url = 'https://example.com/post';
+    const pageRequest = {
+      type: 'comet:summarise',
+      payload: { url, segments: [{ id: 'segment-1', text: 'Body' }], language: 'en', provider: 'test' },
+    };
+    const page = await worker.send(pageRequest);
+    assert.equal(page.success, true, page.error);
+
+    worker.click(
+      { menuItemId: 'comet:summariseSelection', selectionText: 'Chosen text', pageUrl: url },
+      { id: 4, url },
+    );
+    await waitFor(() => worker.badges.some(badge => badge.text === '✓'));
+    assert.deepEqual(worker.badges, [{ tabId: 4, text: '…' }, { tabId: 4, text: '✓' }]);
+
+    const stored = await worker.send({ type: 'comet:getSelectionSummary' });
+    assert.equal(stored.success, true, stored.error);
+    assert.equal(stored.result.url, url);
+    assert.equal(stored.result.summary, 'Summary of Chosen text');
+    assert.deepEqual(stored.result.selection, { id: selection.id, text: selection.text });
+    assert.deepEqual(worker.badges.at(-1), { tabId: 4, text: '' });
+
+    const pageAgain = await worker.send(pageRequest);
+    assert.deepEqual(pageAgain.result.summaries, page.result.summaries);
+    assert.deepEqual(worker.summarisedTexts, ['Body', 'Chosen text']);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+test('read selection menu clicks queue the selection for background narration', async () => {
+  const selection = { id: 'selection-1x2y', text: 'Chosen text', anchor: null };
+  const worker = await setupWorker({ tabSelection: selection });
+  try {
+    worker.click(
+      { menuItemId: 'comet:readSelection', selectionText: 'Chosen text', pageUrl: 'https://example.com/post' },
+      { id: 4, url: 'https://example.com/post' },
+    );
+    await waitFor(() => worker.badges.length === 2);
+    assert.deepEqual(worker.badges, [{ tabId: 4, text: '…' }, { tabId: 4, text: '' }]);
+
+    const status = await worker.send({ type: 'comet:playback:status' });
+    const items = [status.result.current, ...status.result.pending].filter(Boolean);
+    assert.deepEqual(items.map(item => item.segmentId), ['selection-1x2y']);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+test('selection summaries stay cached when the page segments refresh', async () => {
+  const worker = await setupWorker();
+  try {
+    const url = 'https://example.com/post';
+    const request = {
+      type: 'comet:summarise',
+      payload: {
+        url,
+        segments: [{ id: 'selection-abc', text: 'Selected words' }],
+        language: 'en',
+        provider: 'test',
+      },
+    };
+    const first = await worker.send(request);
+    assert.equal(first.success, true, first.error);
+    assert.deepEqual(first.result.summaries, [{ id: 'selection-abc', summary: 'Summary of Selected words' }]);
+
+    await worker.send({
+      type: 'comet:segmentsUpdated',
+      payload: { url, segments: [{ id: 'segment-1', text: 'Body' }] },
+    });
+    const second = await worker.send(request);
+
+    assert.deepEqual(second.result.summaries, first.result.summaries);
+    assert.equal(worker.summarisedTexts.length, 1);
+  } finally {
+    worker.cleanup();
+  }
+});
@@ -2,6 +2,7 @@ import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
 import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+import { CostTracker } from '../utils/cost.js';
 
 function countWords(text) {
   if (typeof text !== 'string') {
@@ -152,3 +153,107 @@ test('synthesiseSpeech chunks CJK text using character-aware tokenisation', asyn
     uninstall();
   }
 });
+
+test('synthesiseSpeech records usage for chunks sent before an abort', async () => {
+  const { uninstall, persistentStore } = installChromeStub();
+  persistentStore['comet:apiKey:openai_paid'] = 'test-key';
+
+  let module;
+  try {
+    module = await importServiceWorker();
+
+    const controller = new AbortController();
+    const captured = [];
+    const stubAdapter = {
+      getCostMetadata() {
+        return { synthesise: { label: 'tts', flatCost: 0.01, model: 'gpt-4o-mini-tts' } };
+      },
+      async synthesise({ text }) {
+        captured.push(text);
+        controller.abort();
+        return { arrayBuffer: new Uint8Array([6, 7]).buffer, mimeType: 'audio/mp3' };
+      },
+    };
+
+    module.__setTestAdapterOverride('openai_paid', stubAdapter);
+    await module.ensureInitialised('openai_paid');
+
+    const longText = Array.from({ length: 5000 }, (_, index) => `word${index}`).join(' ');
+    await assert.rejects(
+      module.__synthesiseForTests({
+        text: longText,
+        voice: 'alloy',
+        format: 'mp3',
+        provider: 'openai_paid',
+      }, { signal: controller.signal }),
+      error => error.name === 'AbortError',
+    );
+
+    assert.equal(captured.length, 1);
+    const usage = await module.handleUsageRequest();
+    assert.equal(usage.requests.length, 1);
+    const [entry] = usage.requests;
+    assert.equal(entry.partial, true);
+    assert.equal(entry.chunkCount, 1);
+    assert.equal(entry.totalTokens, countWords(captured[0]));
+    assert.equal(entry.spendUsd, 0.01);
+  } finally {
+    if (module) {
+      module.__clearTestOverrides();
+    }
+    uninstall();
+  }
+});
+
+test('synthesiseSpeech counts speech towards the budget of the page domain', async () => {
+  const { uninstall, persistentStore } = installChromeStub();
+  persistentStore['comet:apiKey:openai_paid'] = 'test-key';
+
+  let module;
+  try {
+    module = await importServiceWorker();
+
+    const stubAdapter = {
+      getCostMetadata() {
+        return { synthesise: { label: 'tts', flatCost: 0.01, model: 'gpt-4o-mini-tts' } };
+      },
+      async synthesise() {
+        return { arrayBuffer: new Uint8Array([8, 9]).buffer, mimeType: 'audio/mp3' };
+      },
+    };
+    const tracker = new CostTracker(100000, undefined, {
+      budgets: [
+        { id: 'news-daily', scope: 'domain', match: 'example.com', period: 'day', maxTokens: 3, maxCostUsd: null },
+      ],
+    });
+
+    module.__setTestAdapterOverride('openai_paid', stubAdapter);
+    module.__setTestCostTrackerOverride(tracker);
+    await module.ensureInitialised('openai_paid');
+
+    const speak = (text, url) => module.__synthesiseForTests({
+      text,
+      voice: 'alloy',
+      format: 'mp3',
+      provider: 'openai_paid',
+      url,
+    });
+
+    await speak('hello world', 'https://news.example.com/a');
+    const [entry] = tracker.toJSON().requests;
+    assert.equal(entry.url, 'https://news.example.com/a');
+    assert.equal(entry.type, 'tts');
+
+    await assert.rejects(
+      speak('one two', 'https://news.example.com/b'),
+      /Token limit reached for speech synthesis/,
+    );
+    await speak('three four', 'https://example.org/');
+    assert.equal(tracker.toJSON().requests.length, 2);
+  } finally {
+    if (module) {
+      module.__clearTestOverrides();
+    }
+    uninstall();
+  }
+});
@@ -0,0 +1,242 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+import { registerAdapter } from '../background/adapters/registry.js';
+import { __setAgentYamlOverrideForTests, __clearAgentYamlOverrideForTests } from '../utils/providerConfig.js';
+
+const AGENT_YAML = [
+  'provider: test',
+  'model: stub-model',
+  'routing:',
+  '  provider_order:',
+  '    - test',
+  '  max_tokens_per_call: 2000',
+  '  max_monthly_tokens: 5000',
+  'providers:',
+  '  test:',
+  '    provider: test',
+  '    model: stub-model',
+  '    api_url: https://api.test.example/v1/chat',
+  '    api_key_var: TEST_KEY',
+].join('\n');
+
+function createPort(name) {
+  const messageListeners = [];
+  const disconnectListeners = [];
+  const posted = [];
+  let notify = null;
+  return {
+    name,
+    posted,
+    onMessage: { addListener: listener => messageListeners.push(listener) },
+    onDisconnect: { addListener: listener => disconnectListeners.push(listener) },
+    postMessage(message) {
+      posted.push(message);
+      notify?.(message);
+    },
+    send(message) {
+      messageListeners.forEach(listener => listener(message));
+    },
+    disconnect() {
+      disconnectListeners.forEach(listener => listener());
+    },
+    waitFor(type) {
+      const existing = posted.find(message => message.type === type);
+      if (existing) {
+        return Promise.resolve(existing);
+      }
+      return new Promise(resolve => {
+        notify = message => {
+          if (message.type === type) {
+            resolve(message);
+          }
+        };
+      });
+    },
+  };
+}
+
+async function setupWorker(adapter) {
+  const stub = installChromeStub({
+    'comet:apiKey:test': 'dummy-key',
+    'comet:apiKeyMeta:test': { lastUpdated: Date.now() },
+  });
+  const connectListeners = [];
+  stub.chrome.runtime.onConnect = { addListener: listener => connectListeners.push(listener) };
+  registerAdapter('test', () => ({
+    getCostMetadata() {
+      return { summarise: { model: 'stub-model' } };
+    },
+    async summarise() {
+      throw new Error('streaming requests should use summariseStream');
+    },
+    ...adapter,
+  }));
+  __setAgentYamlOverrideForTests(() => AGENT_YAML);
+  await importServiceWorker();
+  assert.equal(connectListeners.length, 1, 'service worker should listen for port connections');
+  const connect = name => {
+    const port = createPort(name);
+    connectListeners.forEach(listener => listener(port));
+    return port;
+  };
+  return {
+    connect,
+    cleanup() {
+      __clearAgentYamlOverrideForTests();
+      stub.uninstall();
+    },
+  };
+}
+
+test('summary stream port relays deltas, final segments and completion', async () => {
+  const worker = await setupWorker({
+    async summariseStream({ text, onDelta }) {
+      onDelta(`${text}:`);
+      onDelta('done');
+      return { summary: `${text}:done`, model: 'stub-model', promptTokens: 4, completionTokens: 2 };
+    },
+  });
+
+  try {
+    const port = worker.connect('comet:summarise:stream');
+    port.send({
+      type: 'comet:summarise:start',
+      payload: {
+        url: 'https://example.com/stream',
+        segments: [{ id: 's1', text: 'One' }, { id: 's2', text: 'Two' }],
+        language: 'en',
+        provider: 'test',
+      },
+    });
+    const done = await port.waitFor('comet:summarise:done');
+
+    const sequence = port.posted.map(message => `${message.type.replace('comet:summarise:', '')}:${message.payload.id || ''}`);
+    assert.deepEqual(sequence, [
+      'delta:s1',
+      'delta:s1',
+      'segment:s1',
+      'delta:s2',
+      'delta:s2',
+      'segment:s2',
+      'digestDelta:',
+      'digestDelta:',
+      'done:',
+    ]);
+    assert.deepEqual(port.posted[0].payload, { id: 's1', text: 'One:', reset: false, provider: 'test' });
+    assert.equal(port.posted[2].payload.summary, 'One:done');
+    assert.deepEqual(done.payload.summaries, [
+      { id: 's1', summary: 'One:done' },
+      { id: 's2', summary: 'Two:done' },
+    ]);
+    assert.match(done.payload.digest, /1\. One:done\n\n2\. Two:done:done$/);
+    assert.ok(done.payload.usage);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+test('cancelling the summary stream aborts the upstream request', async () => {
+  let upstreamSignal;
+  const worker = await setupWorker({
+    summariseStream({ onDelta, signal }) {
+      upstreamSignal = signal;
+      onDelta('Partial');
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted upstream')));
+      });
+    },
+  });
+
+  try {
+    const port = worker.connect('comet:summarise:stream');
+    port.send({
+      type: 'comet:summarise:start',
+      payload: {
+        url: 'https://example.com/cancel',
+        segments: [{ id: 's1', text: 'One' }],
+        language: 'en',
+        provider: 'test',
+      },
+    });
+    await port.waitFor('comet:summarise:delta');
+    port.send({ type: 'comet:summarise:cancel' });
+    const error = await port.waitFor('comet:summarise:error');
+
+    assert.equal(upstreamSignal.aborted, true);
+    assert.equal(error.payload.cancelled, true);
+    assert.equal(port.posted.some(message => message.type === 'comet:summarise:segment'), false);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+test('structured segments are summarised with their section path', async () => {
+  const prompts = [];
+  const worker = await setupWorker({
+    async summariseStream({ text }) {
+      prompts.push(text);
+      return { summary: 'ok', model: 'stub-model' };
+    },
+  });
+
+  try {
+    const port = worker.connect('comet:summarise:stream');
+    port.send({
+      type: 'comet:summarise:start',
+      payload: {
+        url: 'https://example.com/docs',
+        segments: [
+          { id: 's1', text: 'Run the installer.', headingPath: ['Installation', 'Linux'], blocks: [] },
+          { id: 's2', text: 'No headings here.' },
+        ],
+        language: 'en',
+        provider: 'test',
+      },
+    });
+    await port.waitFor('comet:summarise:done');
+
+    assert.deepEqual(prompts.slice(0, 2), [
+      'Section: Installation > Linux\n\nRun the installer.',
+      'No headings here.',
+    ]);
+  } finally {
+    worker.cleanup();
+  }
+});
+
+test('a failed digest is reported on the stream without discarding the summaries', async () => {
+  const worker = await setupWorker({
+    async summariseStream({ text }) {
+      if (text.startsWith('The following are summaries')) {
+        throw new Error('digest provider unavailable');
+      }
+      return { summary: `About ${text}`, model: 'stub-model', promptTokens: 4, completionTokens: 2 };
+    },
+  });
+
+  try {
+    const port = worker.connect('comet:summarise:stream');
+    port.send({
+      type: 'comet:summarise:start',
+      payload: {
+        url: 'https://example.com/digest-failure',
+        segments: [{ id: 's1', text: 'One' }, { id: 's2', text: 'Two' }],
+        language: 'en',
+        provider: 'test',
+      },
+    });
+    const done = await port.waitFor('comet:summarise:done');
+
+    const digestError = port.posted.find(message => message.type === 'comet:summarise:digestError');
+    assert.match(digestError.payload.error, /digest provider unavailable/);
+    assert.equal(digestError.payload.cancelled, false);
+    assert.equal(port.posted.some(message => message.type === 'comet:summarise:error'), false);
+    assert.deepEqual(done.payload.summaries.map(entry => entry.summary), ['About One', 'About Two']);
+    assert.equal(done.payload.digest, null);
+    assert.match(done.payload.digestError, /digest provider unavailable/);
+  } finally {
+    worker.cleanup();
+  }
+});
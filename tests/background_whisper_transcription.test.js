@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+import { __setAgentYamlOverrideForTests, __clearAgentYamlOverrideForTests } from '../utils/providerConfig.js';
+
+function startWhisperServer() {
+  const requests = [];
+  const server = createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      requests.push({
+        url: request.url,
+        authorization: request.headers.authorization,
+        body: Buffer.concat(chunks).toString('latin1'),
+      });
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ text: ' Summarise this page. ' }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port }));
+  });
+}
+
+test('transcription uses the configured local Whisper server without billing', async () => {
+  const { server, requests, port } = await startWhisperServer();
+  __setAgentYamlOverrideForTests(() => [
+    'provider: openai',
+    'model: gpt-4o-mini',
+    'transcription:',
+    '  provider: whisper_local',
+    'providers:',
+    '  openai_paid:',
+    '    provider: openai',
+    '    model: gpt-4o-mini',
+    '  whisper_local:',
+    '    provider: whisper',
+    '    model: base.en',
+    `    api_url: http://127.0.0.1:${port}/v1/audio/transcriptions`,
+  ].join('\n'));
+  const stub = installChromeStub({ 'comet:apiKey:openai_paid': 'test-key' });
+  const messageListeners = [];
+  stub.chrome.runtime.onMessage = { addListener: listener => messageListeners.push(listener) };
+
+  let module;
+  try {
+    module = await importServiceWorker();
+    const cloudTranscriptions = [];
+    module.__setTestAdapterOverride('openai_paid', {
+      getCostMetadata() {
+        return { transcribe: { label: 'stt', flatCost: 0.005, model: 'gpt-4o-mini-transcribe' } };
+      },
+      async transcribe() {
+        cloudTranscriptions.push(true);
+        return { text: 'cloud transcript' };
+      },
+    });
+
+    const response = await new Promise(resolve => {
+      messageListeners.forEach(listener => listener({
+        type: 'comet:transcribe',
+        payload: {
+          base64: Buffer.from('recorded-sound').toString('base64'),
+          filename: 'speech.webm',
+          mimeType: 'audio/webm',
+          provider: 'openai_paid',
+        },
+      }, {}, resolve));
+    });
+
+    assert.equal(response.success, true, response.error);
+    assert.equal(response.result.text, 'Summarise this page.');
+    assert.equal(response.result.usage.cumulativeTotalTokens, 0);
+    assert.deepEqual(cloudTranscriptions, []);
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, '/v1/audio/transcriptions');
+    assert.equal(requests[0].authorization, undefined);
+    assert.match(requests[0].body, /name="model"\r\n\r\nbase\.en/);
+    assert.match(requests[0].body, /filename="speech\.webm"[\s\S]*recorded-sound/);
+  } finally {
+    module?.__clearTestOverrides();
+    __clearAgentYamlOverrideForTests();
+    stub.uninstall();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCycleArchive, getCycleStart, getNextCycleStart } from '../utils/billingCycle.js';
+
+test('getCycleStart finds the most recent cycle day and wraps across years', () => {
+  assert.equal(getCycleStart(new Date(2026, 9, 19, 12).getTime(), 15), new Date(2026, 9, 15).getTime());
+  assert.equal(getCycleStart(new Date(2026, 9, 14, 23).getTime(), 15), new Date(2026, 8, 15).getTime());
+  assert.equal(getCycleStart(new Date(2026, 0, 3).getTime(), 10), new Date(2025, 11, 10).getTime());
+  assert.equal(getCycleStart(new Date(2026, 9, 15).getTime(), 15), new Date(2026, 9, 15).getTime());
+});
+
+test('cycle days past the end of a month fall on its last day', () => {
+  assert.equal(getCycleStart(new Date(2026, 1, 28, 9).getTime(), 31), new Date(2026, 1, 28).getTime());
+  assert.equal(getNextCycleStart(new Date(2026, 0, 31, 9).getTime(), 31), new Date(2026, 1, 28).getTime());
+  assert.equal(getNextCycleStart(new Date(2026, 1, 28, 9).getTime(), 31), new Date(2026, 2, 31).getTime());
+});
+
+test('createCycleArchive keeps the totals and requests of the finished cycle', () => {
+  const requests = [{ model: 'gpt-4o-mini', totalTokens: 30, spendUsd: 0.001 }];
+  const archive = createCycleArchive({
+    lastReset: 100,
+    totalPromptTokens: 10,
+    totalCompletionTokens: 20,
+    totalTokens: 30,
+    totalSpendUsd: 0.001,
+    limitTokens: 18000,
+    spendLimitUsd: null,
+    requests,
+    metadata: { ignored: true },
+  }, 500);
+
+  assert.deepEqual(archive, {
+    start: 100,
+    end: 500,
+    totalPromptTokens: 10,
+    totalCompletionTokens: 20,
+    totalTokens: 30,
+    totalSpendUsd: 0.001,
+    limitTokens: 18000,
+    spendLimitUsd: null,
+    requests,
+  });
+});
@@ -1,7 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
-import { estimateTokensFromUsd } from '../utils/cost.js';
+import { CostTracker, estimateTokensFromUsd } from '../utils/cost.js';
 import { loadAgentConfiguration } from '../utils/providerConfig.js';
 import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
 
@@ -74,3 +74,66 @@ test('ensureInitialised hydrates stored limit for the cost tracker', async () =>
     uninstall();
   }
 });
+
+test('CostTracker prices requests from the price table and enforces the USD limit', () => {
+  const tracker = new CostTracker(100000, undefined, {
+    prices: {
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4o-mini-tts': { audio: 75 },
+    },
+    limitUsd: 0.01,
+  });
+
+  tracker.record('gpt-4o-mini-2024-07-18', 10000, 2000);
+  tracker.recordFlat('tts', { promptTokens: 40, totalTokens: 40, metadata: { pricingModel: 'gpt-4o-mini-tts' } });
+  tracker.record('llama3.2', 500, 100);
+
+  const [summary, speech, local] = tracker.toJSON().requests;
+  assert.equal(summary.spendUsd, 0.0027);
+  assert.equal(speech.spendUsd, 0.003);
+  assert.equal(speech.pricingModel, 'gpt-4o-mini-tts');
+  assert.equal(local.spendUsd, null);
+  assert.equal(tracker.getUsageTotals().spendUsd, 0.0057);
+  assert.equal(tracker.toJSON().spendLimitUsd, 0.01);
+
+  assert.equal(tracker.canSpend(10, 0.004), true);
+  assert.equal(tracker.canSpend(10, 0.005), false);
+
+  tracker.reset();
+  assert.equal(tracker.getUsageTotals().spendUsd, 0);
+  assert.equal(tracker.canSpend(10, 0.005), true);
+});
+
+test('CostTracker reports the layered budget that blocks a request', () => {
+  const now = new Date(2024, 4, 15, 12).getTime();
+  const yesterday = new Date(2024, 4, 14, 12).getTime();
+  const tracker = new CostTracker(100000, {
+    requests: [
+      { model: 'claude-3-haiku', totalTokens: 400, timestamp: yesterday, provider: 'anthropic_paid', tier: 'paid', type: 'summary', url: 'https://news.example.com/a' },
+      { model: 'claude-3-haiku', totalTokens: 300, timestamp: now, provider: 'anthropic_paid', tier: 'paid', type: 'summary', url: 'https://news.example.com/b' },
+      { model: 'gpt-4o-mini', totalTokens: 200, timestamp: now, provider: 'openai_paid', tier: 'paid', type: 'tts' },
+    ],
+  }, {
+    budgets: [
+      { id: 'provider:anthropic_paid:month', scope: 'provider', match: 'anthropic_paid', period: 'month', maxTokens: 1000, maxCostUsd: null },
+      { id: 'news-daily', scope: 'domain', match: 'example.com', period: 'day', maxTokens: 500, maxCostUsd: null },
+      { id: 'type:tts:month', scope: 'type', match: 'tts', period: 'month', maxTokens: 250, maxCostUsd: null },
+    ],
+  });
+
+  const anthropic = { provider: 'anthropic_paid', tier: 'paid', type: 'summary' };
+  assert.equal(tracker.findExhaustedBudget(300, 0, anthropic, now), null);
+  assert.equal(tracker.findExhaustedBudget(301, 0, anthropic, now).id, 'provider:anthropic_paid:month');
+
+  // Only today's request counts towards the daily site budget.
+  const news = { provider: 'openai_paid', tier: 'paid', type: 'summary', url: 'https://news.example.com/c' };
+  assert.equal(tracker.findExhaustedBudget(200, 0, news, now), null);
+  const blocked = tracker.findExhaustedBudget(201, 0, news, now);
+  assert.equal(blocked.id, 'news-daily');
+  assert.equal(blocked.usedTokens, 300);
+  assert.equal(tracker.findExhaustedBudget(201, 0, { ...news, url: 'https://example.org/' }, now), null);
+
+  assert.equal(tracker.canSpend(60, 0, { provider: 'openai_paid', type: 'tts' }), false);
+  assert.equal(tracker.canSpend(60, 0, { provider: 'openai_paid', type: 'stt' }), true);
+  assert.equal(tracker.findExhaustedBudget(100000, 0, {}, now).id, 'global');
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+function waitForTick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+test('usage dashboard renders breakdowns from the persisted usage and history', async () => {
+  const html = await readFile(new URL('../dashboard/index.html', import.meta.url), 'utf8');
+  const dom = new JSDOM(html.replace(/<script[^>]*><\/script>/u, ''));
+  const previousGlobals = { chrome: globalThis.chrome, document: globalThis.document };
+  const now = Date.now();
+  const responses = {
+    'comet:getUsage': {
+      lastReset: now - 60 * 60 * 1000,
+      requests: [
+        { model: 'gpt-4o-mini', provider: 'openai_paid', type: 'summary', url: 'https://example.com/a', totalTokens: 120, spendUsd: 0.002, timestamp: now },
+      ],
+    },
+    'comet:getUsageHistory': [
+      {
+        requests: [
+          { model: 'llama3.2', provider: 'ollama', type: 'summary', url: 'https://example.org/b', totalTokens: 800, spendUsd: null, timestamp: now - 40 * 24 * 60 * 60 * 1000 },
+        ],
+      },
+    ],
+  };
+  const messages = [];
+  globalThis.document = dom.window.document;
+  globalThis.chrome = {
+    runtime: {
+      lastError: null,
+      sendMessage(message, callback) {
+        messages.push(message.type);
+        callback({ success: true, result: responses[message.type], error: null });
+      },
+    },
+  };
+
+  try {
+    await import(`../dashboard/script.js?test=${now}`);
+    for (let attempt = 0; attempt < 10 && !dom.window.document.querySelector('#topPages table'); attempt += 1) {
+      await waitForTick();
+    }
+
+    const { document } = dom.window;
+    assert.deepEqual(messages.sort(), ['comet:getUsage', 'comet:getUsageHistory']);
+    const providerCells = [...document.querySelectorAll('[data-breakdown="byProvider"] tbody td:first-child')];
+    assert.deepEqual(providerCells.map(cell => cell.textContent), ['openai_paid']);
+    assert.equal(document.querySelectorAll('#dailyChart .daily-bar').length, 1);
+    assert.equal(document.getElementById('exportCsvBtn').disabled, false);
+
+    const range = document.getElementById('rangeSelect');
+    range.value = 'all';
+    range.dispatchEvent(new dom.window.Event('change'));
+    const allProviders = [...document.querySelectorAll('[data-breakdown="byProvider"] tbody td:first-child')];
+    assert.deepEqual(allProviders.map(cell => cell.textContent), ['openai_paid', 'ollama']);
+    assert.equal(document.querySelectorAll('#dailyChart .daily-bar').length, 41);
+  } finally {
+    globalThis.chrome = previousGlobals.chrome;
+    globalThis.document = previousGlobals.document;
+    dom.window.close();
+  }
+});
@@ -2,7 +2,30 @@ import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { JSDOM } from 'jsdom';
 
-import { findTextRange } from '../utils/dom.js';
+import {
+  clearHighlights,
+  createSegmentMap,
+  createSelectionSegmentId,
+  describeSelection,
+  extractArticleText,
+  extractStructuredSegments,
+  extractVisibleText,
+  findMainContent,
+  findSentenceBounds,
+  findTextRange,
+  highlightNodes,
+  highlightReadingPosition,
+  READING_SENTENCE_CLASS,
+  READING_WORD_CLASS,
+  resolveXPath,
+} from '../utils/dom.js';
+import {
+  ARTICLE_PARAGRAPH,
+  BLOG_LAYOUT,
+  DOCS_LAYOUT,
+  NEWS_LAYOUT,
+  SPARSE_LAYOUT,
+} from './fixtures/article-layouts.js';
 
 function withDom(html, fn) {
   const dom = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
@@ -12,12 +35,16 @@ function withDom(html, fn) {
     document: globalThis.document,
     NodeFilter: globalThis.NodeFilter,
     Node: globalThis.Node,
+    Element: globalThis.Element,
   };
 
+  // jsdom does not lay out pages, so give every element a visible box.
+  window.Element.prototype.getBoundingClientRect = () => ({ top: 0, bottom: 20, width: 100, height: 20 });
   globalThis.window = window;
   globalThis.document = window.document;
   globalThis.NodeFilter = window.NodeFilter;
   globalThis.Node = window.Node;
+  globalThis.Element = window.Element;
 
   try {
     return fn(window.document);
@@ -42,6 +69,11 @@ function withDom(html, fn) {
     } else {
       globalThis.Node = previous.Node;
     }
+    if (previous.Element === undefined) {
+      delete globalThis.Element;
+    } else {
+      globalThis.Element = previous.Element;
+    }
     dom.window.close();
   }
 }
@@ -98,3 +130,186 @@ test('findTextRange returns null when snippet is absent', () => {
     assert.equal(range, null);
   });
 });
+
+test('findMainContent picks the article on a news layout', () => {
+  return withDom(NEWS_LAYOUT, document => {
+    const container = findMainContent(document.body);
+    assert.equal(container?.tagName, 'ARTICLE');
+  });
+});
+
+test('extractArticleText drops navigation, banners, related links and comments', () => {
+  return withDom(NEWS_LAYOUT, () => {
+    const [text, ...rest] = extractArticleText(document.body, { maxLength: 4000, minSegmentLength: 500 });
+
+    assert.equal(rest.length, 0);
+    assert.match(text, /^City expands bus network By A\. Reporter/);
+    assert.equal(text.split(ARTICLE_PARAGRAPH).length - 1, 3);
+    ['Politics', 'cookies', 'Share on social media', 'Related articles', 'Great article', 'Copyright'].forEach(noise => {
+      assert.equal(text.includes(noise), false, `expected "${noise}" to be excluded`);
+    });
+
+    const fullPage = extractVisibleText(document.body).join(' ');
+    assert.match(fullPage, /Politics/);
+    assert.match(fullPage, /Great article/);
+  });
+});
+
+test('extractArticleText finds classed content containers on a blog layout', () => {
+  return withDom(BLOG_LAYOUT, document => {
+    assert.equal(findMainContent(document.body)?.className, 'post-body');
+
+    const text = extractArticleText(document.body).join(' ');
+    assert.match(text, /^Growing tomatoes on a balcony/);
+    assert.equal(text.includes('compost tips'), false);
+    assert.equal(text.includes('Subscribe'), false);
+    assert.equal(text.includes('Archive'), false);
+  });
+});
+
+test('extractArticleText falls back to the full-page walker when no article is found', () => {
+  return withDom(SPARSE_LAYOUT, document => {
+    assert.equal(findMainContent(document.body), null);
+    assert.deepEqual(extractArticleText(document.body), extractVisibleText(document.body));
+  });
+});
+
+test('extractStructuredSegments splits on headings and records heading paths and block anchors', () => {
+  return withDom(DOCS_LAYOUT, document => {
+    const segments = extractStructuredSegments(document.body, { minSegmentLength: 50 });
+
+    assert.deepEqual(
+      segments.map(segment => segment.headingPath),
+      [
+        ['Reader CLI'],
+        ['Reader CLI', 'Installation', 'Linux'],
+        ['Reader CLI', 'Installation', 'macOS'],
+        ['Reader CLI', 'Pricing'],
+      ],
+    );
+    assert.equal(segments[0].text.includes('Docs home'), false, 'article mode skips navigation');
+    assert.match(segments[1].text, /^Installation\nLinux\n/);
+    assert.deepEqual(
+      segments[1].blocks.map(block => block.type),
+      ['heading', 'heading', 'paragraph', 'list'],
+    );
+    assert.deepEqual(
+      segments[2].blocks.map(block => block.type),
+      ['heading', 'text', 'code'],
+    );
+
+    segments.flatMap(segment => segment.blocks).forEach(block => {
+      assert.ok(resolveXPath(block.xpath, document), `expected ${block.xpath} to resolve`);
+    });
+    assert.equal(resolveXPath(segments[1].blocks[2].xpath, document).textContent, ARTICLE_PARAGRAPH);
+  });
+});
+
+test('extractStructuredSegments serialises lists and tables readably', () => {
+  return withDom(DOCS_LAYOUT, document => {
+    const segments = extractStructuredSegments(document.body, { minSegmentLength: 50 });
+
+    assert.match(segments[1].text, /3\. Download the archive\n4\. Extract it\n {2}- with tar\n {2}- or with unzip$/);
+    assert.equal(
+      segments[2].text,
+      'macOS\nUse Homebrew. Recommended.\nbrew install reader\nreader --version',
+    );
+    assert.equal(
+      segments[3].text,
+      'Pricing\nTable: Plans\nPlan: Free; Price: $0\nPlan: Pro; Price: $10',
+    );
+  });
+});
+
+test('extractStructuredSegments keeps short sections together with their subsections', () => {
+  return withDom(DOCS_LAYOUT, document => {
+    const segments = extractStructuredSegments(document.body, { mode: 'full' });
+
+    assert.equal(segments.length, 1);
+    assert.deepEqual(segments[0].headingPath, ['Reader CLI']);
+    assert.match(segments[0].text, /^Docs home\nReader CLI\n/);
+  });
+});
+
+test('extractStructuredSegments splits long sections between blocks', () => {
+  const paragraphs = Array.from({ length: 6 }, () => `<p>${ARTICLE_PARAGRAPH}</p>`).join('');
+  return withDom(`<article><h2>Long read</h2>${paragraphs}</article>`, document => {
+    const segments = extractStructuredSegments(document.body, { maxLength: 400, minSegmentLength: 200 });
+
+    assert.ok(segments.length > 1);
+    segments.forEach(segment => {
+      assert.deepEqual(segment.headingPath, ['Long read']);
+      assert.ok(segment.text.length <= 400);
+    });
+  });
+});
+
+test('createSegmentMap keeps structural metadata and highlights resolve by anchor', () => {
+  return withDom(DOCS_LAYOUT, document => {
+    const [, linux] = createSegmentMap(extractStructuredSegments(document.body, { minSegmentLength: 50 }));
+    assert.equal(linux.id, 'segment-2');
+    assert.deepEqual(linux.headingPath, ['Reader CLI', 'Installation', 'Linux']);
+
+    const anchors = linux.blocks.map(block => resolveXPath(block.xpath, document));
+    const marks = highlightNodes(anchors);
+    assert.equal(marks[0].textContent, 'Installation');
+    assert.ok(marks.some(mark => mark.textContent === 'Download the archive'));
+
+    clearHighlights();
+    assert.equal(document.querySelectorAll('mark').length, 0);
+    linux.blocks.forEach(block => {
+      assert.ok(resolveXPath(block.xpath, document), 'anchors resolve again after clearing');
+    });
+  });
+});
+
+test('describeSelection returns the selected text with a resolvable anchor', () => {
+  return withDom('<p id="first">Hello   brave new</p><p>world of text</p>', document => {
+    const window = document.defaultView;
+    const [first, second] = document.querySelectorAll('p');
+    const range = document.createRange();
+    range.setStart(first.firstChild, 8);
+    range.setEnd(second.firstChild, 5);
+    window.getSelection().addRange(range);
+
+    const selection = describeSelection(window.getSelection());
+    assert.equal(selection.text, 'brave newworld');
+    assert.equal(selection.id, createSelectionSegmentId('brave newworld'));
+    assert.match(selection.id, /^selection-[0-9a-z]+$/);
+    assert.equal(resolveXPath(selection.anchor.startXPath, document), first.firstChild);
+    assert.equal(selection.anchor.startOffset, 8);
+    assert.equal(resolveXPath(selection.anchor.endXPath, document), second.firstChild);
+    assert.equal(selection.anchor.endOffset, 5);
+
+    window.getSelection().removeAllRanges();
+    assert.equal(describeSelection(window.getSelection()), null);
+  });
+});
+
+test('findSentenceBounds stops at sentence punctuation and line breaks', () => {
+  const text = 'First one. Second, with 1.5 parts!\nThird';
+  assert.deepEqual(findSentenceBounds(text, 0), { start: 0, end: 10 });
+  assert.deepEqual(findSentenceBounds(text, 15), { start: 11, end: 34 });
+  assert.deepEqual(findSentenceBounds(text, text.length - 1), { start: 35, end: text.length });
+});
+
+test('highlightReadingPosition marks the spoken word and sentence across inline markup', () => {
+  return withDom('<p>Read <em>this part</em> now. Then stop.</p><ul><li>Item alpha</li></ul>', document => {
+    const [paragraph, list] = document.querySelectorAll('p, ul');
+    const text = 'Read this part now. Then stop.\n- Item alpha';
+
+    const marks = highlightReadingPosition([paragraph, list], text, { charIndex: 10, length: 4 });
+    assert.equal(marks[0].className, READING_WORD_CLASS);
+    assert.equal(marks[0].textContent, 'part');
+    const sentence = Array.from(document.querySelectorAll(`.${READING_SENTENCE_CLASS}`))
+      .map(mark => mark.textContent);
+    assert.deepEqual(sentence, ['Read', 'this', 'now.']);
+    assert.equal(paragraph.textContent, 'Read this part now. Then stop.');
+
+    clearHighlights(READING_SENTENCE_CLASS);
+    clearHighlights(READING_WORD_CLASS);
+    const listMarks = highlightReadingPosition([paragraph, list], text, { charIndex: 33 });
+    assert.equal(listMarks[0].textContent, 'Item');
+    assert.equal(listMarks[0].parentElement.tagName, 'LI');
+  });
+});
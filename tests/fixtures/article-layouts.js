@@ -0,0 +1,78 @@
+const PARAGRAPH = 'The council voted on Tuesday to expand the bus network, adding three routes, longer evening hours and a new depot, after months of consultation with residents and local businesses.';
+
+/**
+ * News article page with a site header, navigation, cookie banner, related
+ * links, comments and footer around a single `<article>`.
+ */
+export const NEWS_LAYOUT = `
+  <header class="site-header"><a href="/">Daily Courier</a></header>
+  <nav><ul><li><a href="/world">World</a></li><li><a href="/politics">Politics</a></li><li><a href="/sport">Sport</a></li></ul></nav>
+  <div class="cookie-banner">We use cookies to improve your experience. Accept all cookies to continue reading.</div>
+  <div class="layout">
+    <article>
+      <header><h1>City expands bus network</h1><p class="byline">By A. Reporter</p></header>
+      <p>${PARAGRAPH}</p>
+      <p>${PARAGRAPH}</p>
+      <div class="share-tools"><a href="#">Share on social media</a> and tell your friends about this story today.</div>
+      <p>${PARAGRAPH}</p>
+    </article>
+    <aside class="related"><h2>Related articles</h2><ul><li><a href="/a">Trams return, commuters celebrate the move</a></li><li><a href="/b">Parking fees rise again in the centre</a></li></ul></aside>
+  </div>
+  <section id="comments"><p>Great article, thanks for sharing this with all of us, really appreciated it.</p></section>
+  <footer><p>Copyright Daily Courier. All rights reserved. Terms, privacy and contact details.</p></footer>
+`;
+
+/**
+ * Blog layout without semantic landmarks: content lives in a classed `div`
+ * next to a link-heavy sidebar.
+ */
+export const BLOG_LAYOUT = `
+  <div id="top-menu"><a href="/">Home</a> <a href="/about">About</a> <a href="/archive">Archive</a></div>
+  <div class="wrapper">
+    <div class="sidebar">
+      <p><a href="/p1">A long list of older posts about gardening and tomatoes</a>, <a href="/p2">compost tips</a>, <a href="/p3">seed swaps</a></p>
+    </div>
+    <div class="post-body">
+      <h2>Growing tomatoes on a balcony</h2>
+      <p>${PARAGRAPH}</p>
+      <p>${PARAGRAPH}</p>
+      <p>${PARAGRAPH}</p>
+    </div>
+  </div>
+  <div class="newsletter-signup"><p>Subscribe to the newsletter for weekly gardening tips, offers and other updates.</p></div>
+`;
+
+/**
+ * Page whose only prose is a short note, too thin to trust as an article.
+ */
+export const SPARSE_LAYOUT = `
+  <nav><a href="/">Home</a></nav>
+  <div><p>Short note that is long enough to count as a paragraph.</p></div>
+`;
+
+/**
+ * Documentation page with nested headings, a list, a code block and a
+ * pricing table.
+ */
+export const DOCS_LAYOUT = `
+  <nav><a href="/">Docs home</a></nav>
+  <main>
+    <h1>Reader CLI</h1>
+    <p>The reader CLI turns long pages into short summaries you can listen to.</p>
+    <h2>Installation</h2>
+    <h3>Linux</h3>
+    <p>${PARAGRAPH}</p>
+    <ol start="3"><li>Download the archive</li><li>Extract it<ul><li>with tar</li><li>or with unzip</li></ul></li></ol>
+    <h3>macOS</h3>
+    <div>Use Homebrew. <em>Recommended.</em><pre>brew install reader
+reader --version</pre></div>
+    <h2>Pricing</h2>
+    <table>
+      <caption>Plans</caption>
+      <thead><tr><th>Plan</th><th>Price</th></tr></thead>
+      <tbody><tr><td>Free</td><td>$0</td></tr><tr><td>Pro</td><td>$10</td></tr></tbody>
+    </table>
+  </main>
+`;
+
+export const ARTICLE_PARAGRAPH = PARAGRAPH;
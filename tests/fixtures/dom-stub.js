@@ -8,17 +8,32 @@ export function extractVisibleText() {
   return ['Stub segment content'];
 }
 
+export const EXTRACTION_MODES = Object.freeze({ ARTICLE: 'article', FULL: 'full' });
+
+export const DEFAULT_EXTRACTION_MODE = EXTRACTION_MODES.ARTICLE;
+
+/**
+ * Structured counterpart of {@link extractVisibleText} with empty structural
+ * metadata.
+ *
+ * @returns {Array<{text: string, headingPath: string[], blocks: object[]}>}
+ *   Static structured segment list.
+ */
+export function extractStructuredSegments() {
+  return extractVisibleText().map(text => ({ text, headingPath: [], blocks: [] }));
+}
+
 /**
  * Mirrors the production `createSegmentMap` helper with predictable IDs.
  *
- * @param {string[]} segments - Segment contents supplied by tests.
+ * @param {Array<string|{text: string}>} segments - Segment contents supplied by tests.
  * @returns {{id: string, text: string}[]} Segments paired with generated IDs.
  */
 export function createSegmentMap(segments) {
-  return segments.map((text, index) => ({
-    id: `segment-${index + 1}`,
-    text,
-  }));
+  return segments.map((segment, index) => {
+    const id = `segment-${index + 1}`;
+    return typeof segment === 'string' ? { id, text: segment } : { id, ...segment };
+  });
 }
 
 /**
@@ -37,6 +52,46 @@ export function findTextRange() {
   return null;
 }
 
+/**
+ * Stub XPath resolver; synthetic test documents have no recorded anchors.
+ *
+ * @returns {null} Always null.
+ */
+export function resolveXPath() {
+  return null;
+}
+
+/**
+ * Stub highlighter that never wraps nodes.
+ *
+ * @returns {HTMLElement[]} Always an empty list.
+ */
+export function highlightNodes() {
+  return [];
+}
+
+export const READING_SENTENCE_CLASS = 'comet-reader-sentence';
+
+export const READING_WORD_CLASS = 'comet-reader-word';
+
+/**
+ * Stub reading-position highlighter that never wraps nodes.
+ *
+ * @returns {HTMLElement[]} Always an empty list.
+ */
+export function highlightReadingPosition() {
+  return [];
+}
+
+/**
+ * Stub selection reader; the synthetic test DOM never has a selection.
+ *
+ * @returns {null} Always null.
+ */
+export function describeSelection() {
+  return null;
+}
+
 /**
  * Provides a disposable observer stub with the minimal API used in tests.
  *
@@ -135,23 +135,87 @@ test('summarise requires an API key', async () => {
   );
 });
 
-test('transcription and speech helpers are not implemented', async () => {
-  const adapter = createAdapter();
-  await assert.rejects(
-    adapter.transcribe({ apiKey: 'key', base64: '', mimeType: 'audio/webm' }),
-    error => {
-      assert.equal(error.message, 'Gemini transcription is not supported.');
-      return true;
+test('transcribe sends recorded audio inline and returns the transcript', async () => {
+  let capturedRequest;
+  const adapter = createAdapter({}, {
+    fetchImpl: async (url, options) => {
+      capturedRequest = { url, options };
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ candidates: [{ content: { parts: [{ text: ' Hello there. ' }] } }] }),
+      };
     },
-  );
+  });
+
+  const result = await adapter.transcribe({ apiKey: 'gm-key', base64: 'AAAA', mimeType: 'audio/webm' });
+
+  assert.match(capturedRequest.url, /models\/gemini-1\.5-flash-latest:generateContent\?key=gm-key$/);
+  const body = JSON.parse(capturedRequest.options.body);
+  assert.deepEqual(body.contents[0].parts[1], { inlineData: { mimeType: 'audio/webm', data: 'AAAA' } });
+  assert.match(body.contents[0].parts[0].text, /Transcribe/);
+  assert.deepEqual(result, { text: 'Hello there.' });
+});
+
+test('synthesise requests a prebuilt voice and wraps PCM audio as WAV', async () => {
+  let capturedRequest;
+  const pcm = Buffer.from([1, 0, 2, 0, 3, 0, 4, 0]);
+  const adapter = createAdapter({}, {
+    fetchImpl: async (url, options) => {
+      capturedRequest = { url, options };
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({
+          candidates: [
+            {
+              content: {
+                parts: [{ inlineData: { mimeType: 'audio/L16;codec=pcm;rate=16000', data: pcm.toString('base64') } }],
+              },
+            },
+          ],
+        }),
+      };
+    },
+  });
+
+  const result = await adapter.synthesise({ apiKey: 'gm-key', text: 'Hello world', voice: 'puck' });
+
+  assert.match(capturedRequest.url, /models\/gemini-2\.5-flash-preview-tts:generateContent/);
+  const body = JSON.parse(capturedRequest.options.body);
+  assert.deepEqual(body.contents, [{ role: 'user', parts: [{ text: 'Hello world' }] }]);
+  assert.deepEqual(body.generationConfig, {
+    responseModalities: ['AUDIO'],
+    speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Puck' } } },
+  });
+  assert.equal(result.mimeType, 'audio/wav');
+  const wave = Buffer.from(result.arrayBuffer);
+  assert.equal(wave.subarray(0, 4).toString(), 'RIFF');
+  assert.equal(wave.readUInt32LE(24), 16000);
+  assert.deepEqual(wave.subarray(44), pcm);
+});
+
+test('synthesise falls back to the preferred voice and rejects replies without audio', async () => {
+  let capturedBody;
+  const adapter = createAdapter({}, {
+    fetchImpl: async (url, options) => {
+      capturedBody = JSON.parse(options.body);
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ candidates: [{ content: { parts: [{ text: 'No audio here.' }] } }] }),
+      };
+    },
+  });
 
   await assert.rejects(
-    adapter.synthesise({ apiKey: 'key', text: 'Hello world' }),
+    adapter.synthesise({ apiKey: 'gm-key', text: 'Hello world', voice: 'alloy' }),
     error => {
-      assert.equal(error.message, 'Gemini speech synthesis is not supported.');
+      assert.equal(error.message, 'Gemini returned no audio.');
       return true;
     },
   );
+  assert.equal(capturedBody.generationConfig.speechConfig.voiceConfig.prebuiltVoiceConfig.voiceName, 'Kore');
 });
 
 test('getCostMetadata identifies the configured model', () => {
@@ -159,6 +223,46 @@ test('getCostMetadata identifies the configured model', () => {
   const metadata = adapter.getCostMetadata();
 
   assert.equal(metadata.summarise.model, 'gemini-1.5-pro');
-  assert.equal(metadata.transcribe.flatCost, 0);
-  assert.equal(metadata.synthesise.flatCost, 0);
+  assert.equal(metadata.transcribe.flatCost, undefined);
+  assert.equal(metadata.transcribe.model, 'gemini-1.5-pro');
+  assert.equal(metadata.synthesise.flatCost, undefined);
+  assert.equal(metadata.synthesise.model, 'gemini-2.5-flash-preview-tts');
+  assert.equal(metadata.synthesise.voices.preferred, 'Kore');
+  assert.ok(metadata.synthesise.voices.available.includes('Puck'));
+  assert.deepEqual(adapter.getVoiceCapabilities(), {
+    availableVoices: metadata.synthesise.voices.available,
+    preferredVoice: 'Kore',
+  });
+});
+
+test('summariseStream uses streamGenerateContent with SSE and relays part text', async () => {
+  let capturedUrl;
+  const body = [
+    'data: {"candidates":[{"content":{"parts":[{"text":"Streamed "}]}}]}',
+    'data: {"candidates":[{"content":{"parts":[{"text":"summary."}]}}],"usageMetadata":{"promptTokenCount":12,"candidatesTokenCount":3},"modelVersion":"gemini-1.5-flash-002"}',
+    '',
+  ].join('\r\n\r\n');
+  const adapter = createAdapter({}, {
+    fetchImpl: async url => {
+      capturedUrl = url;
+      return new Response(body, { status: 200 });
+    },
+  });
+  const deltas = [];
+
+  const result = await adapter.summariseStream({
+    apiKey: 'gm-key',
+    text: 'Body',
+    language: 'English',
+    onDelta: delta => deltas.push(delta),
+  });
+
+  assert.match(capturedUrl, /:streamGenerateContent\?/);
+  assert.match(capturedUrl, /alt=sse/);
+  assert.match(capturedUrl, /key=gm-key/);
+  assert.deepEqual(deltas, ['Streamed ', 'summary.']);
+  assert.equal(result.summary, 'Streamed summary.');
+  assert.equal(result.model, 'gemini-1.5-flash-002');
+  assert.equal(result.promptTokens, 12);
+  assert.equal(result.completionTokens, 3);
 });
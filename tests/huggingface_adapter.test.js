@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HuggingFaceAdapter } from '../background/adapters/huggingface.js';
+import { estimateTokensFromText } from '../utils/cost.js';
+
+function createAdapter(overrides = {}, options = {}) {
+  const baseConfig = {
+    apiUrl: 'https://api-inference.huggingface.co/models',
+    model: 'mistralai/Mistral-7B-Instruct-v0.2',
+    temperature: 0.3,
+    headers: {},
+    ...overrides,
+  };
+  return new HuggingFaceAdapter(baseConfig, options);
+}
+
+function createErrorResponse(status, body, headers = {}) {
+  return {
+    ok: false,
+    status,
+    statusText: 'Error',
+    headers: new Map(Object.entries(headers)),
+    text: async () => body,
+  };
+}
+
+test('summarise posts a text-generation request to the model URL', async () => {
+  let capturedRequest;
+  const fetchStub = async (url, options) => {
+    capturedRequest = { url, options };
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ([
+        { generated_text: '  Short summary.  ', details: { generated_tokens: 7 } },
+      ]),
+    };
+  };
+
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const result = await adapter.summarise({
+    apiKey: 'hf-token',
+    text: 'Article body',
+    language: 'English',
+    maxTokens: 300,
+  });
+
+  assert.equal(
+    capturedRequest.url,
+    'https://api-inference.huggingface.co/models/mistralai/Mistral-7B-Instruct-v0.2',
+  );
+  assert.equal(capturedRequest.options.headers.Authorization, 'Bearer hf-token');
+  const payload = JSON.parse(capturedRequest.options.body);
+  assert.match(payload.inputs, /Article body/);
+  assert.deepEqual(payload.parameters, {
+    max_new_tokens: 300,
+    return_full_text: false,
+    details: true,
+    temperature: 0.3,
+  });
+
+  assert.equal(result.summary, 'Short summary.');
+  assert.equal(result.model, 'mistralai/Mistral-7B-Instruct-v0.2');
+  assert.equal(result.promptTokens, estimateTokensFromText(payload.inputs));
+  assert.equal(result.completionTokens, 7);
+});
+
+test('summarise estimates completion tokens when usage details are missing', async () => {
+  const adapter = createAdapter(
+    { apiUrl: 'https://endpoint.example/models/custom-model/' },
+    {
+      fetchImpl: async url => {
+        assert.equal(url, 'https://endpoint.example/models/custom-model');
+        return { ok: true, status: 200, json: async () => ({ generated_text: 'One two three four' }) };
+      },
+    },
+  );
+
+  const result = await adapter.summarise({
+    apiKey: 'hf-token',
+    text: 'Article body',
+    language: 'en',
+    model: 'custom-model',
+  });
+
+  assert.equal(result.summary, 'One two three four');
+  assert.equal(result.completionTokens, estimateTokensFromText('One two three four'));
+});
+
+test('summarise passes the abort signal to fetch', async () => {
+  const controller = new AbortController();
+  const fetchStub = (_url, options) => new Promise((_resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(options.signal.reason), { once: true });
+  });
+
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const pending = adapter.summarise({ apiKey: 'hf-token', text: 'Article body', language: 'English', signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('summarise flags loading models with the estimated wait', async () => {
+  const adapter = createAdapter({}, {
+    fetchImpl: async () => createErrorResponse(
+      503,
+      '{"error":"Model mistralai/Mistral-7B-Instruct-v0.2 is currently loading","estimated_time":20.4}',
+    ),
+  });
+
+  await assert.rejects(
+    adapter.summarise({ apiKey: 'hf-token', text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.status, 503);
+      assert.equal(error.code, 'model_loading');
+      assert.equal(error.retryAfterMs, 20400);
+      assert.match(error.message, /is currently loading/);
+      return true;
+    },
+  );
+});
+
+test('summarise treats 503 responses without an estimate as ordinary failures', async () => {
+  const adapter = createAdapter({}, {
+    fetchImpl: async () => createErrorResponse(503, 'Service Unavailable'),
+  });
+
+  await assert.rejects(
+    adapter.summarise({ apiKey: 'hf-token', text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.status, 503);
+      assert.equal(error.code, undefined);
+      return true;
+    },
+  );
+});
+
+test('summarise requires an API key and reports audio as unavailable', async () => {
+  const adapter = createAdapter();
+  await assert.rejects(
+    adapter.summarise({ apiKey: '', text: 'text', language: 'en' }),
+    /Missing Hugging Face API key/,
+  );
+  assert.deepEqual(adapter.getVoiceCapabilities(), { availableVoices: [], preferredVoice: null });
+  await assert.rejects(adapter.transcribe(), /Hugging Face transcription is not supported/);
+  await assert.rejects(adapter.synthesise(), /Hugging Face speech synthesis is not supported/);
+});
@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 
 import { LLMRouter } from '../background/llm/router.js';
 import { DEFAULT_GEMINI_CONFIG } from '../utils/providerConfig.js';
+import { CostTracker } from '../utils/cost.js';
 
 function createAgentConfig(overrides = {}) {
   return {
@@ -214,9 +215,9 @@ test('generate respects disablePaid flag', async () => {
   );
 });
 
-test('generate skips providers that exceed per-call cost', async () => {
+test('generate skips providers whose completion estimate alone exceeds the per-call cap', async () => {
   const costTracker = createCostTracker({
-    defaultEstimate: { totalTokens: 2000 },
+    defaultEstimate: { totalTokens: 2000, completionTokens: 150 },
     estimates: { 'gpt-4o-mini': { totalTokens: 50 } },
     canSpend: true,
   });
@@ -309,3 +310,504 @@ test('executeWithTimeout clears timer handles after successful provider response
   assert.equal(handleUnrefCalled, true);
   assert.equal(handleCleared, true);
 });
+
+test('model overrides replace the configured model until cleared', async () => {
+  const router = createRouter();
+
+  router.setModelOverride('gemini_free', 'gemini-2.0-flash');
+  assert.equal((await router.getProviderConfig('gemini_free')).model, 'gemini-2.0-flash');
+
+  router.setModelOverride('gemini_free', '');
+  assert.equal((await router.getProviderConfig('gemini_free')).model, 'gemini-1.5-flash');
+});
+
+test('listModels returns an empty list when the adapter cannot discover models', async () => {
+  const router = createRouter();
+
+  assert.deepEqual(await router.listModels('gemini_free'), []);
+});
+
+test('markProviderFailure parks quota exhaustion but not transient rate limits', () => {
+  const router = createRouter();
+
+  const transient = Object.assign(new Error('rate limited'), { status: 429, code: 'rate_limited' });
+  router.markProviderFailure('mistral_trial', transient);
+  assert.ok(!router.isBlocked('mistral_trial'));
+
+  const throttled = Object.assign(new Error('rate limited'), { status: 429, code: 'rate_limited', retryAfterMs: 5000 });
+  router.markProviderFailure('mistral_paid', throttled);
+  assert.ok(router.isBlocked('mistral_paid'));
+  assert.equal(router.getProviderState('mistral_paid').quotaExhausted, false);
+
+  const exhausted = Object.assign(new Error('quota'), {
+    status: 429,
+    code: 'quota_exhausted',
+    rateLimit: { remainingTokensMonth: 0 },
+  });
+  router.markProviderFailure('mistral_trial', exhausted);
+  const state = router.getProviderState('mistral_trial');
+  assert.ok(router.isBlocked('mistral_trial'));
+  assert.equal(state.quotaExhausted, true);
+  assert.deepEqual(state.rateLimit, { remainingTokensMonth: 0 });
+});
+
+test('generate waits for a loading model without spending a retry or a failure', async () => {
+  const baseConfig = createAgentConfig();
+  const agentConfig = createAgentConfig({
+    providers: {
+      ...baseConfig.providers,
+      huggingface_free: {
+        provider: 'huggingface',
+        model: 'mistralai/Mistral-7B-Instruct-v0.2',
+        apiUrl: 'https://hf.example/models',
+        headers: {},
+      },
+    },
+    routing: { ...baseConfig.routing, providerOrder: ['huggingface_free'], retryLimit: 0 },
+  });
+  let calls = 0;
+  const costTracker = createCostTracker();
+  const router = new LLMRouter({
+    costTracker,
+    agentConfig,
+    routing: agentConfig.routing,
+    readApiKeyFn: () => 'hf-key',
+    createAdapterFn: () => ({
+      summarise: async () => {
+        calls += 1;
+        if (calls === 1) {
+          throw Object.assign(new Error('Model is currently loading'), {
+            status: 503,
+            code: 'model_loading',
+            retryAfterMs: 5,
+          });
+        }
+        return { summary: 'HF summary', model: 'mistralai/Mistral-7B-Instruct-v0.2' };
+      },
+    }),
+  });
+
+  const result = await router.generate({ text: 'Hello world', language: 'en' });
+
+  assert.equal(calls, 2);
+  assert.equal(result.provider, 'huggingface_free');
+  assert.equal(result.text, 'HF summary');
+  assert.equal(router.getProviderState('huggingface_free').failures, 0);
+  assert.equal(costTracker.recorded[0].promptTokens, 10);
+  assert.equal(costTracker.recorded[0].completionTokens, 10);
+});
+
+test('aborting during a model loading wait stops the retry', async () => {
+  const baseConfig = createAgentConfig();
+  const agentConfig = createAgentConfig({
+    providers: {
+      ...baseConfig.providers,
+      huggingface_free: {
+        provider: 'huggingface',
+        model: 'mistralai/Mistral-7B-Instruct-v0.2',
+        apiUrl: 'https://hf.example/models',
+        headers: {},
+      },
+    },
+    routing: { ...baseConfig.routing, providerOrder: ['huggingface_free'], retryLimit: 0 },
+  });
+  const controller = new AbortController();
+  let calls = 0;
+  const router = new LLMRouter({
+    costTracker: createCostTracker(),
+    agentConfig,
+    routing: agentConfig.routing,
+    readApiKeyFn: () => 'hf-key',
+    createAdapterFn: () => ({
+      summarise: async () => {
+        calls += 1;
+        setTimeout(() => controller.abort(), 0);
+        throw Object.assign(new Error('Model is currently loading'), {
+          status: 503,
+          code: 'model_loading',
+          retryAfterMs: 60000,
+        });
+      },
+    }),
+  });
+
+  const startedAt = Date.now();
+  await assert.rejects(
+    router.generate({ text: 'Hello world', language: 'en', signal: controller.signal }),
+    { name: 'AbortError' },
+  );
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - startedAt < 5000);
+});
+
+test('named openai_compatible providers route with their own tier and optional key', async () => {
+  const baseConfig = createAgentConfig();
+  const agentConfig = createAgentConfig({
+    providers: {
+      ...baseConfig.providers,
+      lmstudio: {
+        provider: 'lmstudio',
+        type: 'openai_compatible',
+        model: 'qwen2.5-7b-instruct',
+        apiUrl: 'http://localhost:1234/v1/chat/completions',
+        headers: {},
+      },
+      litellm: {
+        provider: 'litellm',
+        type: 'openai_compatible',
+        tier: 'paid',
+        model: 'gpt-4o-mini',
+        apiUrl: 'https://litellm.example/v1/chat/completions',
+        apiKeyEnvVar: 'LITELLM_KEY',
+        headers: {},
+      },
+    },
+    routing: { ...baseConfig.routing, providerOrder: ['lmstudio', 'litellm'] },
+  });
+  const invocations = [];
+  const router = new LLMRouter({
+    costTracker: createCostTracker(),
+    agentConfig,
+    routing: agentConfig.routing,
+    environment: { LITELLM_KEY: 'proxy-key' },
+    readApiKeyFn: () => null,
+    createAdapterFn: (key, config) => ({
+      summarise: async ({ apiKey, model }) => {
+        invocations.push({ key, provider: config.provider, apiKey, model });
+        if (config.provider === 'lmstudio') {
+          throw new Error('connection refused');
+        }
+        return { summary: 'Proxy summary', model };
+      },
+    }),
+  });
+
+  assert.deepEqual(router.getProviderMetadata('lmstudio'), {
+    tier: 'local',
+    requiresKey: false,
+    optionalKey: true,
+    adapterKey: 'openai_compatible',
+  });
+  assert.equal(router.isPaidProvider('litellm'), true);
+
+  const result = await router.generate({ text: 'Hello world', language: 'en' });
+
+  assert.equal(result.provider, 'litellm');
+  assert.deepEqual(invocations, [
+    { key: 'openai_compatible', provider: 'lmstudio', apiKey: undefined, model: 'qwen2.5-7b-instruct' },
+    { key: 'openai_compatible', provider: 'litellm', apiKey: 'proxy-key', model: 'gpt-4o-mini' },
+  ]);
+});
+
+test('generate streams deltas and flags a reset when falling back mid-stream', async () => {
+  const deltas = [];
+  const router = new LLMRouter({
+    costTracker: createCostTracker(),
+    agentConfig: createAgentConfig(),
+    routing: createAgentConfig().routing,
+    readApiKeyFn: () => 'key',
+    createAdapterFn: key => ({
+      summarise: async () => {
+        throw new Error('non-streaming path should not be used');
+      },
+      summariseStream: async ({ onDelta }) => {
+        if (key === 'gemini') {
+          onDelta('Partial');
+          throw new Error('stream dropped');
+        }
+        onDelta('Open');
+        onDelta('AI');
+        return { summary: 'OpenAI', model: 'gpt-4o-mini', promptTokens: 3, completionTokens: 2 };
+      },
+    }),
+  });
+
+  const result = await router.generate({
+    text: 'Hello world',
+    language: 'en',
+    onDelta: (text, meta) => deltas.push({ text, ...meta }),
+  });
+
+  assert.equal(result.provider, 'openai_paid');
+  assert.equal(result.text, 'OpenAI');
+  assert.deepEqual(deltas, [
+    { text: 'Partial', provider: 'gemini_free', reset: false },
+    { text: 'Open', provider: 'openai_paid', reset: true },
+    { text: 'AI', provider: 'openai_paid', reset: false },
+  ]);
+});
+
+test('generate aborts the upstream request without marking the provider as failed', async () => {
+  const controller = new AbortController();
+  let upstreamSignal;
+  const router = new LLMRouter({
+    costTracker: createCostTracker(),
+    agentConfig: createAgentConfig(),
+    routing: { ...createAgentConfig().routing, timeoutMs: 1000 },
+    readApiKeyFn: () => 'key',
+    createAdapterFn: () => ({
+      summariseStream: ({ onDelta, signal }) => {
+        upstreamSignal = signal;
+        onDelta('Part');
+        controller.abort();
+        return new Promise(() => {});
+      },
+    }),
+  });
+
+  await assert.rejects(
+    () => router.generate({ text: 'Hello world', language: 'en', onDelta: () => {}, signal: controller.signal }),
+    error => {
+      assert.equal(error.code, 'aborted');
+      return true;
+    },
+  );
+  assert.equal(upstreamSignal.aborted, true);
+  assert.equal(router.getProviderState('gemini_free').failures, 0);
+});
+
+test('generate summarises oversized text in parts and merges them under the per-call cap', async () => {
+  const agentConfig = createAgentConfig({
+    routing: {
+      providerOrder: ['gemini_free'],
+      disablePaid: false,
+      timeoutMs: 0,
+      retryLimit: 0,
+      maxTokensPerCall: 450,
+      maxMonthlyTokens: 50000,
+      dryRun: false,
+    },
+  });
+  const costTracker = new CostTracker(50000);
+  const requests = [];
+  const router = new LLMRouter({
+    costTracker,
+    agentConfig,
+    environment: {},
+    readApiKeyFn: () => 'free-key',
+    createAdapterFn: () => ({
+      summarise: async ({ text }) => {
+        requests.push(text);
+        const summary = text.startsWith('The following are summaries')
+          ? `Merged ${text.split('\n').filter(line => /^\d+\. /.test(line)).length} summaries.`
+          : `Summary of part ${requests.length}.`;
+        return { summary, model: 'gemini-1.5-flash' };
+      },
+    }),
+    routing: agentConfig.routing,
+  });
+  const text = Array.from({ length: 120 }, (_, index) => `Sentence number ${index + 1} sits here.`).join(' ');
+
+  const result = await router.generate({
+    text,
+    language: 'en',
+    metadata: { url: 'https://example.com/long', segmentId: 'segment-1' },
+  });
+
+  const merges = requests.filter(request => request.startsWith('The following are summaries'));
+  const partCount = requests.length - merges.length;
+  assert.ok(partCount > 1, 'the oversized text should be split into several calls');
+  assert.ok(merges.length >= 1);
+  requests.forEach(request => {
+    assert.ok(costTracker.estimateTokenUsage('gemini-1.5-flash', request).totalTokens <= 450);
+  });
+  assert.match(result.text, /^Merged \d+ summaries\.$/);
+  assert.equal(result.provider, 'gemini_free');
+
+  const { requests: recorded } = costTracker.toJSON();
+  assert.equal(recorded.length, requests.length);
+  recorded.forEach(entry => assert.equal(entry.segmentId, 'segment-1'));
+  assert.equal(result.total_tokens, costTracker.getUsageTotals().totalTokens);
+});
+
+test('generate skips paid providers over the USD per-call cap and records free calls at no cost', async () => {
+  const agentConfig = createAgentConfig({
+    routing: {
+      providerOrder: ['openai_paid', 'gemini_free'],
+      disablePaid: false,
+      timeoutMs: 10,
+      retryLimit: 0,
+      maxTokensPerCall: 2400,
+      maxMonthlyTokens: 50000,
+      maxCostPerCallUsd: 0.01,
+      dryRun: false,
+    },
+  });
+  const costTracker = new CostTracker(50000, undefined, {
+    prices: {
+      'gpt-4o-mini': { input: 100, output: 100 },
+      'gemini-1.5-flash': { input: 100, output: 100 },
+    },
+  });
+  const router = createRouter({
+    agentConfig,
+    costTracker,
+    readApiKeys: { openai_paid: 'paid-key', gemini_free: 'free-key' },
+  });
+
+  const result = await router.generate({ text: 'Hello world', language: 'en' });
+
+  assert.equal(result.provider, 'gemini_free');
+  const [entry] = costTracker.toJSON().requests;
+  assert.equal(entry.provider, 'gemini_free');
+  assert.equal(entry.spendUsd, 0);
+});
+
+test('generate skips providers over a layered budget and reports the budget that blocked them', async () => {
+  const agentConfig = createAgentConfig({
+    routing: {
+      providerOrder: ['openai_paid', 'gemini_free'],
+      disablePaid: false,
+      timeoutMs: 10,
+      retryLimit: 0,
+      maxTokensPerCall: 2400,
+      maxMonthlyTokens: 50000,
+      dryRun: false,
+    },
+  });
+  const costTracker = new CostTracker(50000, undefined, {
+    budgets: [
+      { id: 'provider:openai_paid:month', scope: 'provider', match: 'openai_paid', period: 'month', maxTokens: 10, maxCostUsd: null },
+    ],
+  });
+  const router = createRouter({
+    agentConfig,
+    costTracker,
+    readApiKeys: { openai_paid: 'paid-key', gemini_free: 'free-key' },
+  });
+
+  const result = await router.generate({ text: 'Hello world', language: 'en' });
+  assert.equal(result.provider, 'gemini_free');
+
+  costTracker.budgets.push({
+    id: 'news-daily', scope: 'domain', match: 'example.com', period: 'day', maxTokens: 10, maxCostUsd: null,
+  });
+  await assert.rejects(
+    router.generate({ text: 'Hello world', language: 'en', metadata: { url: 'https://news.example.com/story' } }),
+    error => {
+      assert.match(error.message, /openai_paid: token_cap \(provider:openai_paid:month\)/);
+      assert.match(error.message, /gemini_free: token_cap \(news-daily\)/);
+      return true;
+    },
+  );
+});
+
+function createSplitRouter({ costTracker, providerOrder = ['gemini_free'], adapters }) {
+  const agentConfig = createAgentConfig({
+    providers: {
+      gemini_free: createAgentConfig().providers.gemini_free,
+      openai_paid: { ...createAgentConfig().providers.openai_paid, model: 'gemini-1.5-flash' },
+    },
+    routing: {
+      providerOrder,
+      disablePaid: false,
+      timeoutMs: 0,
+      retryLimit: 0,
+      maxTokensPerCall: 450,
+      maxMonthlyTokens: 50000,
+      dryRun: false,
+    },
+  });
+  return new LLMRouter({
+    costTracker,
+    agentConfig,
+    environment: {},
+    readApiKeyFn: () => 'key',
+    createAdapterFn: adapterKey => ({ summarise: adapters[adapterKey] }),
+    routing: agentConfig.routing,
+  });
+}
+
+const LONG_TEXT = Array.from({ length: 120 }, (_, index) => `Sentence number ${index + 1} sits here.`).join(' ');
+const isMerge = text => text.startsWith('The following are summaries');
+
+test('the budget check for split text includes the merge calls', async () => {
+  const costTracker = new CostTracker(50000);
+  const requests = [];
+  const router = createSplitRouter({
+    costTracker,
+    adapters: {
+      gemini: async ({ text }) => {
+        requests.push(text);
+        return { summary: 'Short summary.', model: 'gemini-1.5-flash' };
+      },
+    },
+  });
+  const parts = router.splitForCallCap('gemini-1.5-flash', LONG_TEXT);
+  const partTokens = parts
+    .reduce((total, part) => total + costTracker.estimateTokenUsage('gemini-1.5-flash', part).totalTokens, 0);
+  costTracker.limitTokens = partTokens + 1;
+
+  await assert.rejects(
+    router.generate({ text: LONG_TEXT, language: 'en' }),
+    error => {
+      assert.match(error.message, /gemini_free: token_cap \(global\)/);
+      return true;
+    },
+  );
+  assert.deepEqual(requests, []);
+});
+
+test('merges are checked against the budget before they are sent', async () => {
+  const costTracker = new CostTracker(50000);
+  const requests = [];
+  let partCount = 0;
+  const router = createSplitRouter({
+    costTracker,
+    adapters: {
+      gemini: async ({ text }) => {
+        requests.push(text);
+        partCount -= 1;
+        if (partCount === 0) {
+          // The ceiling drops once every part is summarised.
+          costTracker.limitTokens = costTracker.getUsageTotals().totalTokens + 50;
+        }
+        return { summary: 'Short summary.', model: 'gemini-1.5-flash' };
+      },
+    },
+  });
+  partCount = router.splitForCallCap('gemini-1.5-flash', LONG_TEXT).length;
+
+  await assert.rejects(
+    router.generate({ text: LONG_TEXT, language: 'en' }),
+    error => {
+      assert.match(error.message, /gemini_free: token_cap \(global\)/);
+      return true;
+    },
+  );
+  assert.equal(requests.filter(isMerge).length, 0);
+  assert.ok(!router.isBlocked('gemini_free'));
+});
+
+test('a fallback provider reuses the parts summarised before the first provider failed', async () => {
+  const costTracker = new CostTracker(50000);
+  const geminiRequests = [];
+  const openaiRequests = [];
+  const router = createSplitRouter({
+    costTracker,
+    providerOrder: ['gemini_free', 'openai_paid'],
+    adapters: {
+      gemini: async ({ text }) => {
+        geminiRequests.push(text);
+        if (geminiRequests.length === 3) {
+          throw new Error('gemini unavailable');
+        }
+        return { summary: `Gemini summary ${geminiRequests.length}.`, model: 'gemini-1.5-flash' };
+      },
+      openai: async ({ text }) => {
+        openaiRequests.push(text);
+        return { summary: isMerge(text) ? 'Merged.' : 'OpenAI summary.', model: 'gemini-1.5-flash' };
+      },
+    },
+  });
+  const parts = router.splitForCallCap('gemini-1.5-flash', LONG_TEXT);
+  assert.ok(parts.length > 3);
+
+  const result = await router.generate({ text: LONG_TEXT, language: 'en' });
+
+  assert.equal(result.provider, 'openai_paid');
+  assert.deepEqual(openaiRequests.filter(text => !isMerge(text)), parts.slice(2));
+  const firstMerge = openaiRequests.find(isMerge);
+  assert.match(firstMerge, /1\. Gemini summary 1\.\n\n2\. Gemini summary 2\./);
+  assert.equal(costTracker.toJSON().requests.length, 2 + openaiRequests.length);
+});
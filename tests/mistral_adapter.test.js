@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MistralAdapter } from '../background/adapters/mistral.js';
+import { buildProviderConfig } from '../utils/providerConfig.js';
+
+function createAdapter(overrides = {}, options = {}) {
+  const baseConfig = {
+    apiUrl: 'https://api.mistral.ai/v1/chat/completions',
+    model: 'mistral-small',
+    temperature: 0.2,
+    headers: {},
+    ...overrides,
+  };
+  return new MistralAdapter(baseConfig, options);
+}
+
+function createResponse({ ok = true, status = 200, body = {}, headers = {} } = {}) {
+  return {
+    ok,
+    status,
+    statusText: ok ? 'OK' : 'Error',
+    headers: new Map(Object.entries(headers)),
+    json: async () => body,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+  };
+}
+
+test('summarise posts a chat completion and maps usage and rate-limit headers', async () => {
+  let capturedRequest;
+  const fetchStub = async (url, options) => {
+    capturedRequest = { url, options };
+    return createResponse({
+      body: {
+        model: 'mistral-small-2409',
+        choices: [{ message: { role: 'assistant', content: '  Summary text. ' } }],
+        usage: { prompt_tokens: 90, completion_tokens: 25, total_tokens: 115 },
+      },
+      headers: {
+        'x-ratelimit-limit-tokens-month': '1000000',
+        'x-ratelimit-remaining-tokens-month': '998000',
+      },
+    });
+  };
+
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const result = await adapter.summarise({
+    apiKey: 'mistral-key',
+    text: 'Article body',
+    language: 'English',
+    maxTokens: 400,
+  });
+
+  assert.equal(capturedRequest.url, 'https://api.mistral.ai/v1/chat/completions');
+  assert.equal(capturedRequest.options.headers.Authorization, 'Bearer mistral-key');
+  const payload = JSON.parse(capturedRequest.options.body);
+  assert.equal(payload.model, 'mistral-small');
+  assert.equal(payload.max_tokens, 400);
+  assert.equal(payload.temperature, 0.2);
+  assert.match(payload.messages[1].content, /Article body/);
+
+  assert.deepEqual(result, {
+    summary: 'Summary text.',
+    model: 'mistral-small-2409',
+    promptTokens: 90,
+    completionTokens: 25,
+    rateLimit: { limitTokensMonth: 1000000, remainingTokensMonth: 998000 },
+  });
+});
+
+test('trial and paid tiers use the model from their provider override block', async () => {
+  const agentConfig = {
+    base: { provider: 'openai', model: 'gpt-4o-mini', apiUrl: 'https://api.openai.com/v1/chat/completions' },
+    providers: {
+      mistral_trial: { provider: 'mistral', model: 'mistral-small', apiUrl: 'https://api.mistral.ai/v1/chat/completions' },
+      mistral_paid: { provider: 'mistral', model: 'mistral-large', apiUrl: 'https://api.mistral.ai/v1/chat/completions' },
+    },
+  };
+  const models = [];
+  const fetchStub = async (url, options) => {
+    models.push(JSON.parse(options.body).model);
+    return createResponse({ body: { choices: [] } });
+  };
+
+  for (const tier of ['mistral_trial', 'mistral_paid']) {
+    const adapter = new MistralAdapter(buildProviderConfig(agentConfig, tier), { fetchImpl: fetchStub });
+    await adapter.summarise({ apiKey: 'key', text: 'text', language: 'en' });
+  }
+
+  assert.deepEqual(models, ['mistral-small', 'mistral-large']);
+});
+
+test('summarise passes the abort signal to fetch', async () => {
+  const controller = new AbortController();
+  const fetchStub = (_url, options) => new Promise((_resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(options.signal.reason), { once: true });
+  });
+
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const pending = adapter.summarise({ apiKey: 'key', text: 'Article body', language: 'English', signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('rate limits with monthly tokens left are reported as transient', async () => {
+  const adapter = createAdapter({}, {
+    fetchImpl: async () => createResponse({
+      ok: false,
+      status: 429,
+      body: { message: 'Requests rate limit exceeded' },
+      headers: {
+        'x-ratelimit-remaining-tokens-minute': '0',
+        'x-ratelimit-remaining-tokens-month': '500000',
+        'retry-after': '3',
+      },
+    }),
+  });
+
+  await assert.rejects(
+    adapter.summarise({ apiKey: 'key', text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.status, 429);
+      assert.equal(error.code, 'rate_limited');
+      assert.equal(error.retryAfterMs, 3000);
+      assert.deepEqual(error.rateLimit, {
+        remainingTokensMinute: 0,
+        remainingTokensMonth: 500000,
+        retryAfterMs: 3000,
+      });
+      return true;
+    },
+  );
+});
+
+test('rate limits with no monthly tokens left are reported as quota exhaustion', async () => {
+  const adapter = createAdapter({}, {
+    fetchImpl: async () => createResponse({
+      ok: false,
+      status: 429,
+      body: { message: 'Requests rate limit exceeded' },
+      headers: { 'x-ratelimit-remaining-tokens-month': '0' },
+    }),
+  });
+
+  await assert.rejects(
+    adapter.summarise({ apiKey: 'key', text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.code, 'quota_exhausted');
+      assert.match(error.message, /Mistral error \(429\): Requests rate limit exceeded/);
+      return true;
+    },
+  );
+});
+
+test('summarise requires an API key and reports audio as unavailable', async () => {
+  const adapter = createAdapter();
+  await assert.rejects(
+    adapter.summarise({ apiKey: '', text: 'text', language: 'en' }),
+    /Missing Mistral API key/,
+  );
+  assert.deepEqual(adapter.getVoiceCapabilities(), { availableVoices: [], preferredVoice: null });
+  assert.equal(adapter.getCostMetadata().summarise.model, 'mistral-small');
+  await assert.rejects(adapter.transcribe(), /Mistral transcription is not supported/);
+  await assert.rejects(adapter.synthesise(), /Mistral speech synthesis is not supported/);
+});
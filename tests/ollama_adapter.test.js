@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OllamaAdapter } from '../background/adapters/ollama.js';
+
+function createAdapter(overrides = {}, options = {}) {
+  const baseConfig = {
+    apiUrl: 'http://localhost:11434',
+    model: 'llama3.2',
+    temperature: 0.3,
+    headers: {},
+    ...overrides,
+  };
+  return new OllamaAdapter(baseConfig, options);
+}
+
+test('summarise posts a non-streaming chat request and maps eval counts', async () => {
+  let capturedRequest;
+  const fetchStub = async (url, options) => {
+    capturedRequest = { url, options };
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        model: 'llama3.2:latest',
+        message: { role: 'assistant', content: '  Local summary.  ' },
+        done: true,
+        done_reason: 'stop',
+        prompt_eval_count: 210,
+        eval_count: 48,
+      }),
+    };
+  };
+
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const result = await adapter.summarise({
+    apiKey: null,
+    text: 'Article body',
+    language: 'English',
+    maxTokens: 600,
+  });
+
+  assert.equal(capturedRequest.url, 'http://localhost:11434/api/chat');
+  assert.equal(capturedRequest.options.method, 'POST');
+  assert.equal(capturedRequest.options.headers.Authorization, undefined);
+  const payload = JSON.parse(capturedRequest.options.body);
+  assert.equal(payload.model, 'llama3.2');
+  assert.equal(payload.stream, false);
+  assert.deepEqual(payload.options, { temperature: 0.3, num_predict: 600 });
+  assert.equal(payload.messages[0].role, 'system');
+  assert.match(payload.messages[1].content, /Article body/);
+
+  assert.deepEqual(result, {
+    summary: 'Local summary.',
+    model: 'llama3.2:latest',
+    promptTokens: 210,
+    completionTokens: 48,
+  });
+});
+
+test('summarise accepts endpoint URLs and leaves missing counts undefined', async () => {
+  let capturedUrl;
+  let payload;
+  const fetchStub = async (url, options) => {
+    capturedUrl = url;
+    payload = JSON.parse(options.body);
+    return { ok: true, status: 200, json: async () => ({ message: { content: 'Done' } }) };
+  };
+  const adapter = createAdapter(
+    { apiUrl: 'http://127.0.0.1:11434/api/chat/', temperature: undefined },
+    { fetchImpl: fetchStub },
+  );
+
+  const result = await adapter.summarise({ text: 'text', language: 'en', model: 'qwen2.5:7b' });
+
+  assert.equal(capturedUrl, 'http://127.0.0.1:11434/api/chat');
+  assert.equal(payload.model, 'qwen2.5:7b');
+  assert.equal(payload.options, undefined);
+  assert.equal(result.model, 'qwen2.5:7b');
+  assert.equal(result.promptTokens, undefined);
+  assert.equal(result.completionTokens, undefined);
+});
+
+test('summarise passes the abort signal to fetch', async () => {
+  const controller = new AbortController();
+  const fetchStub = (_url, options) => new Promise((_resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(options.signal.reason), { once: true });
+  });
+
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const pending = adapter.summarise({ apiKey: null, text: 'Article body', language: 'English', signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('summarise surfaces server errors with their status', async () => {
+  const adapter = createAdapter({}, {
+    fetchImpl: async () => ({
+      ok: false,
+      status: 404,
+      statusText: 'Not Found',
+      text: async () => '{"error":"model \\"llama3.2\\" not found, try pulling it first"}',
+    }),
+  });
+
+  await assert.rejects(
+    adapter.summarise({ text: 'text', language: 'en' }),
+    error => {
+      assert.equal(error.status, 404);
+      assert.match(error.message, /Ollama error \(404\): model "llama3.2" not found/);
+      return true;
+    },
+  );
+});
+
+test('listModels reads installed models from /api/tags', async () => {
+  let capturedRequest;
+  const fetchStub = async (url, options) => {
+    capturedRequest = { url, options };
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        models: [
+          {
+            name: 'mistral:latest',
+            size: 4109865159,
+            modified_at: '2024-05-01T10:00:00Z',
+            details: { parameter_size: '7.2B' },
+          },
+          { name: 'llama3.2:latest', size: 2019393189 },
+          { size: 1 },
+        ],
+      }),
+    };
+  };
+  const adapter = createAdapter({ apiUrl: 'http://localhost:11434/' }, { fetchImpl: fetchStub });
+
+  const models = await adapter.listModels();
+
+  assert.equal(capturedRequest.url, 'http://localhost:11434/api/tags');
+  assert.equal(capturedRequest.options.method, 'GET');
+  assert.deepEqual(models, [
+    { name: 'llama3.2:latest', size: 2019393189, modifiedAt: null, parameterSize: null },
+    { name: 'mistral:latest', size: 4109865159, modifiedAt: '2024-05-01T10:00:00Z', parameterSize: '7.2B' },
+  ]);
+});
+
+test('audio capabilities are reported as unavailable', async () => {
+  const adapter = createAdapter();
+  assert.doesNotThrow(() => adapter.ensureKey());
+  assert.deepEqual(adapter.getVoiceCapabilities(), { availableVoices: [], preferredVoice: null });
+  assert.equal(adapter.getCostMetadata().summarise.model, 'llama3.2');
+  await assert.rejects(adapter.transcribe(), /Ollama transcription is not supported/);
+  await assert.rejects(adapter.synthesise(), /Ollama speech synthesis is not supported/);
+});
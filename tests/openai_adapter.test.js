@@ -224,10 +224,18 @@ test('synthesise posts JSON payload and returns audio metadata', async () => {
     };
   };
   const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const controller = new AbortController();
 
-  const result = await adapter.synthesise({ apiKey: 'key', text: 'hello world', voice: 'alloy', format: 'ogg' });
+  const result = await adapter.synthesise({
+    apiKey: 'key',
+    text: 'hello world',
+    voice: 'alloy',
+    format: 'ogg',
+    signal: controller.signal,
+  });
 
   assert.ok(capturedRequest);
+  assert.equal(capturedRequest.options.signal, controller.signal);
   assert.equal(capturedRequest.url, 'https://api.openai.com/v1/audio/speech');
   assert.equal(capturedRequest.options.method, 'POST');
   const headers = capturedRequest.options.headers;
@@ -263,3 +271,43 @@ test('synthesise surfaces API errors', async () => {
     },
   );
 });
+
+test('summariseStream relays content deltas and reads usage from the final chunk', async () => {
+  let captured;
+  const body = [
+    'data: {"model":"gpt-4o-mini-2024","choices":[{"delta":{"role":"assistant"}}]}',
+    'data: {"choices":[{"delta":{"content":" First"}}]}',
+    'data: {"choices":[{"delta":{"content":" second."}}]}',
+    'data: {"choices":[],"usage":{"prompt_tokens":21,"completion_tokens":4}}',
+    'data: [DONE]',
+    '',
+  ].join('\n\n');
+  const adapter = createAdapter({}, {
+    fetchImpl: async (url, options) => {
+      captured = { url, options };
+      return new Response(body, { status: 200 });
+    },
+  });
+  const controller = new AbortController();
+  const deltas = [];
+
+  const result = await adapter.summariseStream({
+    apiKey: 'sk-test',
+    text: 'Body',
+    language: 'English',
+    onDelta: delta => deltas.push(delta),
+    signal: controller.signal,
+  });
+
+  const payload = JSON.parse(captured.options.body);
+  assert.equal(payload.stream, true);
+  assert.deepEqual(payload.stream_options, { include_usage: true });
+  assert.equal(captured.options.signal, controller.signal);
+  assert.deepEqual(deltas, [' First', ' second.']);
+  assert.deepEqual(result, {
+    summary: 'First second.',
+    model: 'gpt-4o-mini-2024',
+    promptTokens: 21,
+    completionTokens: 4,
+  });
+});
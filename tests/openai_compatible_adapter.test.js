@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { OpenAICompatibleAdapter } from '../background/adapters/openaiCompatible.js';
+
+function createAdapter(overrides = {}, options = {}) {
+  const baseConfig = {
+    provider: 'lmstudio',
+    type: 'openai_compatible',
+    apiUrl: 'http://localhost:1234/v1/chat/completions',
+    model: 'qwen2.5-7b-instruct',
+    temperature: 0.2,
+    headers: {},
+    ...overrides,
+  };
+  return new OpenAICompatibleAdapter(baseConfig, options);
+}
+
+test('summarise posts a chat completion to the configured endpoint without a key', async () => {
+  let capturedRequest;
+  const fetchStub = async (url, options) => {
+    capturedRequest = { url, options };
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        model: 'qwen2.5-7b-instruct',
+        choices: [{ message: { content: '  Local summary.  ' } }],
+        usage: { prompt_tokens: 40, completion_tokens: 9 },
+      }),
+    };
+  };
+
+  const adapter = createAdapter({ headers: { 'X-Team': 'reader' } }, { fetchImpl: fetchStub });
+  const result = await adapter.summarise({
+    text: 'Article body',
+    language: 'English',
+    model: 'gemini-1.5-flash',
+    maxTokens: 256,
+  });
+
+  assert.equal(capturedRequest.url, 'http://localhost:1234/v1/chat/completions');
+  assert.equal(capturedRequest.options.headers.Authorization, undefined);
+  assert.equal(capturedRequest.options.headers['X-Team'], 'reader');
+  const payload = JSON.parse(capturedRequest.options.body);
+  assert.equal(payload.model, 'qwen2.5-7b-instruct');
+  assert.equal(payload.temperature, 0.2);
+  assert.equal(payload.max_tokens, 256);
+  assert.match(payload.messages[1].content, /Article body/);
+
+  assert.deepEqual(result, {
+    summary: 'Local summary.',
+    model: 'qwen2.5-7b-instruct',
+    promptTokens: 40,
+    completionTokens: 9,
+  });
+});
+
+test('summarise sends a bearer token when one is available', async () => {
+  let headers;
+  const adapter = createAdapter({}, {
+    fetchImpl: async (url, options) => {
+      headers = options.headers;
+      return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content: 'ok' } }] }) };
+    },
+  });
+
+  await adapter.summarise({ apiKey: 'proxy-key', text: 'Body', language: 'English' });
+
+  assert.equal(headers.Authorization, 'Bearer proxy-key');
+});
+
+test('summarise enforces the key only when the block requires one', async () => {
+  const adapter = createAdapter({ provider: 'litellm', requiresApiKey: true }, {
+    fetchImpl: async () => {
+      throw new Error('fetch should not be called');
+    },
+  });
+
+  await assert.rejects(
+    () => adapter.summarise({ text: 'Body', language: 'English' }),
+    /Missing litellm API key\./,
+  );
+});
+
+test('summarise rejects blocks without an endpoint or model', async () => {
+  const fetchImpl = async () => {
+    throw new Error('fetch should not be called');
+  };
+
+  await assert.rejects(
+    () => createAdapter({ apiUrl: undefined }, { fetchImpl }).summarise({ text: 'Body', language: 'English' }),
+    /Missing api_url for provider lmstudio\./,
+  );
+  await assert.rejects(
+    () => createAdapter({ model: undefined }, { fetchImpl }).summarise({ text: 'Body', language: 'English' }),
+    /Missing model for provider lmstudio\./,
+  );
+});
+
+test('summarise passes the abort signal to fetch', async () => {
+  const controller = new AbortController();
+  const fetchStub = (_url, options) => new Promise((_resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(options.signal.reason), { once: true });
+  });
+
+  const adapter = createAdapter({}, { fetchImpl: fetchStub });
+  const pending = adapter.summarise({ text: 'Article body', language: 'English', signal: controller.signal });
+  controller.abort();
+
+  await assert.rejects(pending, { name: 'AbortError' });
+});
+
+test('rate limited responses carry a retry hint', async () => {
+  const adapter = createAdapter({}, {
+    fetchImpl: async () => ({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: new Map([['retry-after', '3']]),
+      text: async () => JSON.stringify({ error: { message: 'Slow down' } }),
+    }),
+  });
+
+  await assert.rejects(
+    () => adapter.summarise({ text: 'Body', language: 'English' }),
+    error => {
+      assert.equal(error.status, 429);
+      assert.equal(error.code, 'rate_limited');
+      assert.equal(error.retryAfterMs, 3000);
+      assert.match(error.message, /lmstudio error \(429\): Slow down/);
+      return true;
+    },
+  );
+});
+
+test('audio capabilities are not exposed', async () => {
+  const adapter = createAdapter();
+
+  assert.deepEqual(adapter.getVoiceCapabilities(), { availableVoices: [], preferredVoice: null });
+  assert.equal(adapter.getCostMetadata().summarise.model, 'qwen2.5-7b-instruct');
+  await assert.rejects(() => adapter.transcribe(), /transcription is not supported/);
+  await assert.rejects(() => adapter.synthesise(), /speech synthesis is not supported/);
+});
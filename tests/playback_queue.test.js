@@ -0,0 +1,266 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPlaybackQueue, PLAYBACK_STATES } from '../background/playback/queue.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function createHarness({ adapterType = 'cloud', synthesise } = {}) {
+  const commands = [];
+  const ended = [];
+  const player = {};
+  ['play', 'pause', 'resume', 'seek', 'stop', 'setPlaybackRate'].forEach(name => {
+    player[name] = async payload => {
+      commands.push(payload === undefined ? [name] : [name, payload]);
+    };
+  });
+  const localCommands = [];
+  const localSpeech = {
+    pause: async () => localCommands.push('pause'),
+    resume: async () => localCommands.push('resume'),
+    stop: async () => localCommands.push('stop'),
+  };
+  const queue = createPlaybackQueue({
+    resolveAdapterType: async () => adapterType,
+    synthesise:
+      synthesise || (async item => ({ audio: { base64: `audio-${item.id}`, mimeType: 'audio/mpeg' } })),
+    player,
+    localSpeech,
+    hooks: {
+      onItemEnd: (item, outcome, { position }) => ended.push({ id: item.id, outcome, position }),
+    },
+  });
+  return { queue, commands, localCommands, ended };
+}
+
+test('playback queue plays items in order as each one ends', async () => {
+  const { queue, commands, ended } = createHarness();
+  await queue.enqueue([
+    { id: 'a', text: 'First' },
+    { id: 'b', text: 'Second', startTime: 3 },
+  ]);
+  await flush();
+
+  assert.equal(queue.status().state, PLAYBACK_STATES.PLAYING);
+  assert.equal(queue.status().current.id, 'a');
+  assert.deepEqual(queue.status().pending.map(item => item.id), ['b']);
+
+  queue.handlePlayerEvent({ type: 'progress', id: 'a', currentTime: 2, duration: 5 });
+  assert.equal(queue.status().current.position, 2);
+  queue.handlePlayerEvent({ type: 'ended', id: 'a', currentTime: 5, duration: 5 });
+  await flush();
+
+  assert.equal(queue.status().current.id, 'b');
+  queue.handlePlayerEvent({ type: 'ended', id: 'b', currentTime: 8, duration: 8 });
+  await flush();
+
+  assert.deepEqual(
+    commands.filter(([name]) => name === 'play').map(([, payload]) => [payload.id, payload.startTime]),
+    [
+      ['a', 0],
+      ['b', 3],
+    ],
+  );
+  assert.deepEqual(ended, [
+    { id: 'a', outcome: 'finished', position: 5 },
+    { id: 'b', outcome: 'finished', position: 8 },
+  ]);
+  assert.equal(queue.status().state, PLAYBACK_STATES.IDLE);
+  assert.equal(queue.status().lastOutcome, 'finished');
+});
+
+test('playback queue pauses, seeks, skips and stops cloud audio', async () => {
+  const { queue, commands, ended } = createHarness();
+  await queue.enqueue([
+    { id: 'a', text: 'First' },
+    { id: 'b', text: 'Second' },
+    { id: 'c', text: 'Third' },
+  ]);
+  await flush();
+
+  assert.equal((await queue.pause()).state, PLAYBACK_STATES.PAUSED);
+  assert.equal((await queue.resume()).state, PLAYBACK_STATES.PLAYING);
+  await queue.seek(1.5);
+  await queue.skip();
+  await flush();
+  assert.equal(queue.status().current.id, 'b');
+
+  await queue.stop();
+  await flush();
+
+  assert.deepEqual(
+    commands.map(([name]) => name),
+    ['play', 'pause', 'resume', 'seek', 'stop', 'play', 'stop'],
+  );
+  assert.deepEqual(ended.map(entry => [entry.id, entry.outcome]), [
+    ['a', 'skipped'],
+    ['b', 'stopped'],
+  ]);
+  assert.equal(queue.status().state, PLAYBACK_STATES.IDLE);
+  assert.equal(queue.status().lastOutcome, 'stopped');
+  assert.deepEqual(queue.status().pending, []);
+});
+
+test('playback queue replaces current items and stops after a failure', async () => {
+  let failNext = false;
+  const { queue, ended } = createHarness({
+    synthesise: async item => {
+      if (failNext) {
+        throw new Error('Synthesis unavailable.');
+      }
+      return { audio: { base64: `audio-${item.id}` } };
+    },
+  });
+  await queue.enqueue([{ id: 'a', text: 'First' }, { id: 'b', text: 'Second' }]);
+  await flush();
+
+  failNext = true;
+  await queue.enqueue([{ id: 'c', text: 'Replacement' }, { id: 'd', text: 'Never played' }], { replace: true });
+  await flush();
+
+  assert.deepEqual(ended.map(entry => [entry.id, entry.outcome]), [
+    ['a', 'replaced'],
+    ['c', 'failed'],
+  ]);
+  assert.equal(queue.status().state, PLAYBACK_STATES.IDLE);
+  assert.equal(queue.status().lastError, 'Synthesis unavailable.');
+  assert.deepEqual(queue.status().pending, []);
+});
+
+test('playback queue routes controls to the local speech engine', async () => {
+  let finishSpeaking;
+  const { queue, commands, localCommands, ended } = createHarness({
+    adapterType: 'local',
+    synthesise: () =>
+      new Promise(resolve => {
+        finishSpeaking = resolve;
+      }),
+  });
+  await queue.enqueue([{ id: 'a', text: 'Spoken locally' }]);
+  await flush();
+
+  assert.equal(queue.status().current.adapterType, 'local');
+  await queue.pause();
+  await queue.resume();
+  await assert.rejects(queue.seek(2), /only available/);
+  finishSpeaking({ audio: null });
+  await flush();
+
+  assert.deepEqual(localCommands, ['pause', 'resume']);
+  assert.deepEqual(commands, []);
+  assert.deepEqual(ended.map(entry => entry.outcome), ['finished']);
+});
+
+test('playback queue synthesises the next item while the current one plays', async () => {
+  const requests = [];
+  const { queue, commands } = createHarness({
+    synthesise: async item => {
+      requests.push(item.id);
+      return { audio: { base64: `audio-${item.id}`, mimeType: 'audio/mpeg' } };
+    },
+  });
+  await queue.enqueue([
+    { id: 'a', text: 'First' },
+    { id: 'b', text: 'Second' },
+    { id: 'c', text: 'Third' },
+  ]);
+  await flush();
+
+  assert.equal(queue.status().current.id, 'a');
+  assert.deepEqual(requests, ['a', 'b']);
+
+  queue.handlePlayerEvent({ type: 'ended', id: 'a', currentTime: 1, duration: 1 });
+  await flush();
+  assert.equal(queue.status().current.id, 'b');
+  assert.deepEqual(requests, ['a', 'b', 'c']);
+
+  queue.handlePlayerEvent({ type: 'ended', id: 'b', currentTime: 1, duration: 1 });
+  await flush();
+  queue.handlePlayerEvent({ type: 'ended', id: 'c', currentTime: 1, duration: 1 });
+  await flush();
+
+  assert.deepEqual(requests, ['a', 'b', 'c']);
+  assert.deepEqual(
+    commands.filter(([name]) => name === 'play').map(([, payload]) => payload.base64),
+    ['audio-a', 'audio-b', 'audio-c'],
+  );
+});
+
+test('playback queue aborts prefetches on stop and respects the prefetch budget', async () => {
+  const requests = [];
+  const releases = new Map();
+  const signals = new Map();
+  const queue = createPlaybackQueue({
+    resolveAdapterType: async () => 'cloud',
+    synthesise: (item, options) => {
+      requests.push(item.id);
+      signals.set(item.id, options?.signal);
+      if (item.id === 'a' || item.id === 'x') {
+        return Promise.resolve({ audio: { base64: `audio-${item.id}` } });
+      }
+      return new Promise(resolve => releases.set(item.id, () => resolve({ audio: { base64: `audio-${item.id}` } })));
+    },
+    canPrefetch: item => item.id !== 'y',
+    player: {
+      play: async () => {},
+      pause: async () => {},
+      resume: async () => {},
+      seek: async () => {},
+      stop: async () => {},
+      setPlaybackRate: async () => {},
+    },
+    localSpeech: { pause: async () => {}, resume: async () => {}, stop: async () => {} },
+  });
+
+  await queue.enqueue([{ id: 'a', text: 'First' }, { id: 'b', text: 'Second' }]);
+  await flush();
+  assert.deepEqual(requests, ['a', 'b']);
+
+  assert.equal(signals.get('a'), undefined);
+  assert.equal(signals.get('b').aborted, false);
+
+  await queue.stop();
+  assert.equal(signals.get('b').aborted, true);
+  releases.get('b')();
+  await flush();
+  assert.equal(queue.status().state, PLAYBACK_STATES.IDLE);
+
+  await queue.enqueue([{ id: 'x', text: 'Again' }, { id: 'y', text: 'Over budget' }]);
+  await flush();
+  assert.equal(queue.status().current.id, 'x');
+  assert.deepEqual(requests, ['a', 'b', 'x']);
+
+  queue.handlePlayerEvent({ type: 'ended', id: 'x', currentTime: 1, duration: 1 });
+  await flush();
+  assert.deepEqual(requests, ['a', 'b', 'x', 'y']);
+  await queue.stop();
+  releases.get('y')();
+  await flush();
+});
+
+test('playback queue restores a snapshot and waits to replay an item the player lost', async () => {
+  const first = createHarness();
+  await first.queue.enqueue([
+    { id: 'a', text: 'First' },
+    { id: 'b', text: 'Second' },
+  ]);
+  await flush();
+  first.queue.handlePlayerEvent({ type: 'progress', id: 'a', currentTime: 2, duration: 5 });
+  await first.queue.pause();
+  const saved = JSON.parse(JSON.stringify(first.queue.snapshot()));
+
+  const { queue, commands, ended } = createHarness();
+  const restored = queue.restore(saved, null);
+  assert.equal(restored.state, PLAYBACK_STATES.PAUSED);
+  assert.equal(restored.current.id, 'a');
+  assert.equal(restored.current.position, 2);
+  assert.deepEqual(restored.pending.map(item => item.id), ['b']);
+  await flush();
+  assert.deepEqual(commands, []);
+
+  await queue.skip();
+  await flush();
+  assert.deepEqual(ended, [{ id: 'a', outcome: 'skipped', position: 2 }]);
+  assert.equal(queue.status().current.id, 'b');
+  assert.deepEqual(commands.map(([name, payload]) => [name, payload.id]), [['play', 'b']]);
+});
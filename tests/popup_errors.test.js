@@ -103,9 +103,14 @@ test('disables tab-dependent controls when the active tab is unsupported', async
       'summariseBtn',
       'readBtn',
       'readPageBtn',
+      'resumeReadingBtn',
       'playBtn',
       'pauseBtn',
       'stopBtn',
+      'rewindBtn',
+      'skipBtn',
+      'addToQueueBtn',
+      'exportAudioBtn',
       'pushToTalkBtn',
     ];
 
@@ -207,14 +207,19 @@ test('popup initialises immediately when DOMContentLoaded already fired', async
 
     assert.deepEqual(
       requestedLocalKeys,
-      ['language', 'ttsLanguage', 'ttsProvider', 'ttsVoice', 'playbackRate']
+      ['language', 'ttsLanguage', 'ttsProvider', 'ttsVoice', 'playbackRate', 'extractionMode']
     );
 
     const playbackSelect = getElement('playbackRateSelect');
     assert.equal(playbackSelect.value, '1.75');
 
-    const audio = module.__TESTING__.ensureAudio();
-    assert.equal(audio.playbackRate, 1.75);
+    module.__TESTING__.renderPlaybackState({
+      state: 'playing',
+      lastOutcome: null,
+      lastError: null,
+      current: { id: 'playback-1', adapterType: 'cloud', position: 0, duration: null },
+      pending: [],
+    });
 
     playbackSelect.value = '2';
     const playbackListeners = playbackSelect.listeners.get('change') || [];
@@ -224,7 +229,8 @@ test('popup initialises immediately when DOMContentLoaded already fired', async
       preventDefault() {},
     });
 
-    assert.equal(audio.playbackRate, 2);
+    const rateMessage = recordedMessages.find(message => message.type === 'comet:playback:setRate');
+    assert.deepEqual(rateMessage?.payload, { rate: 2 });
     assert.ok(
       recordedStorageWrites.some(entry => entry.playbackRate === 2),
       'playback rate update should persist to storage'
@@ -108,7 +108,7 @@ test('popup messaging content script recovery', async t => {
     chromeStub.runtime.lastError = null;
   });
 
-  await t.test('readFullPage requests segments and synthesises audio', async () => {
+  await t.test('readFullPage queues every segment for background playback', async () => {
     module.__TESTING__.assignElements();
     module.__TESTING__.setPlaybackReady();
 
@@ -122,6 +122,7 @@ test('popup messaging content script recovery', async t => {
 
     const segments = [
       { id: 'segment-1', text: 'First segment for playback.' },
+      { id: 'segment-empty', text: '   ' },
       { id: 'segment-2', text: 'Second segment for playback.' },
     ];
 
@@ -139,31 +140,19 @@ test('popup messaging content script recovery', async t => {
       });
     };
 
-    const dispatchedTypes = [];
+    const messages = [];
     chromeStub.runtime.sendMessage = (message, callback) => {
-      dispatchedTypes.push(message.type);
+      messages.push(message);
       chromeStub.runtime.lastError = null;
-      const resetAt = 1_700_000_123_000;
       callback({
         success: true,
         result: {
-          audio: { base64: 'AA==', mimeType: 'audio/mpeg' },
-          usage: {
-            totalTokens: 10,
-            totalPromptTokens: 10,
-            totalCompletionTokens: 0,
-            cumulativeTotalTokens: 10,
-            cumulativePromptTokens: 10,
-            cumulativeCompletionTokens: 0,
-            limitTokens: DEFAULT_TOKEN_LIMIT,
-            lastReset: resetAt,
-            tokens: {
-              total: 10,
-              prompt: 10,
-              completion: 0,
-              lastReset: resetAt,
-            },
-          },
+          state: 'loading',
+          lastOutcome: null,
+          lastError: null,
+          current: { id: 'playback-1', index: 0, total: 2, adapterType: null, position: 0, duration: null },
+          pending: [{ id: 'playback-2', index: 1, total: 2 }],
+          resumed: false,
         },
         error: null,
       });
@@ -172,44 +161,117 @@ test('popup messaging content script recovery', async t => {
     await module.__TESTING__.readFullPage();
 
     assert.equal(tabMessageCount, 1);
-    assert.deepEqual(dispatchedTypes, ['comet:synthesise', 'comet:synthesise']);
+    assert.deepEqual(messages.map(message => message.type), ['comet:playback:enqueue']);
+    const { payload } = messages[0];
+    assert.deepEqual(payload.items, [
+      { text: 'First segment for playback.', segmentId: 'segment-1' },
+      { text: 'Second segment for playback.', segmentId: 'segment-2' },
+    ]);
+    assert.deepEqual(payload.page, {
+      tabId: 321,
+      url: 'https://example.test',
+      segmentIds: ['segment-1', 'segment-empty', 'segment-2'],
+    });
+    assert.equal(payload.replace, true);
+    assert.equal(payload.resume, false);
+    assert.equal(getElement('stopBtn').disabled, false);
+    assert.equal(getElement('skipBtn').disabled, false);
   });
 
-  await t.test('playAudioPayload handles multiple chunks sequentially', async () => {
+  await t.test('readFullPage asks the background to resume and reports a missing position', async () => {
     module.__TESTING__.assignElements();
-    module.__TESTING__.setPlaybackReady();
-    module.__TESTING__.ensureAudio();
-
-    const originalURL = globalThis.URL;
-    const created = [];
-    const revoked = [];
-    globalThis.URL = {
-      createObjectURL(blob) {
-        created.push(blob.type);
-        return originalURL?.createObjectURL ? originalURL.createObjectURL(blob) : 'blob:test';
-      },
-      revokeObjectURL(url) {
-        revoked.push(url);
-        if (originalURL?.revokeObjectURL) {
-          originalURL.revokeObjectURL(url);
-        }
-      },
+    module.__TESTING__.renderPlaybackState({
+      state: 'idle',
+      lastOutcome: null,
+      lastError: null,
+      current: null,
+      pending: [],
+    });
+
+    const segments = [
+      { id: 'segment-1', text: 'First part.' },
+      { id: 'segment-2', text: 'Second part.' },
+    ];
+    chromeStub.tabs.query = (_options, callback) => {
+      const tabs = [{ id: 321, url: 'https://example.test/page' }];
+      callback?.(tabs);
+      return tabs;
+    };
+    chromeStub.tabs.sendMessage = (_tabId, _message, callback) => {
+      chromeStub.runtime.lastError = null;
+      callback({ ok: true, result: { url: 'https://example.test/page', segments } });
     };
 
-    try {
-      const controller = module.__TESTING__.createPlaybackController();
-      const chunks = [
-        { base64: Buffer.from('first').toString('base64'), mimeType: 'audio/mpeg' },
-        { base64: Buffer.from('second').toString('base64'), mimeType: 'audio/mpeg' },
-      ];
-
-      const result = await module.__TESTING__.playAudioPayload({ chunks }, controller);
-      assert.equal(result, 'finished');
-      assert.equal(created.length, 2);
-      assert.equal(revoked.length, 2);
-    } finally {
-      globalThis.URL = originalURL;
-    }
+    const messages = [];
+    chromeStub.runtime.sendMessage = (message, callback) => {
+      messages.push(message);
+      chromeStub.runtime.lastError = null;
+      callback({
+        success: true,
+        result: {
+          state: 'loading',
+          lastOutcome: null,
+          lastError: null,
+          current: { id: 'playback-3', index: 0, total: 2, adapterType: null, position: 0, duration: null },
+          pending: [],
+          resumed: false,
+        },
+        error: null,
+      });
+    };
+
+    await module.__TESTING__.readFullPage({ resume: true });
+
+    assert.equal(messages[0].payload.resume, true);
+    assert.equal(
+      getElement('recordingStatus').textContent,
+      'No saved position for this page. Reading from the beginning.',
+    );
+  });
+
+  await t.test('renderPlaybackState reattaches controls to background playback', async () => {
+    module.__TESTING__.assignElements();
+    const statusEl = getElement('recordingStatus');
+
+    module.__TESTING__.renderPlaybackState({
+      state: 'playing',
+      lastOutcome: null,
+      lastError: null,
+      current: { id: 'playback-7', index: 1, total: 4, adapterType: 'cloud', position: 12, duration: 30 },
+      pending: [],
+    });
+    assert.equal(statusEl.textContent, 'Playing segment 2 of 4.');
+    assert.equal(getElement('pauseBtn').disabled, false);
+    assert.equal(getElement('rewindBtn').disabled, false);
+
+    chromeStub.runtime.sendMessage = (message, callback) => {
+      chromeStub.runtime.lastError = null;
+      assert.equal(message.type, 'comet:playback:pause');
+      callback({
+        success: true,
+        result: {
+          state: 'paused',
+          lastOutcome: null,
+          lastError: null,
+          current: { id: 'playback-7', index: 1, total: 4, adapterType: 'cloud', position: 12, duration: 30 },
+          pending: [],
+        },
+        error: null,
+      });
+    };
+    await module.__TESTING__.pausePlayback();
+    assert.equal(statusEl.textContent, 'Playback paused.');
+    assert.equal(getElement('playBtn').disabled, false);
+
+    module.__TESTING__.renderPlaybackState({
+      state: 'idle',
+      lastOutcome: 'finished',
+      lastError: null,
+      current: null,
+      pending: [],
+    });
+    assert.equal(statusEl.textContent, 'Finished reading.');
+    assert.equal(getElement('stopBtn').disabled, true);
   });
 
   await t.test('tts progress updates status text for active requests', async () => {
@@ -257,3 +319,261 @@ test('mock mode bypasses runtime messaging and preserves provider metadata', asy
   const summary = await module.sendMessage('comet:summarise');
   assert.ok(Array.isArray(summary.summaries));
 });
+
+function createPortStub() {
+  const messageListeners = [];
+  const disconnectListeners = [];
+  return {
+    posted: [],
+    onMessage: { addListener: listener => messageListeners.push(listener) },
+    onDisconnect: { addListener: listener => disconnectListeners.push(listener) },
+    postMessage(message) {
+      this.posted.push(message);
+    },
+    disconnect() {},
+    emit(type, payload) {
+      messageListeners.forEach(listener => listener({ type, payload }));
+    },
+  };
+}
+
+test('streamSummaries renders deltas as they arrive and resolves on completion', async () => {
+  const port = createPortStub();
+  chromeStub.runtime.connect = ({ name }) => {
+    assert.equal(name, 'comet:summarise:stream');
+    return port;
+  };
+  try {
+    const module = await importPopupModule();
+    module.__TESTING__.assignElements();
+    const segments = [{ id: 'a', text: 'Alpha' }, { id: 'b', text: 'Beta' }];
+    const pending = module.__TESTING__.streamSummaries({ url: 'https://example.com', segments });
+
+    assert.equal(port.posted[0].type, 'comet:summarise:start');
+    assert.deepEqual(port.posted[0].payload.segments, segments);
+
+    port.emit('comet:summarise:delta', { id: 'a', text: 'Al', reset: false });
+    port.emit('comet:summarise:delta', { id: 'a', text: 'pha <b>', reset: false });
+    assert.equal(getElement('summaryList').innerHTML, '<li data-segment-id="a">Alpha &lt;b&gt;</li>');
+    assert.equal(getElement('summarySection').hidden, false);
+
+    port.emit('comet:summarise:segment', { id: 'a', summary: 'Alpha.' });
+    assert.match(getElement('recordingStatus').textContent, /\(1\/2\)/);
+    port.emit('comet:summarise:delta', { id: 'b', text: 'Draft', reset: false });
+    port.emit('comet:summarise:delta', { id: 'b', text: 'Be', reset: true });
+    assert.match(getElement('summaryList').innerHTML, /<li data-segment-id="b">Be<\/li>/);
+
+    port.emit('comet:summarise:digestDelta', { text: 'Alpha and ', reset: false });
+    port.emit('comet:summarise:digestDelta', { text: 'Beta.', reset: false });
+    assert.equal(getElement('summaryDigest').textContent, 'Alpha and Beta.');
+    assert.equal(getElement('summaryDigest').hidden, false);
+
+    const summaries = [{ id: 'a', summary: 'Alpha.' }, { id: 'b', summary: 'Beta.' }];
+    port.emit('comet:summarise:done', { summaries, digest: 'Alpha and Beta.', usage: { totalTokens: 12 } });
+    const result = await pending;
+    assert.deepEqual(result, { summaries, digest: 'Alpha and Beta.', usage: { totalTokens: 12 }, cancelled: false });
+  } finally {
+    delete chromeStub.runtime.connect;
+  }
+});
+
+test('cancelSummary asks the worker to abort and keeps completed segments', async () => {
+  const port = createPortStub();
+  chromeStub.runtime.connect = () => port;
+  try {
+    const module = await importPopupModule();
+    module.__TESTING__.assignElements();
+    const segments = [{ id: 'a', text: 'Alpha' }, { id: 'b', text: 'Beta' }];
+    const pending = module.__TESTING__.streamSummaries({ url: 'https://example.com', segments });
+
+    port.emit('comet:summarise:segment', { id: 'a', summary: 'Alpha.' });
+    port.emit('comet:summarise:delta', { id: 'b', text: 'Be', reset: false });
+    module.__TESTING__.cancelSummary();
+    assert.deepEqual(port.posted.at(-1), { type: 'comet:summarise:cancel' });
+
+    port.emit('comet:summarise:error', { error: 'Summary request cancelled.', cancelled: true, usage: null });
+    const result = await pending;
+    assert.equal(result.cancelled, true);
+    assert.deepEqual(result.summaries, [{ id: 'a', summary: 'Alpha.' }]);
+  } finally {
+    delete chromeStub.runtime.connect;
+  }
+});
+
+test('summariseSelection shows the selection summary apart from the page summaries', async () => {
+  const originalQuery = chromeStub.tabs.query;
+  const originalTabSend = chromeStub.tabs.sendMessage;
+  const originalSend = chromeStub.runtime.sendMessage;
+  const selection = { id: 'selection-abc', text: 'Selected words', anchor: null };
+  let summariseRequest;
+  chromeStub.tabs.query = (_options, callback) => {
+    const tabs = [{ id: 9, url: 'https://example.com/article' }];
+    callback?.(tabs);
+    return Promise.resolve(tabs);
+  };
+  chromeStub.tabs.sendMessage = (tabId, message, callback) => {
+    assert.equal(tabId, 9);
+    assert.equal(message.type, 'comet:getSelection');
+    chromeStub.runtime.lastError = null;
+    callback({ ok: true, result: { url: 'https://example.com/article', selection } });
+  };
+  chromeStub.runtime.sendMessage = (message, callback) => {
+    chromeStub.runtime.lastError = null;
+    if (message.type !== 'comet:summarise') {
+      callback({ success: true, result: null, error: null });
+      return;
+    }
+    summariseRequest = message;
+    callback({
+      success: true,
+      result: { summaries: [{ id: 'selection-abc', summary: 'Short.' }], usage: null },
+      error: null,
+    });
+  };
+  try {
+    const module = await importPopupModule();
+    module.__TESTING__.assignElements();
+    getElement('summaryList').innerHTML = '<li data-segment-id="segment-1">Page summary.</li>';
+    await module.__TESTING__.summariseSelection();
+
+    assert.equal(summariseRequest.type, 'comet:summarise');
+    assert.equal(summariseRequest.payload.url, 'https://example.com/article');
+    assert.deepEqual(summariseRequest.payload.segments, [{ id: 'selection-abc', text: 'Selected words' }]);
+    assert.equal(getElement('selectionSummary').textContent, 'Short.');
+    assert.equal(getElement('selectionSection').hidden, false);
+    assert.equal(getElement('summaryList').innerHTML, '<li data-segment-id="segment-1">Page summary.</li>');
+    assert.equal(getElement('recordingStatus').textContent, 'Selection summary ready.');
+  } finally {
+    chromeStub.tabs.query = originalQuery;
+    chromeStub.tabs.sendMessage = originalTabSend;
+    chromeStub.runtime.sendMessage = originalSend;
+  }
+});
+
+test('selection actions report when nothing is selected', async () => {
+  const originalQuery = chromeStub.tabs.query;
+  const originalTabSend = chromeStub.tabs.sendMessage;
+  chromeStub.tabs.query = (_options, callback) => {
+    const tabs = [{ id: 9, url: 'https://example.com/article' }];
+    callback?.(tabs);
+    return Promise.resolve(tabs);
+  };
+  chromeStub.tabs.sendMessage = (_tabId, _message, callback) => {
+    chromeStub.runtime.lastError = null;
+    callback({ ok: true, result: { url: 'https://example.com/article', selection: null } });
+  };
+  try {
+    const module = await importPopupModule();
+    module.__TESTING__.assignElements();
+    await module.__TESTING__.readSelection();
+    assert.equal(getElement('recordingStatus').textContent, 'Select some text on the page first.');
+  } finally {
+    chromeStub.tabs.query = originalQuery;
+    chromeStub.tabs.sendMessage = originalTabSend;
+  }
+});
+
+test('listening queue list renders entries and sends reorder and remove requests', async () => {
+  const originalSend = chromeStub.runtime.sendMessage;
+  const messages = [];
+  const queue = {
+    activeEntryId: 'queue-b',
+    entries: [
+      { id: 'queue-a', title: 'First <article>', url: 'https://example.com/a', segmentCount: 2 },
+      { id: 'queue-b', title: '', url: 'https://example.com/b', segmentCount: 1 },
+    ],
+  };
+  chromeStub.runtime.sendMessage = (message, callback) => {
+    messages.push(message);
+    chromeStub.runtime.lastError = null;
+    callback({ success: true, result: queue, error: null });
+  };
+  try {
+    const module = await importPopupModule();
+    module.__TESTING__.assignElements();
+    module.__TESTING__.renderListeningQueue(queue);
+
+    const markup = getElement('listeningQueueList').innerHTML;
+    assert.match(markup, /<span>First &lt;article&gt;<\/span>/);
+    assert.match(markup, /<li data-entry-id="queue-b" aria-current="true"><span>https:\/\/example.com\/b<\/span>/);
+    assert.match(markup, /data-action="up" data-entry-id="queue-a" disabled/);
+    assert.equal(getElement('playQueueBtn').disabled, false);
+
+    await module.__TESTING__.handleListeningQueueClick({ target: { dataset: { action: 'down', entryId: 'queue-a' } } });
+    await module.__TESTING__.handleListeningQueueClick({ target: { dataset: { action: 'remove', entryId: 'queue-b' } } });
+    assert.deepEqual(
+      messages
+        .filter(message => ['comet:queue:move', 'comet:queue:remove'].includes(message.type))
+        .map(message => [message.type, message.payload]),
+      [
+        ['comet:queue:move', { entryId: 'queue-a', index: 1 }],
+        ['comet:queue:remove', { entryId: 'queue-b' }],
+      ],
+    );
+
+    module.__TESTING__.renderListeningQueue({ entries: [], activeEntryId: null });
+    assert.equal(getElement('playQueueBtn').disabled, true);
+    assert.equal(getElement('listeningQueueList').innerHTML, '');
+  } finally {
+    chromeStub.runtime.sendMessage = originalSend;
+  }
+});
+
+test('audio export shows the estimate and only exports after confirmation', async () => {
+  const originalQuery = chromeStub.tabs.query;
+  const originalTabSend = chromeStub.tabs.sendMessage;
+  const originalSend = chromeStub.runtime.sendMessage;
+  chromeStub.tabs.query = (_options, callback) => {
+    const tabs = [{ id: 5, url: 'https://example.com/article' }];
+    callback?.(tabs);
+    return Promise.resolve(tabs);
+  };
+  chromeStub.tabs.sendMessage = (_tabId, _message, callback) => {
+    chromeStub.runtime.lastError = null;
+    callback({
+      ok: true,
+      result: { url: 'https://example.com/article', segments: [{ id: 'segment-1', text: 'Only segment.' }] },
+    });
+  };
+  const messages = [];
+  chromeStub.runtime.sendMessage = (message, callback) => {
+    messages.push(message);
+    chromeStub.runtime.lastError = null;
+    let result = null;
+    if (message.type === 'comet:export:estimate') {
+      result = { requestCount: 3, tokens: 1200, costUsd: 0.03, truncated: false, withinLimit: true };
+    } else if (message.type === 'comet:export:audio') {
+      result = { filename: 'Article.wav', usage: null };
+    }
+    callback({ success: true, result, error: null });
+  };
+  try {
+    const module = await importPopupModule();
+    module.__TESTING__.assignElements();
+    getElement('exportFormatSelect').value = 'wav';
+    getElement('exportSourceSelect').value = 'page';
+
+    await module.__TESTING__.prepareAudioExport();
+    const exportMessages = () => messages.filter(message => message.type.startsWith('comet:export:'));
+    assert.deepEqual(exportMessages().map(message => message.type), ['comet:export:estimate']);
+    assert.equal(
+      getElement('exportEstimate').textContent,
+      'Exporting makes 3 speech requests using about 1,200 tokens (about $0.03).',
+    );
+    assert.equal(getElement('exportConfirm').hidden, false);
+
+    await module.__TESTING__.confirmAudioExport();
+    const [, exported] = exportMessages();
+    assert.equal(exported.type, 'comet:export:audio');
+    assert.equal(exported.payload.confirmed, true);
+    assert.equal(exported.payload.format, 'wav');
+    assert.deepEqual(exported.payload.texts, ['Only segment.']);
+    assert.equal(exported.payload.tabId, 5);
+    assert.equal(getElement('exportConfirm').hidden, true);
+    assert.equal(getElement('recordingStatus').textContent, 'Download started: Article.wav');
+  } finally {
+    chromeStub.tabs.query = originalQuery;
+    chromeStub.tabs.sendMessage = originalTabSend;
+    chromeStub.runtime.sendMessage = originalSend;
+  }
+});
@@ -89,3 +89,84 @@ test('loadPreferences falls back to a supported voice and persists it', async ()
     }
   }
 });
+
+test('popup offers the Web Speech provider only when chrome.tts is missing', async () => {
+  const globalNames = ['chrome', 'document', 'window', 'navigator', 'Audio', 'URL', 'speechSynthesis'];
+  const previousGlobals = Object.fromEntries(globalNames.map(name => [name, globalThis[name]]));
+
+  try {
+    const NativeURL = previousGlobals.URL ?? globalThis.URL;
+    const { chrome, getElement } = setupPopupTestEnvironment();
+    globalThis.document.readyState = 'loading';
+    chrome.runtime.sendMessage = (_message, callback) => {
+      callback?.({ success: true, result: null, error: null });
+    };
+
+    const moduleUrl = new NativeURL('../popup/script.js', import.meta.url);
+    moduleUrl.searchParams.set('cacheBust', `${Date.now()}-${Math.random()}`);
+    const module = await import(moduleUrl.href);
+    module.__TESTING__.assignElements();
+    const providerSelect = getElement('ttsProviderSelect');
+
+    module.__TESTING__.renderTtsProviderOptions('webSpeech');
+    assert.match(providerSelect.innerHTML, /value="webSpeech"/);
+    assert.equal(providerSelect.value, 'webSpeech');
+
+    chrome.tts = { speak: () => {} };
+    module.__TESTING__.renderTtsProviderOptions('webSpeech');
+    assert.doesNotMatch(providerSelect.innerHTML, /webSpeech/);
+    assert.equal(providerSelect.value, 'localTTS');
+  } finally {
+    globalNames.forEach(name => {
+      if (previousGlobals[name] === undefined) {
+        delete globalThis[name];
+      } else {
+        globalThis[name] = previousGlobals[name];
+      }
+    });
+  }
+});
+
+test('cloud voice options come from the active provider before the static catalogue', async () => {
+  const globalNames = ['chrome', 'document', 'window', 'navigator', 'Audio', 'URL', 'speechSynthesis'];
+  const previousGlobals = Object.fromEntries(globalNames.map(name => [name, globalThis[name]]));
+
+  try {
+    const NativeURL = previousGlobals.URL ?? globalThis.URL;
+    const { chrome, getElement } = setupPopupTestEnvironment();
+    globalThis.document.readyState = 'loading';
+    let providerVoices = ['Kore', 'Puck'];
+    const requests = [];
+    chrome.runtime.sendMessage = (message, callback) => {
+      requests.push(message);
+      const result = message.type === 'comet:getVoiceCapabilities'
+        ? { provider: 'gemini', availableVoices: providerVoices, preferredVoice: 'Kore' }
+        : null;
+      callback?.({ success: true, result, error: null });
+    };
+
+    const moduleUrl = new NativeURL('../popup/script.js', import.meta.url);
+    moduleUrl.searchParams.set('cacheBust', `${Date.now()}-${Math.random()}`);
+    const module = await import(moduleUrl.href);
+    module.__TESTING__.assignElements();
+    const voiceSelect = getElement('ttsVoiceSelect');
+
+    await module.__TESTING__.refreshVoiceOptions('googleTTS', { persistFallback: false });
+    assert.ok(requests.some(message => message.type === 'comet:getVoiceCapabilities'));
+    assert.match(voiceSelect.innerHTML, /value="Puck"/);
+    assert.equal(voiceSelect.value, 'Kore');
+
+    providerVoices = [];
+    await module.__TESTING__.refreshVoiceOptions('amazonPolly', { persistFallback: false });
+    assert.match(voiceSelect.innerHTML, /value="Joanna"/);
+    assert.doesNotMatch(voiceSelect.innerHTML, /Puck/);
+  } finally {
+    globalNames.forEach(name => {
+      if (previousGlobals[name] === undefined) {
+        delete globalThis[name];
+      } else {
+        globalThis[name] = previousGlobals[name];
+      }
+    });
+  }
+});
@@ -67,6 +67,124 @@ test('loadAgentConfiguration merges routing overrides and honours env order', as
   }
 });
 
+test('loadAgentConfiguration parses named openai_compatible providers', async () => {
+  const yamlSource = [
+    'routing:',
+    '  provider_order:',
+    '    - lmstudio',
+    '    - litellm',
+    'providers:',
+    '  lmstudio:',
+    '    provider: openai_compatible',
+    '    model: qwen2.5-7b-instruct',
+    '    api_url: http://localhost:1234/v1/chat/completions',
+    '  litellm:',
+    '    provider: OpenAI_Compatible',
+    '    tier: Paid',
+    '    model: gpt-4o-mini',
+    '    api_url: https://litellm.internal.example/v1/chat/completions',
+    '    api_key_var: LITELLM_KEY',
+    '    requires_api_key: true',
+    '    headers:',
+    '      X-Team: reader',
+    '',
+  ].join('\n');
+
+  const agentConfig = await loadAgentConfiguration({ source: yamlSource });
+
+  const lmstudio = buildProviderConfig(agentConfig, 'lmstudio');
+  assert.equal(lmstudio.provider, 'lmstudio');
+  assert.equal(lmstudio.type, 'openai_compatible');
+  assert.equal(lmstudio.tier, undefined);
+  assert.equal(lmstudio.requiresApiKey, undefined);
+  assert.equal(lmstudio.apiUrl, 'http://localhost:1234/v1/chat/completions');
+
+  const litellm = buildProviderConfig(agentConfig, 'litellm');
+  assert.equal(litellm.provider, 'litellm');
+  assert.equal(litellm.type, 'openai_compatible');
+  assert.equal(litellm.tier, 'paid');
+  assert.equal(litellm.requiresApiKey, true);
+  assert.equal(litellm.apiKeyEnvVar, 'LITELLM_KEY');
+  assert.deepEqual(litellm.headers, { 'X-Team': 'reader' });
+});
+
+test('loadAgentConfiguration reads USD budgets and merges price overrides', async () => {
+  const yamlSource = [
+    'routing:',
+    '  max_monthly_cost_usd: 5',
+    '  max_cost_per_call_usd: 0.02',
+    'pricing:',
+    '  gpt-4o-mini:',
+    '    input: 0.2',
+    '  my-local-model:',
+    '    input: 0',
+    '    output: 0',
+    '',
+  ].join('\n');
+
+  const agentConfig = await loadAgentConfiguration({ source: yamlSource });
+
+  assert.equal(agentConfig.routing.maxMonthlyCostUsd, 5);
+  assert.equal(agentConfig.routing.maxCostPerCallUsd, 0.02);
+  assert.equal(agentConfig.routing.maxMonthlyTokens, 18000);
+  assert.deepEqual(agentConfig.pricing['gpt-4o-mini'], { input: 0.2, output: 0.6 });
+  assert.deepEqual(agentConfig.pricing['my-local-model'], { input: 0, output: 0 });
+  assert.deepEqual(agentConfig.pricing['gpt-4o-mini-tts'], { audio: 75 });
+});
+
+test('loadAgentConfiguration parses layered budgets and skips invalid entries', async () => {
+  const yamlSource = [
+    'budgets:',
+    '  - scope: provider',
+    '    match: anthropic_paid',
+    '    max_tokens: 50000',
+    '  - name: news-daily',
+    '    scope: domain',
+    '    match: News.Example.com',
+    '    period: day',
+    '    max_tokens: 5000',
+    '  - scope: tier',
+    '    match: paid',
+    '    max_cost_usd: 2.5',
+    '  - scope: provider',
+    '    max_tokens: 100',
+    '  - scope: type',
+    '    match: tts',
+    '    period: week',
+    '    max_tokens: 100',
+    '',
+  ].join('\n');
+
+  const agentConfig = await loadAgentConfiguration({ source: yamlSource });
+
+  assert.deepEqual(agentConfig.budgets, [
+    {
+      id: 'provider:anthropic_paid:month',
+      scope: 'provider',
+      match: 'anthropic_paid',
+      period: 'month',
+      maxTokens: 50000,
+      maxCostUsd: null,
+    },
+    {
+      id: 'news-daily',
+      scope: 'domain',
+      match: 'news.example.com',
+      period: 'day',
+      maxTokens: 5000,
+      maxCostUsd: null,
+    },
+    {
+      id: 'tier:paid:month',
+      scope: 'tier',
+      match: 'paid',
+      period: 'month',
+      maxTokens: null,
+      maxCostUsd: 2.5,
+    },
+  ]);
+});
+
 test('getFallbackProviderConfig returns an independent copy', () => {
   const first = getFallbackProviderConfig();
   first.model = 'modified';
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readEventStream } from '../utils/sse.js';
+
+function createChunkedResponse(chunks) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    },
+  });
+  return new Response(body);
+}
+
+test('readEventStream reassembles events split across chunks', async () => {
+  const events = [];
+  await readEventStream(
+    createChunkedResponse([': keep-alive\n\nevent: delta\nda', 'ta: {"a":1}\n\ndata: line one\ndata: line two\n\n', 'data: tail']),
+    event => {
+      events.push(event);
+    },
+  );
+
+  assert.deepEqual(events, [
+    { event: 'delta', data: '{"a":1}' },
+    { event: 'message', data: 'line one\nline two' },
+    { event: 'message', data: 'tail' },
+  ]);
+});
+
+test('readEventStream stops reading when the callback returns false', async () => {
+  const events = [];
+  await readEventStream(createChunkedResponse(['data: first\n\ndata: [DONE]\n\ndata: ignored\n\n']), event => {
+    events.push(event.data);
+    return event.data !== '[DONE]';
+  });
+
+  assert.deepEqual(events, ['first', '[DONE]']);
+});
+
+test('readEventStream falls back to the full text for bodies without a reader', async () => {
+  const events = [];
+  await readEventStream({ text: async () => 'data: one\r\n\r\ndata: two\r\n\r\n' }, event => {
+    events.push(event.data);
+  });
+
+  assert.deepEqual(events, ['one', 'two']);
+});
@@ -99,3 +99,28 @@ test('withLock clears malformed locks and normalises stored payloads', async ()
     uninstall();
   }
 });
+
+test('withLock runs callers in the same context one at a time', async () => {
+  const uninstall = installChromeStub();
+
+  try {
+    const moduleUrl = new URL('../utils/storage.js', import.meta.url);
+    moduleUrl.searchParams.set('cacheBust', `${Date.now()}-${Math.random()}`);
+    const { withLock } = await import(moduleUrl.href);
+
+    const events = [];
+    const hold = name => withLock('shared-lock', async () => {
+      events.push(`start:${name}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      events.push(`end:${name}`);
+      return name;
+    });
+
+    const results = await Promise.all([hold('a'), hold('b'), hold('c')]);
+
+    assert.deepEqual(results, ['a', 'b', 'c']);
+    assert.deepEqual(events, ['start:a', 'end:a', 'start:b', 'end:b', 'start:c', 'end:c']);
+  } finally {
+    uninstall();
+  }
+});
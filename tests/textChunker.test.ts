@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { chunkTextByTokens } from '../utils/textChunker.js';
+import { buildNumberedPrompt, chunkTextByTokens, groupTextsForPrompt } from '../utils/textChunker.js';
 import { estimateTokens } from '../utils/tokenizer.js';
 
 describe('chunkTextByTokens', () => {
@@ -72,3 +72,33 @@ describe('chunkTextByTokens', () => {
     expect(chunks.join('')).toBe(longWord);
   });
 });
+
+describe('groupTextsForPrompt', () => {
+  const prefix = 'Combine these.';
+  const wordCount = (text: string) => text.split(/\s+/).filter(Boolean).length;
+
+  it('numbers texts after the instruction', () => {
+    expect(buildNumberedPrompt(prefix, ['One.', 'Two.'])).toBe('Combine these.\n\n1. One.\n\n2. Two.');
+  });
+
+  it('packs texts into prompts that fit the budget', () => {
+    const texts = ['a b', 'c d', 'e f', 'g h', 'i j'];
+    const groups = groupTextsForPrompt(texts, { prefix, maxTokens: 11, estimate: wordCount });
+
+    expect(groups).toEqual([['a b', 'c d', 'e f'], ['g h', 'i j']]);
+    for (const group of groups) {
+      expect(wordCount(buildNumberedPrompt(prefix, group))).toBeLessThanOrEqual(11);
+    }
+  });
+
+  it('keeps everything in one group without a budget', () => {
+    expect(groupTextsForPrompt(['a', 'b', 'c'], { prefix, maxTokens: 0, estimate: wordCount })).toEqual([['a', 'b', 'c']]);
+  });
+
+  it('fails when a text cannot be reduced within the budget', () => {
+    expect(() => groupTextsForPrompt(['a b c d e f g h', 'i'], { prefix, maxTokens: 6, estimate: wordCount }))
+      .toThrow(/too long to combine/);
+    expect(() => groupTextsForPrompt(['a b c', 'd e f'], { prefix, maxTokens: 6, estimate: wordCount }))
+      .toThrow(/No two texts fit/);
+  });
+});
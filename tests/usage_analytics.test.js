@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  USAGE_CSV_COLUMNS,
+  UNKNOWN_GROUP,
+  collectRequests,
+  requestsToCsv,
+  summariseUsage,
+} from '../utils/usageAnalytics.js';
+
+const NOW = new Date(2024, 4, 15, 18).getTime();
+
+function at(day, hour = 12) {
+  return new Date(2024, 4, day, hour).getTime();
+}
+
+const REQUESTS = [
+  {
+    model: 'claude-3-haiku',
+    provider: 'anthropic_paid',
+    type: 'summary',
+    url: 'https://news.example.com/story#top',
+    totalTokens: 400,
+    spendUsd: 0.002,
+    timestamp: at(13),
+  },
+  {
+    model: 'claude-3-haiku',
+    provider: 'anthropic_paid',
+    type: 'digest',
+    url: 'https://news.example.com/story',
+    totalTokens: 300,
+    spendUsd: 0.001,
+    timestamp: at(15, 9),
+  },
+  {
+    model: 'tts',
+    pricingModel: 'gpt-4o-mini-tts',
+    provider: 'openai_paid',
+    type: 'tts',
+    url: 'https://blog.example.org/post',
+    totalTokens: 100,
+    spendUsd: 0.0075,
+    timestamp: at(15, 10),
+  },
+  {
+    model: 'llama3.2',
+    provider: 'ollama',
+    type: 'summary',
+    totalTokens: 900,
+    spendUsd: null,
+    timestamp: at(1),
+  },
+];
+
+test('summariseUsage buckets requests by day and ranks breakdowns by spend', () => {
+  const summary = summariseUsage(REQUESTS, { now: NOW, days: 3, topPages: 1 });
+
+  assert.deepEqual(summary.totals, {
+    unpricedRequests: 1,
+    requests: 4,
+    totalTokens: 1700,
+    spendUsd: 0.0105,
+  });
+  assert.deepEqual(
+    summary.daily.map(({ date, requests, totalTokens, spendUsd }) => ({ date, requests, totalTokens, spendUsd })),
+    [
+      { date: '2024-05-13', requests: 1, totalTokens: 400, spendUsd: 0.002 },
+      { date: '2024-05-14', requests: 0, totalTokens: 0, spendUsd: 0 },
+      { date: '2024-05-15', requests: 2, totalTokens: 400, spendUsd: 0.0085 },
+    ],
+  );
+  assert.deepEqual(summary.byProvider.map(group => group.key), ['openai_paid', 'anthropic_paid', 'ollama']);
+  assert.deepEqual(summary.byModel.map(group => group.key), ['gpt-4o-mini-tts', 'claude-3-haiku', 'llama3.2']);
+  assert.deepEqual(summary.byType.map(group => [group.key, group.requests]), [
+    ['tts', 1],
+    ['summary', 2],
+    ['digest', 1],
+  ]);
+  assert.deepEqual(summary.byDomain.map(group => group.key), ['blog.example.org', 'news.example.com', UNKNOWN_GROUP]);
+  assert.deepEqual(summary.topPages, [
+    { url: 'https://blog.example.org/post', domain: 'blog.example.org', requests: 1, totalTokens: 100, spendUsd: 0.0075 },
+  ]);
+
+  const [, newsPage] = summariseUsage(REQUESTS, { now: NOW }).topPages;
+  assert.equal(newsPage.url, 'https://news.example.com/story');
+  assert.equal(newsPage.requests, 2);
+});
+
+test('collectRequests merges archived cycles with the current snapshot in time order', () => {
+  const requests = collectRequests(
+    { requests: [REQUESTS[2], REQUESTS[0]] },
+    [{ requests: [REQUESTS[3]] }, { requests: null }],
+  );
+
+  assert.deepEqual(requests, [REQUESTS[3], REQUESTS[0], REQUESTS[2]]);
+  assert.deepEqual(collectRequests(undefined), []);
+});
+
+test('requestsToCsv writes a header row and quotes fields that need it', () => {
+  const csv = requestsToCsv([
+    { ...REQUESTS[0], segmentId: 'intro, "part 1"', excludedFromLimit: false },
+    REQUESTS[3],
+  ]);
+  const [header, first, second] = csv.split('\r\n');
+
+  assert.equal(header, USAGE_CSV_COLUMNS.join(','));
+  assert.equal(
+    first,
+    `${new Date(at(13)).toISOString()},anthropic_paid,,summary,claude-3-haiku,,https://news.example.com/story#top,"intro, ""part 1""",,,400,0.002,false`,
+  );
+  assert.equal(second, `${new Date(at(1)).toISOString()},ollama,,summary,llama3.2,,,,,,900,,false`);
+});
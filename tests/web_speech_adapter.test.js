@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWebSpeechTtsAdapter } from '../background/tts/webSpeech.js';
+import { installChromeStub, importServiceWorker } from './fixtures/chrome-stub.js';
+
+function createSpeechEngine({ voices = [], loadVoicesLater = false, speak } = {}) {
+  const listeners = new Set();
+  let available = loadVoicesLater ? [] : voices;
+  const calls = [];
+  const engine = {
+    spoken: [],
+    calls,
+    getVoices: () => available,
+    addEventListener: (name, listener) => listeners.add(listener),
+    removeEventListener: (name, listener) => listeners.delete(listener),
+    loadVoices() {
+      available = voices;
+      listeners.forEach(listener => listener());
+    },
+    cancel: () => calls.push('cancel'),
+    pause: () => calls.push('pause'),
+    resume: () => calls.push('resume'),
+    speak(utterance) {
+      engine.spoken.push(utterance);
+      queueMicrotask(() => (speak ? speak(utterance) : utterance.onend()));
+    },
+  };
+  return engine;
+}
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text;
+    this.rate = 1;
+    this.pitch = 1;
+  }
+}
+
+const VOICES = [
+  { name: 'Alice', lang: 'en-GB', localService: true, default: false },
+  { name: 'Bruno', lang: 'fr-FR', localService: false, default: true },
+];
+
+test('web speech adapter lists voices once the browser has loaded them', async () => {
+  const engine = createSpeechEngine({ voices: VOICES, loadVoicesLater: true });
+  const adapter = createWebSpeechTtsAdapter({ speechSynthesis: engine, Utterance: FakeUtterance });
+
+  const listing = adapter.listVoices();
+  engine.loadVoices();
+
+  assert.deepEqual(await listing, [
+    { name: 'Alice', language: 'en-GB', localService: true, default: false },
+    { name: 'Bruno', language: 'fr-FR', localService: false, default: true },
+  ]);
+  assert.deepEqual(await createWebSpeechTtsAdapter({}).listVoices(), []);
+});
+
+test('web speech adapter applies voice, language, rate and pitch and reports boundaries', async () => {
+  const boundaries = [];
+  const engine = createSpeechEngine({
+    voices: VOICES,
+    speak: utterance => {
+      utterance.onboundary({ name: 'word', charIndex: 0, charLength: 5 });
+      utterance.onboundary({ name: 'word', charIndex: 6 });
+      utterance.onboundary({ name: 'sentence', charIndex: 0, charLength: 13 });
+      utterance.onend();
+    },
+  });
+  const adapter = createWebSpeechTtsAdapter({ speechSynthesis: engine, Utterance: FakeUtterance });
+
+  const result = await adapter.synthesise({
+    text: '  Hello there.',
+    voice: 'Bruno',
+    languageCode: 'fr-FR',
+    rate: 20,
+    pitch: 1.4,
+    onBoundary: event => boundaries.push(event),
+  });
+
+  assert.deepEqual(result, { base64: null, mimeType: null });
+  const [utterance] = engine.spoken;
+  assert.equal(utterance.text, 'Hello there.');
+  assert.equal(utterance.voice, VOICES[1]);
+  assert.equal(utterance.lang, 'fr-FR');
+  assert.equal(utterance.rate, 10);
+  assert.equal(utterance.pitch, 1.4);
+  assert.deepEqual(boundaries, [
+    { type: 'word', charIndex: 0, length: 5 },
+    { type: 'word', charIndex: 6, length: 6 },
+    { type: 'sentence', charIndex: 0, length: 13 },
+  ]);
+
+  adapter.pause();
+  adapter.resume();
+  adapter.stop();
+  assert.deepEqual(engine.calls, ['cancel', 'pause', 'resume', 'cancel']);
+});
+
+test('web speech adapter resolves when interrupted and rejects on errors', async () => {
+  let failure = 'interrupted';
+  const engine = createSpeechEngine({ speak: utterance => utterance.onerror({ error: failure }) });
+  const adapter = createWebSpeechTtsAdapter({ speechSynthesis: engine, Utterance: FakeUtterance });
+
+  assert.deepEqual(await adapter.synthesise({ text: 'Stopped early.' }), { base64: null, mimeType: null });
+  failure = 'synthesis-failed';
+  await assert.rejects(adapter.synthesise({ text: 'Broken.' }), /Local text-to-speech failed: synthesis-failed/);
+  await assert.rejects(
+    createWebSpeechTtsAdapter({ speechSynthesis: null }).synthesise({ text: 'No engine.' }),
+    /not available/,
+  );
+});
+
+test('service worker speaks local voices through web speech when chrome.tts is missing', async () => {
+  const stub = installChromeStub();
+  delete stub.chrome.tts;
+  const engine = createSpeechEngine();
+  globalThis.speechSynthesis = engine;
+  globalThis.SpeechSynthesisUtterance = FakeUtterance;
+
+  let module;
+  try {
+    module = await importServiceWorker();
+    const response = await module.__synthesiseForTests({ text: 'Read by Firefox.', provider: 'local', rate: 1.5 });
+
+    assert.equal(response.adapter.type, 'local');
+    assert.equal(response.source, 'local');
+    assert.equal(engine.spoken.length, 1);
+    assert.equal(engine.spoken[0].text, 'Read by Firefox.');
+    assert.equal(engine.spoken[0].rate, 1.5);
+
+    await module.__synthesiseForTests({ text: 'Picked explicitly.', provider: 'webSpeech' });
+    assert.equal(engine.spoken.length, 2);
+  } finally {
+    module?.__clearTestOverrides();
+    delete globalThis.speechSynthesis;
+    delete globalThis.SpeechSynthesisUtterance;
+    stub.uninstall();
+  }
+});
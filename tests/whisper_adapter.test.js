@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WhisperAdapter } from '../background/adapters/whisper.js';
+
+function createAdapter(overrides = {}, options = {}) {
+  const baseConfig = {
+    provider: 'whisper_local',
+    type: 'whisper',
+    apiUrl: 'http://localhost:8080/v1/audio/transcriptions',
+    model: 'base.en',
+    headers: {},
+    ...overrides,
+  };
+  return new WhisperAdapter(baseConfig, options);
+}
+
+test('transcribe uploads the recording as multipart form data without a key', async () => {
+  let capturedRequest;
+  const adapter = createAdapter({ headers: { 'X-Team': 'reader' } }, {
+    fetchImpl: async (url, options) => {
+      capturedRequest = { url, options };
+      return { ok: true, status: 200, json: async () => ({ text: ' Read the next page. ' }) };
+    },
+  });
+
+  const result = await adapter.transcribe({
+    base64: Buffer.from('sound').toString('base64'),
+    filename: 'speech.webm',
+    mimeType: 'audio/webm',
+    model: 'gpt-4o-mini-transcribe',
+  });
+
+  assert.equal(capturedRequest.url, 'http://localhost:8080/v1/audio/transcriptions');
+  assert.equal(capturedRequest.options.headers.Authorization, undefined);
+  assert.equal(capturedRequest.options.headers['X-Team'], 'reader');
+  const form = capturedRequest.options.body;
+  assert.equal(form.get('model'), 'base.en');
+  assert.equal(form.get('response_format'), 'json');
+  assert.equal(form.get('file').name, 'speech.webm');
+  assert.equal(Buffer.from(await form.get('file').arrayBuffer()).toString(), 'sound');
+  assert.deepEqual(result, { text: 'Read the next page.' });
+});
+
+test('transcribe enforces keys only when required and reports server errors', async () => {
+  const keyed = createAdapter({ requiresApiKey: true });
+  await assert.rejects(keyed.transcribe({ base64: 'AAAA' }), /Missing whisper_local API key/);
+
+  const failing = createAdapter({}, {
+    fetchImpl: async () => ({ ok: false, status: 500, text: async () => 'model not loaded' }),
+  });
+  await assert.rejects(failing.transcribe({ base64: 'AAAA' }), error => {
+    assert.equal(error.status, 500);
+    assert.match(error.message, /whisper_local transcription failed \(500\): model not loaded/);
+    return true;
+  });
+});
+
+test('cost metadata marks local transcriptions as not billable', () => {
+  const metadata = createAdapter().getCostMetadata();
+  assert.deepEqual(metadata.transcribe, { label: 'stt', flatCost: 0, model: 'base.en', billable: false });
+  assert.deepEqual(createAdapter().getVoiceCapabilities(), { availableVoices: [], preferredVoice: null });
+});
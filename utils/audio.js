@@ -1,6 +1,6 @@
 /**
- * Audio helper utilities for encoding, playback, and media recorder
- * management in the popup UI.
+ * Audio helper utilities for encoding, tagging, playback, and media recorder
+ * management in the popup UI and the background playback host.
  *
  * @module utils/audio
  */
@@ -68,6 +68,186 @@ export function base64ToArrayBuffer(base64) {
   return bytes.buffer;
 }
 
+function arrayBufferToBase64(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 1) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function toSynchsafe(value) {
+  return [(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f];
+}
+
+/**
+ * Builds an ID3v2.4 tag carrying the title, source URL and recording date of
+ * an exported narration. Prepend it to MP3 data.
+ *
+ * @param {{title?: string, url?: string, date?: string}} metadata - Tag
+ *   values. `date` is an ISO 8601 date such as `2024-05-01`.
+ * @returns {Uint8Array} Encoded tag.
+ */
+export function createId3Tag({ title, url, date } = {}) {
+  const encoder = new TextEncoder();
+  const frames = [];
+  const addFrame = (id, body) => {
+    frames.push(encoder.encode(id), new Uint8Array([...toSynchsafe(body.length), 0, 0]), body);
+  };
+  // Text frames start with the encoding byte; 3 is UTF-8.
+  const textBody = value => new Uint8Array([3, ...encoder.encode(value)]);
+  if (title) {
+    addFrame('TIT2', textBody(title));
+  }
+  if (url) {
+    addFrame('WOAS', encoder.encode(url));
+  }
+  if (date) {
+    addFrame('TDRC', textBody(date));
+  }
+  const size = frames.reduce((sum, part) => sum + part.length, 0);
+  const tag = new Uint8Array(10 + size);
+  tag.set([0x49, 0x44, 0x33, 4, 0, 0, ...toSynchsafe(size)]);
+  let offset = 10;
+  frames.forEach(part => {
+    tag.set(part, offset);
+    offset += part.length;
+  });
+  return tag;
+}
+
+/**
+ * Appends a RIFF `LIST/INFO` chunk with the title (`INAM`), source URL
+ * (`ICMT`) and creation date (`ICRD`) to WAV data.
+ *
+ * @param {ArrayBuffer} wave - WAV file contents.
+ * @param {{title?: string, url?: string, date?: string}} metadata - Values to
+ *   record.
+ * @returns {Uint8Array} WAV contents including the metadata chunk.
+ */
+export function addWaveMetadata(wave, { title, url, date } = {}) {
+  const encoder = new TextEncoder();
+  const entries = [['INAM', title], ['ICMT', url], ['ICRD', date]]
+    .filter(([, value]) => value)
+    .map(([id, value]) => {
+      const text = encoder.encode(`${value}\0`);
+      const padded = new Uint8Array(8 + text.length + (text.length % 2));
+      const view = new DataView(padded.buffer);
+      padded.set(encoder.encode(id));
+      view.setUint32(4, text.length, true);
+      padded.set(text, 8);
+      return padded;
+    });
+  const source = new Uint8Array(wave);
+  if (!entries.length) {
+    return source;
+  }
+  const listSize = 4 + entries.reduce((sum, entry) => sum + entry.length, 0);
+  const output = new Uint8Array(source.length + 8 + listSize);
+  const view = new DataView(output.buffer);
+  output.set(source);
+  let offset = source.length;
+  output.set(encoder.encode('LIST'), offset);
+  view.setUint32(offset + 4, listSize, true);
+  output.set(encoder.encode('INFO'), offset + 8);
+  offset += 12;
+  entries.forEach(entry => {
+    output.set(entry, offset);
+    offset += entry.length;
+  });
+  view.setUint32(4, output.length - 8, true);
+  return output;
+}
+
+/**
+ * Wraps raw little-endian PCM samples in a WAV container.
+ *
+ * @param {Uint8Array} pcm - Interleaved PCM sample bytes.
+ * @param {{sampleRate: number, channels?: number, bitsPerSample?: number}} format -
+ *   Sample format of the PCM data.
+ * @returns {Uint8Array} WAV file contents.
+ */
+export function createWaveFromPcm(pcm, { sampleRate, channels = 1, bitsPerSample = 16 }) {
+  const blockAlign = channels * (bitsPerSample / 8);
+  const output = new Uint8Array(44 + pcm.length);
+  const view = new DataView(output.buffer);
+  const encoder = new TextEncoder();
+  output.set(encoder.encode('RIFF'), 0);
+  view.setUint32(4, 36 + pcm.length, true);
+  output.set(encoder.encode('WAVEfmt '), 8);
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  output.set(encoder.encode('data'), 36);
+  view.setUint32(40, pcm.length, true);
+  output.set(pcm, 44);
+  return output;
+}
+
+function readWaveChunks(wave) {
+  const view = new DataView(wave.buffer, wave.byteOffset, wave.byteLength);
+  const decoder = new TextDecoder();
+  const chunks = {};
+  let offset = 12;
+  while (offset + 8 <= wave.length) {
+    const id = decoder.decode(wave.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    chunks[id] = { offset: offset + 8, size: Math.min(size, wave.length - offset - 8) };
+    offset += 8 + size + (size % 2);
+  }
+  if (!chunks['fmt '] || !chunks.data) {
+    throw new Error('Audio is not a PCM WAV file.');
+  }
+  const format = chunks['fmt '].offset;
+  return {
+    channels: view.getUint16(format + 2, true),
+    sampleRate: view.getUint32(format + 4, true),
+    bitsPerSample: view.getUint16(format + 14, true),
+    samples: wave.subarray(chunks.data.offset, chunks.data.offset + chunks.data.size),
+  };
+}
+
+/**
+ * Joins WAV files that share one sample format into a single file. Speech
+ * synthesised in chunks cannot simply be concatenated when it is WAV,
+ * because each chunk carries its own header.
+ *
+ * @param {Uint8Array[]} waves - WAV file contents in playback order.
+ * @returns {Uint8Array} Combined WAV file.
+ */
+export function joinWaveFiles(waves) {
+  const parsed = waves.map(readWaveChunks);
+  const samples = new Uint8Array(parsed.reduce((sum, entry) => sum + entry.samples.length, 0));
+  let offset = 0;
+  parsed.forEach(entry => {
+    samples.set(entry.samples, offset);
+    offset += entry.samples.length;
+  });
+  return createWaveFromPcm(samples, parsed[0]);
+}
+
+/**
+ * Decodes compressed audio and re-encodes it as 16-bit PCM WAV.
+ *
+ * @param {{base64: string}} payload - Base64 encoded audio, such as MP3.
+ * @returns {Promise<string>} Base64 encoded WAV data.
+ */
+export async function encodeWaveFromBase64({ base64 }) {
+  const context = await ensureAudioContext();
+  try {
+    const buffer = await context.decodeAudioData(base64ToArrayBuffer(base64));
+    const wave = bufferToWave(buffer, buffer.sampleRate);
+    return arrayBufferToBase64(await wave.arrayBuffer());
+  } finally {
+    context.close?.();
+  }
+}
+
 /**
  * Plays an audio payload encoded as base64 and returns the Audio element used.
  *
@@ -88,6 +268,118 @@ export async function playAudioFromBase64(base64, mimeType = 'audio/mpeg') {
   }
 }
 
+/**
+ * Creates a single-track player for base64 audio payloads. It backs the
+ * background playback host, which keeps narration going after the popup
+ * closes.
+ *
+ * @param {{onEvent?: function(object): void, createAudio?: function(): HTMLAudioElement}} [options={}] -
+ *   `onEvent` receives `{type, id, currentTime, duration}` where `type` is
+ *   `progress`, `ended` or `error` (errors also carry `message`).
+ *   `createAudio` overrides how the audio element is built.
+ * @returns {{play: Function, pause: Function, resume: Function, seek: Function, stop: Function,
+ *   setPlaybackRate: Function, status: Function}} Player controls. Each
+ *   returns the player status, or a promise of it when playback starts.
+ */
+export function createAudioPlayer({ onEvent, createAudio = () => new Audio() } = {}) {
+  let audio = null;
+  let current = null;
+
+  const status = () => {
+    if (!current) {
+      return null;
+    }
+    return {
+      id: current.id,
+      paused: Boolean(audio.paused),
+      currentTime: Number.isFinite(audio.currentTime) ? audio.currentTime : 0,
+      duration: Number.isFinite(audio.duration) ? audio.duration : null,
+    };
+  };
+
+  const emit = (type, extra = {}) => {
+    const snapshot = status();
+    if (snapshot && typeof onEvent === 'function') {
+      onEvent({ type, id: snapshot.id, currentTime: snapshot.currentTime, duration: snapshot.duration, ...extra });
+    }
+  };
+
+  const release = () => {
+    if (current?.url) {
+      URL.revokeObjectURL(current.url);
+    }
+    current = null;
+  };
+
+  const ensureAudio = () => {
+    if (!audio) {
+      audio = createAudio();
+      audio.addEventListener('timeupdate', () => emit('progress'));
+      audio.addEventListener('ended', () => {
+        emit('ended');
+        release();
+      });
+      audio.addEventListener('error', () => {
+        emit('error', { message: audio.error?.message || 'Audio playback failed.' });
+        release();
+      });
+    }
+    return audio;
+  };
+
+  return {
+    async play({ id, base64, mimeType = 'audio/mpeg', startTime = 0, playbackRate = 1 }) {
+      const element = ensureAudio();
+      if (current) {
+        element.pause();
+        release();
+      }
+      const blob = new Blob([base64ToArrayBuffer(base64)], { type: mimeType });
+      current = { id, url: URL.createObjectURL(blob) };
+      element.src = current.url;
+      element.playbackRate = playbackRate;
+      if (startTime > 0) {
+        element.currentTime = startTime;
+      }
+      await element.play();
+      return status();
+    },
+    pause() {
+      if (current) {
+        audio.pause();
+      }
+      return status();
+    },
+    async resume() {
+      if (current) {
+        await audio.play();
+      }
+      return status();
+    },
+    seek({ seconds }) {
+      if (current && Number.isFinite(seconds)) {
+        audio.currentTime = Math.max(0, seconds);
+        emit('progress');
+      }
+      return status();
+    },
+    stop() {
+      if (current) {
+        audio.pause();
+        release();
+      }
+      return null;
+    },
+    setPlaybackRate({ rate }) {
+      if (audio && Number.isFinite(rate) && rate > 0) {
+        audio.playbackRate = rate;
+      }
+      return status();
+    },
+    status,
+  };
+}
+
 /**
  * Constructs a MediaRecorder helper tailored for browsers that support the API.
  *
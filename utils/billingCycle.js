@@ -0,0 +1,64 @@
+/**
+ * Billing cycle helpers. A cycle starts at local midnight on the configured
+ * day of the month. In months without that day, such as the 31st in April,
+ * the cycle starts on the month's last day instead.
+ *
+ * @module utils/billingCycle
+ */
+
+function cycleStartIn(year, month, cycleDay) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(cycleDay, lastDay)).getTime();
+}
+
+/**
+ * Returns the start of the billing cycle that contains the timestamp.
+ *
+ * @param {number} timestamp - Moment to locate, in milliseconds.
+ * @param {number} cycleDay - Day of the month cycles start on (1-31).
+ * @returns {number} Start of the containing cycle, in milliseconds.
+ */
+export function getCycleStart(timestamp, cycleDay) {
+  const date = new Date(timestamp);
+  const thisMonth = cycleStartIn(date.getFullYear(), date.getMonth(), cycleDay);
+  if (thisMonth <= timestamp) {
+    return thisMonth;
+  }
+  return cycleStartIn(date.getFullYear(), date.getMonth() - 1, cycleDay);
+}
+
+/**
+ * Returns the start of the billing cycle after the one that contains the
+ * timestamp.
+ *
+ * @param {number} timestamp - Moment to locate, in milliseconds.
+ * @param {number} cycleDay - Day of the month cycles start on (1-31).
+ * @returns {number} Start of the next cycle, in milliseconds.
+ */
+export function getNextCycleStart(timestamp, cycleDay) {
+  const start = new Date(getCycleStart(timestamp, cycleDay));
+  return cycleStartIn(start.getFullYear(), start.getMonth() + 1, cycleDay);
+}
+
+/**
+ * Builds the history record for a finished cycle from a usage snapshot.
+ *
+ * @param {object} usage - Usage snapshot from `CostTracker#toJSON`.
+ * @param {number} end - When the cycle ended, in milliseconds.
+ * @returns {{start: number, end: number, totalPromptTokens: number, totalCompletionTokens: number,
+ *   totalTokens: number, totalSpendUsd: number, limitTokens: number, spendLimitUsd: number|null,
+ *   requests: object[]}} Archived cycle.
+ */
+export function createCycleArchive(usage, end) {
+  return {
+    start: usage.lastReset,
+    end,
+    totalPromptTokens: usage.totalPromptTokens,
+    totalCompletionTokens: usage.totalCompletionTokens,
+    totalTokens: usage.totalTokens,
+    totalSpendUsd: usage.totalSpendUsd,
+    limitTokens: usage.limitTokens,
+    spendLimitUsd: usage.spendLimitUsd ?? null,
+    requests: Array.isArray(usage.requests) ? usage.requests : [],
+  };
+}
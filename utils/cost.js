@@ -20,6 +20,32 @@ const DEFAULT_COMPLETION_TOKEN_ESTIMATE = 400;
  */
 const LEGACY_TOKENS_PER_USD = 3000;
 
+/**
+ * Default list prices in USD per million tokens. Text models bill `input`
+ * (prompt) and `output` (completion) tokens. Speech models bill the text
+ * they speak or transcribe at the `audio` rate, converted from the
+ * providers' per-minute or per-character prices. Models missing from the
+ * table are treated as unpriced, and `pricing` in `agent.yaml` can add or
+ * override entries.
+ */
+const DEFAULT_MODEL_PRICES = Object.freeze({
+  'gpt-4o-mini': Object.freeze({ input: 0.15, output: 0.6 }),
+  'gpt-4o': Object.freeze({ input: 2.5, output: 10 }),
+  'gpt-4o-mini-tts': Object.freeze({ audio: 75 }),
+  'gpt-4o-mini-transcribe': Object.freeze({ audio: 15 }),
+  'gpt-4o-transcribe': Object.freeze({ audio: 30 }),
+  'whisper-1': Object.freeze({ audio: 30 }),
+  'tts-1': Object.freeze({ audio: 60 }),
+  'tts-1-hd': Object.freeze({ audio: 120 }),
+  'gemini-1.5-flash': Object.freeze({ input: 0.075, output: 0.3 }),
+  'gemini-1.5-pro': Object.freeze({ input: 1.25, output: 5 }),
+  'gemini-2.5-flash-preview-tts': Object.freeze({ audio: 75 }),
+  'claude-3-haiku': Object.freeze({ input: 0.25, output: 1.25 }),
+  'claude-3-opus': Object.freeze({ input: 15, output: 75 }),
+  'mistral-small': Object.freeze({ input: 0.2, output: 0.6 }),
+  'mistral-large': Object.freeze({ input: 2, output: 6 }),
+});
+
 const MODEL_COMPLETION_OVERRIDES = Object.freeze({
   'gemini-1.5-flash': 350,
   'gemini-1.5-flash-latest': 350,
@@ -48,9 +74,21 @@ function toInteger(value, fallback = 0) {
   return fallback;
 }
 
+function roundUsd(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function toUsd(value, fallback = null) {
+  const parsed = typeof value === 'string' && value.trim() ? Number(value) : value;
+  if (typeof parsed === 'number' && Number.isFinite(parsed) && parsed >= 0) {
+    return roundUsd(parsed);
+  }
+  return fallback;
+}
+
 function cloneRequestMetadata(entry = {}) {
   return Object.entries(entry).reduce((acc, [key, value]) => {
-    if (['model', 'promptTokens', 'completionTokens', 'totalTokens', 'timestamp', 'excludedFromLimit'].includes(key)) {
+    if (['model', 'promptTokens', 'completionTokens', 'totalTokens', 'timestamp', 'excludedFromLimit', 'spendUsd'].includes(key)) {
       return acc;
     }
     if (key === 'costUsd' && typeof value === 'number' && Number.isFinite(value)) {
@@ -76,6 +114,30 @@ export function estimateTokensFromUsd(amountUsd) {
   return Math.max(0, Math.round(amountUsd * LEGACY_TOKENS_PER_USD));
 }
 
+/**
+ * Looks up the price entry for a model. Dated or `-latest` model names match
+ * the longest table key they start with, so `claude-3-haiku-20240307` uses
+ * the `claude-3-haiku` entry.
+ *
+ * @param {Object<string, {input?: number, output?: number, audio?: number}>} prices -
+ *   Price table in USD per million tokens.
+ * @param {string} model - Model identifier.
+ * @returns {{input?: number, output?: number, audio?: number}|null} Matching
+ *   price entry, or null when the model is unpriced.
+ */
+export function resolveModelPrice(prices, model) {
+  if (!prices || typeof model !== 'string' || !model) {
+    return null;
+  }
+  if (prices[model]) {
+    return prices[model];
+  }
+  const key = Object.keys(prices)
+    .filter(candidate => model.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
 /**
  * Provides a conservative token estimate for the supplied text. Mirrors the
  * logic used by the cost tracker so that other modules can reuse the same
@@ -93,6 +155,38 @@ export function estimateTokensFromText(text) {
   return Math.max(1, Math.round(words * 1.3));
 }
 
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Subdomains count towards their site's budget, so `example.com` also covers
+// `news.example.com`.
+function matchesBudget(subject, budget) {
+  switch (budget.scope) {
+    case 'provider':
+      return subject.provider === budget.match;
+    case 'tier':
+      return subject.tier === budget.match;
+    case 'type':
+      return subject.type === budget.match;
+    case 'domain': {
+      const host = subject.domain || hostnameOf(subject.url);
+      return Boolean(host) && (host === budget.match || host.endsWith(`.${budget.match}`));
+    }
+    default:
+      return true;
+  }
+}
+
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
 function normaliseRequest(entry = {}) {
   const promptTokens = toInteger(entry.promptTokens, 0);
   const completionTokens = toInteger(entry.completionTokens, 0);
@@ -109,6 +203,7 @@ function normaliseRequest(entry = {}) {
     promptTokens,
     completionTokens,
     totalTokens,
+    spendUsd: toUsd(entry.spendUsd),
     timestamp,
     excludedFromLimit,
     ...metadata,
@@ -119,6 +214,40 @@ function sumTokens(requests, selector) {
   return requests.reduce((acc, request) => acc + selector(request), 0);
 }
 
+function sumSpend(requests) {
+  return roundUsd(requests.reduce((acc, request) => acc + (request.spendUsd || 0), 0));
+}
+
+function findExhaustedLayeredBudget(usage, budgets, tokens, costUsd, context, now) {
+  for (const budget of budgets) {
+    if (!matchesBudget(context, budget)) {
+      continue;
+    }
+    // Recorded requests only cover the current billing cycle.
+    const since = budget.period === 'day' ? startOfDay(now) : 0;
+    const requests = usage.requests.filter(request => !request.excludedFromLimit
+      && request.timestamp >= since
+      && matchesBudget(request, budget));
+    const usedTokens = sumTokens(requests, request => request.totalTokens || 0);
+    const usedUsd = sumSpend(requests);
+    const overTokens = Number.isFinite(budget.maxTokens) && usedTokens + tokens > budget.maxTokens;
+    const overUsd = Number.isFinite(budget.maxCostUsd) && roundUsd(usedUsd + costUsd) > budget.maxCostUsd;
+    if (overTokens || overUsd) {
+      return {
+        id: budget.id,
+        scope: budget.scope,
+        match: budget.match ?? null,
+        period: budget.period,
+        usedTokens,
+        usedUsd,
+        maxTokens: budget.maxTokens ?? null,
+        maxCostUsd: budget.maxCostUsd ?? null,
+      };
+    }
+  }
+  return null;
+}
+
 function deriveCompletionEstimate(model) {
   if (typeof model === 'string' && MODEL_COMPLETION_OVERRIDES[model]) {
     return MODEL_COMPLETION_OVERRIDES[model];
@@ -132,6 +261,7 @@ function deriveUsageTotals(requests) {
     prompt: sumTokens(included, request => request.promptTokens || 0),
     completion: sumTokens(included, request => request.completionTokens || 0),
     total: sumTokens(included, request => request.totalTokens || 0),
+    spend: sumSpend(included),
   };
 }
 
@@ -140,6 +270,7 @@ function deriveCumulativeTotals(requests) {
     prompt: sumTokens(requests, request => request.promptTokens || 0),
     completion: sumTokens(requests, request => request.completionTokens || 0),
     total: sumTokens(requests, request => request.totalTokens || 0),
+    spend: sumSpend(requests),
   };
 }
 
@@ -165,6 +296,8 @@ function normaliseUsageSnapshot(usage) {
     usage.cumulativeTotalTokens,
     cumulativeTotals.total,
   );
+  const totalSpendUsd = toUsd(usage.totalSpendUsd, totals.spend);
+  const cumulativeSpendUsd = toUsd(usage.cumulativeSpendUsd, cumulativeTotals.spend);
   const metadata = { ...usage.metadata };
 
   if (typeof usage.totalCostUsd === 'number' && Number.isFinite(usage.totalCostUsd)) {
@@ -183,6 +316,8 @@ function normaliseUsageSnapshot(usage) {
     cumulativePromptTokens,
     cumulativeCompletionTokens,
     cumulativeTotalTokens,
+    totalSpendUsd,
+    cumulativeSpendUsd,
     requests,
     lastReset: normaliseTimestamp(usage.lastReset),
     metadata,
@@ -191,7 +326,8 @@ function normaliseUsageSnapshot(usage) {
 
 /**
  * Tracks AI provider usage across multiple API calls to enforce a configurable
- * token ceiling. The tracker records every request for display in the popup UI.
+ * token ceiling and an optional USD ceiling. Every request is priced from the
+ * model price table and recorded for display in the popup UI.
  */
 export class CostTracker {
   /**
@@ -200,11 +336,19 @@ export class CostTracker {
    *
    * @param {number} [limitTokens=DEFAULT_TOKEN_LIMIT] - Token ceiling.
    * @param {object} [usage] - Previously persisted usage state.
+   * @param {{prices?: object, limitUsd?: number|null, budgets?: object[]}} [options={}] -
+   *   Price table in USD per million tokens, the USD ceiling (null for none)
+   *   and the layered budgets parsed from `agent.yaml`.
    */
-  constructor(limitTokens = DEFAULT_TOKEN_LIMIT, usage = undefined) {
+  constructor(limitTokens = DEFAULT_TOKEN_LIMIT, usage = undefined, options = {}) {
     this.limitTokens = Number.isFinite(limitTokens) && limitTokens >= 0
       ? Math.round(limitTokens)
       : DEFAULT_TOKEN_LIMIT;
+    this.limitUsd = toUsd(options.limitUsd);
+    this.prices = options.prices && typeof options.prices === 'object'
+      ? options.prices
+      : DEFAULT_MODEL_PRICES;
+    this.budgets = Array.isArray(options.budgets) ? options.budgets : [];
     this.usage = normaliseUsageSnapshot(usage) || {
       totalPromptTokens: 0,
       totalCompletionTokens: 0,
@@ -212,6 +356,8 @@ export class CostTracker {
       cumulativePromptTokens: 0,
       cumulativeCompletionTokens: 0,
       cumulativeTotalTokens: 0,
+      totalSpendUsd: 0,
+      cumulativeSpendUsd: 0,
       requests: [],
       lastReset: Date.now(),
       metadata: {},
@@ -219,6 +365,7 @@ export class CostTracker {
     this.syncCumulativeMetadata();
     logger.info('Cost tracker initialised.', {
       limitTokens: this.limitTokens,
+      limitUsd: this.limitUsd,
       preloadedRequests: this.usage.requests.length,
       totalTokens: this.usage.totalTokens,
     });
@@ -235,30 +382,102 @@ export class CostTracker {
 
   /**
    * Determines whether the requested amount can be spent without breaching the
-   * configured token ceiling.
+   * global token ceiling, the USD ceiling when one is set, or any layered
+   * budget that applies to the request.
    *
    * @param {number} tokens - Additional token usage.
+   * @param {number} [costUsd=0] - Additional spend in USD.
+   * @param {{provider?: string, tier?: string, type?: string, url?: string, domain?: string}} [context={}] -
+   *   What is spending, used to select the layered budgets that apply.
    * @returns {boolean} True when the spend is permitted.
    */
-  canSpend(tokens) {
+  canSpend(tokens, costUsd = 0, context = {}) {
+    return this.findExhaustedBudget(tokens, costUsd, context) === null;
+  }
+
+  /**
+   * Finds the first budget the spend would exceed. The global ceiling is
+   * checked first, followed by the layered budgets in configuration order.
+   * Budgets count the requests recorded since the start of their period:
+   * the current billing cycle for `month`, or local midnight for `day`.
+   *
+   * @param {number} tokens - Additional token usage.
+   * @param {number} [costUsd=0] - Additional spend in USD.
+   * @param {{provider?: string, tier?: string, type?: string, url?: string, domain?: string}} [context={}] -
+   *   What is spending, used to select the layered budgets that apply.
+   * @param {number} [now=Date.now()] - Current time, used for daily budgets.
+   * @returns {{id: string, scope: string, match: string|null, period: string, usedTokens: number,
+   *   usedUsd: number, maxTokens: number|null, maxCostUsd: number|null}|null}
+   *   The exhausted budget, or null when the spend fits every budget.
+   */
+  findExhaustedBudget(tokens, costUsd = 0, context = {}, now = Date.now()) {
     const additional = toInteger(tokens, 0);
-    const allowed = this.limitTokens === 0
+    const additionalUsd = toUsd(costUsd, 0);
+    const withinTokens = this.limitTokens === 0
       ? additional === 0
       : this.limitTokens < 0
         ? true
         : this.usage.totalTokens + additional <= this.limitTokens;
+    const withinUsd = this.limitUsd === null
+      || roundUsd(this.usage.totalSpendUsd + additionalUsd) <= this.limitUsd;
+    const exhausted = withinTokens && withinUsd
+      ? findExhaustedLayeredBudget(this.usage, this.budgets, additional, additionalUsd, context || {}, now)
+      : {
+        id: 'global',
+        scope: 'global',
+        match: null,
+        period: 'month',
+        usedTokens: this.usage.totalTokens,
+        usedUsd: this.usage.totalSpendUsd,
+        maxTokens: this.limitTokens,
+        maxCostUsd: this.limitUsd,
+      };
     logger.debug('Cost tracker spend check.', {
       tokens: additional,
+      costUsd: additionalUsd,
       currentTotal: this.usage.totalTokens,
+      currentSpendUsd: this.usage.totalSpendUsd,
       limitTokens: this.limitTokens,
-      allowed,
+      limitUsd: this.limitUsd,
+      context,
+      allowed: exhausted === null,
+      exhaustedBudget: exhausted?.id ?? null,
     });
-    return allowed;
+    return exhausted;
+  }
+
+  /**
+   * Prices a request from the model price table. Text models bill prompt and
+   * completion tokens separately, while speech requests bill every token at
+   * the model's audio rate.
+   *
+   * @param {string} model - Model identifier.
+   * @param {number} promptTokens - Tokens submitted in the request.
+   * @param {number} completionTokens - Tokens returned by the response.
+   * @param {{audio?: boolean}} [options={}] - Set `audio` for speech requests.
+   * @returns {number|null} Cost in USD, or null when the model is unpriced.
+   */
+  estimateCostUsd(model, promptTokens, completionTokens, { audio = false } = {}) {
+    const price = resolveModelPrice(this.prices, model);
+    if (!price) {
+      return null;
+    }
+    const prompt = toInteger(promptTokens, 0);
+    const completion = toInteger(completionTokens, 0);
+    if (audio && Number.isFinite(price.audio)) {
+      return roundUsd(((prompt + completion) * price.audio) / 1e6);
+    }
+    if (!Number.isFinite(price.input) && !Number.isFinite(price.output)) {
+      return null;
+    }
+    return roundUsd(((prompt * (price.input || 0)) + (completion * (price.output || 0))) / 1e6);
   }
 
   /**
    * Records a usage event for a token-based model and accumulates the
-   * calculated token totals.
+   * calculated token and USD totals. The cost is taken from `spendUsd` in the
+   * metadata when supplied, and otherwise priced from `pricingModel` or the
+   * model itself.
    *
    * @param {string} model - Model identifier.
    * @param {number} promptTokens - Tokens submitted in the request.
@@ -272,15 +491,21 @@ export class CostTracker {
     const totalTokens = safePrompt + safeCompletion;
     const cleanedMetadata = { ...metadata };
     const excluded = cleanedMetadata.excludedFromLimit === true;
+    const spendUsd = toUsd(
+      cleanedMetadata.spendUsd,
+      this.estimateCostUsd(cleanedMetadata.pricingModel || model, safePrompt, safeCompletion),
+    );
     delete cleanedMetadata.promptTokens;
     delete cleanedMetadata.completionTokens;
     delete cleanedMetadata.totalTokens;
     delete cleanedMetadata.excludedFromLimit;
+    delete cleanedMetadata.spendUsd;
     const entry = {
       model: typeof model === 'string' ? model : null,
       promptTokens: safePrompt,
       completionTokens: safeCompletion,
       totalTokens,
+      spendUsd,
       timestamp: Date.now(),
       excludedFromLimit: excluded,
       ...cleanedMetadata,
@@ -289,10 +514,12 @@ export class CostTracker {
     this.usage.cumulativePromptTokens += safePrompt;
     this.usage.cumulativeCompletionTokens += safeCompletion;
     this.usage.cumulativeTotalTokens += totalTokens;
+    this.usage.cumulativeSpendUsd = roundUsd(this.usage.cumulativeSpendUsd + (spendUsd || 0));
     if (!excluded) {
       this.usage.totalPromptTokens += safePrompt;
       this.usage.totalCompletionTokens += safeCompletion;
       this.usage.totalTokens += totalTokens;
+      this.usage.totalSpendUsd = roundUsd(this.usage.totalSpendUsd + (spendUsd || 0));
     }
     this.syncCumulativeMetadata();
     logger.info('Recorded token usage event.', {
@@ -300,15 +527,18 @@ export class CostTracker {
       promptTokens: safePrompt,
       completionTokens: safeCompletion,
       totalTokens,
+      spendUsd,
       excludedFromLimit: excluded,
       totalUsageTokens: this.usage.totalTokens,
+      totalSpendUsd: this.usage.totalSpendUsd,
     });
     return totalTokens;
   }
 
   /**
    * Records a usage event for models that bill on a flat-fee basis such as
-   * speech synthesis and transcription.
+   * speech synthesis and transcription. Unless `spendUsd` is supplied, the
+   * tokens are priced at the audio rate of `pricingModel` from the metadata.
    *
    * @param {string} model - Logical model group to attribute the tokens to.
    * @param {number|object} descriptor - Token count or descriptor object.
@@ -354,6 +584,15 @@ export class CostTracker {
       }
     }
 
+    if (toUsd(entryMetadata.spendUsd) === null) {
+      entryMetadata.spendUsd = this.estimateCostUsd(
+        entryMetadata.pricingModel || model,
+        promptTokens,
+        completionTokens,
+        { audio: true },
+      );
+    }
+
     return this.record(model, promptTokens, completionTokens, {
       totalTokens,
       excludedFromLimit,
@@ -364,16 +603,20 @@ export class CostTracker {
   /**
    * Resets accumulated usage and timestamps the reset moment for audit
    * purposes.
+   *
+   * @param {number} [timestamp=Date.now()] - Moment the new cycle starts.
    */
-  reset() {
+  reset(timestamp = Date.now()) {
     this.usage.totalPromptTokens = 0;
     this.usage.totalCompletionTokens = 0;
     this.usage.totalTokens = 0;
     this.usage.cumulativePromptTokens = 0;
     this.usage.cumulativeCompletionTokens = 0;
     this.usage.cumulativeTotalTokens = 0;
+    this.usage.totalSpendUsd = 0;
+    this.usage.cumulativeSpendUsd = 0;
     this.usage.requests = [];
-    this.usage.lastReset = Date.now();
+    this.usage.lastReset = normaliseTimestamp(timestamp);
     this.usage.metadata = {};
     this.syncCumulativeMetadata();
     logger.warn('Cost tracker reset invoked.', { timestamp: this.usage.lastReset });
@@ -435,6 +678,7 @@ export class CostTracker {
     return {
       ...this.usage,
       limitTokens: this.limitTokens,
+      spendLimitUsd: this.limitUsd,
       tokens,
     };
   }
@@ -443,14 +687,15 @@ export class CostTracker {
    * Returns the most recent token totals that count towards the configured
    * limit. This snapshot mirrors the values displayed in the popup usage panel.
    *
-   * @returns {{promptTokens: number, completionTokens: number, totalTokens: number}}
-   *   Aggregated token usage.
+   * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, spendUsd: number}}
+   *   Aggregated token usage and spend.
    */
   getUsageTotals() {
     return {
       promptTokens: this.usage.totalPromptTokens,
       completionTokens: this.usage.totalCompletionTokens,
       totalTokens: this.usage.totalTokens,
+      spendUsd: this.usage.totalSpendUsd,
     };
   }
 
@@ -458,14 +703,15 @@ export class CostTracker {
    * Provides cumulative token totals including entries marked as excluded from
    * the enforcement limit. Useful for long-term analytics and reporting.
    *
-   * @returns {{promptTokens: number, completionTokens: number, totalTokens: number}}
-   *   Lifetime token usage snapshot.
+   * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, spendUsd: number}}
+   *   Lifetime token usage and spend snapshot.
    */
   getCumulativeTotals() {
     return {
       promptTokens: this.usage.cumulativePromptTokens,
       completionTokens: this.usage.cumulativeCompletionTokens,
       totalTokens: this.usage.cumulativeTotalTokens,
+      spendUsd: this.usage.cumulativeSpendUsd,
     };
   }
 }
@@ -475,17 +721,20 @@ export class CostTracker {
  *
  * @param {number} limitTokens - Token limit.
  * @param {Object} [usage] - Pre-populated usage state.
+ * @param {{prices?: object, limitUsd?: number|null, budgets?: object[]}} [options] -
+ *   Price table, USD limit and layered budgets.
  * @returns {CostTracker} Configured tracker instance.
  */
-export function createCostTracker(limitTokens, usage) {
+export function createCostTracker(limitTokens, usage, options = {}) {
   logger.debug('Creating cost tracker via factory.', {
     limitTokens,
+    limitUsd: options.limitUsd ?? null,
     hasUsage: Boolean(usage),
   });
   const usageSnapshot = usage && typeof usage === 'object'
     ? { ...usage }
     : usage;
-  return new CostTracker(limitTokens, usageSnapshot);
+  return new CostTracker(limitTokens, usageSnapshot, options);
 }
 
-export { DEFAULT_TOKEN_LIMIT };
+export { DEFAULT_TOKEN_LIMIT, DEFAULT_MODEL_PRICES };
@@ -118,6 +118,20 @@ function normaliseSnippet(snippet) {
  * @returns {string[]} Extracted text segments.
  */
 export function extractVisibleText(root = document.body, options = {}) {
+  return collectTextSegments(root, options, null);
+}
+
+/**
+ * Walks visible text nodes below `root` and groups them into segments.
+ *
+ * @param {Element} root - Root element to traverse.
+ * @param {{maxLength?: number, minSegmentLength?: number}} options -
+ *   Extraction constraints.
+ * @param {((element: Element) => boolean)|null} isExcluded - Optional predicate
+ *   rejecting text that sits inside matching elements below the root.
+ * @returns {string[]} Extracted text segments.
+ */
+function collectTextSegments(root, options, isExcluded) {
   const { maxLength = 4000, minSegmentLength = 500 } = options;
   const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
     acceptNode(node) {
@@ -132,6 +146,9 @@ export function extractVisibleText(root = document.body, options = {}) {
       if (['script', 'style', 'noscript', 'template'].includes(tag)) {
         return NodeFilter.FILTER_REJECT;
       }
+      if (isExcluded && hasExcludedAncestor(parent, root, isExcluded)) {
+        return NodeFilter.FILTER_REJECT;
+      }
       return NodeFilter.FILTER_ACCEPT;
     },
   });
@@ -160,6 +177,635 @@ export function extractVisibleText(root = document.body, options = {}) {
   return segments.filter(Boolean);
 }
 
+/**
+ * Supported page text extraction modes. `article` keeps only the main content
+ * container, while `full` walks every visible text node.
+ */
+export const EXTRACTION_MODES = Object.freeze({
+  ARTICLE: 'article',
+  FULL: 'full',
+});
+
+export const DEFAULT_EXTRACTION_MODE = EXTRACTION_MODES.ARTICLE;
+
+const PARAGRAPH_SELECTOR = 'p, pre, blockquote, td';
+const BOILERPLATE_TAGS = new Set(['nav', 'aside', 'form', 'dialog', 'menu']);
+const SECTIONING_TAGS = new Set(['header', 'footer']);
+const MAIN_CONTENT_SELECTOR = 'article, main, [role="main"], [role="article"]';
+const BOILERPLATE_ROLES = new Set([
+  'navigation',
+  'banner',
+  'contentinfo',
+  'complementary',
+  'search',
+  'dialog',
+  'alertdialog',
+  'menu',
+  'menubar',
+]);
+const MAIN_ROLES = new Set(['main', 'article']);
+const UNLIKELY_PATTERN =
+  /comment|cookie|consent|banner|footer|masthead|\bnav|menu|related|recommend|share|social|sidebar|promo|advert|\bads?\b|sponsor|subscribe|newsletter|popup|modal|breadcrumb|pagination|disqus/i;
+const LIKELY_PATTERN = /article|body|content|entry|main|post|story|text|blog/i;
+const MIN_PARAGRAPH_LENGTH = 25;
+const MIN_ARTICLE_LENGTH = 250;
+const MAX_LINK_DENSITY = 0.5;
+
+function describeElement(element) {
+  return `${element.className && typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+}
+
+/**
+ * Reports whether an element looks like page chrome rather than content:
+ * navigation landmarks, cookie banners, comment threads, share widgets and
+ * similar blocks.
+ *
+ * @param {Element} element - Element to classify.
+ * @returns {boolean} True when the element should be skipped.
+ */
+function isBoilerplateElement(element) {
+  const tag = element.tagName ? element.tagName.toLowerCase() : '';
+  if (tag === 'article' || tag === 'main' || tag === 'body') {
+    return false;
+  }
+  if (BOILERPLATE_TAGS.has(tag)) {
+    return true;
+  }
+  if (SECTIONING_TAGS.has(tag)) {
+    // Page-level headers and footers are chrome; those inside an article
+    // carry its title and byline.
+    return !element.parentElement?.closest(MAIN_CONTENT_SELECTOR);
+  }
+  const role = element.getAttribute?.('role');
+  if (role && BOILERPLATE_ROLES.has(role.toLowerCase())) {
+    return true;
+  }
+  if (MAIN_ROLES.has((role || '').toLowerCase())) {
+    return false;
+  }
+  const descriptor = describeElement(element);
+  return UNLIKELY_PATTERN.test(descriptor) && !LIKELY_PATTERN.test(descriptor);
+}
+
+function hasExcludedAncestor(element, root, isExcluded) {
+  let current = element;
+  while (current && current !== root) {
+    if (isExcluded(current)) {
+      return true;
+    }
+    current = current.parentElement;
+  }
+  return false;
+}
+
+/**
+ * Measures the share of an element's text that sits inside links.
+ *
+ * @param {Element} element - Candidate container.
+ * @returns {number} Ratio between 0 and 1.
+ */
+function getLinkDensity(element) {
+  const textLength = normaliseWhitespace(element.textContent || '').length;
+  if (!textLength) {
+    return 0;
+  }
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += normaliseWhitespace(link.textContent || '').length;
+  });
+  return Math.min(1, linkLength / textLength);
+}
+
+/**
+ * Baseline score for a container based on its tag, landmark role and
+ * class/id hints.
+ *
+ * @param {Element} element - Candidate container.
+ * @returns {number} Initial score.
+ */
+function getInitialScore(element) {
+  const tag = element.tagName.toLowerCase();
+  const role = (element.getAttribute?.('role') || '').toLowerCase();
+  let score = 0;
+  if (tag === 'article' || tag === 'main' || MAIN_ROLES.has(role)) {
+    score += 25;
+  } else if (tag === 'div' || tag === 'section') {
+    score += 5;
+  } else if (tag === 'pre' || tag === 'td' || tag === 'blockquote') {
+    score += 3;
+  } else if (['ol', 'ul', 'dl', 'li', 'form'].includes(tag)) {
+    score -= 3;
+  }
+  const descriptor = describeElement(element);
+  if (LIKELY_PATTERN.test(descriptor)) {
+    score += 25;
+  }
+  if (UNLIKELY_PATTERN.test(descriptor)) {
+    score -= 25;
+  }
+  return score;
+}
+
+/**
+ * Scores candidate containers and returns the element most likely to hold
+ * the main content. Each paragraph contributes points for its length and
+ * comma count to its parent and, at a discount, to its ancestors, so
+ * containers dense with prose rise to the top. Scores are then weighted by
+ * `1 - linkDensity` so link farms such as "related articles" lose out.
+ *
+ * @param {Element} [root=document.body] - Element to search.
+ * @returns {Element|null} Best candidate, or null when no container holds
+ *   enough prose to be trusted.
+ */
+export function findMainContent(root = document.body) {
+  if (!root || typeof root.querySelectorAll !== 'function') {
+    return null;
+  }
+  const scores = new Map();
+  const addScore = (element, amount) => {
+    if (!element || hasExcludedAncestor(element, root, isBoilerplateElement)) {
+      return;
+    }
+    if (!scores.has(element)) {
+      scores.set(element, getInitialScore(element));
+    }
+    scores.set(element, scores.get(element) + amount);
+  };
+
+  root.querySelectorAll(PARAGRAPH_SELECTOR).forEach(paragraph => {
+    if (hasExcludedAncestor(paragraph, root, isBoilerplateElement)) {
+      return;
+    }
+    const text = normaliseWhitespace(paragraph.textContent || '');
+    if (text.length < MIN_PARAGRAPH_LENGTH) {
+      return;
+    }
+    const contentScore = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = paragraph.parentElement;
+    let level = 0;
+    while (ancestor && level < 3) {
+      addScore(ancestor, contentScore / (level === 0 ? 1 : level * 2));
+      if (ancestor === root) {
+        break;
+      }
+      ancestor = ancestor.parentElement;
+      level += 1;
+    }
+  });
+
+  let best = null;
+  let bestScore = -Infinity;
+  scores.forEach((score, element) => {
+    const weighted = score * (1 - getLinkDensity(element));
+    if (weighted > bestScore) {
+      best = element;
+      bestScore = weighted;
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+  const landmark = best.closest?.(MAIN_CONTENT_SELECTOR);
+  if (landmark && landmark !== best && root.contains(landmark)) {
+    best = landmark;
+  }
+  const text = normaliseWhitespace(best.textContent || '');
+  if (text.length < MIN_ARTICLE_LENGTH || getLinkDensity(best) > MAX_LINK_DENSITY) {
+    return null;
+  }
+  return best;
+}
+
+/**
+ * Extracts segments from the page's main content only, skipping navigation,
+ * banners, comment threads and similar chrome inside the chosen container.
+ * Falls back to {@link extractVisibleText} when no container scores well
+ * enough.
+ *
+ * @param {Element} [root=document.body] - Root element to search.
+ * @param {{maxLength?: number, minSegmentLength?: number}} [options] -
+ *   Extraction constraints.
+ * @returns {string[]} Extracted text segments.
+ */
+export function extractArticleText(root = document.body, options = {}) {
+  const container = findMainContent(root);
+  if (!container) {
+    return extractVisibleText(root, options);
+  }
+  const segments = collectTextSegments(container, options, isBoilerplateElement);
+  return segments.length ? segments : extractVisibleText(root, options);
+}
+
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const BLOCK_TYPES = Object.freeze({
+  p: 'paragraph',
+  pre: 'code',
+  blockquote: 'quote',
+  ul: 'list',
+  ol: 'list',
+  dl: 'list',
+  table: 'table',
+});
+const CONTAINER_TAGS = new Set([
+  'address', 'article', 'aside', 'body', 'dd', 'details', 'dialog', 'div', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'hgroup', 'li', 'main', 'nav', 'section',
+  'summary',
+]);
+const BLOCK_DESCENDANT_SELECTOR = [
+  ...HEADING_TAGS,
+  ...Object.keys(BLOCK_TYPES),
+  ...CONTAINER_TAGS,
+].join(', ');
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+
+/**
+ * Builds an absolute XPath for a node, e.g. `/html[1]/body[1]/p[2]` or
+ * `/html[1]/body[1]/div[1]/text()[1]` for text nodes.
+ *
+ * @param {Node} node - Element or text node to describe.
+ * @returns {string|null} XPath expression, or null for unsupported nodes.
+ */
+export function getXPath(node) {
+  const steps = [];
+  let current = node;
+  while (current && current.nodeType !== 9) {
+    let index = 1;
+    let sibling = current.previousSibling;
+    if (current.nodeType === TEXT_NODE) {
+      while (sibling) {
+        if (sibling.nodeType === TEXT_NODE) {
+          index += 1;
+        }
+        sibling = sibling.previousSibling;
+      }
+      steps.unshift(`text()[${index}]`);
+    } else if (current.nodeType === ELEMENT_NODE) {
+      const name = current.localName;
+      while (sibling) {
+        if (sibling.nodeType === ELEMENT_NODE && sibling.localName === name) {
+          index += 1;
+        }
+        sibling = sibling.previousSibling;
+      }
+      steps.unshift(`${name}[${index}]`);
+    } else {
+      return null;
+    }
+    current = current.parentNode;
+  }
+  return steps.length ? `/${steps.join('/')}` : null;
+}
+
+/**
+ * Resolves an XPath produced by {@link getXPath} back to its node.
+ *
+ * @param {string} xpath - XPath expression.
+ * @param {Document} [doc=document] - Document to evaluate against.
+ * @returns {Node|null} Matching node, or null when it no longer exists.
+ */
+export function resolveXPath(xpath, doc = typeof document !== 'undefined' ? document : null) {
+  if (!xpath || !doc || typeof doc.evaluate !== 'function') {
+    return null;
+  }
+  try {
+    const resultType = doc.defaultView?.XPathResult?.FIRST_ORDERED_NODE_TYPE ?? 9;
+    return doc.evaluate(xpath, doc, null, resultType, null).singleNodeValue || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function readCellText(cell) {
+  return normaliseWhitespace(cell.textContent || '');
+}
+
+/**
+ * Serialises a table into one line per row. When the table has a header row
+ * each value is labelled with its column header (`Plan: Pro; Price: $10`),
+ * otherwise cells are separated with ` | `.
+ *
+ * @param {HTMLTableElement} table - Table to serialise.
+ * @returns {string} Readable table text.
+ */
+function serialiseTable(table) {
+  const rows = Array.from(table.rows || []);
+  if (!rows.length) {
+    return normaliseWhitespace(table.textContent || '');
+  }
+  const lines = [];
+  const caption = table.caption ? readCellText(table.caption) : '';
+  if (caption) {
+    lines.push(`Table: ${caption}`);
+  }
+  const firstCells = Array.from(rows[0].cells);
+  const hasHeader =
+    rows[0].parentElement?.localName === 'thead' ||
+    (firstCells.length > 0 && firstCells.every(cell => cell.localName === 'th'));
+  const headers = hasHeader ? firstCells.map(readCellText) : null;
+  rows.slice(hasHeader ? 1 : 0).forEach(row => {
+    const values = Array.from(row.cells).map(readCellText);
+    if (!values.some(Boolean)) {
+      return;
+    }
+    if (headers) {
+      lines.push(
+        values
+          .map((value, index) => (headers[index] ? `${headers[index]}: ${value}` : value))
+          .join('; '),
+      );
+    } else {
+      lines.push(values.join(' | '));
+    }
+  });
+  if (headers && lines.length === (caption ? 1 : 0)) {
+    lines.push(headers.join(' | '));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Serialises a list into one line per item, numbering ordered lists and
+ * indenting nested lists.
+ *
+ * @param {HTMLElement} list - `ul`, `ol` or `dl` element.
+ * @param {number} [depth=0] - Nesting depth used for indentation.
+ * @returns {string} Readable list text.
+ */
+function serialiseList(list, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+  let counter = list.localName === 'ol' ? Number.parseInt(list.getAttribute('start') || '1', 10) || 1 : 1;
+  Array.from(list.children).forEach(item => {
+    const tag = item.localName;
+    if (tag !== 'li' && tag !== 'dt' && tag !== 'dd') {
+      return;
+    }
+    const nested = Array.from(item.children).filter(child => BLOCK_TYPES[child.localName] === 'list');
+    const clone = item.cloneNode(true);
+    Array.from(clone.children)
+      .filter(child => BLOCK_TYPES[child.localName] === 'list')
+      .forEach(child => child.remove());
+    const text = normaliseWhitespace(clone.textContent || '');
+    if (text) {
+      let marker = '-';
+      if (list.localName === 'ol') {
+        marker = `${counter}.`;
+        counter += 1;
+      } else if (tag === 'dd') {
+        marker = ' ';
+      }
+      lines.push(`${indent}${marker} ${text}`.trimEnd());
+    }
+    nested.forEach(child => {
+      const nestedText = serialiseList(child, depth + 1);
+      if (nestedText) {
+        lines.push(nestedText);
+      }
+    });
+  });
+  return lines.join('\n');
+}
+
+function readBlockText(element, type) {
+  if (type === 'table') {
+    return serialiseTable(element);
+  }
+  if (type === 'list') {
+    return serialiseList(element);
+  }
+  if (type === 'code') {
+    return (element.textContent || '')
+      .replace(/\u00a0/g, ' ')
+      .replace(/[ \t]+$/gm, '')
+      .replace(/^\n+|\n+$/g, '');
+  }
+  return normaliseWhitespace(element.textContent || '');
+}
+
+/**
+ * Collects structural blocks (headings, paragraphs, lists, tables, code,
+ * quotes and loose text runs) below `root` in document order.
+ *
+ * @param {Element} root - Element to traverse.
+ * @param {((element: Element) => boolean)|null} isExcluded - Optional
+ *   predicate skipping boilerplate subtrees.
+ * @returns {Array<{type: string, text: string, xpath: string|null, level?: number}>}
+ *   Blocks with their text and anchor.
+ */
+function collectBlocks(root, isExcluded) {
+  const blocks = [];
+  let run = null;
+
+  const flushRun = () => {
+    if (run) {
+      const text = normaliseWhitespace(run.parts.join(' '));
+      if (text) {
+        blocks.push({ type: 'text', text, xpath: getXPath(run.anchor) });
+      }
+      run = null;
+    }
+  };
+  const appendToRun = (node, text) => {
+    if (!normaliseWhitespace(text)) {
+      return;
+    }
+    if (!run) {
+      run = { anchor: node, parts: [] };
+    }
+    run.parts.push(text);
+  };
+
+  const visit = element => {
+    Array.from(element.childNodes).forEach(child => {
+      if (child.nodeType === TEXT_NODE) {
+        appendToRun(child, child.textContent || '');
+        return;
+      }
+      if (child.nodeType !== ELEMENT_NODE) {
+        return;
+      }
+      const tag = child.localName;
+      if (SKIPPED_TAGS.has(tag) || !isNodeVisible(child) || (isExcluded && isExcluded(child))) {
+        return;
+      }
+      if (HEADING_TAGS.has(tag)) {
+        flushRun();
+        const text = normaliseWhitespace(child.textContent || '');
+        if (text) {
+          blocks.push({ type: 'heading', text, xpath: getXPath(child), level: Number(tag.slice(1)) });
+        }
+        return;
+      }
+      const type = BLOCK_TYPES[tag];
+      if (type) {
+        flushRun();
+        const text = readBlockText(child, type);
+        if (normaliseWhitespace(text)) {
+          blocks.push({ type, text, xpath: getXPath(child) });
+        }
+        return;
+      }
+      if (CONTAINER_TAGS.has(tag) || child.querySelector(BLOCK_DESCENDANT_SELECTOR)) {
+        flushRun();
+        visit(child);
+        flushRun();
+        return;
+      }
+      appendToRun(child, child.textContent || '');
+    });
+  };
+
+  visit(root);
+  flushRun();
+  return blocks;
+}
+
+function splitLongText(text, maxLength) {
+  const chunks = [];
+  let remaining = text;
+  while (remaining.length > maxLength) {
+    let cut = remaining.lastIndexOf(' ', maxLength);
+    if (cut <= 0) {
+      cut = maxLength;
+    }
+    chunks.push(remaining.slice(0, cut).trim());
+    remaining = remaining.slice(cut).trim();
+  }
+  if (remaining) {
+    chunks.push(remaining);
+  }
+  return chunks;
+}
+
+/**
+ * Extracts segments that keep the page's structure. Every segment carries
+ * the heading path it sits under and the type and XPath anchor of each block
+ * it contains. Segments start at heading boundaries; a short section keeps
+ * its subsections (and any short lead-in keeps the following section) until
+ * it reaches `minSegmentLength`. Sections longer than `maxLength` are split
+ * between blocks.
+ *
+ * @param {Element} [root=document.body] - Root element to traverse.
+ * @param {{maxLength?: number, minSegmentLength?: number, mode?: string}} [options] -
+ *   Size constraints and extraction mode. `article` (default) limits the
+ *   walk to the main content container when one is found.
+ * @returns {Array<{text: string, headingPath: string[],
+ *   blocks: Array<{type: string, xpath: string|null}>}>} Structured segments.
+ */
+export function extractStructuredSegments(root = document.body, options = {}) {
+  const { maxLength = 4000, minSegmentLength = 500, mode = DEFAULT_EXTRACTION_MODE } = options;
+  let container = root;
+  let isExcluded = null;
+  if (mode === EXTRACTION_MODES.ARTICLE) {
+    const main = findMainContent(root);
+    if (main) {
+      container = main;
+      isExcluded = isBoilerplateElement;
+    }
+  }
+
+  const segments = [];
+  const headingStack = [];
+  let current = null;
+
+  const flushSegment = () => {
+    if (!current || !current.entries.length) {
+      return;
+    }
+    const blocks = [];
+    current.entries.forEach(entry => {
+      const last = blocks[blocks.length - 1];
+      if (!last || last.xpath !== entry.xpath) {
+        blocks.push({ type: entry.type, xpath: entry.xpath });
+      }
+    });
+    segments.push({
+      text: current.entries.map(entry => entry.text).join('\n'),
+      headingPath: current.headingPath,
+      blocks,
+    });
+  };
+  const startSegment = (headingPath, level) => {
+    // Headings at the end of the previous segment introduce the new one.
+    const carried = [];
+    while (current?.entries.length && current.entries[current.entries.length - 1].type === 'heading') {
+      carried.unshift(current.entries.pop());
+    }
+    flushSegment();
+    current = { headingPath, level, entries: carried };
+  };
+  const lengthOf = segment => segment.entries.reduce((total, entry) => total + entry.text.length + 1, 0);
+  const hasBody = segment => segment.entries.some(entry => entry.type !== 'heading');
+
+  collectBlocks(container, isExcluded).forEach(block => {
+    if (block.type === 'heading') {
+      while (headingStack.length && headingStack[headingStack.length - 1].level >= block.level) {
+        headingStack.pop();
+      }
+      headingStack.push({ level: block.level, text: block.text });
+      const headingPath = headingStack.map(entry => entry.text);
+      const isShort = current && lengthOf(current) < minSegmentLength;
+      if (current && (!hasBody(current) || (isShort && current.level === null))) {
+        // Leading headings and short lead-ins introduce this section.
+        current.headingPath = headingPath;
+        current.level = block.level;
+      } else if (!isShort || block.level <= current.level) {
+        startSegment(headingPath, block.level);
+      }
+      current.entries.push({ type: block.type, xpath: block.xpath, text: block.text });
+      return;
+    }
+    if (!current) {
+      current = { headingPath: headingStack.map(entry => entry.text), level: null, entries: [] };
+    }
+    splitLongText(block.text, maxLength).forEach(text => {
+      const length = lengthOf(current);
+      if (length + text.length > maxLength && length >= minSegmentLength) {
+        startSegment(current.headingPath, current.level);
+      }
+      current.entries.push({ type: block.type, xpath: block.xpath, text });
+    });
+  });
+  flushSegment();
+
+  return segments;
+}
+
+/**
+ * Highlights whole nodes, typically blocks resolved from segment anchors.
+ * Lists and tables are highlighted item by item so their markup stays valid.
+ *
+ * @param {Node[]} nodes - Elements or text nodes to highlight.
+ * @param {string} [className='comet-reader-highlight'] - CSS class applied.
+ * @returns {HTMLElement[]} Created highlight elements in document order.
+ */
+export function highlightNodes(nodes, className = 'comet-reader-highlight') {
+  const marks = [];
+  nodes.forEach(node => {
+    let targets = [node];
+    if (node.nodeType === ELEMENT_NODE && ['list', 'table'].includes(BLOCK_TYPES[node.localName])) {
+      targets = Array.from(node.querySelectorAll('li, dt, dd, th, td, caption'));
+    }
+    targets.forEach(target => {
+      const range = (target.ownerDocument || document).createRange();
+      if (target.nodeType === TEXT_NODE) {
+        range.selectNode(target);
+      } else {
+        range.selectNodeContents(target);
+      }
+      try {
+        marks.push(highlightRange(range, className));
+      } catch (error) {
+        // Ranges that cannot be wrapped are skipped; the rest still highlight.
+      }
+    });
+  });
+  return marks;
+}
+
 /**
  * Wraps the provided DOM range in a <mark> element to highlight the text.
  *
@@ -174,6 +820,207 @@ export function highlightRange(range, className = 'comet-reader-highlight') {
   return highlight;
 }
 
+export const READING_SENTENCE_CLASS = 'comet-reader-sentence';
+export const READING_WORD_CLASS = 'comet-reader-word';
+
+/**
+ * Number of page words scanned past the last match when aligning a segment
+ * word. Serialisation adds words the page does not contain (list markers,
+ * repeated table headers), so unmatched words are skipped rather than
+ * consuming page text.
+ */
+const WORD_ALIGNMENT_LOOKAHEAD = 12;
+
+function toWordKey(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function tokeniseWords(text) {
+  const words = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({ start: match.index, end: match.index + match[0].length, key: toWordKey(match[0]) });
+  }
+  return words;
+}
+
+/**
+ * Lists the words of every text node under the roots in document order.
+ *
+ * @param {Node[]} roots - Elements or text nodes to scan.
+ * @returns {Array<{node: Text, start: number, end: number, key: string}>}
+ *   Words with their offsets inside the owning text node.
+ */
+function collectDomWords(roots) {
+  const words = [];
+  const seen = new Set();
+  const addNode = node => {
+    if (seen.has(node)) {
+      return;
+    }
+    seen.add(node);
+    tokeniseWords(node.nodeValue || '').forEach(word => words.push({ node, ...word }));
+  };
+  roots.forEach(root => {
+    if (!root) {
+      return;
+    }
+    if (root.nodeType === TEXT_NODE) {
+      addNode(root);
+      return;
+    }
+    const doc = root.ownerDocument || document;
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        return parent && SKIPPED_TAGS.has(parent.localName)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT;
+      },
+    });
+    let current = walker.nextNode();
+    while (current) {
+      addNode(current);
+      current = walker.nextNode();
+    }
+  });
+  return words;
+}
+
+/**
+ * Greedily aligns segment words with page words.
+ *
+ * @returns {number[]} Page word index for each segment word, or -1 when the
+ *   word has no counterpart on the page.
+ */
+function alignWords(textWords, domWords) {
+  let cursor = 0;
+  return textWords.map(word => {
+    if (!word.key) {
+      return -1;
+    }
+    const limit = Math.min(domWords.length, cursor + WORD_ALIGNMENT_LOOKAHEAD);
+    for (let probe = cursor; probe < limit; probe += 1) {
+      if (domWords[probe].key === word.key) {
+        cursor = probe + 1;
+        return probe;
+      }
+    }
+    return -1;
+  });
+}
+
+/**
+ * Finds the sentence around a character offset, ending at `.`, `!`, `?` or a
+ * line break.
+ *
+ * @param {string} text - Source text.
+ * @param {number} charIndex - Offset inside the sentence.
+ * @returns {{start: number, end: number}} Sentence bounds.
+ */
+export function findSentenceBounds(text, charIndex) {
+  const value = String(text || '');
+  const index = Math.min(Math.max(0, charIndex), value.length);
+  let start = index;
+  while (start > 0) {
+    const previous = value[start - 1];
+    if (previous === '\n' || (/\s/.test(previous) && /[.!?]/.test(value[start - 2] || ''))) {
+      break;
+    }
+    start -= 1;
+  }
+  while (start < value.length && /\s/.test(value[start])) {
+    start += 1;
+  }
+  const rest = value.slice(index);
+  const boundary = /[.!?](?=\s|$)|\n/.exec(rest);
+  const end = boundary ? index + boundary.index + (boundary[0] === '\n' ? 0 : 1) : value.length;
+  return { start: Math.min(start, end), end };
+}
+
+/**
+ * Highlights the sentence being read aloud and, at word granularity, the word
+ * within it. Offsets refer to the segment text, which is mapped back to the
+ * page by matching words in order, so markup and serialised extras such as
+ * list markers do not throw the position off.
+ *
+ * @param {Node[]} roots - Block nodes that hold the segment on the page.
+ * @param {string} text - Segment text the offsets refer to.
+ * @param {{charIndex: number, length?: number, granularity?: 'word'|'sentence'}} position -
+ *   Spoken position. For sentence granularity a positive `length` gives the
+ *   sentence span; otherwise it is derived from the text.
+ * @returns {HTMLElement[]} Created marks; the word mark, if any, comes first.
+ */
+export function highlightReadingPosition(roots, text, { charIndex, length = 0, granularity = 'word' } = {}) {
+  const value = String(text || '');
+  if (!Number.isFinite(charIndex) || charIndex < 0 || charIndex >= value.length) {
+    return [];
+  }
+  const textWords = tokeniseWords(value);
+  const domWords = collectDomWords(Array.isArray(roots) ? roots : [roots]);
+  if (!textWords.length || !domWords.length) {
+    return [];
+  }
+  const mapping = alignWords(textWords, domWords);
+
+  const sentence = granularity === 'sentence' && length > 0
+    ? { start: charIndex, end: charIndex + length }
+    : findSentenceBounds(value, charIndex);
+  let word = null;
+  if (granularity !== 'sentence') {
+    const current = textWords.find(entry => entry.end > charIndex);
+    if (current) {
+      word = { start: Math.max(charIndex, current.start), end: length > 0 ? charIndex + length : current.end };
+    }
+  }
+
+  // Assign each page word in the sentence a class, then wrap runs of words
+  // that share a text node and class.
+  const classes = new Map();
+  textWords.forEach((entry, index) => {
+    const domIndex = mapping[index];
+    if (domIndex === -1 || entry.end <= sentence.start || entry.start >= sentence.end) {
+      return;
+    }
+    const inWord = word && entry.end > word.start && entry.start < word.end;
+    classes.set(domIndex, inWord ? READING_WORD_CLASS : READING_SENTENCE_CLASS);
+  });
+  const spans = [];
+  Array.from(classes.keys())
+    .sort((a, b) => a - b)
+    .forEach(domIndex => {
+      const { node, start, end } = domWords[domIndex];
+      const className = classes.get(domIndex);
+      const last = spans[spans.length - 1];
+      if (last && last.node === node && last.className === className && last.lastIndex === domIndex - 1) {
+        last.end = end;
+        last.lastIndex = domIndex;
+      } else {
+        spans.push({ node, start, end, className, lastIndex: domIndex });
+      }
+    });
+
+  // Wrap from the end so splitting a text node keeps earlier offsets valid.
+  const marks = [];
+  spans.reverse().forEach(span => {
+    const range = (span.node.ownerDocument || document).createRange();
+    range.setStart(span.node, span.start);
+    range.setEnd(span.node, span.end);
+    try {
+      const mark = highlightRange(range, span.className);
+      if (span.className === READING_WORD_CLASS) {
+        marks.unshift(mark);
+      } else {
+        marks.push(mark);
+      }
+    } catch (error) {
+      // Spans that cannot be wrapped are skipped; the rest still highlight.
+    }
+  });
+  return marks;
+}
+
 /**
  * Removes highlight wrappers from the document, restoring original text nodes.
  *
@@ -189,20 +1036,82 @@ export function clearHighlights(className = 'comet-reader-highlight') {
       parent.insertBefore(node.firstChild, node);
     }
     parent.removeChild(node);
+    // Merge split text nodes so recorded XPath anchors resolve again.
+    parent.normalize();
   });
 }
 
 /**
  * Generates a predictable identifier for each extracted text segment.
+ * Structured segments keep their heading path and block anchors.
  *
- * @param {string[]} segments - Sequential text segments.
- * @returns {{id: string, text: string}[]} Segments paired with unique IDs.
+ * @param {Array<string|{text: string}>} segments - Sequential text segments
+ *   or structured segments from {@link extractStructuredSegments}.
+ * @returns {Array<{id: string, text: string}>} Segments paired with unique IDs.
  */
 export function createSegmentMap(segments) {
-  return segments.map((text, index) => ({
-    id: `segment-${index + 1}`,
+  return segments.map((segment, index) => {
+    const id = `segment-${index + 1}`;
+    if (typeof segment === 'string') {
+      return { id, text: segment };
+    }
+    return { id, ...segment };
+  });
+}
+
+/**
+ * Prefix for segment IDs derived from a user selection rather than the
+ * page's extracted segments.
+ */
+export const SELECTION_SEGMENT_PREFIX = 'selection-';
+
+/**
+ * Builds a stable segment ID for selected text so repeated requests for the
+ * same selection share a cache entry.
+ *
+ * @param {string} text - Normalised selection text.
+ * @returns {string} Identifier such as `selection-k3f9a2`.
+ */
+export function createSelectionSegmentId(text) {
+  let hash = 0;
+  const value = String(text || '');
+  for (let index = 0; index < value.length; index += 1) {
+    hash = (hash * 31 + value.charCodeAt(index)) >>> 0;
+  }
+  return `${SELECTION_SEGMENT_PREFIX}${hash.toString(36)}`;
+}
+
+/**
+ * Describes the first range of a selection as a segment with a DOM anchor
+ * that {@link resolveXPath} can map back to the page.
+ *
+ * @param {Selection|null} [selection] - Selection to describe; defaults to the
+ *   window selection.
+ * @returns {{id: string, text: string, anchor: {startXPath: string|null,
+ *   startOffset: number, endXPath: string|null, endOffset: number}}|null}
+ *   Selection segment, or null when nothing is selected.
+ */
+export function describeSelection(
+  selection = typeof window !== 'undefined' && window.getSelection ? window.getSelection() : null,
+) {
+  if (!selection || selection.isCollapsed || !selection.rangeCount) {
+    return null;
+  }
+  const text = normaliseWhitespace(selection.toString());
+  if (!text) {
+    return null;
+  }
+  const range = selection.getRangeAt(0);
+  return {
+    id: createSelectionSegmentId(text),
     text,
-  }));
+    anchor: {
+      startXPath: getXPath(range.startContainer),
+      startOffset: range.startOffset,
+      endXPath: getXPath(range.endContainer),
+      endOffset: range.endOffset,
+    },
+  };
 }
 
 /**
@@ -293,16 +1202,50 @@ export function findTextRange(snippet, root = null) {
   return null;
 }
 
+function isHighlightMark(node) {
+  return Boolean(
+    node
+      && node.nodeType === ELEMENT_NODE
+      && node.localName === 'mark'
+      && typeof node.className === 'string'
+      && node.className.startsWith('comet-reader-'),
+  );
+}
+
+/**
+ * Reports whether a batch of mutations only wraps or unwraps our own
+ * highlight marks. Splitting and merging text nodes around the marks is part
+ * of the same batch, so text-only changes are ignored when a mark changed.
+ *
+ * @param {MutationRecord[]} records - Records delivered together.
+ * @returns {boolean} True when the page content itself did not change.
+ */
+function isHighlightOnlyBatch(records) {
+  const touchesHighlights = records.some(record => isHighlightMark(record.target)
+    || Array.from(record.addedNodes || []).some(isHighlightMark)
+    || Array.from(record.removedNodes || []).some(isHighlightMark));
+  if (!touchesHighlights) {
+    return false;
+  }
+  return records.every(record => record.type === 'childList'
+    && [...Array.from(record.addedNodes || []), ...Array.from(record.removedNodes || [])]
+      .every(node => node.nodeType === TEXT_NODE || isHighlightMark(node)));
+}
+
 /**
  * Sets up a MutationObserver that invalidates cached visibility checks and
- * triggers the supplied callback.
+ * triggers the supplied callback. Changes made only by adding or removing
+ * highlight marks are ignored.
  *
  * @param {Function} callback - Invoked whenever the DOM changes.
  * @param {MutationObserverInit} [options={}] - Additional observer options.
  * @returns {MutationObserver} Active observer instance.
  */
 export function observeMutations(callback, options = {}) {
-  const observer = new MutationObserver(() => {
+  const observer = new MutationObserver(records => {
+    if (Array.isArray(records) && records.length > 0 && isHighlightOnlyBatch(records)) {
+      return;
+    }
     VISIBILITY_CACHE = new WeakMap();
     callback();
   });
@@ -12,20 +12,33 @@ const MESSAGES = {
   en: {
     apiKeyLabel: 'LLM API key',
     providerLabel: 'LLM provider',
+    providerModelLabel: 'Model',
+    extractionModeLabel: 'Page content',
+    extractionModeArticle: 'Main article only',
+    extractionModeFull: 'Entire page',
     save: 'Save',
     summarise: 'Summarize page',
+    cancelSummary: 'Cancel summary',
+    summaryHeading: 'Summary',
+    selectionHeading: 'Selection summary',
     readAloud: 'Read aloud',
     readPage: 'Read full page',
+    resumeReading: 'Resume where I left off',
+    summariseSelection: 'Summarize selection',
+    readSelection: 'Read selection aloud',
     pushToTalk: 'Push to talk',
     listening: 'Listening… release to stop',
     playbackSpeedLabel: 'Playback speed',
     usage: 'Tokens this cycle',
     resetUsage: 'Reset token usage',
+    openDashboard: 'Usage dashboard',
     costLimitReached: 'Token limit reached. Reset usage to continue.',
     usageLimitLabel: 'Token limit',
     usageTotalLabel: 'Tokens used',
     usagePromptLabel: 'Prompt tokens',
     usageCompletionLabel: 'Completion tokens',
+    usageSpendLimitLabel: 'Monthly budget',
+    usageSpendLabel: 'Spent this cycle',
     usageLastResetLabel: 'Last reset',
     usageLastResetUnknown: 'Unknown',
     disclaimer:
@@ -34,20 +47,33 @@ const MESSAGES = {
   es: {
     apiKeyLabel: 'Clave de API de LLM',
     providerLabel: 'Proveedor de LLM',
+    providerModelLabel: 'Modelo',
+    extractionModeLabel: 'Contenido de la página',
+    extractionModeArticle: 'Solo el artículo principal',
+    extractionModeFull: 'Página completa',
     save: 'Guardar',
     summarise: 'Resumir página',
+    cancelSummary: 'Cancelar resumen',
+    summaryHeading: 'Resumen',
+    selectionHeading: 'Resumen de la selección',
     readAloud: 'Leer en voz alta',
     readPage: 'Leer página completa',
+    resumeReading: 'Continuar donde lo dejé',
+    summariseSelection: 'Resumir selección',
+    readSelection: 'Leer selección en voz alta',
     pushToTalk: 'Pulsa para hablar',
     listening: 'Escuchando… suelta para detener',
     playbackSpeedLabel: 'Velocidad de reproducción',
     usage: 'Tokens en este ciclo',
     resetUsage: 'Restablecer tokens',
+    openDashboard: 'Panel de uso',
     costLimitReached: 'Se alcanzó el límite de tokens. Restablece los tokens para continuar.',
     usageLimitLabel: 'Límite de tokens',
     usageTotalLabel: 'Tokens utilizados',
     usagePromptLabel: 'Tokens de entrada',
     usageCompletionLabel: 'Tokens de salida',
+    usageSpendLimitLabel: 'Presupuesto mensual',
+    usageSpendLabel: 'Gasto en este ciclo',
     usageLastResetLabel: 'Último reinicio',
     usageLastResetUnknown: 'Desconocido',
     disclaimer:
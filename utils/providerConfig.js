@@ -1,5 +1,5 @@
 import createLogger from './logger.js';
-import { DEFAULT_TOKEN_LIMIT, estimateTokensFromUsd } from './cost.js';
+import { DEFAULT_MODEL_PRICES, DEFAULT_TOKEN_LIMIT } from './cost.js';
 import { loadYamlModule } from './yamlLoader.js';
 
 const logger = createLogger({ name: 'provider-config' });
@@ -16,8 +16,7 @@ const DEFAULT_PROVIDER_CONFIG = Object.freeze({
 // Generous per-call token budget that comfortably covers the prompt and
 // completion estimates used by the summariser. The value maps roughly to a
 // couple of thousand prompt tokens plus the 400-token completion fallback.
-// Keeping it constant (rather than estimateTokensFromUsd(0.01))
-// ensures predictable ceilings for summarisation prompts.
+// Keeping it constant ensures predictable ceilings for summarisation prompts.
 const DEFAULT_MAX_TOKENS_PER_CALL = 2400;
 
 const DEFAULT_ROUTING_CONFIG = Object.freeze({
@@ -35,11 +34,38 @@ const DEFAULT_ROUTING_CONFIG = Object.freeze({
   disablePaid: false,
   timeoutMs: 20000,
   retryLimit: 2,
-  maxTokensPerCall: DEFAULT_MAX_TOKENS_PER_CALL, // Fixed 2400 tokens replaces estimateTokensFromUsd(0.01) so summariser prompt/completion requirements are met.
+  maxTokensPerCall: DEFAULT_MAX_TOKENS_PER_CALL,
   maxMonthlyTokens: DEFAULT_TOKEN_LIMIT,
+  // USD ceilings priced from the model price table; null leaves spend unlimited.
+  maxCostPerCallUsd: null,
+  maxMonthlyCostUsd: null,
   dryRun: false,
 });
 
+// Synthesised audio is cached in IndexedDB up to this many bytes before the
+// least recently played entries are evicted.
+const DEFAULT_AUDIO_CACHE_CONFIG = Object.freeze({
+  maxBytes: 50 * 1024 * 1024,
+});
+
+// Usage totals reset on this day of the month, and the most recent finished
+// cycles are kept so months can be compared.
+const DEFAULT_BILLING_CONFIG = Object.freeze({
+  cycleDay: 1,
+  historyCycles: 6,
+});
+
+// Layered budgets cap spend for one provider, tier, site or request type on
+// top of the global monthly ceilings.
+const BUDGET_SCOPES = Object.freeze(['global', 'provider', 'tier', 'domain', 'type']);
+const BUDGET_PERIODS = Object.freeze(['day', 'month']);
+
+// Push-to-talk transcription uses the summarisation provider unless a named
+// provider block is chosen here.
+const DEFAULT_TRANSCRIPTION_CONFIG = Object.freeze({
+  provider: null,
+});
+
 const DEFAULT_GEMINI_CONFIG = Object.freeze({
   defaultModelFree: 'gemini-1.5-flash',
   defaultModelPaid: 'gemini-1.5-pro',
@@ -50,6 +76,14 @@ const DEFAULT_GEMINI_CONFIG = Object.freeze({
   vertexEndpointEnv: 'VERTEX_ENDPOINT',
 });
 
+// Provider type for self-hosted servers that speak the OpenAI chat completions
+// protocol. Each named block of this type becomes its own routable provider.
+const OPENAI_COMPATIBLE_TYPE = 'openai_compatible';
+
+// Provider type for self-hosted speech recognition servers that speak the
+// OpenAI `/v1/audio/transcriptions` protocol, such as whisper.cpp.
+const WHISPER_TYPE = 'whisper';
+
 const CONFIG_RESOURCE_URL = new URL('../agent.yaml', import.meta.url);
 const CONFIG_RESOURCE_URL_STRING = CONFIG_RESOURCE_URL.href;
 
@@ -140,6 +174,11 @@ function normaliseProviderOrder(order) {
   return [];
 }
 
+function normaliseUsdLimit(value) {
+  const amount = normaliseNumber(value, Number.NaN);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
 function readEnvironment() {
   if (typeof process === 'undefined' || !process.env) {
     return {};
@@ -174,45 +213,26 @@ function parseRoutingConfig(rawConfig, env = readEnvironment()) {
       ),
     ),
   );
-  const rawMaxTokensPerCall = normaliseNumber(
+  let maxTokensPerCall = normaliseNumber(
     env.MAX_TOKENS_PER_CALL ?? env.MAX_TOKENS_PER_INVOCATION ?? routingSource?.max_tokens_per_call ?? routingSource?.maxTokensPerCall,
-    Number.NaN,
+    DEFAULT_ROUTING_CONFIG.maxTokensPerCall,
   );
-  const legacyMaxCostPerCall = normaliseNumber(
-    env.MAX_COST_PER_CALL_USD ?? env.MAX_COST_PER_CALL ?? routingSource?.max_cost_per_call_usd ?? routingSource?.maxCostPerCallUsd,
-    Number.NaN,
-  );
-  let maxTokensPerCall;
-  if (!Number.isNaN(rawMaxTokensPerCall)) {
-    maxTokensPerCall = rawMaxTokensPerCall;
-  } else if (!Number.isNaN(legacyMaxCostPerCall)) {
-    maxTokensPerCall = estimateTokensFromUsd(legacyMaxCostPerCall);
-  } else {
+  if (maxTokensPerCall < 0) {
     maxTokensPerCall = DEFAULT_ROUTING_CONFIG.maxTokensPerCall;
   }
-  if (!Number.isFinite(maxTokensPerCall) || maxTokensPerCall < 0) {
-    maxTokensPerCall = DEFAULT_ROUTING_CONFIG.maxTokensPerCall;
-  }
-
-  const rawMaxMonthlyTokens = normaliseNumber(
+  let maxMonthlyTokens = normaliseNumber(
     env.MAX_MONTHLY_TOKENS ?? routingSource?.max_monthly_tokens ?? routingSource?.maxMonthlyTokens,
-    Number.NaN,
-  );
-  const legacyMaxMonthlyCost = normaliseNumber(
-    env.MAX_MONTHLY_COST_USD ?? env.MAX_MONTHLY_COST ?? routingSource?.max_monthly_cost_usd ?? routingSource?.maxMonthlyCostUsd,
-    Number.NaN,
+    DEFAULT_ROUTING_CONFIG.maxMonthlyTokens,
   );
-  let maxMonthlyTokens;
-  if (!Number.isNaN(rawMaxMonthlyTokens)) {
-    maxMonthlyTokens = rawMaxMonthlyTokens;
-  } else if (!Number.isNaN(legacyMaxMonthlyCost)) {
-    maxMonthlyTokens = estimateTokensFromUsd(legacyMaxMonthlyCost);
-  } else {
-    maxMonthlyTokens = DEFAULT_ROUTING_CONFIG.maxMonthlyTokens;
-  }
-  if (!Number.isFinite(maxMonthlyTokens) || maxMonthlyTokens < 0) {
+  if (maxMonthlyTokens < 0) {
     maxMonthlyTokens = DEFAULT_ROUTING_CONFIG.maxMonthlyTokens;
   }
+  const maxCostPerCallUsd = normaliseUsdLimit(
+    env.MAX_COST_PER_CALL_USD ?? env.MAX_COST_PER_CALL ?? routingSource?.max_cost_per_call_usd ?? routingSource?.maxCostPerCallUsd,
+  );
+  const maxMonthlyCostUsd = normaliseUsdLimit(
+    env.MAX_MONTHLY_COST_USD ?? env.MAX_MONTHLY_COST ?? routingSource?.max_monthly_cost_usd ?? routingSource?.maxMonthlyCostUsd,
+  );
   const dryRun = normaliseBoolean(
     env.DRY_RUN ?? routingSource?.dry_run ?? routingSource?.dryRun,
     DEFAULT_ROUTING_CONFIG.dryRun,
@@ -225,6 +245,8 @@ function parseRoutingConfig(rawConfig, env = readEnvironment()) {
     retryLimit,
     maxTokensPerCall,
     maxMonthlyTokens,
+    maxCostPerCallUsd,
+    maxMonthlyCostUsd,
     dryRun,
   };
 
@@ -235,12 +257,118 @@ function parseRoutingConfig(rawConfig, env = readEnvironment()) {
     retryLimit,
     maxTokensPerCall,
     maxMonthlyTokens,
+    maxCostPerCallUsd,
+    maxMonthlyCostUsd,
     dryRun,
   });
 
   return routing;
 }
 
+function parseAudioCacheConfig(rawConfig = {}, env = readEnvironment()) {
+  const candidate = rawConfig?.audio_cache && typeof rawConfig.audio_cache === 'object'
+    ? rawConfig.audio_cache
+    : rawConfig?.audioCache || {};
+  let maxBytes = normaliseNumber(
+    env.AUDIO_CACHE_MAX_BYTES ?? candidate.max_bytes ?? candidate.maxBytes,
+    DEFAULT_AUDIO_CACHE_CONFIG.maxBytes,
+  );
+  if (maxBytes < 0) {
+    maxBytes = DEFAULT_AUDIO_CACHE_CONFIG.maxBytes;
+  }
+  const audioCache = { maxBytes: Math.floor(maxBytes) };
+  logger.debug('Audio cache configuration parsed.', audioCache);
+  return audioCache;
+}
+
+function parseBillingConfig(rawConfig = {}, env = readEnvironment()) {
+  const candidate = rawConfig?.billing && typeof rawConfig.billing === 'object' ? rawConfig.billing : {};
+  const cycleDay = Math.floor(normaliseNumber(
+    env.BILLING_CYCLE_DAY ?? candidate.cycle_day ?? candidate.cycleDay,
+    DEFAULT_BILLING_CONFIG.cycleDay,
+  ));
+  const historyCycles = Math.floor(normaliseNumber(
+    env.USAGE_HISTORY_CYCLES ?? candidate.history_cycles ?? candidate.historyCycles,
+    DEFAULT_BILLING_CONFIG.historyCycles,
+  ));
+  const billing = {
+    cycleDay: cycleDay >= 1 && cycleDay <= 31 ? cycleDay : DEFAULT_BILLING_CONFIG.cycleDay,
+    historyCycles: historyCycles >= 0 ? historyCycles : DEFAULT_BILLING_CONFIG.historyCycles,
+  };
+  if (billing.cycleDay !== cycleDay) {
+    logger.warn('Ignoring billing cycle day outside 1-31.', { cycleDay });
+  }
+  logger.debug('Billing configuration parsed.', billing);
+  return billing;
+}
+
+function parseBudgetsConfig(rawConfig = {}) {
+  const entries = Array.isArray(rawConfig?.budgets) ? rawConfig.budgets : [];
+  const budgets = entries.reduce((acc, entry, index) => {
+    const scope = sanitiseString(entry?.scope)?.toLowerCase();
+    const match = sanitiseString(entry?.match)?.toLowerCase() || null;
+    const period = sanitiseString(entry?.period)?.toLowerCase() || 'month';
+    const maxTokens = normaliseNumber(entry?.max_tokens ?? entry?.maxTokens, Number.NaN);
+    const maxCostUsd = normaliseUsdLimit(entry?.max_cost_usd ?? entry?.maxCostUsd);
+    if (!BUDGET_SCOPES.includes(scope) || (scope !== 'global' && !match)) {
+      logger.warn('Ignoring budget without a valid scope and match.', { index, scope });
+      return acc;
+    }
+    if (!BUDGET_PERIODS.includes(period)) {
+      logger.warn('Ignoring budget with an unknown period.', { index, period });
+      return acc;
+    }
+    if (!(maxTokens >= 0) && maxCostUsd === null) {
+      logger.warn('Ignoring budget without max_tokens or max_cost_usd.', { index });
+      return acc;
+    }
+    acc.push({
+      id: sanitiseString(entry.name) || [scope, match, period].filter(Boolean).join(':'),
+      scope,
+      match,
+      period,
+      maxTokens: maxTokens >= 0 ? Math.floor(maxTokens) : null,
+      maxCostUsd,
+    });
+    return acc;
+  }, []);
+  logger.debug('Budget configuration parsed.', { budgets: budgets.map(budget => budget.id) });
+  return budgets;
+}
+
+function parseTranscriptionConfig(rawConfig = {}, env = readEnvironment()) {
+  const candidate = rawConfig?.transcription && typeof rawConfig.transcription === 'object'
+    ? rawConfig.transcription
+    : {};
+  const provider = sanitiseString(env.TRANSCRIPTION_PROVIDER ?? candidate.provider)?.toLowerCase();
+  const transcription = { provider: provider || DEFAULT_TRANSCRIPTION_CONFIG.provider };
+  logger.debug('Transcription configuration parsed.', transcription);
+  return transcription;
+}
+
+// Entries override the defaults field by field, so `gpt-4o-mini: {input: 0.2}`
+// keeps the default output price.
+function parsePricingConfig(rawConfig = {}) {
+  const candidate = rawConfig?.pricing && typeof rawConfig.pricing === 'object' ? rawConfig.pricing : {};
+  const pricing = { ...DEFAULT_MODEL_PRICES };
+  Object.entries(candidate).forEach(([model, entry]) => {
+    if (!entry || typeof entry !== 'object') {
+      logger.warn('Ignoring pricing entry that is not a mapping.', { model });
+      return;
+    }
+    const price = { ...pricing[model] };
+    ['input', 'output', 'audio'].forEach(field => {
+      const amount = normaliseNumber(entry[field], Number.NaN);
+      if (Number.isFinite(amount) && amount >= 0) {
+        price[field] = amount;
+      }
+    });
+    pricing[model] = price;
+  });
+  logger.debug('Pricing configuration parsed.', { models: Object.keys(pricing).length });
+  return pricing;
+}
+
 function parseGeminiConfig(rawConfig = {}) {
   const candidate = rawConfig?.gemini && typeof rawConfig.gemini === 'object' ? rawConfig.gemini : {};
   const normalised = {
@@ -279,8 +407,14 @@ function parseProviderOverrides(rawProviders = {}, baseHeaders = {}) {
       ...normaliseHeaders(baseHeaders),
       ...normaliseHeaders(providerConfig.headers),
     };
+    const requiresApiKey = providerConfig.requires_api_key ?? providerConfig.requiresApiKey;
     const normalisedConfig = {
       provider: normalisedId,
+      type: sanitiseString(providerConfig.provider || providerConfig.type)?.toLowerCase(),
+      tier: sanitiseString(providerConfig.tier)?.toLowerCase(),
+      requiresApiKey: requiresApiKey === undefined || requiresApiKey === null
+        ? undefined
+        : normaliseBoolean(requiresApiKey),
       model: sanitiseString(providerConfig.model),
       apiUrl: sanitiseString(providerConfig.api_url || providerConfig.apiUrl),
       apiKeyEnvVar: sanitiseString(providerConfig.api_key_var || providerConfig.apiKeyVar),
@@ -289,6 +423,16 @@ function parseProviderOverrides(rawProviders = {}, baseHeaders = {}) {
         : undefined,
       headers,
     };
+    if (normalisedConfig.type === OPENAI_COMPATIBLE_TYPE && (!normalisedConfig.apiUrl || !normalisedConfig.model)) {
+      logger.warn('OpenAI-compatible provider is missing api_url or model.', {
+        provider: normalisedId,
+        hasApiUrl: Boolean(normalisedConfig.apiUrl),
+        hasModel: Boolean(normalisedConfig.model),
+      });
+    }
+    if (normalisedConfig.type === WHISPER_TYPE && !normalisedConfig.apiUrl) {
+      logger.warn('Whisper provider is missing api_url.', { provider: normalisedId });
+    }
     acc[normalisedId] = cloneDefaultConfig({
       provider: normalisedId,
       ...normalisedConfig,
@@ -307,8 +451,9 @@ function parseProviderOverrides(rawProviders = {}, baseHeaders = {}) {
  * router and adapters, applying defaults and normalising case for keys.
  *
  * @param {object} rawConfig - Parsed YAML configuration object.
- * @returns {{base: object, providers: object, routing: object, gemini: object}}
- *   Normalised agent configuration.
+ * @returns {{base: object, providers: object, routing: object, gemini: object, audioCache: object,
+ *   transcription: object, pricing: object, billing: object, budgets: object[]}} Normalised agent
+ *   configuration.
  */
 function normaliseAgentConfig(rawConfig) {
   if (!rawConfig || typeof rawConfig !== 'object') {
@@ -330,12 +475,22 @@ function normaliseAgentConfig(rawConfig) {
   const providerOverrides = parseProviderOverrides(rawConfig.providers, baseHeaders);
   const routing = parseRoutingConfig(rawConfig);
   const gemini = parseGeminiConfig(rawConfig);
+  const audioCache = parseAudioCacheConfig(rawConfig);
+  const transcription = parseTranscriptionConfig(rawConfig);
+  const pricing = parsePricingConfig(rawConfig);
+  const billing = parseBillingConfig(rawConfig);
+  const budgets = parseBudgetsConfig(rawConfig);
 
   const normalised = {
     base: baseConfig,
     providers: providerOverrides,
     routing,
     gemini,
+    audioCache,
+    transcription,
+    pricing,
+    billing,
+    budgets,
   };
   logger.info('Agent configuration normalised.', {
     baseProvider: normalised.base.provider,
@@ -485,8 +640,8 @@ export async function loadProviderConfig(options = {}) {
  *
  * @param {{source?: string, fetchImpl?: Function}} [options] - Loader options
  *   used to supply alternate YAML content or fetch implementations.
- * @returns {Promise<{base: object, providers: object, routing: object, gemini: object}>}
- *   Complete agent configuration object.
+ * @returns {Promise<{base: object, providers: object, routing: object, gemini: object, audioCache: object,
+ *   transcription: object}>} Complete agent configuration object.
  */
 export async function loadAgentConfiguration(options = {}) {
   logger.debug('Loading agent configuration.');
@@ -519,6 +674,11 @@ export {
   DEFAULT_PROVIDER_CONFIG,
   DEFAULT_ROUTING_CONFIG,
   DEFAULT_GEMINI_CONFIG,
+  DEFAULT_AUDIO_CACHE_CONFIG,
+  DEFAULT_TRANSCRIPTION_CONFIG,
+  DEFAULT_BILLING_CONFIG,
+  OPENAI_COMPATIBLE_TYPE,
+  WHISPER_TYPE,
   normaliseAgentConfig,
   buildProviderConfig,
 };
@@ -14,7 +14,7 @@ const PROVIDER_ALIASES = Object.freeze({
 
 const PROVIDERS = Object.freeze([
   Object.freeze({ id: 'auto', label: 'Auto (Free-first)', requiresApiKey: false }),
-  Object.freeze({ id: 'ollama', label: 'Ollama (Local)', requiresApiKey: false }),
+  Object.freeze({ id: 'ollama', label: 'Ollama (Local)', requiresApiKey: false, supportsModelDiscovery: true }),
   Object.freeze({ id: 'huggingface_free', label: 'Hugging Face (Free/Tier)', requiresApiKey: true }),
   Object.freeze({ id: 'gemini_free', label: 'Google Gemini (AI Studio Free/Trial)', requiresApiKey: true }),
   Object.freeze({ id: 'openai_trial', label: 'OpenAI (Trial)', requiresApiKey: true }),
@@ -103,6 +103,18 @@ function providerRequiresApiKey(providerId) {
   return provider.requiresApiKey !== false;
 }
 
+/**
+ * Indicates whether the provider can list its available models, allowing the
+ * popup to offer a model picker.
+ *
+ * @param {string} providerId - Provider identifier to evaluate.
+ * @returns {boolean} True when model discovery is supported.
+ */
+function providerSupportsModelDiscovery(providerId) {
+  const provider = findProvider(providerId);
+  return provider?.supportsModelDiscovery === true;
+}
+
 function capitaliseWords(value) {
   return value.replace(/\b([a-z])/g, (_, char) => char.toUpperCase());
 }
@@ -149,4 +161,5 @@ export {
   normaliseProviderId,
   resolveAlias,
   providerRequiresApiKey,
+  providerSupportsModelDiscovery,
 };
@@ -0,0 +1,101 @@
+/**
+ * Minimal server-sent events reader used by streaming provider adapters.
+ *
+ * @module utils/sse
+ */
+
+const EVENT_BOUNDARY = /\r\n\r\n|\n\n|\r\r/;
+
+/**
+ * Parses a single event block into its event name and joined data lines.
+ * Comment lines (starting with `:`) and unknown fields are ignored.
+ *
+ * @param {string} block - Raw event text without the trailing blank line.
+ * @returns {{event: string, data: string}|null} Parsed event, or null when the
+ *   block carries no data.
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+  block.split(/\r\n|\n|\r/).forEach(line => {
+    if (!line || line.startsWith(':')) {
+      return;
+    }
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? '' : line.slice(separator + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+    if (field === 'event') {
+      event = value || 'message';
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  });
+  if (dataLines.length === 0) {
+    return null;
+  }
+  return { event, data: dataLines.join('\n') };
+}
+
+/**
+ * Reads a `text/event-stream` response body and invokes the callback for every
+ * event as soon as it is complete. Bodies without a readable stream (such as
+ * test doubles) are read in full and then dispatched.
+ *
+ * @param {Response} response - Fetch response whose body is an event stream.
+ * @param {function({event: string, data: string}): (boolean|void)} onEvent -
+ *   Event callback. Returning `false` stops reading and cancels the body.
+ * @returns {Promise<void>} Resolves once the stream ends or is stopped.
+ */
+export async function readEventStream(response, onEvent) {
+  const dispatch = block => {
+    const parsed = parseEventBlock(block);
+    return parsed ? onEvent(parsed) !== false : true;
+  };
+
+  const reader = typeof response?.body?.getReader === 'function' ? response.body.getReader() : null;
+  if (!reader) {
+    const text = typeof response?.text === 'function' ? await response.text() : '';
+    for (const block of text.split(EVENT_BOUNDARY)) {
+      if (!dispatch(block)) {
+        return;
+      }
+    }
+    return;
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      let match = EVENT_BOUNDARY.exec(buffer);
+      while (match) {
+        const block = buffer.slice(0, match.index);
+        buffer = buffer.slice(match.index + match[0].length);
+        if (!dispatch(block)) {
+          await reader.cancel().catch(() => {});
+          return;
+        }
+        match = EVENT_BOUNDARY.exec(buffer);
+      }
+      if (done) {
+        if (buffer.trim()) {
+          dispatch(buffer);
+        }
+        return;
+      }
+    }
+  } finally {
+    if (typeof reader.releaseLock === 'function') {
+      try {
+        reader.releaseLock();
+      } catch (error) {
+        // The lock is already released when the stream was cancelled.
+      }
+    }
+  }
+}
@@ -360,8 +360,15 @@ export async function removeValue(key) {
   await promisify('remove', key);
 }
 
+// Tail of the in-process queue of lock holders for each key. The storage
+// lock alone cannot exclude callers in the same context: both can read the
+// free lock before either writes it.
+const localLockQueues = new Map();
+
 /**
  * Provides a cooperative lock using storage keys to avoid concurrent writes.
+ * Callers in the same context take turns before contending for the storage
+ * lock. The lock is not reentrant.
  *
  * @param {string} key - Identifier used for the lock key.
  * @param {Function} fn - Async function executed while holding the lock.
@@ -369,6 +376,25 @@ export async function removeValue(key) {
  * @throws {Error} When the lock cannot be acquired within the retry budget.
  */
 export async function withLock(key, fn) {
+  const previous = localLockQueues.get(key) || Promise.resolve();
+  let release;
+  const turn = new Promise(resolve => {
+    release = resolve;
+  });
+  const tail = previous.then(() => turn);
+  localLockQueues.set(key, tail);
+  await previous;
+  try {
+    return await withStorageLock(key, fn);
+  } finally {
+    release();
+    if (localLockQueues.get(key) === tail) {
+      localLockQueues.delete(key);
+    }
+  }
+}
+
+async function withStorageLock(key, fn) {
   const lockKey = `lock:${key}`;
   const maxAttempts = 5;
   const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
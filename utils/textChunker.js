@@ -300,4 +300,60 @@ export function chunkTextByTokens(text, maxTokens, options = {}) {
   return chunks;
 }
 
+/**
+ * Builds a prompt that follows an instruction with the given texts as a
+ * numbered list.
+ *
+ * @param {string} prefix The instruction placed before the list.
+ * @param {string[]} texts The texts to number, in order.
+ * @returns {string} The prompt text.
+ */
+export function buildNumberedPrompt(prefix, texts) {
+  const numbered = texts.map((text, index) => `${index + 1}. ${text}`);
+  return `${prefix}\n\n${numbered.join('\n\n')}`;
+}
+
+/**
+ * Packs texts, in order, into groups whose numbered prompt fits the token
+ * budget. Groups are filled greedily, so combining each group into one text
+ * and grouping the results again reduces the texts to a single one.
+ *
+ * @param {string[]} texts The texts to combine.
+ * @param {{ prefix: string, maxTokens: number, estimate?: (text: string) => number }} options
+ *   The prompt instruction, the token budget per prompt (0 or less for no
+ *   limit) and the estimator used to measure prompts.
+ * @returns {string[][]} The groups, in order.
+ * @throws {Error} When a text does not fit a prompt on its own, or when no
+ *   two texts fit one prompt, as combining could then never finish.
+ */
+export function groupTextsForPrompt(texts, { prefix, maxTokens, estimate = estimateTokens }) {
+  const fits = group => !(maxTokens > 0) || estimate(buildNumberedPrompt(prefix, group)) <= maxTokens;
+  const groups = [];
+  let current = [];
+
+  for (const text of texts) {
+    const candidate = [...current, text];
+    if (current.length > 0 && !fits(candidate)) {
+      groups.push(current);
+      current = [text];
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  if (groups.some(group => !fits(group))) {
+    throw new Error(`A text is too long to combine within ${maxTokens} tokens.`);
+  }
+
+  if (texts.length > 1 && groups.length === texts.length) {
+    throw new Error(`No two texts fit one prompt of ${maxTokens} tokens, so they cannot be combined.`);
+  }
+
+  return groups;
+}
+
 export default chunkTextByTokens;
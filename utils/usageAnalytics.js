@@ -0,0 +1,220 @@
+/**
+ * Aggregation and export helpers for the usage dashboard. They work on the
+ * request entries kept by `CostTracker#toJSON`, either from the current
+ * `comet:usage` snapshot or from archived billing cycles.
+ *
+ * @module utils/usageAnalytics
+ */
+
+/**
+ * Group key used for requests that lack the grouped field.
+ */
+export const UNKNOWN_GROUP = '(unknown)';
+
+/**
+ * Columns written by {@link requestsToCsv}, in order.
+ */
+export const USAGE_CSV_COLUMNS = Object.freeze([
+  'timestamp',
+  'provider',
+  'tier',
+  'type',
+  'model',
+  'pricingModel',
+  'url',
+  'segmentId',
+  'promptTokens',
+  'completionTokens',
+  'totalTokens',
+  'spendUsd',
+  'excludedFromLimit',
+]);
+
+function roundUsd(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function tokensOf(request) {
+  return Number.isFinite(request?.totalTokens) ? request.totalTokens : 0;
+}
+
+function spendOf(request) {
+  return Number.isFinite(request?.spendUsd) ? request.spendUsd : 0;
+}
+
+function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+function formatDay(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function createBucket(fields) {
+  return { ...fields, requests: 0, totalTokens: 0, spendUsd: 0 };
+}
+
+function addToBucket(bucket, request) {
+  bucket.requests += 1;
+  bucket.totalTokens += tokensOf(request);
+  bucket.spendUsd = roundUsd(bucket.spendUsd + spendOf(request));
+}
+
+function byCost(a, b) {
+  return b.spendUsd - a.spendUsd || b.totalTokens - a.totalTokens || b.requests - a.requests;
+}
+
+function groupRequests(requests, keyOf) {
+  const groups = new Map();
+  requests.forEach(request => {
+    const key = keyOf(request) || UNKNOWN_GROUP;
+    if (!groups.has(key)) {
+      groups.set(key, createBucket({ key }));
+    }
+    addToBucket(groups.get(key), request);
+  });
+  return [...groups.values()].sort(byCost);
+}
+
+// Fragments point inside the same page, so they are dropped when grouping.
+function pageOf(url) {
+  if (typeof url !== 'string' || !url) {
+    return null;
+  }
+  const hashIndex = url.indexOf('#');
+  return hashIndex === -1 ? url : url.slice(0, hashIndex);
+}
+
+/**
+ * Returns the lowercased hostname of the page a request was made for.
+ *
+ * @param {{url?: string}} request - Request entry.
+ * @returns {string|null} Hostname, or null when the request has no valid URL.
+ */
+export function getRequestDomain(request) {
+  if (typeof request?.url !== 'string' || !request.url) {
+    return null;
+  }
+  try {
+    return new URL(request.url).hostname.toLowerCase() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Collects request entries from the current usage snapshot and archived
+ * billing cycles, oldest first.
+ *
+ * @param {{requests?: object[]}} [usage] - Usage snapshot from `comet:getUsage`.
+ * @param {Array<{requests?: object[]}>} [history=[]] - Archived cycles from
+ *   `comet:getUsageHistory`.
+ * @returns {object[]} Request entries sorted by timestamp.
+ */
+export function collectRequests(usage, history = []) {
+  const cycles = [...(Array.isArray(history) ? history : []), usage];
+  return cycles
+    .flatMap(cycle => (Array.isArray(cycle?.requests) ? cycle.requests : []))
+    .filter(request => request && typeof request === 'object')
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+}
+
+/**
+ * Summarises request entries for the usage dashboard. Groups are sorted by
+ * spend, then by tokens. Requests without a price count towards tokens but
+ * not spend.
+ *
+ * @param {object[]} requests - Request entries.
+ * @param {{now?: number, days?: number, topPages?: number}} [options={}] -
+ *   Current time, number of daily buckets ending today and how many pages to
+ *   list.
+ * @returns {{totals: {requests: number, totalTokens: number, spendUsd: number, unpricedRequests: number},
+ *   daily: Array<{date: string, start: number, requests: number, totalTokens: number, spendUsd: number}>,
+ *   byProvider: object[], byModel: object[], byType: object[], byDomain: object[],
+ *   topPages: Array<{url: string, domain: string|null, requests: number, totalTokens: number,
+ *   spendUsd: number}>}} Dashboard summary. Group entries have a `key` and the same
+ *   counters as the daily buckets.
+ */
+export function summariseUsage(requests, { now = Date.now(), days = 30, topPages = 10 } = {}) {
+  const entries = Array.isArray(requests) ? requests : [];
+  const totals = createBucket({ unpricedRequests: 0 });
+  entries.forEach(request => {
+    addToBucket(totals, request);
+    if (!Number.isFinite(request.spendUsd)) {
+      totals.unpricedRequests += 1;
+    }
+  });
+
+  // Days are stepped by calendar date rather than 24 hours so daylight
+  // saving changes do not skip or repeat a bucket.
+  const today = new Date(startOfDay(now));
+  const daily = [];
+  for (let offset = Math.max(1, days) - 1; offset >= 0; offset -= 1) {
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset).getTime();
+    daily.push(createBucket({ date: formatDay(start), start }));
+  }
+  const dailyByDate = new Map(daily.map(bucket => [bucket.date, bucket]));
+  entries.forEach(request => {
+    const bucket = Number.isFinite(request.timestamp) ? dailyByDate.get(formatDay(request.timestamp)) : null;
+    if (bucket) {
+      addToBucket(bucket, request);
+    }
+  });
+
+  const pages = new Map();
+  entries.forEach(request => {
+    const url = pageOf(request.url);
+    if (!url) {
+      return;
+    }
+    if (!pages.has(url)) {
+      pages.set(url, createBucket({ url, domain: getRequestDomain(request) }));
+    }
+    addToBucket(pages.get(url), request);
+  });
+
+  return {
+    totals,
+    daily,
+    byProvider: groupRequests(entries, request => request.provider),
+    byModel: groupRequests(entries, request => request.pricingModel || request.model),
+    byType: groupRequests(entries, request => request.type),
+    byDomain: groupRequests(entries, getRequestDomain),
+    topPages: [...pages.values()].sort(byCost).slice(0, Math.max(0, topPages)),
+  };
+}
+
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/u.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises request entries as CSV with a header row. Timestamps are
+ * written as ISO 8601 strings.
+ *
+ * @param {object[]} requests - Request entries.
+ * @returns {string} CSV document using CRLF line endings.
+ */
+export function requestsToCsv(requests) {
+  const rows = (Array.isArray(requests) ? requests : []).map(request => USAGE_CSV_COLUMNS
+    .map(column => {
+      if (column === 'timestamp') {
+        return Number.isFinite(request.timestamp) ? new Date(request.timestamp).toISOString() : '';
+      }
+      if (column === 'excludedFromLimit') {
+        return request.excludedFromLimit === true;
+      }
+      return request[column];
+    })
+    .map(toCsvField)
+    .join(','));
+  return [USAGE_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
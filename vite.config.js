@@ -51,6 +51,8 @@ export default defineConfig(({ mode, command }) => {
           background: resolveFromRoot('background/service_worker.js'),
           content: resolveFromRoot('content/content.js'),
           popup: resolveFromRoot('popup/script.js'),
+          offscreen: resolveFromRoot('offscreen/offscreen.js'),
+          dashboard: resolveFromRoot('dashboard/script.js'),
         },
         preserveEntrySignatures: 'strict',
         output: {
@@ -67,6 +69,12 @@ export default defineConfig(({ mode, command }) => {
             if (relativePath === 'popup/script.js') {
               return 'popup/script.js';
             }
+            if (relativePath === 'offscreen/offscreen.js') {
+              return 'offscreen/offscreen.js';
+            }
+            if (relativePath === 'dashboard/script.js') {
+              return 'dashboard/script.js';
+            }
             if (relativePath && !relativePath.startsWith('node_modules/')) {
               return relativePath.endsWith('.js') ? relativePath : `${relativePath}.js`;
             }